@@ -0,0 +1,65 @@
+import { NextResponse } from "next/server";
+import { diffDocuments } from "@/lib/docDiff";
+import { getRepositoryById } from "@/lib/repositoryStorage";
+import {
+  getDocumentationVersion,
+  listDocumentationVersions,
+} from "@/lib/documentationStorage";
+
+// GET - Compare two documentation versions (?from=<version>&to=<version>, "to" defaults to the latest)
+export async function GET(request, { params }) {
+  const { id } = await params;
+  const { searchParams } = new URL(request.url);
+  const from = searchParams.get("from");
+  let to = searchParams.get("to");
+
+  if (!from || !/^\d+$/.test(from) || (to && !/^\d+$/.test(to))) {
+    return NextResponse.json(
+      { error: "Query parameters 'from' and optional 'to' must be version numbers" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const repository = await getRepositoryById(id);
+    if (!repository) {
+      return NextResponse.json(
+        { error: "Repository not found" },
+        { status: 404 }
+      );
+    }
+
+    if (!to) {
+      const [latest] = await listDocumentationVersions(id);
+      to = latest ? String(latest.version) : null;
+    }
+
+    const [fromEntry, toEntry] = await Promise.all([
+      getDocumentationVersion(id, from),
+      to ? getDocumentationVersion(id, to) : null,
+    ]);
+
+    if (!fromEntry || !toEntry) {
+      return NextResponse.json(
+        { error: "Documentation version not found" },
+        { status: 404 }
+      );
+    }
+
+    const { content: fromContent, ...fromMetadata } = fromEntry;
+    const { content: toContent, ...toMetadata } = toEntry;
+
+    return NextResponse.json({
+      success: true,
+      from: fromMetadata,
+      to: toMetadata,
+      diff: diffDocuments(fromContent, toContent),
+    });
+  } catch (error) {
+    console.error("Error comparing documentation versions:", error);
+    return NextResponse.json(
+      { error: "Failed to compare documentation versions" },
+      { status: 500 }
+    );
+  }
+}
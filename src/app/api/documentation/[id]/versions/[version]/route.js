@@ -0,0 +1,48 @@
+import { NextResponse } from "next/server";
+import { getRepositoryById } from "@/lib/repositoryStorage";
+import { getDocumentationVersion } from "@/lib/documentationStorage";
+
+// GET - Fetch a single documentation version with its metadata
+export async function GET(request, { params }) {
+  const { id, version } = await params;
+
+  if (!/^\d+$/.test(version)) {
+    return NextResponse.json(
+      { error: "Version must be a number" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const repository = await getRepositoryById(id);
+    if (!repository) {
+      return NextResponse.json(
+        { error: "Repository not found" },
+        { status: 404 }
+      );
+    }
+
+    const entry = await getDocumentationVersion(id, version);
+
+    if (!entry) {
+      return NextResponse.json(
+        { error: "Documentation version not found" },
+        { status: 404 }
+      );
+    }
+
+    const { content, ...metadata } = entry;
+
+    return NextResponse.json({
+      success: true,
+      documentation: content,
+      version: metadata,
+    });
+  } catch (error) {
+    console.error("Error fetching documentation version:", error);
+    return NextResponse.json(
+      { error: "Failed to fetch documentation version" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,32 @@
+import { NextResponse } from "next/server";
+import { getRepositoryById } from "@/lib/repositoryStorage";
+import { listDocumentationVersions } from "@/lib/documentationStorage";
+
+// GET - List all documentation versions of a repository, newest first
+export async function GET(request, { params }) {
+  const { id } = await params;
+
+  try {
+    const repository = await getRepositoryById(id);
+    if (!repository) {
+      return NextResponse.json(
+        { error: "Repository not found" },
+        { status: 404 }
+      );
+    }
+
+    const versions = await listDocumentationVersions(id);
+
+    return NextResponse.json({
+      success: true,
+      repoId: id,
+      versions,
+    });
+  } catch (error) {
+    console.error("Error listing documentation versions:", error);
+    return NextResponse.json(
+      { error: "Failed to list documentation versions" },
+      { status: 500 }
+    );
+  }
+}
@@ -4,6 +4,14 @@ import {
   updateRepository,
   deleteRepository,
 } from "@/lib/repositoryStorage";
+import { assertLocalRepositoryAllowed, isLocalRepositoryUrl } from "@/lib/analyzer";
+import { normalizeLLMSettings } from "@/lib/llmProviders";
+import {
+  assertPublishBranchAllowed,
+  normalizeBranchName,
+  normalizeDocsPath,
+} from "@/lib/docPublisher";
+import { normalizeHistoryDepth } from "@/lib/analyzers/gitHistory";
 
 // GET - Get a specific repository
 export async function GET(request, { params }) {
@@ -33,14 +41,48 @@ export async function PUT(request, { params }) {
   try {
     const { id } = await params;
     const body = await request.json();
-    const { name, url, branch, autoUpdate, autoMerge } = body;
+    const {
+      name,
+      url,
+      branch,
+      autoUpdate,
+      autoMerge,
+      autoMergeDirectPush,
+      docsPath,
+      publishBranch,
+      llm,
+      historyDepth,
+    } = body;
 
     const updates = {};
     if (name !== undefined) updates.name = name;
     if (url !== undefined) updates.url = url;
-    if (branch !== undefined) updates.branch = branch;
     if (autoUpdate !== undefined) updates.autoUpdate = autoUpdate;
     if (autoMerge !== undefined) updates.autoMerge = autoMerge;
+    if (autoMergeDirectPush !== undefined) {
+      updates.autoMergeDirectPush = Boolean(autoMergeDirectPush);
+    }
+    try {
+      if (isLocalRepositoryUrl(url)) assertLocalRepositoryAllowed(url);
+      if (branch !== undefined) updates.branch = normalizeBranchName(branch) || "main";
+      if (llm !== undefined) updates.llm = normalizeLLMSettings(llm);
+      if (historyDepth !== undefined) updates.historyDepth = normalizeHistoryDepth(historyDepth);
+      if (docsPath !== undefined) updates.docsPath = normalizeDocsPath(docsPath);
+      if (publishBranch !== undefined) {
+        updates.publishBranch = normalizeBranchName(publishBranch);
+      }
+      if (updates.branch !== undefined || updates.publishBranch !== undefined) {
+        const current = await getRepositoryById(id);
+        if (current) {
+          assertPublishBranchAllowed(
+            updates.publishBranch !== undefined ? updates.publishBranch : current.publishBranch,
+            updates.branch ?? current.branch
+          );
+        }
+      }
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
     const repository = await updateRepository(id, updates);
 
@@ -1,10 +1,12 @@
 import { NextResponse } from "next/server";
-import { setDocumentation } from "@/lib/storage";
 import {
   getAllRepositories,
   addRepository,
   deleteRepository,
 } from "@/lib/repositoryStorage";
+import { assertLocalRepositoryAllowed, isLocalRepositoryUrl } from "@/lib/analyzer";
+import { normalizeBranchName } from "@/lib/docPublisher";
+import { enqueueGeneration } from "@/lib/generationJobs";
 
 export async function GET() {
   try {
@@ -30,73 +32,36 @@ export async function POST(request) {
         { status: 400 }
       );
     }
+    let branchName;
+    try {
+      if (isLocalRepositoryUrl(url)) assertLocalRepositoryAllowed(url);
+      branchName = normalizeBranchName(branch) || "main";
+    } catch (error) {
+      return NextResponse.json({ error: error.message }, { status: 400 });
+    }
 
     const newRepo = await addRepository({
       name,
       url,
-      branch,
+      branch: branchName,
       autoUpdate,
       autoMerge,
       type: "integrated",
       status: "generating",
     });
 
-    // Simulate documentation generation
-    setTimeout(async () => {
-      try {
-        const { updateRepository } = await import("@/lib/repositoryStorage");
-        const { saveDocumentation: saveDoc } = await import("@/lib/documentationStorage");
-        
-        // Generate sample documentation
-        const sampleDoc = `# ${newRepo.name} Documentation
-
-## Service Overview
-Auto-generated documentation for ${newRepo.name}.
-
-## Architecture
-[TODO: Add architecture details based on code analysis]
-
-## API Documentation
-[TODO: Add API endpoints discovered from the codebase]
-
-## Setup & Installation
-\`\`\`bash
-git clone ${newRepo.url}
-cd ${newRepo.name}
-# [TODO: Add specific setup instructions]
-\`\`\`
-
-## Configuration
-[TODO: Add configuration details found in the repository]
-
-## Dependencies
-[TODO: List dependencies from package.json or requirements.txt]
-
-## Development
-[TODO: Add development workflow instructions]
-
-Generated on: ${new Date().toLocaleString()}`;
-
-        // Save documentation to file
-        const filename = await saveDoc(newRepo.id, newRepo.name, sampleDoc);
-        
-        // Update repository with documentation file and status
-        await updateRepository(newRepo.id, {
-          documentationFile: filename,
-          hasDocumentation: true,
-          status: 'up-to-date'
-        });
-        
-        // Also store in memory for backward compatibility
-        setDocumentation(newRepo.id, sampleDoc);
-      } catch (error) {
-        console.error("Failed to update repository status:", error);
-      }
-    }, 5000);
+    // Queue documentation generation in the background worker
+    const job = await enqueueGeneration({
+      repoUrl: newRepo.url,
+      branch: newRepo.branch,
+      repoId: newRepo.id,
+      repoName: newRepo.name,
+    });
 
     return NextResponse.json({
       success: true,
-      repository: newRepo,
+      repository: { ...newRepo, lastJobId: job.id },
+      jobId: job.id,
     });
   } catch (error) {
     console.error("Repository creation error:", error);
@@ -1,7 +1,12 @@
 import { NextResponse } from 'next/server'
+import { getJob } from '@/lib/jobQueue'
 
-// In-memory storage for generation status (use database in production)
-const generationStatus = {}
+const statusMessages = {
+  queued: 'Waiting in queue',
+  running: 'Generating documentation...',
+  completed: 'Documentation generated successfully',
+  failed: 'Documentation generation failed'
+}
 
 export async function GET(request, { params }) {
   const { id } = await params
@@ -13,26 +18,37 @@ export async function GET(request, { params }) {
     )
   }
 
-  const status = generationStatus[id] || {
-    id,
-    status: 'not_found',
-    message: 'Generation not found'
+  try {
+    const job = await getJob(id)
+
+    if (!job) {
+      return NextResponse.json(
+        { id, status: 'not_found', message: 'Generation not found' },
+        { status: 404 }
+      )
+    }
+
+    return NextResponse.json({
+      id: job.id,
+      type: job.type,
+      status: job.status,
+      message: job.error || (job.status === 'running' && job.progress?.message) || statusMessages[job.status],
+      trigger: job.trigger,
+      repoId: job.payload?.repoId || null,
+      attempts: job.attempts,
+      progress: job.progress || null,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      updatedAt: job.updatedAt,
+      error: job.error,
+      result: job.result
+    })
+  } catch (error) {
+    console.error('Error fetching generation status:', error)
+    return NextResponse.json(
+      { error: 'Failed to fetch generation status' },
+      { status: 500 }
+    )
   }
-
-  return NextResponse.json(status)
 }
-
-export async function POST(request, { params }) {
-  const { id } = await params
-  const body = await request.json()
-
-  generationStatus[id] = {
-    id,
-    status: body.status || 'generating',
-    message: body.message || 'Processing...',
-    progress: body.progress,
-    updatedAt: new Date().toISOString()
-  }
-
-  return NextResponse.json({ success: true })
-}
\ No newline at end of file
@@ -0,0 +1,126 @@
+import { NextResponse } from "next/server";
+import { getAllRepositories, updateRepository } from "@/lib/repositoryStorage";
+import { isPublishedByDocWeave } from "@/lib/docPublisher";
+import { enqueueGeneration } from "@/lib/generationJobs";
+import {
+  WEBHOOK_PROVIDERS,
+  findRepositoriesForPush,
+  getWebhookEvent,
+  getWebhookSecret,
+  parsePushEvent,
+  verifyWebhook,
+} from "@/lib/webhooks";
+
+// POST - Receive a GitHub or GitLab push event and queue regeneration for matching repositories
+export async function POST(request, { params }) {
+  const { provider } = await params;
+
+  if (!WEBHOOK_PROVIDERS.includes(provider)) {
+    return NextResponse.json(
+      { error: `Unsupported webhook provider: ${provider}` },
+      { status: 404 }
+    );
+  }
+
+  const secret = getWebhookSecret(provider);
+  if (!secret) {
+    return NextResponse.json(
+      {
+        error: `Webhook secret not configured. Please set ${provider.toUpperCase()}_WEBHOOK_SECRET in .env.local`,
+      },
+      { status: 500 }
+    );
+  }
+
+  try {
+    // Signatures are computed over the exact bytes sent, so read the raw body first
+    const rawBody = await request.text();
+
+    if (!verifyWebhook(provider, request.headers, rawBody, secret)) {
+      return NextResponse.json(
+        { error: "Invalid webhook signature" },
+        { status: 401 }
+      );
+    }
+
+    const event = getWebhookEvent(provider, request.headers);
+    if (event === "ping") {
+      return NextResponse.json({ success: true, message: "pong" });
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(rawBody);
+    } catch {
+      return NextResponse.json(
+        { error: "Invalid JSON payload" },
+        { status: 400 }
+      );
+    }
+
+    const push = parsePushEvent(provider, event, payload);
+    if (!push) {
+      return NextResponse.json({
+        success: true,
+        message: `Ignored ${event || "unknown"} event`,
+        queued: [],
+      });
+    }
+
+    const repositories = findRepositoriesForPush(
+      await getAllRepositories(),
+      push
+    );
+
+    const queued = [];
+    const skipped = [];
+    for (const repo of repositories) {
+      await updateRepository(
+        repo.id,
+        { remoteCommitSha: push.commitSha, lastCheckedAt: new Date().toISOString() },
+        { touch: false }
+      );
+
+      if (!repo.autoUpdate) {
+        skipped.push({ repoId: repo.id, reason: "autoUpdate disabled" });
+        continue;
+      }
+      if (repo.lastCommitSha === push.commitSha) {
+        skipped.push({ repoId: repo.id, reason: "already up to date" });
+        continue;
+      }
+      if (isPublishedByDocWeave(repo, push)) {
+        skipped.push({ repoId: repo.id, reason: "documentation commit published by DocWeave" });
+        continue;
+      }
+
+      const job = await enqueueGeneration(
+        { repoUrl: repo.url, branch: push.branch, repoId: repo.id, repoName: repo.name },
+        { trigger: "webhook" }
+      );
+      queued.push({ repoId: repo.id, jobId: job.id });
+    }
+
+    console.log(
+      `${provider} push to ${push.branch} (${push.commitSha.slice(0, 7)}): ${repositories.length} matching, ${queued.length} queued`
+    );
+
+    return NextResponse.json(
+      {
+        success: true,
+        branch: push.branch,
+        commitSha: push.commitSha,
+        matched: repositories.length,
+        queued,
+        skipped,
+      },
+      { status: queued.length > 0 ? 202 : 200 }
+    );
+  } catch (error) {
+    console.error("Webhook processing error:", error);
+    return NextResponse.json(
+      { error: "Internal server error" },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,116 @@
+"use client";
+
+import { useState } from "react";
+import { ChevronDown, ChevronRight } from "lucide-react";
+
+const statusStyles = {
+  added: "border-green-600 bg-green-900/20",
+  removed: "border-red-600 bg-red-900/20",
+  changed: "border-yellow-600 bg-yellow-900/10",
+  unchanged: "border-gray-700",
+};
+
+const lineStyles = {
+  added: "bg-green-900/40 text-green-300",
+  removed: "bg-red-900/40 text-red-300",
+  equal: "text-gray-400",
+};
+
+const linePrefix = { added: "+", removed: "-", equal: " " };
+
+function Hunks({ hunks }) {
+  return (
+    <div className="font-mono text-xs overflow-x-auto">
+      {hunks.map((hunk, index) => (
+        <div key={index} className="mb-2">
+          <div className="text-blue-400 px-2">
+            @@ -{hunk.oldStart},{hunk.oldLines} +{hunk.newStart},{hunk.newLines} @@
+          </div>
+          {hunk.lines.map((line, lineIndex) => (
+            <div
+              key={lineIndex}
+              className={`px-2 whitespace-pre ${lineStyles[line.type]}`}
+            >
+              {linePrefix[line.type]} {line.text}
+            </div>
+          ))}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function Section({ section }) {
+  const [open, setOpen] = useState(section.status !== "unchanged");
+  const hasBody =
+    section.status === "changed" ||
+    section.status === "added" ||
+    section.status === "removed";
+
+  return (
+    <div className={`border-l-4 rounded mb-2 ${statusStyles[section.status]}`}>
+      <button
+        onClick={() => setOpen(!open)}
+        disabled={!hasBody}
+        className="w-full flex items-center justify-between px-3 py-2 text-left"
+      >
+        <span className="flex items-center space-x-2 text-sm text-gray-200">
+          {hasBody &&
+            (open ? (
+              <ChevronDown className="w-4 h-4" />
+            ) : (
+              <ChevronRight className="w-4 h-4" />
+            ))}
+          <span>{section.heading || "(Introduction)"}</span>
+        </span>
+        <span className="text-xs text-gray-400">
+          {section.status}
+          {section.status === "changed" &&
+            ` · +${section.added} -${section.removed}`}
+        </span>
+      </button>
+
+      {open && section.status === "changed" && <Hunks hunks={section.hunks} />}
+      {open && (section.status === "added" || section.status === "removed") && (
+        <pre
+          className={`font-mono text-xs px-3 pb-2 whitespace-pre-wrap ${
+            section.status === "added" ? "text-green-300" : "text-red-300"
+          }`}
+        >
+          {section.content}
+        </pre>
+      )}
+    </div>
+  );
+}
+
+// Section-by-section view of the diff returned by /api/documentation/[id]/diff
+export default function DocumentationDiff({ diff, from, to }) {
+  const { stats } = diff;
+
+  return (
+    <div className="text-gray-100">
+      <div className="flex flex-wrap items-center justify-between mb-4 text-sm">
+        <span className="text-gray-300">
+          Comparing v{from.version} → v{to.version}
+        </span>
+        <span className="space-x-3 text-xs">
+          <span className="text-green-400">+{stats.linesAdded} lines</span>
+          <span className="text-red-400">-{stats.linesRemoved} lines</span>
+          <span className="text-gray-400">
+            {stats.sectionsChanged} changed · {stats.sectionsAdded} added ·{" "}
+            {stats.sectionsRemoved} removed sections
+          </span>
+        </span>
+      </div>
+
+      {stats.linesAdded === 0 && stats.linesRemoved === 0 ? (
+        <p className="text-gray-400 text-sm">The two versions are identical.</p>
+      ) : (
+        diff.sections.map((section) => (
+          <Section key={`${section.status}-${section.key}`} section={section} />
+        ))
+      )}
+    </div>
+  );
+}
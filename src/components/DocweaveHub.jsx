@@ -20,6 +20,10 @@ import {
   Bell,
   Settings,
 } from "lucide-react";
+import { waitForJob } from "@/lib/jobClient";
+import GenerationProgress from "@/components/GenerationProgress";
+import DocumentationDiff from "@/components/DocumentationDiff";
+import MermaidDiagram from "@/components/MermaidDiagram";
 
 export default function DocweaveHub() {
   const [repositories, setRepositories] = useState([]);
@@ -31,6 +35,11 @@ export default function DocweaveHub() {
   const [showModal, setShowModal] = useState(false);
   const [selectedDocumentation, setSelectedDocumentation] = useState("");
   const [selectedRepoName, setSelectedRepoName] = useState("");
+  const [selectedRepoId, setSelectedRepoId] = useState(null);
+  const [versions, setVersions] = useState([]);
+  const [selectedVersion, setSelectedVersion] = useState("");
+  const [compareVersion, setCompareVersion] = useState("");
+  const [comparison, setComparison] = useState(null);
   const [notification, setNotification] = useState(null);
 
   const fetchRepositories = async () => {
@@ -49,7 +58,8 @@ export default function DocweaveHub() {
     setIsLoading(true);
     try {
       const repoName =
-        newRepoUrl.split("/").pop()?.replace(".git", "") || "Unknown";
+        newRepoUrl.trim().replace(/\/+$/, "").split("/").pop()?.replace(".git", "") ||
+        "Unknown";
 
       const response = await fetch("/api/repositories", {
         method: "POST",
@@ -69,12 +79,12 @@ export default function DocweaveHub() {
         setNewRepoUrl("");
         setNewRepoBranch("main");
 
-        // Start documentation generation
+        // Documentation generation was queued with the repository; follow it
         setNotification({
           type: "info",
           message: `Generating documentation for ${data.repository.name}...`,
         });
-        generateDocumentation(data.repository.id, newRepoUrl, newRepoBranch);
+        followGeneration(data.jobId, data.repository.id, data.repository.name);
       }
     } catch (error) {
       console.error("Failed to add repository:", error);
@@ -83,78 +93,48 @@ export default function DocweaveHub() {
     }
   };
 
-  const generateDocumentation = async (repoId, repoUrl, branch) => {
+  const followGeneration = async (jobId, repoId, repoName) => {
     try {
-      setIsLoading(true);
+      await waitForJob(jobId);
+      await fetchRepositories();
 
-      const response = await fetch("/api/generate", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          repoUrl,
-          branch,
-          repoId,
-        }),
+      // Show success notification and open the new documentation
+      setNotification({
+        type: "success",
+        message: `Documentation generated successfully for ${repoName}!`,
       });
-
-      if (response.ok) {
-        const data = await response.json();
-
-        // Store documentation and show modal immediately
-        setSelectedDocumentation(data.documentation);
-        setSelectedRepoName(data.repoName);
-        setShowModal(true);
-
-        // Update the repository in the list
-        setRepositories((prev) =>
-          prev.map((repo) =>
-            repo.id === repoId
-              ? {
-                  ...repo,
-                  status: "up-to-date",
-                  hasDocumentation: true,
-                  lastUpdated: new Date().toISOString(),
-                }
-              : repo
-          )
-        );
-
-        // Show success notification
-        setNotification({
-          type: "success",
-          message: `Documentation generated successfully for ${data.repoName}!`,
-        });
-
-        // Clear notification after 3 seconds
-        setTimeout(() => setNotification(null), 3000);
-      } else {
-        const errorData = await response.json();
-        setNotification({
-          type: "error",
-          message: `Failed to generate documentation: ${errorData.error}`,
-        });
-        setTimeout(() => setNotification(null), 5000);
-      }
+      setTimeout(() => setNotification(null), 3000);
+      viewDocumentation(repoId, repoName);
     } catch (error) {
       console.error("Failed to generate documentation:", error);
+      fetchRepositories();
       setNotification({
         type: "error",
-        message: "Failed to generate documentation. Please try again.",
+        message: `Failed to generate documentation: ${error.message}`,
       });
       setTimeout(() => setNotification(null), 5000);
-    } finally {
-      setIsLoading(false);
     }
   };
 
   const viewDocumentation = async (repoId, repoName) => {
     try {
       setIsLoading(true);
-      const response = await fetch(`/api/documentation/${repoId}`);
+      const [response, versionsResponse] = await Promise.all([
+        fetch(`/api/documentation/${repoId}`),
+        fetch(`/api/documentation/${repoId}/versions`),
+      ]);
       if (response.ok) {
         const data = await response.json();
+        const versionsData = versionsResponse.ok
+          ? await versionsResponse.json()
+          : { versions: [] };
         setSelectedDocumentation(data.documentation);
         setSelectedRepoName(repoName);
+        setSelectedRepoId(repoId);
+        setVersions(versionsData.versions || []);
+        setSelectedVersion("");
+        setCompareVersion("");
+        setComparison(null);
         setShowModal(true);
 
         // Clean up URL parameters after opening modal
@@ -180,6 +160,64 @@ export default function DocweaveHub() {
     }
   };
 
+  // Switch the modal to another stored version ("" is the latest documentation)
+  const selectVersion = async (version) => {
+    try {
+      const response = await fetch(
+        version
+          ? `/api/documentation/${selectedRepoId}/versions/${version}`
+          : `/api/documentation/${selectedRepoId}`
+      );
+      if (!response.ok) {
+        throw new Error("Documentation version not found");
+      }
+      const data = await response.json();
+      setSelectedDocumentation(data.documentation);
+      setSelectedVersion(version);
+      if (compareVersion) {
+        compareWith(compareVersion, version);
+      }
+    } catch (error) {
+      console.error("Failed to fetch documentation version:", error);
+      setNotification({
+        type: "error",
+        message: "Failed to load documentation version",
+      });
+      setTimeout(() => setNotification(null), 3000);
+    }
+  };
+
+  // Diff an older version against the one being viewed ("" turns the comparison off)
+  const compareWith = async (version, baseVersion = selectedVersion) => {
+    setCompareVersion(version);
+    if (!version) {
+      setComparison(null);
+      return;
+    }
+
+    try {
+      const to = baseVersion || String(versions[0]?.version || "");
+      const response = await fetch(
+        `/api/documentation/${selectedRepoId}/diff?from=${version}${
+          to ? `&to=${to}` : ""
+        }`
+      );
+      if (!response.ok) {
+        throw new Error("Failed to compare versions");
+      }
+      setComparison(await response.json());
+    } catch (error) {
+      console.error("Failed to compare documentation versions:", error);
+      setCompareVersion("");
+      setComparison(null);
+      setNotification({
+        type: "error",
+        message: "Failed to compare documentation versions",
+      });
+      setTimeout(() => setNotification(null), 3000);
+    }
+  };
+
   // Handle URL parameters for viewing documentation
   useEffect(() => {
     fetchRepositories();
@@ -197,6 +235,16 @@ export default function DocweaveHub() {
     }
   }, []);
 
+  // Keep statuses fresh while generation runs in the background
+  const hasGenerating = repositories.some(
+    (repo) => repo.status === "generating"
+  );
+  useEffect(() => {
+    if (!hasGenerating) return;
+    const timer = setInterval(fetchRepositories, 5000);
+    return () => clearInterval(timer);
+  }, [hasGenerating]);
+
   const copyToClipboard = () => {
     navigator.clipboard.writeText(selectedDocumentation);
   };
@@ -206,7 +254,9 @@ export default function DocweaveHub() {
     const url = URL.createObjectURL(blob);
     const a = document.createElement("a");
     a.href = url;
-    a.download = `${selectedRepoName}-documentation.md`;
+    a.download = `${selectedRepoName}-documentation${
+      selectedVersion ? `-v${selectedVersion}` : ""
+    }.md`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -288,7 +338,7 @@ export default function DocweaveHub() {
               <div>
                 <input
                   type="text"
-                  placeholder="Paste Git Repository URL (GitHub, Bitbucket...)"
+                  placeholder="Paste Git Repository URL (GitHub, Bitbucket...), local path or file:// URL"
                   value={newRepoUrl}
                   onChange={(e) => setNewRepoUrl(e.target.value)}
                   className="w-full p-3 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
@@ -339,7 +389,7 @@ export default function DocweaveHub() {
                 )}
                 <span>
                   {isLoading
-                    ? "Generating Documentation..."
+                    ? "Adding Repository..."
                     : "Add & Auto Generate Documentation"}
                 </span>
               </button>
@@ -385,15 +435,22 @@ export default function DocweaveHub() {
                           <Eye className="w-4 h-4 text-blue-400" />
                         </button>
                       )}
-                      <a
-                        href={repo.url}
-                        target="_blank"
-                        rel="noopener noreferrer"
-                        className="p-1 hover:bg-gray-600 rounded"
-                        title="Open Repository"
-                      >
-                        <ExternalLink className="w-4 h-4 text-blue-400" />
-                      </a>
+                      {/^https?:\/\//.test(repo.url) && (
+                        <a
+                          href={repo.url}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          className="p-1 hover:bg-gray-600 rounded"
+                          title="Open Repository"
+                        >
+                          <ExternalLink className="w-4 h-4 text-blue-400" />
+                        </a>
+                      )}
+                      {repo.status === "generating" && repo.lastJobId && (
+                        <div className="w-48">
+                          <GenerationProgress jobId={repo.lastJobId} />
+                        </div>
+                      )}
                       {getStatusIcon(repo.status)}
                       <span className="text-sm text-gray-400">
                         {getStatusText(repo.status)}
@@ -416,6 +473,44 @@ export default function DocweaveHub() {
                 Documentation Preview - {selectedRepoName}
               </h2>
               <div className="flex items-center space-x-2">
+                {versions.length > 0 && (
+                  <select
+                    value={selectedVersion}
+                    onChange={(e) => selectVersion(e.target.value)}
+                    className="px-2 py-1 bg-gray-700 rounded border border-gray-600 text-sm"
+                    title="Documentation Version"
+                  >
+                    <option value="">Latest</option>
+                    {versions.map((v) => (
+                      <option key={v.version} value={String(v.version)}>
+                        v{v.version} · {new Date(v.createdAt).toLocaleString()}
+                        {v.commitSha ? ` · ${v.commitSha.slice(0, 7)}` : ""}
+                        {v.model ? ` · ${v.model}` : ""}
+                      </option>
+                    ))}
+                  </select>
+                )}
+                {versions.length > 1 && (
+                  <select
+                    value={compareVersion}
+                    onChange={(e) => compareWith(e.target.value)}
+                    className="px-2 py-1 bg-gray-700 rounded border border-gray-600 text-sm"
+                    title="Compare With"
+                  >
+                    <option value="">No comparison</option>
+                    {versions
+                      .filter(
+                        (v) =>
+                          String(v.version) !==
+                          (selectedVersion || String(versions[0].version))
+                      )
+                      .map((v) => (
+                        <option key={v.version} value={String(v.version)}>
+                          Compare with v{v.version}
+                        </option>
+                      ))}
+                  </select>
+                )}
                 <button
                   onClick={copyToClipboard}
                   className="p-2 hover:bg-gray-700 rounded"
@@ -441,100 +536,116 @@ export default function DocweaveHub() {
 
             {/* Modal Content */}
             <div className="flex-1 overflow-auto p-4">
-              <div className="bg-gray-900 text-gray-100 rounded p-6 prose prose-invert max-w-none github-markdown-dark">
-                <ReactMarkdown
-                  remarkPlugins={[remarkGfm]}
-                  rehypePlugins={[rehypeHighlight]}
-                  components={{
-                    h1: ({ children }) => (
-                      <h1 className="text-3xl font-bold mb-4 pb-2 border-b border-gray-600 text-gray-100">
-                        {children}
-                      </h1>
-                    ),
-                    h2: ({ children }) => (
-                      <h2 className="text-2xl font-semibold mb-3 mt-6 pb-2 border-b border-gray-600 text-gray-100">
-                        {children}
-                      </h2>
-                    ),
-                    h3: ({ children }) => (
-                      <h3 className="text-xl font-semibold mb-2 mt-4 text-gray-100">
-                        {children}
-                      </h3>
-                    ),
-                    h4: ({ children }) => (
-                      <h4 className="text-lg font-semibold mb-2 mt-3 text-gray-100">
-                        {children}
-                      </h4>
-                    ),
-                    p: ({ children }) => (
-                      <p className="mb-4 leading-relaxed text-gray-300">
-                        {children}
-                      </p>
-                    ),
-                    ul: ({ children }) => (
-                      <ul className="mb-4 ml-6 list-disc text-gray-300">
-                        {children}
-                      </ul>
-                    ),
-                    ol: ({ children }) => (
-                      <ol className="mb-4 ml-6 list-decimal text-gray-300">
-                        {children}
-                      </ol>
-                    ),
-                    li: ({ children }) => (
-                      <li className="mb-1 text-gray-300">{children}</li>
-                    ),
-                    code: ({ inline, children }) =>
-                      inline ? (
-                        <code className="bg-gray-800 text-green-400 px-1 py-0.5 rounded text-sm font-mono">
+              {comparison ? (
+                <div className="bg-gray-900 rounded p-6">
+                  <DocumentationDiff
+                    diff={comparison.diff}
+                    from={comparison.from}
+                    to={comparison.to}
+                  />
+                </div>
+              ) : (
+                <div className="bg-gray-900 text-gray-100 rounded p-6 prose prose-invert max-w-none github-markdown-dark">
+                  <ReactMarkdown
+                    remarkPlugins={[remarkGfm]}
+                    rehypePlugins={[[rehypeHighlight, { plainText: ["mermaid"] }]]}
+                    components={{
+                      h1: ({ children }) => (
+                        <h1 className="text-3xl font-bold mb-4 pb-2 border-b border-gray-600 text-gray-100">
                           {children}
-                        </code>
-                      ) : (
-                        <code className="block bg-gray-800 p-4 rounded border border-gray-700 text-sm font-mono overflow-x-auto text-gray-300">
+                        </h1>
+                      ),
+                      h2: ({ children }) => (
+                        <h2 className="text-2xl font-semibold mb-3 mt-6 pb-2 border-b border-gray-600 text-gray-100">
                           {children}
-                        </code>
+                        </h2>
                       ),
-                    pre: ({ children }) => (
-                      <pre className="bg-gray-800 p-4 rounded border border-gray-700 mb-4 overflow-x-auto">
-                        {children}
-                      </pre>
-                    ),
-                    blockquote: ({ children }) => (
-                      <blockquote className="border-l-4 border-gray-600 pl-4 italic text-gray-400 mb-4">
-                        {children}
-                      </blockquote>
-                    ),
-                    table: ({ children }) => (
-                      <table className="border-collapse border border-gray-600 mb-4 w-full">
-                        {children}
-                      </table>
-                    ),
-                    th: ({ children }) => (
-                      <th className="border border-gray-600 px-4 py-2 bg-gray-800 font-semibold text-left text-gray-100">
-                        {children}
-                      </th>
-                    ),
-                    td: ({ children }) => (
-                      <td className="border border-gray-600 px-4 py-2 text-gray-300">
-                        {children}
-                      </td>
-                    ),
-                    a: ({ children, href }) => (
-                      <a href={href} className="text-blue-400 hover:underline">
-                        {children}
-                      </a>
-                    ),
-                    strong: ({ children }) => (
-                      <strong className="font-semibold">{children}</strong>
-                    ),
-                    em: ({ children }) => (
-                      <em className="italic">{children}</em>
-                    ),
-                  }}
-                >
-                  {selectedDocumentation}
-                </ReactMarkdown>
-              </div>
+                      h3: ({ children }) => (
+                        <h3 className="text-xl font-semibold mb-2 mt-4 text-gray-100">
+                          {children}
+                        </h3>
+                      ),
+                      h4: ({ children }) => (
+                        <h4 className="text-lg font-semibold mb-2 mt-3 text-gray-100">
+                          {children}
+                        </h4>
+                      ),
+                      p: ({ children }) => (
+                        <p className="mb-4 leading-relaxed text-gray-300">
+                          {children}
+                        </p>
+                      ),
+                      ul: ({ children }) => (
+                        <ul className="mb-4 ml-6 list-disc text-gray-300">
+                          {children}
+                        </ul>
+                      ),
+                      ol: ({ children }) => (
+                        <ol className="mb-4 ml-6 list-decimal text-gray-300">
+                          {children}
+                        </ol>
+                      ),
+                      li: ({ children }) => (
+                        <li className="mb-1 text-gray-300">{children}</li>
+                      ),
+                      code: ({ inline, children }) =>
+                        inline ? (
+                          <code className="bg-gray-800 text-green-400 px-1 py-0.5 rounded text-sm font-mono">
+                            {children}
+                          </code>
+                        ) : (
+                          <code className="block bg-gray-800 p-4 rounded border border-gray-700 text-sm font-mono overflow-x-auto text-gray-300">
+                            {children}
+                          </code>
+                        ),
+                      pre: ({ node, children }) => {
+                        const block = node?.children?.[0];
+                        if (block?.properties?.className?.includes("language-mermaid")) {
+                          return <MermaidDiagram chart={block.children.map((child) => child.value).join("")} />;
+                        }
+                        return (
+                          <pre className="bg-gray-800 p-4 rounded border border-gray-700 mb-4 overflow-x-auto">
+                            {children}
+                          </pre>
+                        );
+                      },
+                      blockquote: ({ children }) => (
+                        <blockquote className="border-l-4 border-gray-600 pl-4 italic text-gray-400 mb-4">
+                          {children}
+                        </blockquote>
+                      ),
+                      table: ({ children }) => (
+                        <table className="border-collapse border border-gray-600 mb-4 w-full">
+                          {children}
+                        </table>
+                      ),
+                      th: ({ children }) => (
+                        <th className="border border-gray-600 px-4 py-2 bg-gray-800 font-semibold text-left text-gray-100">
+                          {children}
+                        </th>
+                      ),
+                      td: ({ children }) => (
+                        <td className="border border-gray-600 px-4 py-2 text-gray-300">
+                          {children}
+                        </td>
+                      ),
+                      a: ({ children, href }) => (
+                        <a href={href} className="text-blue-400 hover:underline">
+                          {children}
+                        </a>
+                      ),
+                      strong: ({ children }) => (
+                        <strong className="font-semibold">{children}</strong>
+                      ),
+                      em: ({ children }) => (
+                        <em className="italic">{children}</em>
+                      ),
+                    }}
+                  >
+                    {selectedDocumentation}
+                  </ReactMarkdown>
+                </div>
+              )}
             </div>
 
             {/* Modal Footer */}
@@ -0,0 +1,74 @@
+"use client";
+
+import { useState, useEffect } from "react";
+import { waitForJob } from "@/lib/jobClient";
+
+const formatDuration = (ms) =>
+  ms >= 60000
+    ? `${Math.floor(ms / 60000)}m ${Math.round((ms % 60000) / 1000)}s`
+    : `${(ms / 1000).toFixed(1)}s`;
+
+// Progress bar for a running generation job. `detailed` also lists every stage with its timing.
+export default function GenerationProgress({ jobId, detailed = false }) {
+  const [job, setJob] = useState(null);
+
+  useEffect(() => {
+    if (!jobId) return;
+
+    const controller = new AbortController();
+    waitForJob(jobId, { onUpdate: setJob, signal: controller.signal }).catch(
+      () => {
+        // Failures are reported through the repository status
+      }
+    );
+    return () => controller.abort();
+  }, [jobId]);
+
+  if (!job) return null;
+
+  const progress = job.progress;
+  const percent =
+    job.status === "completed" ? 100 : Math.min(100, progress?.percent || 0);
+
+  return (
+    <div className="w-full">
+      <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+        <span>{job.status === "queued" ? "Waiting in queue" : job.message}</span>
+        <span>{percent}%</span>
+      </div>
+      <div className="w-full h-2 bg-gray-600 rounded overflow-hidden">
+        <div
+          className="h-full bg-yellow-500 transition-all duration-500"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      {detailed && progress?.stages && (
+        <ul className="mt-2 space-y-1 text-xs">
+          {progress.stages.map((stage) => (
+            <li key={stage.id} className="flex justify-between">
+              <span
+                className={
+                  stage.status === "completed"
+                    ? "text-green-400"
+                    : stage.status === "running"
+                    ? "text-yellow-400"
+                    : "text-gray-500"
+                }
+              >
+                {stage.label}
+                {stage.status === "running" &&
+                  stage.steps.length > 0 &&
+                  ` (${stage.steps.length} done)`}
+                {stage.status === "skipped" && " (skipped)"}
+              </span>
+              <span className="text-gray-500">
+                {stage.durationMs !== null && formatDuration(stage.durationMs)}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -16,6 +16,15 @@ import {
   ExternalLink,
   Eye,
 } from "lucide-react";
+import { waitForJob } from "@/lib/jobClient";
+import GenerationProgress from "@/components/GenerationProgress";
+
+const emptyLLMSettings = {
+  provider: "",
+  model: "",
+  temperature: "",
+  maxTokens: "",
+};
 
 export default function ManageIntegrations() {
   const [repositories, setRepositories] = useState([]);
@@ -26,6 +35,11 @@ export default function ManageIntegrations() {
     branch: "",
     autoUpdate: false,
     autoMerge: false,
+    autoMergeDirectPush: false,
+    docsPath: "",
+    publishBranch: "",
+    llm: emptyLLMSettings,
+    historyDepth: "",
   });
   const [isLoading, setIsLoading] = useState(false);
   const [notification, setNotification] = useState(null);
@@ -58,6 +72,11 @@ export default function ManageIntegrations() {
       branch: repo.branch || "main",
       autoUpdate: repo.autoUpdate || false,
       autoMerge: repo.autoMerge || false,
+      autoMergeDirectPush: repo.autoMergeDirectPush || false,
+      docsPath: repo.docsPath || "",
+      publishBranch: repo.publishBranch || "",
+      llm: { ...emptyLLMSettings, ...repo.llm },
+      historyDepth: repo.historyDepth ?? "",
     });
   };
 
@@ -69,9 +88,18 @@ export default function ManageIntegrations() {
       branch: "",
       autoUpdate: false,
       autoMerge: false,
+      autoMergeDirectPush: false,
+      docsPath: "",
+      publishBranch: "",
+      llm: emptyLLMSettings,
+      historyDepth: "",
     });
   };
 
+  const setLLMField = (field, value) => {
+    setEditForm({ ...editForm, llm: { ...editForm.llm, [field]: value } });
+  };
+
   const saveChanges = async (repoId) => {
     setIsLoading(true);
     try {
@@ -152,13 +180,17 @@ export default function ManageIntegrations() {
       });
 
       if (response.ok) {
-        showNotification(
-          "success",
-          `Documentation regenerated for ${repo.name}`
+        const data = await response.json();
+        setRepositories((prev) =>
+          prev.map((r) =>
+            r.id === repo.id
+              ? { ...r, status: "generating", lastJobId: data.jobId }
+              : r
+          )
         );
-        fetchRepositories();
-      } else {
-        showNotification("error", "Failed to regenerate documentation");
+        showNotification("info", `Regenerating documentation for ${repo.name}...`);
+        followGeneration(data.jobId, repo.name);
+      } else {        showNotification("error", "Failed to regenerate documentation");
       }
     } catch (error) {
       console.error("Failed to regenerate documentation:", error);
@@ -168,6 +200,31 @@ export default function ManageIntegrations() {
     }
   };
 
+  const followGeneration = async (jobId, repoName) => {
+    try {
+      await waitForJob(jobId);
+      showNotification("success", `Documentation regenerated for ${repoName}`);
+    } catch (error) {
+      console.error("Failed to regenerate documentation:", error);
+      showNotification(
+        "error",
+        `Failed to regenerate documentation: ${error.message}`
+      );
+    } finally {
+      fetchRepositories();
+    }
+  };
+
+  // Keep statuses fresh while generation runs in the background
+  const hasGenerating = repositories.some(
+    (repo) => repo.status === "generating"
+  );
+  useEffect(() => {
+    if (!hasGenerating) return;
+    const timer = setInterval(fetchRepositories, 5000);
+    return () => clearInterval(timer);
+  }, [hasGenerating, fetchRepositories]);
+
   const getStatusIcon = (status) => {
     switch (status) {
       case "up-to-date":
@@ -346,6 +403,133 @@ export default function ManageIntegrations() {
                       <span className="text-sm">Auto-merge README commit</span>
                     </div>
 
+                    {editForm.autoMerge && (
+                      <div className="ml-6 space-y-4">
+                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                          <div>
+                            <label className="block text-sm text-gray-400 mb-1">
+                              Documentation Path
+                            </label>
+                            <input
+                              type="text"
+                              placeholder="docs/SERVICE.md"
+                              value={editForm.docsPath}
+                              onChange={(e) =>
+                                setEditForm({
+                                  ...editForm,
+                                  docsPath: e.target.value,
+                                })
+                              }
+                              className="w-full p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                            />
+                          </div>
+                          <div>
+                            <label className="block text-sm text-gray-400 mb-1">
+                              Commit Branch
+                            </label>
+                            <input
+                              type="text"
+                              placeholder="docweave/docs"
+                              value={editForm.publishBranch}
+                              disabled={editForm.autoMergeDirectPush}
+                              onChange={(e) =>
+                                setEditForm({
+                                  ...editForm,
+                                  publishBranch: e.target.value,
+                                })
+                              }
+                              className="w-full p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none disabled:opacity-50"
+                            />
+                          </div>
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <input
+                            type="checkbox"
+                            checked={editForm.autoMergeDirectPush}
+                            onChange={(e) =>
+                              setEditForm({
+                                ...editForm,
+                                autoMergeDirectPush: e.target.checked,
+                              })
+                            }
+                            className="rounded"
+                          />
+                          <span className="text-sm">
+                            Push directly to {editForm.branch || "main"} instead
+                            of a separate branch
+                          </span>
+                        </div>
+                      </div>
+                    )}
+
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-1">
+                        LLM Settings (leave blank to use the server defaults)
+                      </label>
+                      <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                        <select
+                          value={editForm.llm.provider}
+                          onChange={(e) => setLLMField("provider", e.target.value)}
+                          className="w-full p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                        >
+                          <option value="">Default provider</option>
+                          <option value="openai">OpenAI-compatible</option>
+                          <option value="llamacpp">llama.cpp server</option>
+                          <option value="ollama">Ollama</option>
+                          <option value="mock">Mock</option>
+                        </select>
+                        <input
+                          type="text"
+                          placeholder="Model"
+                          value={editForm.llm.model}
+                          onChange={(e) => setLLMField("model", e.target.value)}
+                          className="w-full p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                        />
+                        <input
+                          type="number"
+                          step="0.1"
+                          min="0"
+                          max="2"
+                          placeholder="Temperature"
+                          value={editForm.llm.temperature}
+                          onChange={(e) =>
+                            setLLMField("temperature", e.target.value)
+                          }
+                          className="w-full p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                        />
+                        <input
+                          type="number"
+                          min="1"
+                          placeholder="Max tokens"
+                          value={editForm.llm.maxTokens}
+                          onChange={(e) => setLLMField("maxTokens", e.target.value)}
+                          className="w-full p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                        />
+                      </div>
+                    </div>
+
+                    <div>
+                      <label className="block text-sm text-gray-400 mb-1">
+                        Git History Depth (commits analyzed for the Maintainers
+                        &amp; Activity section, 0 to turn off, blank for the
+                        server default)
+                      </label>
+                      <input
+                        type="number"
+                        min="0"
+                        max="5000"
+                        placeholder="Server default"
+                        value={editForm.historyDepth}
+                        onChange={(e) =>
+                          setEditForm({
+                            ...editForm,
+                            historyDepth: e.target.value,
+                          })
+                        }
+                        className="w-full md:w-1/4 p-2 bg-gray-700 rounded border border-gray-600 focus:border-blue-500 focus:outline-none"
+                      />
+                    </div>
+
                     <div className="flex space-x-2 pt-2">
                       <button
                         onClick={() => saveChanges(repo.id)}
@@ -409,17 +593,70 @@ export default function ManageIntegrations() {
                               <span className="text-gray-400">Disabled</span>
                             )}
                           </div>
+                          {repo.autoUpdate && (
+                            <div>
+                              <span className="text-gray-500">
+                                Last Checked for Changes:
+                              </span>{" "}
+                              {repo.lastCheckedAt
+                                ? new Date(repo.lastCheckedAt).toLocaleString()
+                                : "Never"}
+                              {repo.lastCommitSha && (
+                                <span className="ml-2 font-mono text-xs">
+                                  (docs at {repo.lastCommitSha.slice(0, 7)})
+                                </span>
+                              )}
+                            </div>
+                          )}
                           <div>
                             <span className="text-gray-500">
                               Auto-merge README:
                             </span>{" "}
                             {repo.autoMerge ? (
-                              <span className="text-green-400">Enabled</span>
+                              <span className="text-green-400">
+                                Enabled ({repo.docsPath || "docs/SERVICE.md"} →{" "}
+                                {repo.autoMergeDirectPush
+                                  ? repo.branch || "main"
+                                  : repo.publishBranch || "docweave/docs"}
+                                )
+                              </span>
                             ) : (
                               <span className="text-gray-400">Disabled</span>
                             )}
                           </div>
+                          {repo.autoMerge && repo.lastPublishError && (
+                            <div className="text-red-400">
+                              <span className="text-gray-500">
+                                Last commit failed:
+                              </span>{" "}
+                              {repo.lastPublishError}
+                            </div>
+                          )}
+                          {repo.llm && (
+                            <div>
+                              <span className="text-gray-500">LLM:</span>{" "}
+                              {[repo.llm.provider, repo.llm.model]
+                                .filter(Boolean)
+                                .join(" / ") || "Server default"}
+                            </div>
+                          )}
+                          {repo.historyDepth != null && (
+                            <div>
+                              <span className="text-gray-500">Git history:</span>{" "}
+                              {repo.historyDepth > 0
+                                ? `Last ${repo.historyDepth} commits`
+                                : "Off"}
+                            </div>
+                          )}
                         </div>
+                        {repo.status === "generating" && repo.lastJobId && (
+                          <div className="mt-4 ml-8 max-w-md">
+                            <GenerationProgress
+                              jobId={repo.lastJobId}
+                              detailed
+                            />
+                          </div>
+                        )}
                       </div>
 
                       <div className="flex items-center space-x-2">
@@ -434,15 +671,17 @@ export default function ManageIntegrations() {
                             <Eye className="w-4 h-4 text-blue-400" />
                           </button>
                         )}
-                        <a
-                          href={repo.url}
-                          target="_blank"
-                          rel="noopener noreferrer"
-                          className="p-2 hover:bg-gray-700 rounded transition-colors"
-                          title="Open Repository"
-                        >
-                          <ExternalLink className="w-4 h-4 text-blue-400" />
-                        </a>
+                        {/^https?:\/\//.test(repo.url) && (
+                          <a
+                            href={repo.url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                            className="p-2 hover:bg-gray-700 rounded transition-colors"
+                            title="Open Repository"
+                          >
+                            <ExternalLink className="w-4 h-4 text-blue-400" />
+                          </a>
+                        )}
                         <button
                           onClick={() => regenerateDocumentation(repo)}
                           disabled={isLoading}
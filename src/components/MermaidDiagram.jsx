@@ -0,0 +1,51 @@
+"use client";
+
+import { useState, useEffect, useId } from "react";
+
+// A ```mermaid block of the documentation drawn as an SVG. Mermaid is only loaded when a diagram is
+// shown; if the diagram can't be rendered, its source is shown instead.
+export default function MermaidDiagram({ chart }) {
+  const id = `mermaid-${useId().replace(/[^\w-]/g, "")}`;
+  const [svg, setSvg] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    import("mermaid")
+      .then(async ({ default: mermaid }) => {
+        mermaid.initialize({ startOnLoad: false, theme: "dark", securityLevel: "strict" });
+        const result = await mermaid.render(id, chart);
+        if (!cancelled) setSvg(result.svg);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || "Invalid diagram");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [id, chart]);
+
+  if (error || !svg) {
+    return (
+      <div className="mb-4">
+        {error && (
+          <p className="text-xs text-red-400 mb-1">
+            Diagram could not be rendered: {error}
+          </p>
+        )}
+        <pre className="bg-gray-800 p-4 rounded border border-gray-700 overflow-x-auto text-sm font-mono text-gray-300">
+          {chart}
+        </pre>
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className="bg-gray-800 p-4 rounded border border-gray-700 mb-4 overflow-x-auto flex justify-center"
+      // Mermaid's strict security level sanitizes labels before they reach the SVG
+      dangerouslySetInnerHTML={{ __html: svg }}
+    />
+  );
+}
@@ -0,0 +1,9 @@
+// Runs once when the Next.js server starts: resume queued generation jobs and start auto-update polling
+export async function register() {
+  if (process.env.NEXT_RUNTIME === "nodejs") {
+    const { ensureGenerationWorker } = await import("@/lib/generationJobs");
+    const { startScheduler } = await import("@/lib/scheduler");
+    ensureGenerationWorker();
+    startScheduler();
+  }
+}
@@ -1,10 +1,75 @@
 // Repository analysis utilities - real git clone and file system analysis
-import { exec } from 'child_process';
+import { execFile } from 'child_process';
 import fs from 'fs/promises';
 import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
 import { promisify } from 'util';
+import { analyzeCiPipelines } from '@/lib/analyzers/ciPipelines';
+import { analyzeCommands } from '@/lib/analyzers/commands';
+import { analyzeContainers } from '@/lib/analyzers/containers';
+import { analyzeDataModels } from '@/lib/analyzers/dataModels';
+import { analyzeEnvironment } from '@/lib/analyzers/envVars';
+import { analyzeGitHistory } from '@/lib/analyzers/gitHistory';
+import { analyzeGraphQL } from '@/lib/analyzers/graphqlSchema';
+import { analyzeHttpRoutes } from '@/lib/analyzers/httpRoutes';
+import { analyzeImportGraph } from '@/lib/analyzers/importGraph';
+import { analyzeJavaScriptApi } from '@/lib/analyzers/javascriptApi';
+import { countCodeLines, languageOf } from '@/lib/analyzers/lineCounts';
+import { detectFrameworks, readManifests } from '@/lib/analyzers/manifests';
+import { analyzeOpenApi } from '@/lib/analyzers/openApi';
+import { mapWithConcurrency } from '@/lib/analyzers/utils';
+import { detectWorkspaces } from '@/lib/analyzers/workspaces';
 
-const execAsync = promisify(exec);
+const execFileAsync = promisify(execFile);
+
+// Files listed by scanDirectory before it stops. There is no depth limit (Java packages nest deep);
+// this keeps huge trees that get past the ignore list bounded instead.
+const MAX_SCANNED_FILES = 50000;
+
+// Remote repositories: https:// and ssh:// URLs, or scp-like `git@host:owner/repo.git`
+const REMOTE_URL = /^(?:(?:https|ssh):\/\/[^/\s]+\/|[\w.-]+@[\w.-]+:(?!\/\/))\S+$/;
+
+export function isRemoteRepositoryUrl(repoUrl) {
+  return typeof repoUrl === 'string' && REMOTE_URL.test(repoUrl);
+}
+
+// Anything else is treated as local, and only accepted as an absolute filesystem path or a file://
+// URL (see assertLocalRepositoryAllowed)
+export function isLocalRepositoryUrl(repoUrl) {
+  return typeof repoUrl === 'string' && !isRemoteRepositoryUrl(repoUrl);
+}
+
+const localPathOf = (repoUrl) => (repoUrl.startsWith('file://') ? fileURLToPath(repoUrl) : repoUrl);
+
+// Directories local repositories may be read from: DOCWEAVE_LOCAL_ROOTS, separated like PATH.
+// Unset, local repositories are refused, since their content ends up in the prompt and the docs.
+export function localRepositoryRoots() {
+  return (process.env.DOCWEAVE_LOCAL_ROOTS || '')
+    .split(path.delimiter)
+    .map((root) => root.trim())
+    .filter((root) => path.isAbsolute(root))
+    .map((root) => path.resolve(root));
+}
+
+const isInside = (root, target) => {
+  const relative = path.relative(root, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+};
+
+// Throws unless a local repository URL points inside one of the allowed roots. Symlinks are
+// resolved again when the repository is read.
+export function assertLocalRepositoryAllowed(repoUrl) {
+  if (!repoUrl.startsWith('file://') && !path.isAbsolute(repoUrl)) {
+    throw new Error('Invalid repository URL. Please provide an https:// or SSH Git URL, an absolute local path or a file:// URL.');
+  }
+  const roots = localRepositoryRoots();
+  if (roots.length === 0) {
+    throw new Error('Local repositories are disabled. Set DOCWEAVE_LOCAL_ROOTS to the directories they may be read from.');
+  }
+  if (!roots.some((root) => isInside(root, path.resolve(localPathOf(repoUrl))))) {
+    throw new Error(`Local repository is outside DOCWEAVE_LOCAL_ROOTS: ${localPathOf(repoUrl)}`);
+  }
+}
 
 export class CodeAnalyzer {
   constructor() {
@@ -12,20 +77,37 @@ export class CodeAnalyzer {
     this.maxCloneTime = 120000; // 2 minutes timeout
   }
 
-  async analyzeRepository(repoUrl, branch = 'main') {
+  // onProgress receives stage events (cloning, scanning, analyzing) - see lib/progress.js.
+  // historyDepth > 0 turns on history mode: that many commits are cloned and analyzed.
+  async analyzeRepository(repoUrl, branch = 'main', { onProgress, historyDepth = 0 } = {}) {
     const repoName = this.extractRepoName(repoUrl);
     const timestamp = Date.now();
-    const clonePath = path.join(this.tempDir, `${repoName}-${timestamp}`);
+    let clonePath = null;
 
     console.log(`Starting analysis of ${repoUrl} (branch: ${branch})`);
 
     try {
-      // Step 1: Clone the repository
-      await this.cloneRepository(repoUrl, branch, clonePath);
+      // Step 1: Work out where the sources come from and clone them if needed
+      const source = await this.resolveSource(repoUrl, branch);
+      let repoPath = source.path;
+
+      if (source.type === 'working-copy') {
+        console.log(`Analyzing local working copy in place: ${repoPath}`);
+      } else {
+        clonePath = path.join(this.tempDir, `${repoName}-${timestamp}`);
+        onProgress?.({ stage: 'cloning', status: 'started', message: `Cloning ${branch}` });
+        await this.cloneRepository(source.cloneUrl, branch, clonePath, historyDepth || 1);
+        onProgress?.({ stage: 'cloning', status: 'completed' });
+        repoPath = clonePath;
+      }
       
-      // Step 2: Analyze the cloned repository
-      console.log('Repository cloned, starting analysis...');
-      const analysis = await this.performAnalysis(clonePath, repoName);
+      // Step 2: Analyze the repository
+      console.log('Repository ready, starting analysis...');
+      const analysis = await this.performAnalysis(repoPath, repoName, onProgress, { historyDepth });
+
+      // Record which commit was analyzed (null for plain directories)
+      analysis.repository.branch = branch;
+      analysis.repository.commitSha = await this.runGit(repoPath, ['rev-parse', 'HEAD']);
       
       console.log('Analysis completed successfully');
       return analysis;
@@ -34,8 +116,10 @@ export class CodeAnalyzer {
       console.error('Repository analysis failed:', error);
       throw error;
     } finally {
-      // Always cleanup, even if analysis fails
-      await this.cleanup(clonePath);
+      // Always cleanup our own clone, even if analysis fails. Working copies are never touched.
+      if (clonePath) {
+        await this.cleanup(clonePath);
+      }
     }
   }
 
@@ -45,17 +129,76 @@ export class CodeAnalyzer {
     return match ? match[1] : 'unknown-repo';
   }
 
-  async cloneRepository(repoUrl, branch, targetPath) {
+  // Decide how to read a repository:
+  // - remote URLs are cloned as before
+  // - bare repositories (local path or file://) are cloned locally, no network needed
+  // - working copies and plain directories are read in place, unless another branch
+  //   than the checked-out one is requested, in which case that branch is cloned locally
+  async resolveSource(repoUrl, branch) {
+    if (!isLocalRepositoryUrl(repoUrl)) {
+      return { type: 'remote', cloneUrl: repoUrl };
+    }
+
+    assertLocalRepositoryAllowed(repoUrl);
+    const requestedPath = localPathOf(repoUrl);
+
+    let localPath;
+    let stats;
+    try {
+      localPath = await fs.realpath(requestedPath);
+      stats = await fs.stat(localPath);
+    } catch {
+      throw new Error(`Local repository not found: ${requestedPath}`);
+    }
+    const roots = await Promise.all(localRepositoryRoots().map((root) => fs.realpath(root).catch(() => root)));
+    if (!roots.some((root) => isInside(root, localPath))) {
+      throw new Error(`Local repository is outside DOCWEAVE_LOCAL_ROOTS: ${requestedPath}`);
+    }
+    if (!stats.isDirectory()) {
+      throw new Error(`Local repository is not a directory: ${localPath}`);
+    }
+
+    const isBare = await this.runGit(localPath, ['rev-parse', '--is-bare-repository']);
+    if (isBare === 'true') {
+      return { type: 'local-clone', path: localPath, cloneUrl: pathToFileURL(localPath).href };
+    }
+
+    // Not a git repository (or a subdirectory of one): read the directory as it is
+    const topLevel = isBare === null ? null : await this.runGit(localPath, ['rev-parse', '--show-toplevel']);
+    if (!topLevel || await fs.realpath(topLevel) !== localPath) {
+      return { type: 'working-copy', path: localPath };
+    }
+
+    const currentBranch = await this.runGit(localPath, ['rev-parse', '--abbrev-ref', 'HEAD']);
+    if (!branch || currentBranch === branch) {
+      return { type: 'working-copy', path: localPath };
+    }
+
+    console.log(`Working copy is on ${currentBranch}, cloning ${branch} locally instead`);
+    return { type: 'local-clone', path: localPath, cloneUrl: pathToFileURL(localPath).href };
+  }
+
+  // Run a git command (an argument array) in a directory and return its trimmed output, or null if it fails
+  async runGit(cwd, args) {
+    try {
+      const { stdout } = await execFileAsync('git', ['-C', cwd, ...args], { timeout: 10000 });
+      return stdout.trim();
+    } catch {
+      return null;
+    }
+  }
+
+  async cloneRepository(repoUrl, branch, targetPath, depth = 1) {
     try {
       // Ensure temp directory exists
       await fs.mkdir(this.tempDir, { recursive: true });
       
       console.log(`Cloning ${repoUrl} to ${targetPath}`);
       
-      // Clone with timeout and proper error handling
-      const cloneCommand = `git clone --depth 1 --single-branch --branch ${branch} "${repoUrl}" "${targetPath}"`;
-      
-      const { stderr } = await execAsync(cloneCommand, {
+      // Clone with timeout and proper error handling, passing the arguments to git without a shell
+      const cloneArgs = ['clone', '--depth', String(depth), '--single-branch', '--branch', branch, '--', repoUrl, targetPath];
+
+      const { stderr } = await execFileAsync('git', cloneArgs, {
         timeout: this.maxCloneTime,
         maxBuffer: 1024 * 1024 * 10 // 10MB buffer
       });
@@ -80,36 +223,60 @@ export class CodeAnalyzer {
     }
   }
 
-  async performAnalysis(repoPath, repoName) {
+  async performAnalysis(repoPath, repoName, onProgress, { historyDepth = 0 } = {}) {
     try {
       // Get all files in the repository
+      onProgress?.({ stage: 'scanning', status: 'started' });
       const allFiles = await this.scanDirectory(repoPath);
       console.log(`Found ${allFiles.length} files to analyze`);
+      onProgress?.({ stage: 'scanning', status: 'completed', message: `Found ${allFiles.length} files` });
       
-      // Perform different types of analysis
-      const [
-        projectStructure,
-        languages,
-        frameworks,
-        dependencies,
-        readme,
-        entryPoints,
-        configFiles,
-        testFiles,
-        apiSpecs,
-        codeMetrics
-      ] = await Promise.all([
-        this.analyzeProjectStructure(allFiles, repoPath),
-        this.analyzeLanguages(allFiles),
-        this.analyzeFrameworks(allFiles, repoPath),
-        this.analyzeDependencies(allFiles, repoPath),
-        this.findAndReadReadme(allFiles, repoPath),
-        this.findEntryPoints(allFiles),
-        this.findConfigFiles(allFiles),
-        this.findTestFiles(allFiles),
-        this.findApiSpecs(allFiles, repoPath),
-        this.calculateCodeMetrics(allFiles, repoPath)
-      ]);
+      // Perform different types of analysis, keyed by their field in the analysis result
+      const results = await this.runAnalyzers({
+        structure: () => this.analyzeProjectStructure(allFiles, repoPath),
+        languages: () => this.analyzeLanguages(allFiles),
+        frameworks: () => this.analyzeFrameworks(allFiles, repoPath),
+        dependencies: () => this.analyzeDependencies(allFiles, repoPath),
+        readme: () => this.findAndReadReadme(allFiles, repoPath),
+        entryPoints: () => this.findEntryPoints(allFiles),
+        configFiles: () => this.findConfigFiles(allFiles),
+        testFiles: () => this.findTestFiles(allFiles),
+        metrics: () => this.calculateCodeMetrics(allFiles, repoPath),
+        javascriptApi: () => analyzeJavaScriptApi(allFiles),
+        routes: () => analyzeHttpRoutes(allFiles),
+        imports: () => analyzeImportGraph(allFiles),
+        openApi: () => analyzeOpenApi(allFiles),
+        graphql: () => analyzeGraphQL(allFiles),
+        environment: () => analyzeEnvironment(allFiles),
+        dataModels: () => analyzeDataModels(allFiles),
+        containers: () => analyzeContainers(allFiles),
+        ci: () => analyzeCiPipelines(allFiles),
+        commands: () => analyzeCommands(allFiles, this.findEntryPoints(allFiles)),
+        workspace: () => this.analyzeWorkspace(allFiles),
+        history: () => (historyDepth > 0 ? analyzeGitHistory(repoPath, allFiles, { depth: historyDepth }) : null)
+      }, onProgress);
+
+      // Frameworks used by any workspace package count for the whole repository
+      results.frameworks = [...new Set([
+        ...results.frameworks,
+        ...results.workspace.packages.flatMap(pkg => pkg.frameworks)
+      ])];
+
+      // Every API spec file the spec analyzers parsed, in one list
+      results.apiSpecs = [
+        ...results.openApi.specs.map(spec => ({
+          file: spec.file,
+          type: spec.specVersion === '2.0' ? 'Swagger 2.0' : `OpenAPI ${spec.specVersion}`,
+          size: spec.size,
+          title: spec.title,
+          operations: spec.operations.length
+        })),
+        ...results.graphql.files.map(schemaFile => ({
+          file: schemaFile.file,
+          type: 'GraphQL',
+          size: schemaFile.size
+        }))
+      ];
 
       return {
         repository: {
@@ -117,16 +284,7 @@ export class CodeAnalyzer {
           analyzedAt: new Date().toISOString(),
           totalFiles: allFiles.length
         },
-        structure: projectStructure,
-        languages,
-        frameworks,
-        dependencies,
-        readme,
-        entryPoints,
-        configFiles,
-        testFiles,
-        apiSpecs,
-        metrics: codeMetrics
+        ...results
       };
       
     } catch (error) {
@@ -135,19 +293,49 @@ export class CodeAnalyzer {
     }
   }
 
-  async scanDirectory(dirPath, relativePath = '', maxDepth = 8, currentDepth = 0) {
+  // Run sub-analyzers concurrently, reporting each one as it finishes
+  async runAnalyzers(analyzers, onProgress) {
+    const entries = Object.entries(analyzers);
+    let completed = 0;
+
+    onProgress?.({ stage: 'analyzing', status: 'started', completed, total: entries.length });
+
+    const values = await Promise.all(entries.map(async ([name, analyze]) => {
+      const startedAt = Date.now();
+      const value = await analyze();
+      completed++;
+      onProgress?.({
+        stage: 'analyzing',
+        status: 'progress',
+        step: name,
+        durationMs: Date.now() - startedAt,
+        message: `Analyzed ${name}`,
+        completed,
+        total: entries.length
+      });
+      return value;
+    }));
+
+    onProgress?.({ stage: 'analyzing', status: 'completed' });
+    return Object.fromEntries(entries.map(([name], index) => [name, values[index]]));
+  }
+
+  // Symlinks are not followed, so the recursion can't loop
+  async scanDirectory(dirPath, relativePath = '', limit = { remaining: MAX_SCANNED_FILES }) {
     const files = [];
     
-    if (currentDepth >= maxDepth) {
-      return files;
-    }
-    
     try {
       const entries = await fs.readdir(dirPath, { withFileTypes: true });
       
       for (const entry of entries) {
+        if (limit.remaining <= 0) {
+          if (!limit.warned) console.warn(`Stopped scanning after ${MAX_SCANNED_FILES} files`);
+          limit.warned = true;
+          break;
+        }
+
         // Skip hidden files and common ignore patterns
-        if (this.shouldSkipFile(entry.name)) {
+        if (this.shouldSkipFile(entry.name, entry.isDirectory())) {
           continue;
         }
         
@@ -157,7 +345,7 @@ export class CodeAnalyzer {
         try {
           if (entry.isDirectory()) {
             // Recursively scan subdirectories
-            const subFiles = await this.scanDirectory(fullPath, relPath, maxDepth, currentDepth + 1);
+            const subFiles = await this.scanDirectory(fullPath, relPath, limit);
             files.push(...subFiles);
           } else if (entry.isFile()) {
             const stats = await fs.stat(fullPath);
@@ -169,6 +357,7 @@ export class CodeAnalyzer {
               extension: path.extname(entry.name).toLowerCase(),
               isDirectory: false
             });
+            limit.remaining--;
           }
         } catch (err) {
           console.warn(`Skipping ${fullPath}: ${err.message}`);
@@ -181,7 +370,7 @@ export class CodeAnalyzer {
     return files;
   }
 
-  shouldSkipFile(filename) {
+  shouldSkipFile(filename, isDirectory = false) {
     const skipPatterns = [
       // Hidden files (except important ones)
       /^\./,
@@ -200,10 +389,14 @@ export class CodeAnalyzer {
       /~$/
     ];
     
-    // Allow important dotfiles
-    const allowedDotfiles = ['.env', '.gitignore', '.dockerignore', '.eslintrc', '.prettierrc'];
-    if (filename.startsWith('.') && !allowedDotfiles.some(allowed => filename.startsWith(allowed))) {
-      return true;
+    // Allow important dotfiles (not directories: a `.env/` directory is usually a Python virtualenv)
+    // and the CI configuration directories
+    const allowedDotfiles = ['.env', '.gitignore', '.dockerignore', '.eslintrc', '.prettierrc', '.gitlab-ci.yml', '.gitlab-ci.yaml'];
+    const allowedDotDirectories = ['.github', '.circleci', '.gitlab'];
+    if (filename.startsWith('.')) {
+      return isDirectory
+        ? !allowedDotDirectories.includes(filename)
+        : !allowedDotfiles.some(allowed => filename.startsWith(allowed));
     }
     
     return skipPatterns.some(pattern => pattern.test(filename));
@@ -264,30 +457,10 @@ export class CodeAnalyzer {
   }
 
   analyzeLanguages(files) {
-    const languageMap = {
-      '.js': 'JavaScript',
-      '.jsx': 'JavaScript',
-      '.ts': 'TypeScript',
-      '.tsx': 'TypeScript',
-      '.py': 'Python',
-      '.java': 'Java',
-      '.kt': 'Kotlin',
-      '.go': 'Go',
-      '.rs': 'Rust',
-      '.php': 'PHP',
-      '.rb': 'Ruby',
-      '.cs': 'C#',
-      '.cpp': 'C++',
-      '.c': 'C',
-      '.swift': 'Swift',
-      '.dart': 'Dart',
-      '.scala': 'Scala'
-    };
-    
     const languageCounts = {};
     
     files.forEach(file => {
-      const language = languageMap[file.extension];
+      const language = languageOf(file.extension)?.name;
       if (language) {
         languageCounts[language] = (languageCounts[language] || 0) + 1;
       }
@@ -300,126 +473,62 @@ export class CodeAnalyzer {
   }
 
   async analyzeFrameworks(files, repoPath) {
-    const frameworks = new Set();
-    
-    // Check package.json for JavaScript/TypeScript frameworks
-    const packageJsonFile = files.find(f => f.name === 'package.json' && !f.path.includes('/'));
-    if (packageJsonFile) {
-      try {
-        const content = await fs.readFile(packageJsonFile.fullPath, 'utf8');
-        const packageJson = JSON.parse(content);
-        const allDeps = { ...packageJson.dependencies, ...packageJson.devDependencies };
-        
-        // Framework detection
-        if (allDeps.react) frameworks.add('React');
-        if (allDeps.next) frameworks.add('Next.js');
-        if (allDeps.vue) frameworks.add('Vue.js');
-        if (allDeps['@angular/core']) frameworks.add('Angular');
-        if (allDeps.express) frameworks.add('Express.js');
-        if (allDeps.fastify) frameworks.add('Fastify');
-        if (allDeps['@nestjs/core']) frameworks.add('NestJS');
-        if (allDeps.svelte) frameworks.add('Svelte');
-        if (allDeps.nuxt) frameworks.add('Nuxt.js');
-        if (allDeps.gatsby) frameworks.add('Gatsby');
-        
-      } catch (error) {
-        console.warn('Error parsing package.json:', error.message);
-      }
-    }
-    
-    // Check requirements.txt for Python frameworks
-    const requirementsFile = files.find(f => f.name === 'requirements.txt');
-    if (requirementsFile) {
-      try {
-        const content = await fs.readFile(requirementsFile.fullPath, 'utf8');
-        const lines = content.toLowerCase();
-        
-        if (lines.includes('django')) frameworks.add('Django');
-        if (lines.includes('flask')) frameworks.add('Flask');
-        if (lines.includes('fastapi')) frameworks.add('FastAPI');
-        if (lines.includes('tornado')) frameworks.add('Tornado');
-        if (lines.includes('pyramid')) frameworks.add('Pyramid');
-        
-      } catch (error) {
-        console.warn('Error reading requirements.txt:', error.message);
-      }
-    }
-    
-    // Check pom.xml for Java frameworks
-    const pomFile = files.find(f => f.name === 'pom.xml');
-    if (pomFile) {
-      try {
-        const content = await fs.readFile(pomFile.fullPath, 'utf8');
-        
-        if (content.includes('spring-boot')) frameworks.add('Spring Boot');
-        if (content.includes('spring-web')) frameworks.add('Spring Framework');
-        if (content.includes('quarkus')) frameworks.add('Quarkus');
-        
-      } catch (error) {
-        console.warn('Error reading pom.xml:', error.message);
-      }
-    }
-    
-    return Array.from(frameworks);
+    // Frameworks are recognized from the declared dependencies (lib/analyzers/manifests.js)
+    return detectFrameworks(await readManifests(files));
   }
 
   async analyzeDependencies(files, repoPath) {
-    const dependencies = {
-      production: [],
-      development: [],
-      total: 0,
-      packageManager: null
+    const manifests = await readManifests(files);
+    const packages = manifests.flatMap(manifest => manifest.dependencies);
+    const production = packages.filter(dep => dep.scope === 'production');
+    const development = packages.filter(dep => dep.scope === 'development');
+
+    // The main package manager is the one declaring the most dependencies
+    const packageManagers = [...new Set(manifests.map(manifest => manifest.packageManager))];
+    const countFor = (packageManager) => manifests
+      .filter(manifest => manifest.packageManager === packageManager)
+      .reduce((sum, manifest) => sum + manifest.dependencies.length, 0);
+    const [packageManager = null] = [...packageManagers].sort((a, b) => countFor(b) - countFor(a));
+
+    return {
+      production: [...new Set(production.map(dep => dep.name))],
+      development: [...new Set(development.map(dep => dep.name))],
+      total: packages.length,
+      packageManager,
+      packageManagers,
+      manifests: manifests.map(manifest => manifest.file),
+      packages
     };
-    
-    // JavaScript/TypeScript dependencies
-    const packageJsonFile = files.find(f => f.name === 'package.json' && !f.path.includes('/'));
-    if (packageJsonFile) {
-      try {
-        const content = await fs.readFile(packageJsonFile.fullPath, 'utf8');
-        const packageJson = JSON.parse(content);
-        
-        dependencies.packageManager = 'npm';
-        
-        if (packageJson.dependencies) {
-          dependencies.production = Object.keys(packageJson.dependencies);
-        }
-        if (packageJson.devDependencies) {
-          dependencies.development = Object.keys(packageJson.devDependencies);
-        }
-        dependencies.total = dependencies.production.length + dependencies.development.length;
-        
-        // Check for yarn.lock or package-lock.json
-        const hasYarnLock = files.some(f => f.name === 'yarn.lock');
-        const hasPackageLock = files.some(f => f.name === 'package-lock.json');
-        
-        if (hasYarnLock) dependencies.packageManager = 'yarn';
-        else if (hasPackageLock) dependencies.packageManager = 'npm';
-        
-      } catch (error) {
-        console.warn('Error parsing package.json:', error.message);
-      }
-    }
-    
-    // Python dependencies
-    const requirementsFile = files.find(f => f.name === 'requirements.txt');
-    if (requirementsFile) {
-      try {
-        const content = await fs.readFile(requirementsFile.fullPath, 'utf8');
-        const pythonDeps = content
-          .split('\n')
-          .filter(line => line.trim() && !line.startsWith('#'))
-          .map(line => line.split(/[>=<]/)[0].trim());
-        
-        dependencies.production = pythonDeps;
-        dependencies.total = pythonDeps.length;
-        dependencies.packageManager = 'pip';
-        
-      } catch (error) {
-        console.warn('Error reading requirements.txt:', error.message);
-      }
-    }
-    
-    return dependencies;
+  }
+
+  // Monorepos: every workspace package is analyzed on its own, as if it were the repository root
+  async analyzeWorkspace(files) {
+    const workspace = await detectWorkspaces(files);
+
+    const packages = await mapWithConcurrency(workspace.packages, 2, async (pkg) => {
+      const prefix = `${pkg.path}/`;
+      const packageFiles = files
+        .filter(f => f.path.split(path.sep).join('/').startsWith(prefix))
+        .map(f => ({ ...f, path: f.path.split(path.sep).join('/').slice(prefix.length) }));
+
+      const [frameworks, dependencies, readme] = await Promise.all([
+        this.analyzeFrameworks(packageFiles, pkg.path),
+        this.analyzeDependencies(packageFiles, pkg.path),
+        this.findAndReadReadme(packageFiles, pkg.path)
+      ]);
+
+      return {
+        ...pkg,
+        fileCount: packageFiles.length,
+        languages: this.analyzeLanguages(packageFiles),
+        frameworks,
+        dependencies,
+        entryPoints: this.findEntryPoints(packageFiles).slice(0, 5).map(file => `${prefix}${file}`),
+        readme: readme ? `${prefix}${readme.filename}` : null
+      };
+    });
+
+    return { tools: workspace.tools, packages };
   }
 
   async findAndReadReadme(files, repoPath) {
@@ -536,96 +645,21 @@ export class CodeAnalyzer {
       .slice(0, 30); // Limit to 30 test files
   }
 
-  async findApiSpecs(files, repoPath) {
-    const apiSpecs = [];
-    
-    // Look for OpenAPI/Swagger specs
-    const specFiles = files.filter(file => 
-      !file.isDirectory && 
-      (file.name.toLowerCase().includes('swagger') ||
-       file.name.toLowerCase().includes('openapi') ||
-       file.name.toLowerCase().includes('api') ||
-       (file.extension === '.yaml' || file.extension === '.yml')) &&
-      file.size < 1024 * 1024 // Less than 1MB
-    );
-    
-    for (const specFile of specFiles.slice(0, 5)) { // Limit to 5 spec files
-      try {
-        const content = await fs.readFile(specFile.fullPath, 'utf8');
-        if (content.includes('openapi:') || content.includes('swagger:')) {
-          apiSpecs.push({
-            file: specFile.path,
-            type: 'OpenAPI/Swagger',
-            size: specFile.size,
-            preview: content.slice(0, 500)
-          });
-        }
-      } catch (error) {
-        console.warn(`Error reading spec file ${specFile.path}:`, error.message);
-      }
-    }
-    
-    // Look for GraphQL schemas
-    const graphqlFiles = files.filter(file => 
-      !file.isDirectory && 
-      (file.extension === '.graphql' || 
-       file.extension === '.gql' ||
-       file.name.toLowerCase().includes('schema'))
-    );
-    
-    for (const gqlFile of graphqlFiles.slice(0, 3)) { // Limit to 3 GraphQL files
-      try {
-        const content = await fs.readFile(gqlFile.fullPath, 'utf8');
-        if (content.includes('type ') || content.includes('schema ')) {
-          apiSpecs.push({
-            file: gqlFile.path,
-            type: 'GraphQL',
-            size: gqlFile.size,
-            preview: content.slice(0, 500)
-          });
-        }
-      } catch (error) {
-        console.warn(`Error reading GraphQL file ${gqlFile.path}:`, error.message);
-      }
-    }
-    
-    return apiSpecs;
-  }
-
   async calculateCodeMetrics(files, repoPath) {
-    const codeExtensions = ['.js', '.jsx', '.ts', '.tsx', '.py', '.java', '.kt', '.go', '.rs', '.php', '.rb', '.cs', '.cpp', '.c'];
-    
-    const codeFiles = files.filter(f => 
-      !f.isDirectory && 
-      codeExtensions.includes(f.extension)
-    );
-    
-    let totalLines = 0;
-    let totalSize = 0;
-    
-    // Sample a few files to estimate lines of code
-    const sampleFiles = codeFiles.slice(0, 10);
-    for (const file of sampleFiles) {
-      try {
-        const content = await fs.readFile(file.fullPath, 'utf8');
-        const lines = content.split('\n').length;
-        totalLines += lines;
-        totalSize += file.size;
-      } catch (error) {
-        // Skip files that can't be read
-      }
-    }
-    
-    // Estimate total lines based on sample
-    const avgLinesPerFile = sampleFiles.length > 0 ? totalLines / sampleFiles.length : 0;
-    const estimatedTotalLines = Math.round(avgLinesPerFile * codeFiles.length);
+    // Every code file is read and counted (lib/analyzers/lineCounts.js)
+    const lines = await countCodeLines(files);
+    const totalSizeBytes = files.reduce((sum, f) => sum + f.size, 0);
     
     return {
       totalFiles: files.length,
-      codeFiles: codeFiles.length,
-      estimatedLinesOfCode: estimatedTotalLines,
-      totalSizeBytes: files.reduce((sum, f) => sum + f.size, 0),
-      averageFileSize: files.length > 0 ? Math.round(files.reduce((sum, f) => sum + f.size, 0) / files.length) : 0
+      codeFiles: lines.codeFiles,
+      linesOfCode: lines.code,
+      commentLines: lines.comment,
+      blankLines: lines.blank,
+      linesByLanguage: lines.byLanguage,
+      skippedCodeFiles: lines.skippedFiles,
+      totalSizeBytes,
+      averageFileSize: files.length > 0 ? Math.round(totalSizeBytes / files.length) : 0
     };
   }
 
@@ -0,0 +1,298 @@
+// CI/CD pipelines: GitHub Actions workflows, GitLab CI, Jenkinsfiles and CircleCI configs.
+// Records what triggers each pipeline, its jobs with their commands, and where it deploys to.
+import { parse as parseYaml } from 'yaml';
+import { readBalanced, readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const MAX_PIPELINE_FILES = 30;
+const MAX_COMMANDS = 15;
+
+const GITHUB_WORKFLOW = /^\.github\/workflows\/[^/]+\.ya?ml$/;
+const GITLAB_CI = /^\.gitlab-ci\.ya?ml$/;
+const CIRCLECI = /^\.circleci\/config\.ya?ml$/;
+const JENKINSFILE = /(^|\/)Jenkinsfile([.-][\w.-]+)?$/;
+
+// What a command does, by the tools it runs. A command can be several kinds (`make build test`).
+const COMMAND_KINDS = [
+  ['test', /\b(test|tests|pytest|jest|vitest|mocha|cypress|playwright|rspec|phpunit|tox|nox|coverage|(mvnw?|gradlew?)\b.*\b(verify|check))\b/i],
+  ['lint', /\b(lint|checkstyle|spotless|eslint|prettier\s+--check|ruff|flake8|pylint|mypy|black\s+--check|golangci-lint|go\s+vet|clippy|rubocop|stylelint|tsc\s+--noEmit)\b/i],
+  ['build', /\b(build|compile|assemble|package|tsc|webpack|rollup|esbuild|(mvnw?|gradlew?)\b.*\b(install|package))\b/i],
+  ['deploy', /\b(deploy|publish|release|upload|push|kubectl|helm|terraform\s+apply|vercel|netlify|flyctl|heroku|serverless|sls|gh-pages|rsync|scp)\b/i]
+];
+
+// Where a pipeline ships to, from its commands and the actions/orbs it uses
+const DEPLOY_TARGETS = [
+  ['Kubernetes', /\bkubectl\b|\bhelm\b|\bkustomize\b|azure\/k8s-deploy|kubernetes/i],
+  ['Terraform', /\bterraform\s+apply\b|hashicorp\/setup-terraform/i],
+  ['AWS', /\baws\s+(s3|ecs|ecr|lambda|cloudformation|deploy)|aws-actions\/|\bcdk\s+deploy\b|\bsam\s+deploy\b|circleci\/aws-/i],
+  ['Google Cloud', /\bgcloud\b|google-github-actions\/(deploy|setup)/i],
+  ['Azure', /\baz\s+(webapp|functionapp|acr|aks)|azure\/(webapps-deploy|functions-action|container-apps-deploy)/i],
+  ['Vercel', /\bvercel\b/i],
+  ['Netlify', /\bnetlify\b/i],
+  ['Fly.io', /\bflyctl\b|\bfly\s+deploy\b|superfly\//i],
+  ['Heroku', /\bheroku\b/i],
+  ['GitHub Pages', /\bgh-pages\b|actions\/deploy-pages|peaceiris\/actions-gh-pages/i],
+  ['Container registry', /\bdocker\s+push\b|docker\/build-push-action|\bbuildx\b.*--push|\bjib\b|\bko\s+publish\b/i],
+  ['npm registry', /\b(npm|yarn|pnpm)\s+publish\b|changesets\/action|semantic-release/i],
+  ['PyPI', /\btwine\s+upload\b|pypa\/gh-action-pypi-publish|\b(poetry|uv|flit)\s+publish\b/i],
+  ['crates.io', /\bcargo\s+publish\b/i],
+  ['Maven repository', /\bmvnw?\b.*\bdeploy\b|\bgradlew?\b.*\bpublish\b/i],
+  ['GitHub Releases', /softprops\/action-gh-release|actions\/create-release|goreleaser|\bgh\s+release\s+create\b/i],
+  ['Serverless', /\b(serverless|sls)\s+deploy\b/i]
+];
+
+// Shell lines of a `run:`/`script:` block, without blanks and comments
+function commandLines(script) {
+  return [script]
+    .flat(Infinity)
+    .filter((entry) => typeof entry === 'string')
+    .flatMap((entry) => entry.split('\n'))
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('#'));
+}
+
+const kindsOf = (commands) => COMMAND_KINDS.filter(([, pattern]) => commands.some((command) => pattern.test(command))).map(([kind]) => kind);
+
+function job(name, { stage = null, runner = null, needs = [], environment = null, commands = [], actions = [], when = null } = {}) {
+  const references = [...commands, ...actions];
+  return {
+    name,
+    ...(stage && { stage }),
+    ...(runner && { runner: String(runner) }),
+    needs: [needs].flat().filter(Boolean).map(String),
+    ...(environment && { environment: String(environment) }),
+    ...(when && { when }),
+    commands: commands.slice(0, MAX_COMMANDS),
+    actions,
+    kinds: [...new Set([...kindsOf(commands), ...(environment ? ['deploy'] : [])])],
+    deployTargets: DEPLOY_TARGETS.filter(([, pattern]) => references.some((reference) => pattern.test(reference))).map(([target]) => target)
+  };
+}
+
+// --- GitHub Actions ---
+
+function githubTriggers(on) {
+  if (typeof on === 'string') return [on];
+  if (Array.isArray(on)) return on.map(String);
+
+  return Object.entries(on || {}).map(([event, options]) => {
+    if (event === 'schedule') return `schedule (${[options].flat().map((entry) => entry?.cron).filter(Boolean).join(', ')})`;
+    const filters = ['branches', 'tags', 'paths']
+      .filter((key) => options?.[key])
+      .map((key) => `${key}: ${[options[key]].flat().join(', ')}`);
+    return filters.length > 0 ? `${event} (${filters.join('; ')})` : event;
+  });
+}
+
+function parseGithubWorkflow(text) {
+  const workflow = parseYaml(text) || {};
+  const jobs = Object.entries(workflow.jobs || {}).map(([id, definition]) => {
+    const steps = Array.isArray(definition?.steps) ? definition.steps : [];
+    return job(definition?.name || id, {
+      runner: [definition?.['runs-on']].flat().join(', ') || null,
+      needs: definition?.needs,
+      environment: definition?.environment?.name ?? definition?.environment,
+      commands: steps.flatMap((step) => commandLines(step?.run)),
+      // Steps using actions, or the reusable workflow the job calls
+      actions: [...steps.map((step) => step?.uses), definition?.uses].filter((uses) => typeof uses === 'string')
+    });
+  });
+
+  return { provider: 'GitHub Actions', name: workflow.name || null, triggers: githubTriggers(workflow.on), jobs };
+}
+
+// --- GitLab CI ---
+
+const GITLAB_KEYWORDS = new Set(['stages', 'variables', 'default', 'include', 'workflow', 'image', 'services', 'before_script', 'after_script', 'cache', 'types']);
+
+function gitlabTriggers(config, jobs) {
+  const conditions = [
+    ...[config.workflow?.rules].flat(),
+    ...Object.values(config).flatMap((definition) => [definition?.rules].flat())
+  ]
+    .map((rule) => rule?.if)
+    .filter(Boolean)
+    .join(' ');
+
+  const sources = [...conditions.matchAll(/CI_PIPELINE_SOURCE\s*==\s*["']?(\w+)/g)].map((match) => match[1]);
+  const only = jobs.flatMap((entry) => entry.when?.only || []);
+  return [...new Set([
+    'push',
+    ...sources,
+    ...(/CI_COMMIT_TAG/.test(conditions) || only.includes('tags') ? ['tags'] : []),
+    ...(only.includes('merge_requests') ? ['merge_request_event'] : []),
+    ...(only.includes('schedules') ? ['schedule'] : [])
+  ])];
+}
+
+function parseGitlabCi(text) {
+  const config = parseYaml(text) || {};
+  const defaults = config.default || {};
+  // Keys a job doesn't set come from the jobs/templates it `extends`
+  const resolve = (definition, seen = []) =>
+    [definition.extends]
+      .flat()
+      .filter((parent) => typeof parent === 'string' && !seen.includes(parent) && config[parent])
+      .reduce((merged, parent) => ({ ...resolve(config[parent], [...seen, parent]), ...merged }), definition);
+
+  const jobs = Object.entries(config)
+    // Hidden jobs (.template) are only used through `extends`
+    .filter(([name, definition]) => !GITLAB_KEYWORDS.has(name) && !name.startsWith('.') && definition && typeof definition === 'object' && !Array.isArray(definition))
+    .filter(([, definition]) => definition.script || definition.trigger || definition.extends)
+    .map(([name, own]) => {
+      const definition = resolve(own);
+      const only = definition.only && [definition.only.refs || definition.only].flat().map(String);
+      const image = definition.image?.name ?? definition.image ?? defaults.image?.name ?? defaults.image ?? config.image?.name ?? config.image;
+      return job(name, {
+        stage: definition.stage || 'test',
+        runner: image,
+        needs: [definition.needs].flat().map((need) => need?.job ?? need),
+        environment: definition.environment?.name ?? definition.environment,
+        commands: commandLines([definition.before_script ?? defaults.before_script ?? config.before_script, definition.script]),
+        actions: [definition.trigger?.include, definition.trigger?.project ?? (typeof definition.trigger === 'string' ? definition.trigger : null)].flat().filter((value) => typeof value === 'string'),
+        when: only ? { only } : null
+      });
+    });
+
+  return { provider: 'GitLab CI', name: null, stages: Array.isArray(config.stages) ? config.stages : [], triggers: gitlabTriggers(config, jobs), jobs };
+}
+
+// --- CircleCI ---
+
+function parseCircleCi(text) {
+  const config = parseYaml(text) || {};
+  // `aws-ecr/build-and-push-image` runs a command of the orb imported as `aws-ecr: circleci/aws-ecr@9.0`
+  const orbStep = (step) => {
+    const orb = config.orbs?.[step.split('/')[0]];
+    return typeof orb === 'string' ? `${step} (${orb})` : step;
+  };
+
+  const definitions = Object.entries(config.jobs || {}).map(([name, definition]) => {
+    const steps = Array.isArray(definition?.steps) ? definition.steps : [];
+    const runs = steps.map((step) => (typeof step === 'object' && step?.run ? step.run.command ?? step.run : null));
+    // Orb commands (node/install-packages) and orb jobs show up as `orb/command` steps
+    const orbSteps = steps.map((step) => (typeof step === 'string' ? step : Object.keys(step || {})[0])).filter((step) => step?.includes('/'));
+    return [name, {
+      runner: definition?.docker?.[0]?.image ?? definition?.executor?.name ?? definition?.executor ?? (definition?.machine ? 'machine' : null),
+      commands: commandLines(runs),
+      actions: orbSteps.map(orbStep)
+    }];
+  });
+  const byName = new Map(definitions);
+
+  // Jobs as scheduled by the workflows, with their `requires` and branch filters
+  const triggers = new Set(['push']);
+  const jobs = [];
+  for (const workflow of Object.values(config.workflows || {})) {
+    if (!workflow || typeof workflow !== 'object') continue;
+    for (const trigger of workflow.triggers || []) {
+      if (trigger?.schedule?.cron) triggers.add(`schedule (${trigger.schedule.cron})`);
+    }
+    for (const entry of workflow.jobs || []) {
+      const [name, options] = typeof entry === 'string' ? [entry, {}] : Object.entries(entry || {})[0] || [];
+      if (!name || jobs.some((existing) => existing.name === (options?.name || name))) continue;
+
+      const definition = byName.get(name) || { commands: [], actions: name.includes('/') ? [orbStep(name)] : [] };
+      const branches = options?.filters?.branches?.only;
+      if (options?.filters?.tags) triggers.add('tags');
+      jobs.push(job(options?.name || name, {
+        ...definition,
+        needs: options?.requires,
+        environment: options?.context && /prod|deploy|release/i.test([options.context].flat().join(' ')) ? [options.context].flat().join(', ') : null,
+        when: branches ? { only: [branches].flat().map(String) } : null
+      }));
+    }
+  }
+  // Configs without workflows run their `build` job
+  if (jobs.length === 0) definitions.forEach(([name, definition]) => jobs.push(job(name, definition)));
+
+  return { provider: 'CircleCI', name: null, triggers: [...triggers], jobs };
+}
+
+// --- Jenkins ---
+
+const JENKINS_STEP = /\b(sh|bat|powershell|pwsh)\s*\(?\s*(?:script\s*:\s*)?('''|"""|'|")([\s\S]*?)\2/g;
+
+function parseJenkinsfile(text) {
+  const code = text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+
+  // Stage bodies, so every command is given to the innermost stage around it
+  const stages = [];
+  for (const match of code.matchAll(/\bstage\s*\(\s*(['"])(.+?)\1\s*\)\s*\{/g)) {
+    const body = readBalanced(code, match.index + match[0].length - 1);
+    if (body) stages.push({ name: match[2], start: match.index, end: body.end, body: body.content, commands: [] });
+  }
+
+  for (const match of code.matchAll(JENKINS_STEP)) {
+    const owner = stages.filter((stage) => stage.start < match.index && match.index < stage.end).at(-1);
+    owner?.commands.push(...commandLines(match[3]));
+  }
+
+  const triggers = [];
+  const triggerBlock = code.match(/\btriggers\s*\{/);
+  if (triggerBlock) {
+    const block = readBalanced(code, triggerBlock.index + triggerBlock[0].length - 1)?.content || '';
+    for (const match of block.matchAll(/\b(cron|pollSCM|upstream|githubPush|gitlab|GenericTrigger)\s*\(\s*(?:['"]([^'"]*)['"])?/g)) {
+      triggers.push(match[2] ? `${match[1]} (${match[2]})` : match[1]);
+    }
+  }
+
+  const agent = code.match(/\bagent\s*\{[\s\S]*?\bimage\s+['"]([^'"]+)['"]/)?.[1] || code.match(/\bagent\s*\{\s*label\s+['"]([^'"]+)['"]/)?.[1] || code.match(/\bagent\s+(any|none)\b/)?.[1] || null;
+
+  const jobs = stages
+    .filter((stage) => stage.commands.length > 0 || !stages.some((other) => other !== stage && other.start > stage.start && other.end <= stage.end))
+    .map((stage) => {
+      // when { branch 'main' }
+      const branch = stage.body.match(/\bwhen\s*\{[^}]*?\bbranch\s+['"]([^'"]+)['"]/)?.[1];
+      return job(stage.name, {
+        runner: stage.body.match(/\bimage\s+['"]([^'"]+)['"]/)?.[1] || agent,
+        commands: stage.commands,
+        when: branch ? { only: [branch] } : null
+      });
+    });
+
+  return { provider: 'Jenkins', name: null, triggers: triggers.length > 0 ? triggers : ['push'], jobs };
+}
+
+const PROVIDERS = [
+  { test: (filePath) => GITHUB_WORKFLOW.test(filePath), parse: parseGithubWorkflow },
+  { test: (filePath) => GITLAB_CI.test(filePath), parse: parseGitlabCi },
+  { test: (filePath) => CIRCLECI.test(filePath), parse: parseCircleCi },
+  { test: (filePath) => JENKINSFILE.test(filePath), parse: parseJenkinsfile }
+];
+
+const unique = (items) => [...new Set(items)];
+
+export async function analyzeCiPipelines(files) {
+  const candidates = files
+    .filter((file) => !file.isDirectory)
+    .map((file) => ({ file, provider: PROVIDERS.find((provider) => provider.test(toPosixPath(file.path))) }))
+    .filter(({ provider }) => provider)
+    .slice(0, MAX_PIPELINE_FILES);
+
+  const errors = [];
+  const pipelines = (await Promise.all(candidates.map(async ({ file, provider }) => {
+    const filePath = toPosixPath(file.path);
+    const text = await readTextFile(file.fullPath);
+    if (text === null) return null;
+    try {
+      const pipeline = provider.parse(text);
+      return { file: filePath, ...pipeline, deployTargets: unique(pipeline.jobs.flatMap((entry) => entry.deployTargets)) };
+    } catch (error) {
+      errors.push({ file: filePath, message: error.message });
+      return null;
+    }
+  }))).filter(Boolean);
+
+  const jobs = pipelines.flatMap((pipeline) => pipeline.jobs);
+  // Commands of each kind across all pipelines, in the order they appear
+  const commandsOf = (kind) => unique(jobs.flatMap((entry) => entry.commands.filter((command) => COMMAND_KINDS.find(([name]) => name === kind)[1].test(command)))).slice(0, MAX_COMMANDS);
+
+  return {
+    pipelines,
+    providers: unique(pipelines.map((pipeline) => pipeline.provider)),
+    commands: { build: commandsOf('build'), test: commandsOf('test'), lint: commandsOf('lint'), deploy: commandsOf('deploy') },
+    deployTargets: unique(pipelines.flatMap((pipeline) => pipeline.deployTargets)),
+    stats: { pipelines: pipelines.length, jobs: jobs.length },
+    errors
+  };
+}
@@ -0,0 +1,300 @@
+// Runnable project commands: package.json scripts, Makefile targets, justfile recipes, Taskfile tasks,
+// pyproject scripts (PEP 621, Poetry, PDM, Hatch, Poe, taskipy), bin/ scripts and the entry points.
+import path from 'path';
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+import { npmPackageManager } from '@/lib/analyzers/manifests';
+import { oneLine, readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const MAX_COMMANDS = 150;
+const MAX_BIN_SCRIPTS = 30;
+
+// Purpose of commands with a conventional name (`test`, `db:migrate`, `build-docs`, ...)
+const KNOWN_PURPOSES = {
+  dev: 'Start the development server',
+  develop: 'Start the development server',
+  start: 'Start the application',
+  serve: 'Serve the application',
+  run: 'Run the application',
+  watch: 'Rebuild on file changes',
+  build: 'Build the project',
+  compile: 'Compile the project',
+  test: 'Run the tests',
+  tests: 'Run the tests',
+  e2e: 'Run the end-to-end tests',
+  coverage: 'Run the tests with coverage',
+  bench: 'Run the benchmarks',
+  lint: 'Lint the code',
+  format: 'Format the code',
+  fmt: 'Format the code',
+  typecheck: 'Type-check the code',
+  check: 'Run the checks',
+  clean: 'Remove build artifacts',
+  install: 'Install dependencies',
+  setup: 'Set up the development environment',
+  bootstrap: 'Set up the development environment',
+  deploy: 'Deploy the application',
+  release: 'Release a new version',
+  publish: 'Publish the package',
+  docs: 'Build the documentation',
+  migrate: 'Run the database migrations',
+  seed: 'Seed the database',
+  generate: 'Run the code generators',
+  storybook: 'Start Storybook',
+  docker: 'Work with the Docker images',
+  up: 'Start the services',
+  down: 'Stop the services',
+  help: 'List the available commands',
+  // npm lifecycle scripts
+  preinstall: 'Runs automatically before installing dependencies',
+  postinstall: 'Runs automatically after installing dependencies',
+  prepare: 'Runs automatically after install and before publishing',
+  prepublishOnly: 'Runs automatically before publishing'
+};
+
+function conventionalPurpose(name) {
+  if (KNOWN_PURPOSES[name]) return KNOWN_PURPOSES[name];
+  // `test:unit`, `build-docs`, `db:migrate`: the known part gives the purpose, the rest qualifies it
+  const parts = name.split(/[:_\-/.]/).filter(Boolean);
+  const index = parts.findIndex((part) => KNOWN_PURPOSES[part]);
+  if (index === -1) return '';
+  const rest = parts.filter((_, i) => i !== index).join(' ');
+  return rest ? `${KNOWN_PURPOSES[parts[index]]} (${rest})` : KNOWN_PURPOSES[parts[index]];
+}
+
+const command = (tool, file, name, invocation, { description = '', runs = '' } = {}) => ({
+  tool,
+  file,
+  name,
+  command: invocation,
+  purpose: oneLine(description, 200) || conventionalPurpose(name),
+  runs: oneLine(runs, 200)
+});
+
+// --- package.json ---
+
+// npm only runs `start` and `test` without `run`; yarn and pnpm run any script unless the name clashes
+// with one of their own commands, and `bun build`/`bun test` are bun's bundler and test runner
+function scriptInvocation(packageManager, name) {
+  if (packageManager === 'npm') return ['start', 'test'].includes(name) ? `npm ${name}` : `npm run ${name}`;
+  const ownCommands = ['install', 'add', 'remove', 'upgrade', 'link', 'pack', 'publish', 'init', 'info', 'why', 'exec'];
+  if (packageManager === 'bun' || ownCommands.includes(name)) return `${packageManager} run ${name}`;
+  return `${packageManager} ${name}`;
+}
+
+function packageScripts(text, file, siblings) {
+  const manifest = JSON.parse(text);
+  const scripts = manifest.scripts || {};
+  const packageManager = npmPackageManager(siblings);
+  // Descriptions some projects keep next to the scripts (ntl, scripts-info)
+  const descriptions = { ...manifest['scripts-info'], ...manifest.scriptsDescriptions, ...manifest.ntl?.descriptions };
+
+  return Object.entries(scripts)
+    // pre/post hooks run as part of the script they belong to
+    .filter(([name]) => !/^(pre|post)./.test(name) || !scripts[name.replace(/^(pre|post)/, '')])
+    .map(([name, body]) => command(packageManager, file, name, scriptInvocation(packageManager, name), { description: descriptions[name], runs: body }));
+}
+
+// --- Makefile ---
+
+// `target: deps ## Help text` or `# Help text` on the lines just above the target
+function makeTargets(text, file) {
+  const lines = text.split('\n');
+  const commands = [];
+  let comments = [];
+
+  lines.forEach((line, index) => {
+    if (/^#/.test(line)) {
+      comments.push(line.replace(/^#+\s*/, ''));
+      return;
+    }
+    const match = line.match(/^([A-Za-z0-9][\w./-]*(?:\s+[A-Za-z0-9][\w./-]*)*)\s*:(?![:=])([^#\n]*)(?:##?\s*(.*))?$/);
+    if (match && !line.startsWith('\t')) {
+      const recipe = [];
+      for (let i = index + 1; i < lines.length && lines[i].startsWith('\t'); i++) recipe.push(lines[i].trim().replace(/^[@-]+/, ''));
+      for (const target of match[1].split(/\s+/)) {
+        // File targets (`build/app.js`) are outputs rather than commands
+        if (target.includes('/') || target.includes('%') || /\.\w+$/.test(target)) continue;
+        commands.push(command('make', file, target, `make ${target}`, {
+          description: match[3] || comments.join(' '),
+          runs: recipe.length > 0 ? recipe.join('; ') : match[2].trim() && `make ${match[2].trim()}`
+        }));
+      }
+    }
+    comments = [];
+  });
+
+  return commands;
+}
+
+// --- justfile ---
+
+function justRecipes(text, file) {
+  const lines = text.split('\n');
+  const commands = [];
+  let comments = [];
+  let doc = null;
+  let privateRecipe = false;
+
+  lines.forEach((line, index) => {
+    if (/^#/.test(line)) {
+      if (!line.startsWith('#!')) comments.push(line.replace(/^#+\s*/, ''));
+      return;
+    }
+    const attribute = line.match(/^\[([^\]]*)\]\s*$/);
+    if (attribute) {
+      doc = attribute[1].match(/doc\s*\(\s*["']([^"']*)["']/)?.[1] ?? doc;
+      privateRecipe ||= /\bprivate\b/.test(attribute[1]);
+      return;
+    }
+
+    const match = line.match(/^@?([A-Za-z][\w-]*)((?:\s+[^:\s][^:]*?)?)\s*:(?!=)(.*)$/);
+    if (match && !/^(set|alias|export|import|mod)\b/.test(line) && !match[1].startsWith('_') && !privateRecipe) {
+      const recipe = [];
+      for (let i = index + 1; i < lines.length && /^\s+\S/.test(lines[i]); i++) recipe.push(lines[i].trim().replace(/^@/, ''));
+      const parameters = match[2].trim();
+      // `build target='debug' +flags` is invoked as `just build <target> <flags>`
+      const placeholders = parameters ? parameters.split(/\s+/).map((parameter) => ` <${parameter.replace(/^[+*$]+/, '').split('=')[0]}>`).join('') : '';
+      commands.push(command('just', file, match[1], `just ${match[1]}${placeholders}`, {
+        description: doc ?? comments.join(' '),
+        runs: recipe.join('; ')
+      }));
+    }
+    comments = [];
+    doc = null;
+    privateRecipe = false;
+  });
+
+  return commands;
+}
+
+// --- Taskfile ---
+
+function taskfileTasks(text, file) {
+  const taskfile = parseYaml(text) || {};
+  return Object.entries(taskfile.tasks || {})
+    .filter(([, task]) => !task?.internal)
+    .map(([name, task]) => {
+      const definition = typeof task === 'string' || Array.isArray(task) ? { cmds: [task].flat() } : task || {};
+      const cmds = (definition.cmds || (definition.cmd ? [definition.cmd] : []))
+        .map((cmd) => (typeof cmd === 'string' ? cmd : cmd?.cmd ?? (cmd?.task ? `task ${cmd.task}` : null)))
+        .filter(Boolean);
+      return command('task', file, name, `task ${name}`, { description: definition.desc || definition.summary, runs: cmds.join('; ') });
+    });
+}
+
+// --- pyproject.toml ---
+
+// Runner scripts are a command string, a list of steps or a table with `cmd`/`shell`/`help`
+function runnerScript(spec) {
+  if (typeof spec === 'string') return { runs: spec };
+  if (Array.isArray(spec)) return { runs: spec.map((step) => (typeof step === 'string' ? step : step?.ref ?? step?.cmd ?? '')).join('; ') };
+  const runs = spec?.cmd ?? spec?.shell ?? spec?.script ?? spec?.call ?? spec?.composite ?? spec?.sequence ?? '';
+  return { runs: Array.isArray(runs) ? runs.join('; ') : String(runs), description: spec?.help };
+}
+
+function pyprojectScripts(text, file) {
+  const manifest = parseToml(text);
+  const tool = manifest.tool || {};
+  const runners = [
+    // Console scripts are installed on the PATH with the package
+    ['python', manifest.project?.scripts, (name) => name],
+    ['poetry', tool.poetry?.scripts, (name) => `poetry run ${name}`],
+    ['pdm', tool.pdm?.scripts, (name) => `pdm run ${name}`],
+    ['hatch', tool.hatch?.envs?.default?.scripts, (name) => `hatch run ${name}`],
+    ['poe', tool.poe?.tasks, (name) => `poe ${name}`],
+    ['taskipy', tool.taskipy?.tasks, (name) => `task ${name}`]
+  ];
+
+  return runners.flatMap(([runner, scripts, invocation]) =>
+    Object.entries(scripts || {})
+      // PDM keeps its settings (`_`) next to the scripts
+      .filter(([name]) => name !== '_')
+      .map(([name, spec]) => {
+        const script = runnerScript(spec);
+        const entryPoint = runner === 'python' || (runner === 'poetry' && typeof spec === 'string');
+        return command(runner, file, name, invocation(name), {
+          description: script.description ?? (entryPoint ? `Console script (${script.runs})` : ''),
+          runs: entryPoint ? '' : script.runs
+        });
+      })
+  );
+}
+
+// --- bin/ ---
+
+// The first comment after the shebang describes the script
+function binScript(text, file) {
+  const description = text
+    .split('\n')
+    .slice(text.startsWith('#!') ? 1 : 0, 12)
+    .map((line) => line.trim())
+    .find((line) => /^(#|\/\/)\s*\w/.test(line) && !/^#\s*(shellcheck|-\*-|frozen_string_literal|encoding|!)/.test(line));
+  return [command('bin', file, path.posix.basename(file), `./${file}`, { description: description?.replace(/^(#+|\/\/)\s*/, '') })];
+}
+
+// --- Entry points ---
+
+// How to run an entry point found by findEntryPoints, by its language
+function entryPointCommand(file) {
+  const directory = path.posix.dirname(file);
+  if (/\.(js|mjs|cjs)$/.test(file)) return `node ${file}`;
+  if (/\.ts$/.test(file)) return `npx tsx ${file}`;
+  if (/(^|\/)manage\.py$/.test(file)) return `python ${file} runserver`;
+  if (/\.py$/.test(file)) return `python ${file}`;
+  if (/\.go$/.test(file)) return `go run ./${directory === '.' ? '' : directory}`;
+  if (/\.rs$/.test(file)) return 'cargo run';
+  return null;
+}
+
+const SOURCES = [
+  { test: (file) => file.name === 'package.json', read: packageScripts },
+  { test: (file) => /^(GNUmakefile|Makefile|makefile)$/.test(file.name), read: makeTargets },
+  { test: (file) => /^justfile$/i.test(file.name), read: justRecipes },
+  { test: (file) => /^taskfile(\.dist)?\.ya?ml$/i.test(file.name), read: taskfileTasks },
+  { test: (file) => file.name === 'pyproject.toml', read: pyprojectScripts }
+];
+
+// Commands of the repository root, plus how to run its entry points (from findEntryPoints)
+export async function analyzeCommands(files, entryPoints = []) {
+  const rootFiles = files.filter((file) => !file.isDirectory && !toPosixPath(file.path).includes('/'));
+  const siblings = new Set(rootFiles.map((file) => file.name));
+  const binFiles = files
+    .filter((file) => !file.isDirectory && /^bin\/[^/]+$/.test(toPosixPath(file.path)) && !file.name.startsWith('.'))
+    .slice(0, MAX_BIN_SCRIPTS);
+
+  const sources = [
+    ...SOURCES.flatMap((source) => rootFiles.filter((file) => source.test(file)).map((file) => ({ file, read: source.read }))),
+    ...binFiles.map((file) => ({ file, read: binScript }))
+  ];
+
+  const errors = [];
+  const found = await Promise.all(sources.map(async ({ file, read }) => {
+    const filePath = toPosixPath(file.path);
+    const text = await readTextFile(file.fullPath);
+    if (text === null) return [];
+    try {
+      return read(text, filePath, siblings);
+    } catch (error) {
+      errors.push({ file: filePath, message: error.message });
+      return [];
+    }
+  }));
+
+  const commands = found.flat();
+  const runCommands = new Set(commands.map((entry) => entry.runs));
+  for (const file of entryPoints.slice(0, 3)) {
+    const invocation = entryPointCommand(file);
+    // Skip entry points a script already runs (`"start": "node server.js"`)
+    if (invocation && ![...runCommands].some((runs) => runs.includes(file))) {
+      commands.push(command('entry point', file, path.posix.basename(file), invocation, { description: 'Run the entry point directly' }));
+    }
+  }
+
+  return {
+    commands: commands.slice(0, MAX_COMMANDS),
+    sources: [...new Set(commands.map((entry) => entry.file))],
+    stats: { commands: commands.length, documented: commands.filter((entry) => entry.purpose).length },
+    errors
+  };
+}
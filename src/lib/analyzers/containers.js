@@ -0,0 +1,282 @@
+// How a service is packaged and run: Dockerfiles (build stages, base images, ports, entrypoint/cmd)
+// and docker-compose files (services with their ports, volumes and dependencies)
+import path from 'path';
+import { parse as parseYaml } from 'yaml';
+import { readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const MAX_DOCKERFILES = 20;
+const MAX_COMPOSE_FILES = 10;
+
+const DOCKERFILE = /^(Dockerfile|Containerfile)([.-][\w.-]+)?$|\.(dockerfile|containerfile)$/i;
+const COMPOSE_FILE = /^(docker-)?compose([.-][\w.-]+)?\.ya?ml$/i;
+
+// --- Dockerfile ---
+
+// Logical instructions with their line numbers: continuation lines joined, comments and heredoc bodies dropped
+function readInstructions(text) {
+  const lines = text.split(/\r?\n/);
+  const escapeChar = text.match(/^#\s*escape\s*=\s*(\S)/im)?.[1] || '\\';
+  const instructions = [];
+  let current = null;
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const trimmed = line.trim();
+    if (!current && (!trimmed || trimmed.startsWith('#'))) continue;
+    if (current && trimmed.startsWith('#')) continue;
+
+    const continues = trimmed.endsWith(escapeChar);
+    const content = continues ? trimmed.slice(0, -1) : trimmed;
+    if (current) current.text += ` ${content}`;
+    else current = { text: content, line: index + 1 };
+
+    if (continues) continue;
+
+    // RUN <<EOF ... EOF: skip the heredoc body
+    const heredoc = current.text.match(/<<-?\s*["']?(\w+)["']?/);
+    if (heredoc) {
+      while (index + 1 < lines.length && lines[index + 1].trim() !== heredoc[1]) index++;
+      index++;
+    }
+
+    const match = current.text.match(/^(\w+)\s*(.*)$/);
+    if (match) instructions.push({ keyword: match[1].toUpperCase(), args: match[2].trim(), line: current.line });
+    current = null;
+  }
+
+  return instructions;
+}
+
+// CMD ["node", "server.js"] (exec form) or CMD node server.js (shell form)
+function commandOf(args) {
+  if (args.startsWith('[')) {
+    try {
+      const parts = JSON.parse(args);
+      if (Array.isArray(parts)) return parts.join(' ');
+    } catch {
+      // Not valid JSON: Docker runs it in a shell as written
+    }
+  }
+  return args;
+}
+
+// ENV A=1 B="two words" or the legacy ENV A 1
+function variableNames(args) {
+  if (!args.includes('=')) return [args.split(/\s+/)[0]].filter(Boolean);
+  return [...args.matchAll(/(?:^|\s)([A-Za-z_][\w.-]*)=/g)].map((match) => match[1]);
+}
+
+function substitute(value, args) {
+  return value.replace(/\$\{?(\w+)(?::?-([^}]*))?\}?/g, (placeholder, name, fallback) => args[name] ?? fallback ?? placeholder);
+}
+
+function parseDockerfile(text, file) {
+  const globalArgs = {};
+  const stages = [];
+  let stage = null;
+
+  for (const { keyword, args, line } of readInstructions(text)) {
+    if (keyword === 'FROM') {
+      const match = args.match(/^(?:--platform=(\S+)\s+)?(\S+)(?:\s+AS\s+(\S+))?/i);
+      if (!match) continue;
+      const image = substitute(match[2], globalArgs);
+      const previous = stages.find((candidate) => candidate.name && candidate.name === image);
+      stage = {
+        name: match[3] || null,
+        baseImage: previous ? previous.baseImage : image,
+        ...(previous && { fromStage: previous.name }),
+        ...(match[1] && { platform: match[1] }),
+        line,
+        exposedPorts: [],
+        env: [],
+        args: [],
+        volumes: [],
+        copiesFrom: []
+      };
+      stages.push(stage);
+      continue;
+    }
+
+    if (keyword === 'ARG') {
+      const [name, defaultValue] = args.split('=');
+      const arg = { name: name.trim(), ...(defaultValue !== undefined && { default: defaultValue.trim().replace(/^["']|["']$/g, '') }) };
+      // ARGs before the first FROM can be used in FROM lines
+      if (!stage) globalArgs[arg.name] = arg.default;
+      else stage.args.push(arg);
+      continue;
+    }
+    if (!stage) continue;
+
+    switch (keyword) {
+      case 'EXPOSE':
+        stage.exposedPorts.push(...args.split(/\s+/).filter(Boolean).map((port) => substitute(port, globalArgs)));
+        break;
+      case 'ENTRYPOINT':
+        stage.entrypoint = commandOf(args);
+        break;
+      case 'CMD':
+        stage.cmd = commandOf(args);
+        break;
+      case 'WORKDIR':
+        stage.workdir = path.posix.resolve(stage.workdir || '/', args.replace(/^["']|["']$/g, ''));
+        break;
+      case 'USER':
+        stage.user = args;
+        break;
+      case 'ENV':
+        stage.env.push(...variableNames(args));
+        break;
+      case 'VOLUME':
+        stage.volumes.push(...commandOf(args).split(/\s+/).filter(Boolean));
+        break;
+      case 'HEALTHCHECK':
+        stage.healthcheck = args.toUpperCase() === 'NONE' ? null : commandOf(args.replace(/^(--\S+\s+)*CMD\s+/i, ''));
+        break;
+      case 'COPY': {
+        const from = args.match(/--from=(\S+)/)?.[1];
+        if (from && !stage.copiesFrom.includes(from)) stage.copiesFrom.push(from);
+        break;
+      }
+    }
+  }
+
+  // The last stage is the image that runs; it inherits the settings of the stages it is built FROM
+  const chain = [];
+  for (let current = stages[stages.length - 1]; current && !chain.includes(current); current = stages.find((s) => s.name && s.name === current.fromStage)) {
+    chain.push(current);
+  }
+  const inherited = (key) => chain.find((current) => current[key] !== undefined)?.[key] ?? null;
+  const collected = (key) => [...new Set([...chain].reverse().flatMap((current) => current[key]))];
+  const final = chain[0];
+
+  return {
+    file,
+    stages: stages.map(({ name, baseImage, fromStage, platform, line }) => ({ name, baseImage, ...(fromStage && { fromStage }), ...(platform && { platform }), line })),
+    baseImages: [...new Set(stages.filter((s) => !s.fromStage).map((s) => s.baseImage))],
+    ...(final && {
+      exposedPorts: collected('exposedPorts'),
+      entrypoint: inherited('entrypoint'),
+      cmd: inherited('cmd'),
+      workdir: inherited('workdir'),
+      user: inherited('user'),
+      env: collected('env'),
+      args: [...Object.entries(globalArgs).map(([name, value]) => ({ name, ...(value !== undefined && { default: value }) })), ...final.args],
+      volumes: collected('volumes'),
+      healthcheck: inherited('healthcheck'),
+      copiesFrom: final.copiesFrom
+    })
+  };
+}
+
+// --- docker-compose ---
+
+const asList = (value) => (Array.isArray(value) ? value : value === undefined || value === null ? [] : [value]);
+const stringOf = (value) => (value === undefined || value === null ? null : Array.isArray(value) ? value.join(' ') : String(value));
+
+// "8080:80", "127.0.0.1:8080:80/udp", "3000" or { published: 8080, target: 80, protocol: "udp" }
+function parsePort(port) {
+  if (typeof port === 'object' && port !== null) {
+    return { published: stringOf(port.published), target: stringOf(port.target), protocol: port.protocol || 'tcp' };
+  }
+  const [mapping, protocol = 'tcp'] = String(port).split('/');
+  const parts = mapping.split(':');
+  return { published: parts.length > 1 ? parts[parts.length - 2] : null, target: parts[parts.length - 1], protocol };
+}
+
+// "./data:/var/lib/data:ro", "db-data:/var/lib/postgresql/data", "/tmp" or { type, source, target, read_only }
+function parseVolume(volume) {
+  if (typeof volume === 'object' && volume !== null) {
+    return { type: volume.type || 'volume', source: volume.source ?? null, target: volume.target, readOnly: Boolean(volume.read_only) };
+  }
+  const parts = String(volume).split(':');
+  if (parts.length === 1) return { type: 'volume', source: null, target: parts[0], readOnly: false };
+  const source = parts[0];
+  return {
+    type: /^[./~]|^\$/.test(source) ? 'bind' : 'volume',
+    source,
+    target: parts[1],
+    readOnly: parts[2]?.split(',').includes('ro') ?? false
+  };
+}
+
+function environmentNames(environment) {
+  if (Array.isArray(environment)) return environment.map((entry) => String(entry).split('=')[0]);
+  return Object.keys(environment || {});
+}
+
+function parseCompose(text, file) {
+  const compose = parseYaml(text) || {};
+  const directory = path.posix.dirname(file);
+
+  const services = Object.entries(compose.services || {}).map(([name, service]) => {
+    service = service || {};
+    const build = typeof service.build === 'string' ? { context: service.build } : service.build;
+    const dependsOn = Array.isArray(service.depends_on)
+      ? service.depends_on.map((dependency) => ({ service: dependency }))
+      : Object.entries(service.depends_on || {}).map(([dependency, options]) => ({ service: dependency, ...(options?.condition && { condition: options.condition }) }));
+
+    return {
+      name,
+      image: service.image || null,
+      ...(build && {
+        build: {
+          context: build.context || '.',
+          // The Dockerfile this service is built from, relative to the repository root
+          dockerfile: path.posix.normalize(path.posix.join(directory, build.context || '.', build.dockerfile || 'Dockerfile')),
+          ...(build.target && { target: build.target })
+        }
+      }),
+      ports: asList(service.ports).map(parsePort),
+      expose: asList(service.expose).map(String),
+      volumes: asList(service.volumes).map(parseVolume),
+      dependsOn,
+      environment: environmentNames(service.environment),
+      envFiles: asList(service.env_file).map((envFile) => (typeof envFile === 'object' ? envFile.path : String(envFile))),
+      command: stringOf(service.command),
+      entrypoint: stringOf(service.entrypoint),
+      ...(service.restart && { restart: service.restart }),
+      ...(service.profiles && { profiles: asList(service.profiles) }),
+      ...(service.deploy?.replicas !== undefined && { replicas: service.deploy.replicas }),
+      ...(service.healthcheck?.test && { healthcheck: stringOf(service.healthcheck.test).replace(/^CMD(-SHELL)?\s+/, '') })
+    };
+  });
+
+  return {
+    file,
+    services,
+    volumes: Object.keys(compose.volumes || {}),
+    networks: Object.keys(compose.networks || {})
+  };
+}
+
+export async function analyzeContainers(files) {
+  const candidates = files.filter((file) => !file.isDirectory);
+  const dockerfileFiles = candidates.filter((file) => DOCKERFILE.test(file.name)).slice(0, MAX_DOCKERFILES);
+  const composeFiles = candidates.filter((file) => COMPOSE_FILE.test(file.name)).slice(0, MAX_COMPOSE_FILES);
+  const errors = [];
+
+  const read = async (file, parse) => {
+    const text = await readTextFile(file.fullPath);
+    if (text === null) return null;
+    try {
+      return parse(text, toPosixPath(file.path));
+    } catch (error) {
+      errors.push({ file: toPosixPath(file.path), message: error.message });
+      return null;
+    }
+  };
+
+  const dockerfiles = (await Promise.all(dockerfileFiles.map((file) => read(file, parseDockerfile)))).filter((result) => result?.stages.length);
+  const compose = (await Promise.all(composeFiles.map((file) => read(file, parseCompose)))).filter(Boolean);
+
+  return {
+    dockerfiles,
+    compose,
+    stats: {
+      dockerfiles: dockerfiles.length,
+      composeFiles: compose.length,
+      services: compose.reduce((sum, composeFile) => sum + composeFile.services.length, 0)
+    },
+    errors
+  };
+}
@@ -0,0 +1,178 @@
+// Data model of the project: tables and collections with their columns and relations, from ORM
+// definitions and database migrations, plus a Mermaid ER diagram of them
+import { findMigrationSchemas } from '@/lib/analyzers/sqlMigrations';
+import { findOrmModels } from '@/lib/analyzers/ormModels';
+
+const MAX_ENTITIES = 150;
+const MAX_DIAGRAM_ENTITIES = 40;
+const MAX_DIAGRAM_COLUMNS = 12;
+
+// Mermaid cardinality of each relation kind, read from the `from` entity to the `to` entity
+const CARDINALITY = {
+  'many-to-one': '}o--||',
+  'one-to-one': '|o--||',
+  'many-to-many': '}o--o{'
+};
+
+const keyOf = (name) => String(name).toLowerCase();
+
+// Entities are looked up by model name, table name and variable aliases, case-insensitively. Models
+// of different ORMs may share a name, so a lookup prefers the entity defined by the same source.
+function entityIndex(entities) {
+  const index = new Map();
+  for (const record of entities) {
+    for (const name of [record.name, record.table, ...(record.aliases || [])]) {
+      if (!name) continue;
+      const candidates = index.get(keyOf(name)) || [];
+      if (!candidates.includes(record)) index.set(keyOf(name), [...candidates, record]);
+    }
+  }
+  return (name, source) => {
+    const candidates = index.get(keyOf(name)) || [];
+    return candidates.find((record) => record.sources.includes(source)) || candidates[0];
+  };
+}
+
+// ORM definitions describe the model the code works with and come first; migrations fill in
+// tables no model maps. Tables are unique once merged, so the table is the entity's `id`; names are
+// only labels.
+function mergeEntities(ormEntities, migrationEntities) {
+  const byTable = new Map();
+  for (const record of [...ormEntities, ...migrationEntities]) {
+    const existing = byTable.get(keyOf(record.table));
+    if (existing) {
+      if (!existing.sources.includes(record.source)) existing.sources.push(record.source);
+      continue;
+    }
+    byTable.set(keyOf(record.table), { id: record.table, ...record, sources: [record.source] });
+  }
+  return [...byTable.values()];
+}
+
+// Both sides of a relation usually declare it (a foreign key and a has-many, or two @OneToOne
+// properties); every relation is folded into one edge per pair of entities and kind. The side
+// holding the key goes first, so edges are labelled with its field.
+function relationshipsOf(entities, lookup) {
+  const edges = new Map();
+  const addEdge = (from, to, kind, label) => {
+    let edge = { from, to, kind, label };
+    if (kind === 'one-to-many') edge = { from: to, to: from, kind: 'many-to-one', label };
+    const key = edge.kind === 'many-to-one' ? `${edge.kind}:${edge.from}>${edge.to}` : `${edge.kind}:${[edge.from, edge.to].sort().join('|')}`;
+    if (!edges.has(key)) edges.set(key, edge);
+  };
+
+  const declared = entities.flatMap((record) => record.relations.map((relation) => ({ record, relation })));
+  for (const { record, relation } of declared.filter(({ relation }) => relation.kind !== 'one-to-many')) {
+    const target = lookup(relation.target, record.source);
+    if (target) addEdge(record.id, target.id, relation.kind, relation.field);
+  }
+  for (const record of entities) {
+    for (const field of record.columns) {
+      // Reference columns that are also declared relations (Mongoose refs) are covered above
+      if (!field.references || record.relations.some((relation) => relation.field === field.name)) continue;
+      const target = lookup(field.references.target, record.source);
+      if (target) addEdge(record.id, target.id, field.unique ? 'one-to-one' : 'many-to-one', field.name);
+    }
+  }
+  for (const { record, relation } of declared.filter(({ relation }) => relation.kind === 'one-to-many')) {
+    const target = lookup(relation.target, record.source);
+    if (target) addEdge(record.id, target.id, relation.kind, relation.field);
+  }
+
+  // A one-to-one edge already covers the many-to-one foreign key behind it
+  return [...edges.values()].filter(
+    (edge) =>
+      edge.kind !== 'many-to-one' ||
+      !edges.has(`one-to-one:${[edge.from, edge.to].sort().join('|')}`)
+  );
+}
+
+// Mermaid ER identifiers and attribute types are single words; entities show their name as an alias
+const diagramName = (name) => String(name).replace(/[^\w-]/g, '_');
+const diagramLabel = (name) => String(name).replace(/"/g, "'");
+const diagramType = (type) => String(type || 'unknown').replace(/\s*,\s*/g, ',').replace(/[^\w()[\].,*-]+/g, '_');
+
+function diagramOf(entities, relationships) {
+  // Keep the most connected entities when there are too many to draw
+  const degree = new Map();
+  relationships.forEach((edge) => {
+    degree.set(edge.from, (degree.get(edge.from) || 0) + 1);
+    degree.set(edge.to, (degree.get(edge.to) || 0) + 1);
+  });
+  const shown = [...entities].sort((a, b) => (degree.get(b.id) || 0) - (degree.get(a.id) || 0)).slice(0, MAX_DIAGRAM_ENTITIES);
+
+  // Tables that differ only in punctuation would get the same identifier
+  const diagramIds = new Map();
+  const used = new Set();
+  for (const record of shown) {
+    let id = diagramName(record.id);
+    for (let n = 2; used.has(id); n++) id = `${diagramName(record.id)}_${n}`;
+    used.add(id);
+    diagramIds.set(record.id, id);
+  }
+
+  const lines = ['erDiagram'];
+  for (const record of shown) {
+    const id = diagramIds.get(record.id);
+    const heading = record.name === id ? id : `${id}["${diagramLabel(record.name)}"]`;
+    if (record.columns.length === 0) {
+      lines.push(`  ${heading}`);
+      continue;
+    }
+    lines.push(`  ${heading} {`);
+    // Keys first, so the columns cut from wide tables are plain ones; the entity list has them all
+    const columns = [...record.columns].sort((a, b) => Number(b.primaryKey) - Number(a.primaryKey) || Number(Boolean(b.references)) - Number(Boolean(a.references)));
+    for (const field of columns.slice(0, MAX_DIAGRAM_COLUMNS)) {
+      const keys = [field.primaryKey && 'PK', field.references && 'FK', field.unique && !field.primaryKey && 'UK'].filter(Boolean);
+      lines.push(`    ${diagramType(field.type)} ${diagramName(field.name)}${keys.length ? ` ${keys.join(', ')}` : ''}`);
+    }
+    lines.push('  }');
+  }
+  for (const edge of relationships) {
+    if (!diagramIds.has(edge.from) || !diagramIds.has(edge.to)) continue;
+    lines.push(`  ${diagramIds.get(edge.from)} ${CARDINALITY[edge.kind]} ${diagramIds.get(edge.to)} : "${diagramLabel(edge.label || '')}"`);
+  }
+  return lines.join('\n');
+}
+
+export async function analyzeDataModels(files) {
+  const [orm, migrations] = await Promise.all([findOrmModels(files), findMigrationSchemas(files)]);
+  const entities = mergeEntities(orm.entities, migrations.entities);
+  const lookup = entityIndex(entities);
+
+  // Sequelize associations are usually declared apart from the models
+  for (const { from, relation } of orm.associations) {
+    lookup(from, 'sequelize')?.relations.push(relation);
+  }
+
+  // Foreign keys declared without a type take the type of the key they point at
+  for (const record of entities) {
+    for (const field of record.columns) {
+      if (field.type || !field.references) continue;
+      const target = lookup(field.references.target, record.source);
+      const key = target?.columns.find((c) => (field.references.column ? c.name === field.references.column : c.primaryKey));
+      field.type = key?.type || null;
+    }
+  }
+
+  entities.sort((a, b) => a.name.localeCompare(b.name));
+  const relationships = relationshipsOf(entities, lookup);
+  const shown = entities.slice(0, MAX_ENTITIES);
+
+  return {
+    entities: shown,
+    relationships,
+    migrations: migrations.migrations,
+    sources: [...new Set(entities.flatMap((record) => record.sources))],
+    diagram: entities.length > 0 ? diagramOf(shown, relationships) : null,
+    stats: {
+      entities: entities.length,
+      tables: entities.filter((record) => record.kind === 'table').length,
+      collections: entities.filter((record) => record.kind === 'collection').length,
+      columns: entities.reduce((sum, record) => sum + record.columns.length, 0),
+      relationships: relationships.length,
+      truncated: entities.length > MAX_ENTITIES
+    },
+    errors: [...orm.errors, ...migrations.errors].slice(0, 20)
+  };
+}
@@ -0,0 +1,262 @@
+// Environment variables read by the code (JS/TS, Python, Go, Java/Kotlin, Ruby, Rust, PHP), Spring and
+// compose `${VAR:default}` placeholders, and the variables documented in .env.example-style files
+import { isTestPath, lineAt, mapWithConcurrency, oneLine, readTextFile, stripComments, toPosixPath, unquote } from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const MAX_FILES = 3000;
+const MAX_USAGES = 20;
+const ENV_NAME = '[A-Za-z_][A-Za-z0-9_]*';
+const STRING = `(["'\`])(${ENV_NAME})\\1`;
+
+// A string, number or boolean literal right after `||`, `??`, `or`, or as the next argument of a
+// reader that takes a default (`defaultCalls`). `null`, `None` and `undefined` are not defaults: the
+// variable stays unset.
+const LITERAL = /^\s*(?:"(?:[^"\\\n]|\\.)*"|'(?:[^'\\\n]|\\.)*'|`[^`$]*`|-?\d+(?:\.\d+)?(?![\w$])|(?:true|false|True|False)(?![\w$]))/;
+const DEFAULT_OPERATOR = /^\s*(?:\|\||\?\?|\bor\b)/;
+const DESTRUCTURE = /\{([^{}]*)\}\s*=\s*(?:process\.env|import\.meta\.env|Bun\.env)\b/g;
+const BINDING = new RegExp(`^(${ENV_NAME})\\s*(?::\\s*[\\w$]+\\s*)?(?:=\\s*(.+))?$`, 's');
+
+const JS_PATTERNS = [
+  new RegExp(`\\b(?:process\\.env|import\\.meta\\.env|Bun\\.env)\\.(${ENV_NAME})`, 'g'),
+  new RegExp(`\\b(?:process\\.env|import\\.meta\\.env|Bun\\.env)\\[\\s*${STRING}\\s*\\]`, 'g'),
+  new RegExp(`\\bDeno\\.env\\.get\\(\\s*${STRING}`, 'g')
+];
+
+const LANGUAGES = [
+  {
+    extensions: ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts', '.vue', '.svelte'],
+    comments: { line: '//', block: true },
+    patterns: JS_PATTERNS,
+    destructuring: true
+  },
+  {
+    extensions: ['.py'],
+    comments: { line: '#', block: false },
+    patterns: [new RegExp(`\\b(?:os\\.)?environ\\[\\s*${STRING}\\s*\\]`, 'g')],
+    defaultCalls: [
+      new RegExp(`\\b(?:os\\.)?environ\\.(?:get|setdefault)\\(\\s*${STRING}`, 'g'),
+      new RegExp(`\\bos\\.getenv\\(\\s*${STRING}`, 'g')
+    ]
+  },
+  {
+    extensions: ['.go'],
+    comments: { line: '//', block: true },
+    patterns: [new RegExp(`\\bos\\.(?:Getenv|LookupEnv)\\(\\s*${STRING}`, 'g')]
+  },
+  {
+    extensions: ['.java', '.kt', '.scala', '.groovy'],
+    comments: { line: '//', block: true },
+    patterns: [new RegExp(`\\bSystem\\.getenv\\(\\s*${STRING}`, 'g')],
+    defaultCalls: [new RegExp(`\\bSystem\\.getenv\\(\\)\\.getOrDefault\\(\\s*${STRING}`, 'g')],
+    placeholders: true
+  },
+  {
+    extensions: ['.rb'],
+    comments: { line: '#', block: false },
+    patterns: [new RegExp(`\\bENV\\[\\s*${STRING}\\s*\\]`, 'g')],
+    defaultCalls: [new RegExp(`\\bENV\\.fetch\\(\\s*${STRING}`, 'g')]
+  },
+  {
+    extensions: ['.rs'],
+    comments: { line: '//', block: true },
+    patterns: [new RegExp(`\\b(?:std::)?env::var(?:_os)?\\(\\s*${STRING}`, 'g'), new RegExp(`\\b(?:option_)?env!\\(\\s*${STRING}`, 'g')]
+  },
+  {
+    extensions: ['.php'],
+    comments: { line: '//', block: true },
+    patterns: [
+      new RegExp(`\\bgetenv\\(\\s*${STRING}`, 'g'),
+      new RegExp(`\\$_(?:ENV|SERVER)\\[\\s*${STRING}\\s*\\]`, 'g')
+    ],
+    defaultCalls: [new RegExp(`\\benv\\(\\s*${STRING}`, 'g')]
+  }
+];
+
+// Spring application.properties/yml and docker-compose files reference variables as placeholders
+const CONFIG_FILE = /^(application|bootstrap)(-[\w-]+)?\.(properties|ya?ml)$|^(docker-)?compose(\.[\w-]+)?\.ya?ml$/;
+
+// `${NAME}`, `${NAME:default}` (Spring) and `${NAME:-default}` / `${NAME-default}` (shell, compose).
+// Spring also resolves dotted property names; only upper-case names are treated as environment variables.
+const PLACEHOLDER = /\$\{([A-Z][A-Z0-9_]*)(?:(:?-|:)([^}]*))?\}/g;
+
+// .env.example, .env.sample, .env.production.template, env.example, example.env, ...
+// Real .env files are never read: they hold actual values.
+const EXAMPLE_ENV_FILE = /^\.?env(\.[\w-]+)*\.(example|sample|template|dist|defaults)$|^(example|sample)\.env$/i;
+
+const SECRET_NAME = /SECRET|PASSW(OR)?D|PWD|TOKEN(?!S)|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIAL|SALT|SIGNING|ENCRYPTION_?KEY|(^|_)KEY$|DSN$|DATABASE_URL|CONNECTION_STRING|WEBHOOK_URL/i;
+
+// Variables inlined into browser bundles by the framework, so they can't hold secrets
+const PUBLIC_PREFIX = /^(NEXT_PUBLIC_|VITE_|REACT_APP_|EXPO_PUBLIC_|PUBLIC_|NUXT_PUBLIC_|GATSBY_)/;
+
+function literalValue(text) {
+  const trimmed = text.trim();
+  return unquote(trimmed) ?? trimmed;
+}
+
+// Default given right after a read: `process.env.X || 'a'`, or for readers taking a default,
+// `os.getenv("X", "a")` / `ENV.fetch("X", "a")`. Any other `, 'a'` is just the next argument or
+// element (`connect(process.env.HOST, 5432)`).
+function defaultAfter(text, index, { call = false } = {}) {
+  let rest = text.slice(index, index + 200);
+  let lead = call ? rest.match(/^\s*,/) : null;
+  if (!lead) {
+    if (rest.startsWith(')')) rest = rest.slice(1);
+    lead = rest.match(DEFAULT_OPERATOR);
+  }
+  if (!lead) return null;
+
+  const literal = rest.slice(lead[0].length).match(LITERAL);
+  return literal ? literalValue(literal[0]) : null;
+}
+
+function scanSource(code, filePath, language) {
+  const stripped = stripComments(code, language.comments);
+  const found = [];
+
+  const readers = [
+    ...language.patterns.map((pattern) => ({ pattern, call: false })),
+    ...(language.defaultCalls || []).map((pattern) => ({ pattern, call: true }))
+  ];
+  for (const { pattern, call } of readers) {
+    for (const match of stripped.matchAll(pattern)) {
+      const name = match[2] || match[1];
+      const defaultValue = defaultAfter(stripped, match.index + match[0].length, { call });
+      found.push({ name, file: filePath, line: lineAt(code, match.index), defaultValue });
+    }
+  }
+  if (language.destructuring) found.push(...scanDestructuring(stripped, filePath, code));
+  if (language.placeholders) found.push(...scanPlaceholders(stripped, filePath, code));
+
+  return found;
+}
+
+// const { PORT = 3000, API_URL: apiUrl } = process.env
+function scanDestructuring(text, filePath, original) {
+  return [...text.matchAll(DESTRUCTURE)].flatMap((match) =>
+    match[1]
+      .split(',')
+      .map((binding) => binding.trim().match(BINDING))
+      .filter(Boolean)
+      .map((binding) => ({
+        name: binding[1],
+        file: filePath,
+        line: lineAt(original, match.index),
+        defaultValue: binding[2] && LITERAL.test(binding[2]) ? literalValue(binding[2]) : null
+      }))
+  );
+}
+
+function scanPlaceholders(text, filePath, original = text) {
+  return [...text.matchAll(PLACEHOLDER)].map((match) => ({
+    name: match[1],
+    file: filePath,
+    line: lineAt(original, match.index),
+    defaultValue: match[2] ? literalValue(match[3]) : null
+  }));
+}
+
+// KEY=value lines, with the comment lines just above a key as its description
+function parseExampleEnv(text, filePath) {
+  const entries = [];
+  let comments = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line) {
+      comments = [];
+      return;
+    }
+    if (line.startsWith('#')) {
+      comments.push(line.replace(/^#+\s*/, ''));
+      return;
+    }
+
+    const match = line.match(/^(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (match) {
+      const value = match[2].replace(/\s+#.*$/, '').trim();
+      const inlineComment = match[2].match(/\s+#\s*(.*)$/)?.[1];
+      entries.push({
+        name: match[1],
+        file: filePath,
+        line: index + 1,
+        defaultValue: value ? literalValue(value) : null,
+        description: oneLine([...comments, inlineComment].filter(Boolean).join(' '), 300)
+      });
+    }
+    comments = [];
+  });
+
+  return entries;
+}
+
+export async function analyzeEnvironment(files) {
+  const byExtension = new Map(LANGUAGES.flatMap((language) => language.extensions.map((extension) => [extension, language])));
+  const candidates = files
+    .filter((file) => !file.isDirectory && !isTestPath(file.path))
+    .filter((file) => byExtension.has(file.extension) || CONFIG_FILE.test(file.name) || EXAMPLE_ENV_FILE.test(file.name))
+    .slice(0, MAX_FILES);
+
+  const scanned = await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+    const text = await readTextFile(file.fullPath);
+    if (text === null) return { usages: [], documented: [] };
+
+    const filePath = toPosixPath(file.path);
+    if (EXAMPLE_ENV_FILE.test(file.name)) return { usages: [], documented: parseExampleEnv(text, filePath) };
+    if (CONFIG_FILE.test(file.name)) return { usages: scanPlaceholders(stripComments(text, { line: '#', block: false }), filePath, text), documented: [] };
+    if (!/env|ENV|\$\{/.test(text)) return { usages: [], documented: [] };
+    return { usages: scanSource(text, filePath, byExtension.get(file.extension)), documented: [] };
+  });
+
+  const variables = new Map();
+  const variable = (name) => {
+    if (!variables.has(name)) variables.set(name, { name, defaults: [], description: '', documentedIn: [], usages: [], usageCount: 0 });
+    return variables.get(name);
+  };
+
+  for (const { usages } of scanned) {
+    for (const usage of usages) {
+      const entry = variable(usage.name);
+      entry.usageCount++;
+      if (entry.usages.length < MAX_USAGES) entry.usages.push({ file: usage.file, line: usage.line });
+      if (usage.defaultValue !== null && !entry.defaults.includes(usage.defaultValue)) entry.defaults.push(usage.defaultValue);
+    }
+  }
+  for (const { documented } of scanned) {
+    for (const item of documented) {
+      const entry = variable(item.name);
+      if (!entry.documentedIn.includes(item.file)) entry.documentedIn.push(item.file);
+      if (!entry.description && item.description) entry.description = item.description;
+      if (item.defaultValue !== null && entry.defaults.length === 0) entry.exampleValue = item.defaultValue;
+    }
+  }
+
+  const result = [...variables.values()]
+    .map((entry) => {
+      const isPublic = PUBLIC_PREFIX.test(entry.name);
+      const secret = !isPublic && SECRET_NAME.test(entry.name);
+      // Values of secret-looking variables are kept out of the docs
+      const { exampleValue, defaults, ...rest } = entry;
+      return {
+        ...rest,
+        secret,
+        ...(isPublic && { public: true }),
+        defaults: secret ? [] : defaults,
+        ...(exampleValue !== undefined && !secret && { exampleValue }),
+        ...(secret && (defaults.length > 0 || exampleValue !== undefined) && { hasDefault: true })
+      };
+    })
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const exampleFiles = [...new Set(result.flatMap((entry) => entry.documentedIn))].sort();
+
+  return {
+    variables: result,
+    exampleFiles,
+    stats: {
+      variables: result.length,
+      secrets: result.filter((entry) => entry.secret).length,
+      undocumented: exampleFiles.length > 0 ? result.filter((entry) => entry.documentedIn.length === 0).length : null,
+      usages: result.reduce((sum, entry) => sum + entry.usageCount, 0)
+    }
+  };
+}
@@ -0,0 +1,218 @@
+// Git history of the analyzed branch (history mode): the active contributors, the files changed most
+// in a recent window, the age of the top-level modules, and the latest tags and changelog releases
+import { execFile } from 'child_process';
+import path from 'path';
+import { promisify } from 'util';
+import { readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const execFileAsync = promisify(execFile);
+
+export const MAX_HISTORY_DEPTH = 5000;
+const GIT_TIMEOUT = 60000;
+const RECENT_WINDOW_DAYS = 90;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_CONTRIBUTORS = 20;
+const MAX_AREAS = 3;
+const MAX_HOTSPOTS = 15;
+const MAX_MODULES = 30;
+const MAX_TAGS = 10;
+const MAX_RELEASES = 5;
+
+const BOT_AUTHOR = /\[bot\]|^(dependabot|renovate|github-actions|greenkeeper|snyk-bot)\b/i;
+const CHANGELOG = /^(CHANGELOG|CHANGES|HISTORY|RELEASES)(\.md)?$/i;
+// `## [1.4.0] - 2024-05-01`, `## v1.4.0 (2024-05-01)`, `# 1.4.0`
+const RELEASE_HEADING = /^#{1,3}\s+\[?v?(\d+\.\d+(?:\.\d+)?(?:[-+][\w.]+)?)\]?(?:\([^)]*\))?(?:\s*[-–(]\s*(\d{4}-\d{2}-\d{2}))?/gm;
+
+// Commits cloned for history mode: null keeps the server default, 0 turns history mode off
+export function normalizeHistoryDepth(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const depth = Number(value);
+  if (!Number.isInteger(depth) || depth < 0 || depth > MAX_HISTORY_DEPTH) {
+    throw new Error(`History depth must be a whole number of commits between 0 and ${MAX_HISTORY_DEPTH}`);
+  }
+  return depth;
+}
+
+// History depth for a repository: its own `historyDepth`, else DOCWEAVE_HISTORY_DEPTH, else off (0)
+export function historyDepthFor(repository) {
+  if (repository?.historyDepth !== undefined && repository.historyDepth !== null) return repository.historyDepth;
+  try {
+    return normalizeHistoryDepth(process.env.DOCWEAVE_HISTORY_DEPTH) ?? 0;
+  } catch (error) {
+    console.warn(`Ignoring DOCWEAVE_HISTORY_DEPTH: ${error.message}`);
+    return 0;
+  }
+}
+
+// Run git with an argument array; nothing goes through a shell
+async function git(repoPath, args) {
+  const { stdout } = await execFileAsync('git', ['-C', repoPath, ...args], {
+    timeout: GIT_TIMEOUT,
+    maxBuffer: 1024 * 1024 * 64
+  });
+  return stdout;
+}
+
+// `git log --numstat` records: header fields separated by \x1f, then `added\tdeleted\tpath` lines
+function parseLog(output) {
+  return output.split('\x1e').filter((record) => record.trim()).map((record) => {
+    const [header, ...lines] = record.split('\n');
+    const [sha, name, email, date] = header.split('\x1f');
+    const files = lines.map((line) => line.split('\t')).filter((parts) => parts.length === 3).map(([added, deleted, file]) => ({
+      file: toPosixPath(file),
+      // Binary files show `-` instead of line counts
+      lines: (Number(added) || 0) + (Number(deleted) || 0)
+    }));
+    return { sha, author: { name, email: email.toLowerCase() }, date, time: Date.parse(date), files };
+  });
+}
+
+// Commits whose parents were cut off by a shallow clone. Their diff is the whole tree, so they only
+// tell that a file existed, not that it changed.
+async function shallowBoundaries(repoPath) {
+  const shallowFile = (await git(repoPath, ['rev-parse', '--git-path', 'shallow'])).trim();
+  const content = await readTextFile(path.resolve(repoPath, shallowFile));
+  return new Set((content || '').split('\n').map((line) => line.trim()).filter(Boolean));
+}
+
+const areaOf = (file) => (file.includes('/') ? file.split('/')[0] : '(root)');
+const topEntries = (counts, limit) => [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])).slice(0, limit);
+
+function contributorsOf(commits, windowStart) {
+  const byAuthor = new Map();
+  for (const commit of commits) {
+    const key = commit.author.email || commit.author.name;
+    if (!byAuthor.has(key)) {
+      byAuthor.set(key, { name: commit.author.name, commits: 0, recentCommits: 0, firstCommit: commit.date, lastCommit: commit.date, areas: new Map() });
+    }
+    const contributor = byAuthor.get(key);
+    contributor.commits++;
+    if (commit.time >= windowStart) contributor.recentCommits++;
+    // Commits are newest first
+    contributor.firstCommit = commit.date;
+    for (const { file } of commit.files) contributor.areas.set(areaOf(file), (contributor.areas.get(areaOf(file)) || 0) + 1);
+  }
+
+  return [...byAuthor.values()]
+    .map((contributor) => ({ ...contributor, areas: topEntries(contributor.areas, MAX_AREAS).map(([area]) => area) }))
+    .sort((a, b) => b.recentCommits - a.recentCommits || b.commits - a.commits || a.name.localeCompare(b.name));
+}
+
+function hotspotsOf(commits, windowStart, knownFiles) {
+  const byFile = new Map();
+  for (const commit of commits) {
+    if (commit.time < windowStart) continue;
+    for (const { file, lines } of commit.files) {
+      // Deleted and renamed-away files are no longer part of the code
+      if (!knownFiles.has(file)) continue;
+      const entry = byFile.get(file) || { file, commits: 0, linesChanged: 0, authors: new Set() };
+      entry.commits++;
+      entry.linesChanged += lines;
+      entry.authors.add(commit.author.email || commit.author.name);
+      byFile.set(file, entry);
+    }
+  }
+
+  return [...byFile.values()]
+    .filter((entry) => entry.commits > 1)
+    .sort((a, b) => b.commits - a.commits || b.linesChanged - a.linesChanged || a.file.localeCompare(b.file))
+    .slice(0, MAX_HOTSPOTS)
+    .map((entry) => ({ ...entry, authors: entry.authors.size }));
+}
+
+// First and last commit touching each top-level directory. When the first one is a shallow boundary
+// the module is older than the fetched history (`olderThanHistory`).
+function modulesOf(commits, boundaries, windowStart, topLevelDirs) {
+  const modules = new Map(topLevelDirs.map((dir) => [dir, { path: dir, commits: 0, recentCommits: 0, authors: new Set(), firstCommit: null, lastCommit: null, olderThanHistory: false }]));
+
+  for (const commit of commits) {
+    const touched = new Set(commit.files.map(({ file }) => areaOf(file)));
+    for (const dir of touched) {
+      const entry = modules.get(dir);
+      if (!entry) continue;
+      entry.lastCommit ??= commit.date;
+      entry.firstCommit = commit.date;
+      entry.olderThanHistory = boundaries.has(commit.sha);
+      if (boundaries.has(commit.sha)) continue;
+      entry.commits++;
+      if (commit.time >= windowStart) entry.recentCommits++;
+      entry.authors.add(commit.author.email || commit.author.name);
+    }
+  }
+
+  return [...modules.values()]
+    .filter((entry) => entry.firstCommit)
+    .sort((a, b) => Date.parse(a.firstCommit) - Date.parse(b.firstCommit) || a.path.localeCompare(b.path))
+    .slice(0, MAX_MODULES)
+    .map((entry) => ({ ...entry, authors: entry.authors.size }));
+}
+
+async function readTags(repoPath) {
+  const output = await git(repoPath, [
+    'for-each-ref', 'refs/tags', '--sort=-creatordate', `--count=${MAX_TAGS}`,
+    '--format=%(refname:short)%1f%(creatordate:iso-strict)%1f%(if)%(*objectname)%(then)%(*objectname:short)%(else)%(objectname:short)%(end)%1f%(subject)'
+  ]);
+  return output.split('\n').filter(Boolean).map((line) => {
+    const [name, date, commit, subject] = line.split('\x1f');
+    return { name, date: date || null, commit, ...(subject && { subject }) };
+  });
+}
+
+async function readReleases(files) {
+  const changelog = files
+    .filter((file) => !file.isDirectory && CHANGELOG.test(file.name) && !toPosixPath(file.path).includes('/'))
+    .sort((a, b) => a.name.length - b.name.length)[0];
+  const text = changelog && (await readTextFile(changelog.fullPath));
+  if (!text) return { file: null, entries: [] };
+
+  const entries = [...text.matchAll(RELEASE_HEADING)].slice(0, MAX_RELEASES).map((match) => ({ version: match[1], date: match[2] || null }));
+  return { file: toPosixPath(changelog.path), entries };
+}
+
+export async function analyzeGitHistory(repoPath, files, { depth }) {
+  let commits;
+  let boundaries;
+  try {
+    const log = await git(repoPath, [
+      'log', '-n', String(depth), '--no-merges', '--no-renames', '--numstat', '--format=%x1e%H%x1f%aN%x1f%aE%x1f%aI'
+    ]);
+    commits = parseLog(log);
+    boundaries = await shallowBoundaries(repoPath);
+  } catch (error) {
+    // Plain directories have no history to read
+    console.warn(`Git history unavailable for ${repoPath}: ${error.message}`);
+    return null;
+  }
+  if (commits.length === 0) return null;
+
+  const latest = commits[0].time;
+  const windowStart = latest - RECENT_WINDOW_DAYS * DAY_MS;
+  const humans = commits.filter((commit) => !BOT_AUTHOR.test(commit.author.name) && !BOT_AUTHOR.test(commit.author.email));
+  const changes = humans.filter((commit) => !boundaries.has(commit.sha));
+  const knownFiles = new Set(files.filter((file) => !file.isDirectory).map((file) => toPosixPath(file.path)));
+  const topLevelDirs = [...new Set([...knownFiles].filter((file) => file.includes('/')).map(areaOf))];
+
+  const contributors = contributorsOf(humans, windowStart);
+  const [tags, releases] = await Promise.all([readTags(repoPath).catch(() => []), readReleases(files)]);
+
+  return {
+    depth,
+    truncated: boundaries.size > 0 || commits.length >= depth,
+    oldestCommit: commits[commits.length - 1].date,
+    latestCommit: commits[0].date,
+    window: { days: RECENT_WINDOW_DAYS, since: new Date(windowStart).toISOString() },
+    contributors: contributors.slice(0, MAX_CONTRIBUTORS),
+    hotspots: hotspotsOf(changes, windowStart, knownFiles),
+    modules: modulesOf(commits, boundaries, windowStart, topLevelDirs),
+    tags,
+    releases,
+    stats: {
+      commits: commits.length,
+      recentCommits: commits.filter((commit) => commit.time >= windowStart).length,
+      botCommits: commits.length - humans.length,
+      contributors: contributors.length,
+      activeContributors: contributors.filter((contributor) => contributor.recentCommits > 0).length
+    }
+  };
+}
@@ -0,0 +1,135 @@
+// HTTP routes in Go services: net/http HandleFunc/Handle (including Go 1.22 "GET /path" patterns),
+// gin/echo/fiber/chi method calls, gin-style groups, chi Route blocks and gorilla/mux subrouters
+import { extractPathParams, joinRoutePath } from '@/lib/analyzers/routePaths';
+import {
+  isTestPath,
+  lineAt,
+  mapWithConcurrency,
+  oneLine,
+  readBalanced,
+  readTextFile,
+  splitArguments,
+  stripComments,
+  toPosixPath,
+  unquote
+} from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+
+const ROUTE_CALL = /\b([A-Za-z_]\w*)\.(GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|Any|Get|Post|Put|Patch|Delete|Head|Options|All|HandleFunc|Handle|Method|MethodFunc)\s*\(/g;
+const GROUP_ASSIGNMENT = /\b([A-Za-z_]\w*)\s*:?=\s*([A-Za-z_]\w*)\.(?:Group\s*\(\s*("[^"]*"|`[^`]*`)|PathPrefix\s*\(\s*("[^"]*"|`[^`]*`)\s*\)\s*\.Subrouter\s*\(\s*\))/g;
+const ROUTE_BLOCK = /\b[A-Za-z_]\w*\.Route\s*\(\s*("[^"]*"|`[^`]*`)\s*,\s*func\s*\(/g;
+
+const FRAMEWORK_IMPORTS = [
+  ['github.com/gin-gonic/gin', 'gin'],
+  ['github.com/go-chi/chi', 'chi'],
+  ['github.com/labstack/echo', 'echo'],
+  ['github.com/gofiber/fiber', 'fiber'],
+  ['github.com/gorilla/mux', 'gorilla']
+];
+
+// "GET" or the net/http constant http.MethodGet
+function methodName(text) {
+  const constant = text.match(/^http\.Method([A-Za-z]+)$/);
+  return constant ? constant[1].toUpperCase() : unquote(text);
+}
+
+function handlerName(text) {
+  if (!text) return 'unknown';
+  return /^func\s*\(/.test(text) ? 'inline' : oneLine(text, 80);
+}
+
+// chi's r.Route("/api", func(r chi.Router) { ... }) blocks: routes inside get the prefix
+function routeBlocks(stripped) {
+  const blocks = [];
+  for (const match of stripped.matchAll(ROUTE_BLOCK)) {
+    const call = readBalanced(stripped, stripped.indexOf('(', match.index));
+    if (call) blocks.push({ start: match.index, end: call.end, prefix: unquote(match[1]) });
+  }
+  return blocks;
+}
+
+function scanGoFile(code, filePath) {
+  const stripped = stripComments(code);
+  const framework = FRAMEWORK_IMPORTS.find(([module]) => code.includes(`"${module}`))?.[1] || 'net/http';
+
+  // Group variables: v1 := r.Group("/v1"), admin := v1.Group("/admin"), s := r.PathPrefix("/x").Subrouter()
+  const groups = new Map();
+  for (const match of stripped.matchAll(GROUP_ASSIGNMENT)) {
+    groups.set(match[1], { parent: match[2], prefix: unquote(match[3] || match[4]) });
+  }
+  const groupPrefix = (variable, seen = new Set()) => {
+    const group = groups.get(variable);
+    if (!group || seen.has(variable)) return '';
+    return joinRoutePath(groupPrefix(group.parent, seen.add(variable)), group.prefix);
+  };
+
+  const blocks = routeBlocks(stripped);
+  const routes = [];
+
+  for (const match of stripped.matchAll(ROUTE_CALL)) {
+    const call = readBalanced(stripped, match.index + match[0].length - 1);
+    if (!call) continue;
+
+    const [variable, name] = [match[1], match[2]];
+    let args = splitArguments(call.content);
+    let methods;
+
+    if (name === 'Method' || name === 'MethodFunc' || (name === 'Handle' && /^[A-Z]+$/.test(unquote(args[0] || '') || ''))) {
+      // chi: r.Method("GET", "/path", handler), gin: r.Handle("GET", "/path", handler)
+      methods = [unquote(args[0] || '')?.toUpperCase()].filter(Boolean);
+      args = args.slice(1);
+    } else if (name === 'HandleFunc' || name === 'Handle') {
+      // gorilla/mux: r.HandleFunc("/path", h).Methods("GET", "POST")
+      const chained = stripped.slice(call.end).match(/^\s*\.\s*Methods\s*\(/);
+      const methodCall = chained ? readBalanced(stripped, call.end + chained[0].length - 1) : null;
+      methods = methodCall ? splitArguments(methodCall.content).map(methodName).filter(Boolean) : ['ALL'];
+    } else {
+      methods = [name === 'Any' || name === 'All' ? 'ALL' : name.toUpperCase()];
+    }
+
+    let routePath = unquote(args[0] || '');
+    if (routePath === null || args.length < 2) continue;
+
+    // Go 1.22 patterns carry the method: "GET /items/{id}"
+    const pattern = routePath.match(/^([A-Z]+)\s+(\/.*)$/);
+    if (pattern) {
+      methods = [pattern[1]];
+      routePath = pattern[2];
+    }
+    if (!routePath.startsWith('/')) continue;
+
+    const blockPrefix = blocks
+      .filter((block) => block.start < match.index && match.index < block.end)
+      .reduce((prefix, block) => joinRoutePath(prefix, block.prefix), '');
+    const fullPath = joinRoutePath(joinRoutePath(blockPrefix, groupPrefix(variable)), routePath);
+    const handlers = args.slice(1);
+
+    for (const method of methods) {
+      routes.push({
+        method: method.toUpperCase(),
+        path: fullPath,
+        framework,
+        file: filePath,
+        line: lineAt(code, match.index),
+        handler: handlerName(handlers[handlers.length - 1]),
+        params: extractPathParams(fullPath),
+        ...(handlers.length > 1 && { middleware: handlers.slice(0, -1).map(handlerName) })
+      });
+    }
+  }
+
+  return routes;
+}
+
+export async function findGoRoutes(files) {
+  const candidates = files.filter((file) => file.extension === '.go' && !file.name.endsWith('_test.go') && !isTestPath(file.path));
+
+  const routes = await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+    const code = await readTextFile(file.fullPath);
+    if (code === null) return [];
+    return scanGoFile(code, toPosixPath(file.path));
+  });
+
+  return routes.flat();
+}
@@ -0,0 +1,178 @@
+// GraphQL SDL files: object types, interfaces, inputs, enums, unions and scalars, plus the query,
+// mutation and subscription root fields. `extend` definitions are merged into their base type.
+import { Kind, parse, print } from 'graphql';
+import { isTestPath, mapWithConcurrency, oneLine, readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 4;
+const MAX_SDL_BYTES = 1024 * 1024;
+const MAX_FILES = 200;
+const SDL_EXTENSIONS = ['.graphql', '.gql', '.graphqls'];
+
+const KINDS = {
+  [Kind.OBJECT_TYPE_DEFINITION]: 'type',
+  [Kind.OBJECT_TYPE_EXTENSION]: 'type',
+  [Kind.INTERFACE_TYPE_DEFINITION]: 'interface',
+  [Kind.INTERFACE_TYPE_EXTENSION]: 'interface',
+  [Kind.INPUT_OBJECT_TYPE_DEFINITION]: 'input',
+  [Kind.INPUT_OBJECT_TYPE_EXTENSION]: 'input',
+  [Kind.ENUM_TYPE_DEFINITION]: 'enum',
+  [Kind.ENUM_TYPE_EXTENSION]: 'enum',
+  [Kind.UNION_TYPE_DEFINITION]: 'union',
+  [Kind.UNION_TYPE_EXTENSION]: 'union',
+  [Kind.SCALAR_TYPE_DEFINITION]: 'scalar',
+  [Kind.SCALAR_TYPE_EXTENSION]: 'scalar'
+};
+
+const ROOT_OPERATIONS = { query: 'Query', mutation: 'Mutation', subscription: 'Subscription' };
+
+const describe = (node) => (node.description ? oneLine(node.description.value, 300) : '');
+
+// `@deprecated(reason: "...")` -> the reason (or true), otherwise undefined
+function deprecation(node) {
+  const directive = node.directives?.find((d) => d.name.value === 'deprecated');
+  if (!directive) return undefined;
+  const reason = directive.arguments?.find((arg) => arg.name.value === 'reason');
+  return reason?.value.kind === Kind.STRING ? reason.value.value : true;
+}
+
+function describeArgument(node) {
+  return {
+    name: node.name.value,
+    type: print(node.type),
+    ...(node.defaultValue && { defaultValue: print(node.defaultValue) }),
+    description: describe(node),
+    ...(deprecation(node) && { deprecated: deprecation(node) })
+  };
+}
+
+function describeField(node) {
+  return {
+    name: node.name.value,
+    type: print(node.type),
+    args: (node.arguments || []).map(describeArgument),
+    description: describe(node),
+    ...(deprecation(node) && { deprecated: deprecation(node) })
+  };
+}
+
+// Add a definition or extension to the merged type map
+function mergeDefinition(types, node, file) {
+  const name = node.name.value;
+  const kind = KINDS[node.kind];
+  if (!types.has(name)) {
+    types.set(name, { name, kind, description: '', files: [], fields: [], values: [], types: [], interfaces: [] });
+  }
+
+  const type = types.get(name);
+  if (!type.description) type.description = describe(node);
+  if (!type.files.includes(file)) type.files.push(file);
+
+  const fieldNames = new Set(type.fields.map((field) => field.name));
+  for (const field of node.fields || []) {
+    if (fieldNames.has(field.name.value)) continue;
+    fieldNames.add(field.name.value);
+    type.fields.push(kind === 'input' ? { ...describeArgument(field), args: [] } : describeField(field));
+  }
+  for (const value of node.values || []) {
+    if (!type.values.some((existing) => existing.name === value.name.value)) {
+      type.values.push({ name: value.name.value, description: describe(value), ...(deprecation(value) && { deprecated: deprecation(value) }) });
+    }
+  }
+  for (const member of node.types || []) {
+    if (!type.types.includes(member.name.value)) type.types.push(member.name.value);
+  }
+  for (const implemented of node.interfaces || []) {
+    if (!type.interfaces.includes(implemented.name.value)) type.interfaces.push(implemented.name.value);
+  }
+}
+
+// Type system definitions of one SDL document; client documents with only operations are skipped
+function scanDocument(text, file) {
+  const document = parse(text, { noLocation: true });
+  const definitions = [];
+  const roots = {};
+
+  for (const node of document.definitions) {
+    if (KINDS[node.kind]) {
+      definitions.push(node);
+    } else if (node.kind === Kind.SCHEMA_DEFINITION || node.kind === Kind.SCHEMA_EXTENSION) {
+      for (const operationType of node.operationTypes || []) {
+        roots[operationType.operation] = operationType.type.name.value;
+      }
+    }
+  }
+
+  return { file, definitions, roots };
+}
+
+// Strip the bookkeeping arrays that don't apply to a type's kind
+function compactType(type) {
+  const { fields, values, types, interfaces, ...rest } = type;
+  return {
+    ...rest,
+    ...(['type', 'interface', 'input'].includes(type.kind) && { fields }),
+    ...(interfaces.length > 0 && { interfaces }),
+    ...(type.kind === 'enum' && { values }),
+    ...(type.kind === 'union' && { types })
+  };
+}
+
+export async function analyzeGraphQL(files) {
+  const candidates = files
+    .filter((file) => !file.isDirectory && SDL_EXTENSIONS.includes(file.extension) && !isTestPath(file.path))
+    .slice(0, MAX_FILES);
+
+  const errors = [];
+  const scanned = (
+    await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+      const text = await readTextFile(file.fullPath, MAX_SDL_BYTES);
+      if (text === null) return null;
+
+      const filePath = toPosixPath(file.path);
+      try {
+        return { ...scanDocument(text, filePath), size: file.size };
+      } catch (error) {
+        errors.push({ file: filePath, message: oneLine(error.message, 200) });
+        return null;
+      }
+    })
+  ).filter((document) => document && (document.definitions.length > 0 || Object.keys(document.roots).length > 0));
+
+  // Definitions before extensions, so `extend type` never shadows the base type's description
+  const types = new Map();
+  const ordered = scanned.flatMap((document) => document.definitions.map((node) => ({ node, file: document.file })));
+  ordered
+    .sort((a, b) => Number(a.node.kind.endsWith('Extension')) - Number(b.node.kind.endsWith('Extension')))
+    .forEach(({ node, file }) => mergeDefinition(types, node, file));
+
+  const roots = { ...ROOT_OPERATIONS, ...Object.assign({}, ...scanned.map((document) => document.roots)) };
+  const rootFields = (operation) => types.get(roots[operation])?.fields || [];
+  const rootNames = new Set(Object.values(roots));
+
+  const kindOrder = ['type', 'interface', 'input', 'enum', 'union', 'scalar'];
+  const namedTypes = [...types.values()]
+    .filter((type) => !rootNames.has(type.name))
+    .sort((a, b) => kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind) || a.name.localeCompare(b.name))
+    .map(compactType);
+
+  const result = {
+    files: scanned.map((document) => ({ file: document.file, size: document.size, definitions: document.definitions.length })),
+    roots,
+    queries: rootFields('query'),
+    mutations: rootFields('mutation'),
+    subscriptions: rootFields('subscription'),
+    types: namedTypes
+  };
+
+  return {
+    ...result,
+    stats: {
+      files: result.files.length,
+      types: namedTypes.length,
+      queries: result.queries.length,
+      mutations: result.mutations.length,
+      subscriptions: result.subscriptions.length
+    },
+    errors
+  };
+}
@@ -0,0 +1,26 @@
+// HTTP routes found in the code, across frameworks and languages
+import { findGoRoutes } from '@/lib/analyzers/goRoutes';
+import { findJavaScriptRoutes } from '@/lib/analyzers/jsRoutes';
+import { findPythonRoutes } from '@/lib/analyzers/pythonRoutes';
+import { findSpringRoutes } from '@/lib/analyzers/springRoutes';
+
+const MAX_ROUTES = 500;
+
+export async function analyzeHttpRoutes(files) {
+  const routes = (
+    await Promise.all([findJavaScriptRoutes(files), findPythonRoutes(files), findSpringRoutes(files), findGoRoutes(files)])
+  ).flat();
+
+  routes.sort((a, b) => a.path.localeCompare(b.path) || a.method.localeCompare(b.method) || a.file.localeCompare(b.file));
+
+  const byMethod = {};
+  routes.forEach((route) => {
+    byMethod[route.method] = (byMethod[route.method] || 0) + 1;
+  });
+
+  return {
+    routes: routes.slice(0, MAX_ROUTES),
+    frameworks: [...new Set(routes.map((route) => route.framework))],
+    stats: { total: routes.length, truncated: routes.length > MAX_ROUTES, byMethod }
+  };
+}
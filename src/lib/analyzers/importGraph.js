@@ -0,0 +1,409 @@
+// Module-level import graph of JavaScript/TypeScript and Python sources: which files import which,
+// collapsed to directory components with the dependencies between them, import cycles, the most
+// coupled modules and a Mermaid diagram of the components
+import path from 'path';
+import { isJavaScriptSource } from '@/lib/analyzers/javascriptApi';
+import { JS_EXTENSIONS, parseJavaScript, walkAst } from '@/lib/analyzers/jsParser';
+import { isTestPath, mapWithConcurrency, readTextFile, stripComments, toPosixPath } from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const MAX_FILES = 2000;
+const MAX_FILE_SIZE = 256 * 1024;
+const MAX_COMPONENTS = 12;
+const MAX_COMPONENT_DEPTH = 4;
+const MAX_DIAGRAM_EDGES = 60;
+const MAX_CYCLES = 20;
+const MAX_HOTSPOTS = 10;
+const MIN_HOTSPOT_DEGREE = 5;
+
+const isPythonSource = (file) => file.extension === '.py' && !isTestPath(file.path) && file.size <= MAX_FILE_SIZE;
+
+// --- JavaScript / TypeScript ---
+
+function stringValue(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+// Specifiers of import/export-from declarations, require() and dynamic import(). Type-only imports are
+// skipped: they don't exist at runtime, so they can't create a dependency or a cycle.
+function javascriptSpecifiers(code, filePath) {
+  const specifiers = new Set();
+
+  walkAst(parseJavaScript(code, filePath).program, (node) => {
+    if (['ImportDeclaration', 'ExportAllDeclaration', 'ExportNamedDeclaration'].includes(node.type) && node.source) {
+      if (node.importKind !== 'type' && node.exportKind !== 'type') specifiers.add(node.source.value);
+    } else if (node.type === 'CallExpression' && (node.callee.type === 'Import' || node.callee.name === 'require')) {
+      const specifier = stringValue(node.arguments[0]);
+      if (specifier) specifiers.add(specifier);
+    }
+  });
+
+  return [...specifiers];
+}
+
+// tsconfig/jsconfig files are JSON with comments and trailing commas
+function parseJsonc(text) {
+  try {
+    return JSON.parse(stripComments(text).replace(/,(\s*[}\]])/g, '$1'));
+  } catch {
+    return null;
+  }
+}
+
+// `compilerOptions.baseUrl` and `paths` aliases (`@/*` -> `./src/*`) of every tsconfig/jsconfig in the tree
+async function readPathAliases(files) {
+  const configFiles = files.filter((file) => /^[tj]sconfig\.json$/.test(file.name));
+  const configs = await Promise.all(configFiles.map(async (file) => {
+    const text = await readTextFile(file.fullPath);
+    const options = text && parseJsonc(text)?.compilerOptions;
+    if (!options?.paths && !options?.baseUrl) return null;
+
+    const dir = path.posix.dirname(toPosixPath(file.path));
+    const baseDir = path.posix.join(dir, options.baseUrl || '.');
+    return {
+      dir,
+      baseDir,
+      hasBaseUrl: Boolean(options.baseUrl),
+      paths: Object.entries(options.paths || {}).map(([pattern, targets]) => ({ pattern, targets: [].concat(targets) }))
+    };
+  }));
+
+  // Deepest config first, so each file uses the config closest to it
+  return configs.filter(Boolean).sort((a, b) => b.dir.length - a.dir.length);
+}
+
+// Directories of the workspace packages (`@acme/ui` -> packages/ui) with their entry files
+async function readLocalPackages(files) {
+  const manifests = files.filter((file) => file.name === 'package.json' && toPosixPath(file.path).includes('/'));
+  const packages = await Promise.all(manifests.map(async (file) => {
+    const text = await readTextFile(file.fullPath);
+    const manifest = text && parseJsonc(text);
+    if (!manifest?.name) return null;
+    return {
+      name: manifest.name,
+      dir: path.posix.dirname(toPosixPath(file.path)),
+      entries: [manifest.source, manifest.module, manifest.main].filter((entry) => typeof entry === 'string')
+    };
+  }));
+
+  // Longest name first, so `@acme/ui-kit` is not matched as `@acme/ui` + `-kit`
+  return packages.filter(Boolean).sort((a, b) => b.name.length - a.name.length);
+}
+
+function createJavaScriptResolver(knownFiles, aliases, localPackages) {
+  // `./utils` -> utils.ts, utils/index.js; TypeScript ESM imports `./utils.js` for utils.ts
+  const resolveFile = (base) => {
+    const normalized = path.posix.normalize(base);
+    const withoutExtension = normalized.replace(/\.[cm]?jsx?$/, '');
+    const candidates = [
+      normalized,
+      ...JS_EXTENSIONS.map((ext) => `${normalized}${ext}`),
+      ...JS_EXTENSIONS.map((ext) => `${withoutExtension}${ext}`),
+      ...JS_EXTENSIONS.map((ext) => `${normalized}/index${ext}`)
+    ];
+    return candidates.find((candidate) => knownFiles.has(candidate)) || null;
+  };
+
+  const resolveAlias = (fromFile, specifier) => {
+    const config = aliases.find((candidate) => candidate.dir === '.' || fromFile.startsWith(`${candidate.dir}/`));
+    if (!config) return null;
+
+    for (const { pattern, targets } of config.paths) {
+      const [prefix, suffix = ''] = pattern.split('*');
+      const wildcard = pattern.includes('*');
+      if (wildcard ? !(specifier.startsWith(prefix) && specifier.endsWith(suffix)) : specifier !== pattern) continue;
+
+      const matched = wildcard ? specifier.slice(prefix.length, specifier.length - suffix.length) : '';
+      for (const target of targets) {
+        const file = resolveFile(path.posix.join(config.baseDir, target.replace('*', matched)));
+        if (file) return file;
+      }
+    }
+    // With a baseUrl, bare specifiers may be paths from it (`components/Button`)
+    return config.hasBaseUrl ? resolveFile(path.posix.join(config.baseDir, specifier)) : null;
+  };
+
+  const resolvePackage = (specifier) => {
+    const pkg = localPackages.find((candidate) => specifier === candidate.name || specifier.startsWith(`${candidate.name}/`));
+    if (!pkg) return null;
+
+    const subpath = specifier.slice(pkg.name.length + 1);
+    if (subpath) return resolveFile(path.posix.join(pkg.dir, subpath)) || resolveFile(path.posix.join(pkg.dir, 'src', subpath));
+    // `main` usually points at a build output that isn't checked in, so fall back to the sources
+    const entries = [...pkg.entries, 'src/index', 'index'];
+    return entries.map((entry) => resolveFile(path.posix.join(pkg.dir, entry))).find(Boolean) || null;
+  };
+
+  return (fromFile, specifier) => {
+    if (specifier.startsWith('.')) return resolveFile(path.posix.join(path.posix.dirname(fromFile), specifier));
+    if (specifier.startsWith('/') || /^[a-z]+:/.test(specifier)) return null;
+    return resolveAlias(fromFile, specifier) || resolvePackage(specifier);
+  };
+}
+
+// --- Python ---
+
+// `import a.b as c, d` and `from .x import (y, z)` statements
+function pythonStatements(code) {
+  const statements = [];
+  const text = stripComments(code, { line: '#', block: false });
+
+  for (const match of text.matchAll(/^[ \t]*from\s+([.\w]+)\s+import\s+(\([^)]*\)|[^\n]+)/gm)) {
+    const names = match[2].replace(/[()\\]/g, ' ').split(',').map((entry) => entry.trim().split(/\s+as\s+/)[0].trim());
+    statements.push({ module: match[1], names: names.filter((name) => name && name !== '*') });
+  }
+  for (const match of text.matchAll(/^[ \t]*import\s+([\w.]+(?:\s+as\s+\w+)?(?:\s*,\s*[\w.]+(?:\s+as\s+\w+)?)*)/gm)) {
+    for (const entry of match[1].split(',')) statements.push({ module: entry.trim().split(/\s+/)[0], names: null });
+  }
+
+  return statements;
+}
+
+// Dotted module name -> file. A module is importable by its path from the repository root and by its
+// path from the directory above its top-level package (src/app/db.py is `app.db` when src/ has no __init__.py).
+function pythonModuleIndex(pythonFiles) {
+  const fileSet = new Set(pythonFiles);
+  const isPackage = (dir) => fileSet.has(`${dir}/__init__.py`);
+  const index = new Map();
+
+  for (const file of pythonFiles) {
+    const parts = file.replace(/\.py$/, '').split('/');
+    if (parts[parts.length - 1] === '__init__') parts.pop();
+
+    let top = parts.length - 1;
+    while (top > 0 && isPackage(parts.slice(0, top).join('/'))) top--;
+
+    for (const name of [parts.join('.'), parts.slice(top).join('.')]) {
+      if (name && !index.has(name)) index.set(name, file);
+    }
+  }
+
+  return index;
+}
+
+function createPythonResolver(pythonFiles) {
+  const fileSet = new Set(pythonFiles);
+  const index = pythonModuleIndex(pythonFiles);
+  const moduleFile = (base) => [`${base}.py`, `${base}/__init__.py`].find((candidate) => fileSet.has(candidate)) || null;
+
+  // `from . import users` imports the submodule users; `from .models import User` imports models
+  const resolveRelative = (fromFile, { module, names }) => {
+    const dots = module.match(/^\.*/)[0].length;
+    let base = path.posix.dirname(fromFile);
+    for (let i = 1; i < dots; i++) base = path.posix.dirname(base);
+    const target = path.posix.join(base, ...module.slice(dots).split('.').filter(Boolean));
+
+    const submodules = (names || []).map((name) => moduleFile(path.posix.join(target, name))).filter(Boolean);
+    return submodules.length > 0 ? submodules : [moduleFile(target)].filter(Boolean);
+  };
+
+  // `import a.b.c` resolves to the deepest module that exists in the repository
+  const resolveAbsolute = ({ module, names }) => {
+    const submodules = (names || []).map((name) => index.get(`${module}.${name}`)).filter(Boolean);
+    if (submodules.length > 0) return submodules;
+
+    const parts = module.split('.');
+    for (let length = parts.length; length > 0; length--) {
+      const file = index.get(parts.slice(0, length).join('.'));
+      if (file) return [file];
+    }
+    return [];
+  };
+
+  return (fromFile, statement) => (statement.module.startsWith('.') ? resolveRelative(fromFile, statement) : resolveAbsolute(statement));
+}
+
+// --- Graph ---
+
+// Strongly connected components (Tarjan); the ones with more than one node are import cycles
+function findCycles(nodes, edges) {
+  const indexOf = new Map();
+  const lowLink = new Map();
+  const stack = [];
+  const onStack = new Set();
+  const cycles = [];
+  let counter = 0;
+
+  const connect = (node) => {
+    indexOf.set(node, counter);
+    lowLink.set(node, counter);
+    counter++;
+    stack.push(node);
+    onStack.add(node);
+
+    for (const next of edges.get(node) || []) {
+      if (!indexOf.has(next)) {
+        connect(next);
+        lowLink.set(node, Math.min(lowLink.get(node), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(node, Math.min(lowLink.get(node), indexOf.get(next)));
+      }
+    }
+
+    if (lowLink.get(node) === indexOf.get(node)) {
+      const component = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        component.push(member);
+      } while (member !== node);
+      if (component.length > 1) cycles.push(component.sort());
+    }
+  };
+
+  for (const node of nodes) if (!indexOf.has(node)) connect(node);
+  return cycles.sort((a, b) => b.length - a.length || a[0].localeCompare(b[0]));
+}
+
+const directoryParts = (file) => {
+  const dir = path.posix.dirname(file);
+  return dir === '.' ? [] : dir.split('/');
+};
+
+// The deepest directory level (below the directory all sources share) that still gives at most
+// MAX_COMPONENTS components, so a small project is split finely and a large one stays readable
+function componentMapper(files) {
+  const dirs = files.map(directoryParts);
+  const root = dirs.reduce((common, parts) => {
+    let length = 0;
+    while (length < common.length && common[length] === parts[length]) length++;
+    return common.slice(0, length);
+  }, dirs[0] || []);
+
+  const mapperAt = (depth) => (file) => directoryParts(file).slice(0, root.length + depth).join('/') || '.';
+  let depth = 1;
+  let count = new Set(files.map(mapperAt(depth))).size;
+  for (let candidate = 2; candidate <= MAX_COMPONENT_DEPTH; candidate++) {
+    const candidateCount = new Set(files.map(mapperAt(candidate))).size;
+    if (candidateCount > MAX_COMPONENTS) break;
+    // A level that splits nothing further would only make the names longer
+    if (candidateCount > count) [depth, count] = [candidate, candidateCount];
+  }
+
+  return { root: root.join('/') || '.', componentOf: mapperAt(depth) };
+}
+
+function mermaidLabel(text) {
+  return text.replace(/"/g, '#quot;');
+}
+
+// `graph LR` of the components: an arrow per dependency labelled with the number of imports, components
+// that are part of a cycle highlighted
+function mermaidDiagram(components, dependencies) {
+  if (components.length < 2) return null;
+
+  const ids = new Map(components.map((component, index) => [component.path, `c${index}`]));
+  const edges = [...dependencies].sort((a, b) => b.imports - a.imports).slice(0, MAX_DIAGRAM_EDGES);
+  const inCycle = components.filter((component) => component.inCycle).map((component) => ids.get(component.path));
+
+  return [
+    'graph LR',
+    ...components.map((component) => `  ${ids.get(component.path)}["${mermaidLabel(component.path)} (${component.files} ${component.files === 1 ? 'file' : 'files'})"]`),
+    ...edges.map((edge) => `  ${ids.get(edge.from)} -->|${edge.imports}| ${ids.get(edge.to)}`),
+    ...(inCycle.length > 0 ? ['  classDef cycle stroke:#f87171,stroke-width:2px', `  class ${inCycle.join(',')} cycle`] : [])
+  ].join('\n');
+}
+
+export async function analyzeImportGraph(files) {
+  const depth = (file) => toPosixPath(file.path).split('/').length;
+  const candidates = files
+    .filter((file) => !file.isDirectory && (isJavaScriptSource(file) || isPythonSource(file)))
+    .sort((a, b) => depth(a) - depth(b) || a.path.localeCompare(b.path));
+  const sources = candidates.slice(0, MAX_FILES);
+
+  const knownFiles = new Set(sources.map((file) => toPosixPath(file.path)));
+  const pythonFiles = sources.filter((file) => file.extension === '.py').map((file) => toPosixPath(file.path));
+  const resolveJavaScript = createJavaScriptResolver(knownFiles, await readPathAliases(files), await readLocalPackages(files));
+  const resolvePython = createPythonResolver(pythonFiles);
+  const errors = [];
+
+  const imports = await mapWithConcurrency(sources, CONCURRENCY, async (file) => {
+    const filePath = toPosixPath(file.path);
+    const code = await readTextFile(file.fullPath);
+    if (code === null) return [];
+
+    try {
+      if (file.extension === '.py') return pythonStatements(code).flatMap((statement) => resolvePython(filePath, statement));
+      return javascriptSpecifiers(code, filePath).map((specifier) => resolveJavaScript(filePath, specifier)).filter(Boolean);
+    } catch (error) {
+      errors.push({ file: filePath, message: error.message });
+      return [];
+    }
+  });
+
+  const edges = new Map(sources.map((file, index) => {
+    const filePath = toPosixPath(file.path);
+    return [filePath, new Set(imports[index].filter((target) => target !== filePath))];
+  }));
+  const nodes = [...edges.keys()];
+  const importCount = [...edges.values()].reduce((sum, targets) => sum + targets.size, 0);
+
+  // Files that import or are imported by something: isolated scripts don't shape the architecture
+  const importedBy = new Map(nodes.map((node) => [node, new Set()]));
+  for (const [from, targets] of edges) for (const target of targets) importedBy.get(target).add(from);
+  const connected = nodes.filter((node) => edges.get(node).size > 0 || importedBy.get(node).size > 0);
+
+  const { root, componentOf } = componentMapper(connected);
+  const componentFiles = new Map();
+  for (const node of connected) componentFiles.set(componentOf(node), (componentFiles.get(componentOf(node)) || 0) + 1);
+
+  const componentEdges = new Map();
+  for (const [from, targets] of edges) {
+    for (const target of targets) {
+      const key = `${componentOf(from)}\n${componentOf(target)}`;
+      if (componentOf(from) !== componentOf(target)) componentEdges.set(key, (componentEdges.get(key) || 0) + 1);
+    }
+  }
+  const dependencies = [...componentEdges].map(([key, count]) => {
+    const [from, to] = key.split('\n');
+    return { from, to, imports: count };
+  }).sort((a, b) => a.from.localeCompare(b.from) || a.to.localeCompare(b.to));
+
+  const componentGraph = new Map([...componentFiles.keys()].map((component) => [component, new Set()]));
+  for (const dependency of dependencies) componentGraph.get(dependency.from).add(dependency.to);
+  const componentCycles = findCycles([...componentGraph.keys()], componentGraph);
+  const cyclicComponents = new Set(componentCycles.flat());
+
+  const components = [...componentFiles].map(([componentPath, fileCount]) => {
+    const efferent = dependencies.filter((dependency) => dependency.from === componentPath).length;
+    const afferent = dependencies.filter((dependency) => dependency.to === componentPath).length;
+    return {
+      path: componentPath,
+      files: fileCount,
+      dependsOn: efferent,
+      usedBy: afferent,
+      // Instability: 0 when only depended upon (stable core), 1 when it only depends on others
+      instability: efferent + afferent > 0 ? Math.round((efferent / (efferent + afferent)) * 100) / 100 : null,
+      inCycle: cyclicComponents.has(componentPath)
+    };
+  }).sort((a, b) => a.path.localeCompare(b.path));
+
+  const cycles = findCycles(nodes, edges);
+  const hotspots = nodes
+    .map((node) => ({ file: node, fanIn: importedBy.get(node).size, fanOut: edges.get(node).size }))
+    .filter((entry) => entry.fanIn + entry.fanOut >= MIN_HOTSPOT_DEGREE)
+    .sort((a, b) => b.fanIn + b.fanOut - (a.fanIn + a.fanOut) || a.file.localeCompare(b.file))
+    .slice(0, MAX_HOTSPOTS);
+
+  return {
+    languages: [...new Set(sources.map((file) => (file.extension === '.py' ? 'python' : 'javascript')))],
+    root,
+    components,
+    dependencies,
+    cycles: cycles.slice(0, MAX_CYCLES),
+    componentCycles,
+    hotspots,
+    diagram: mermaidDiagram(components, dependencies),
+    stats: {
+      files: sources.length,
+      imports: importCount,
+      components: components.length,
+      cycles: cycles.length,
+      truncated: candidates.length > sources.length
+    },
+    errors
+  };
+}
@@ -0,0 +1,395 @@
+// Public API surface of JavaScript/TypeScript modules: exported symbols with signatures,
+// JSDoc/TSDoc comments and source locations
+import { JS_EXTENSIONS, parseJavaScript, walkAst } from '@/lib/analyzers/jsParser';
+import { isTestPath, mapWithConcurrency, oneLine, readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const MAX_FILES = 400;
+const MAX_FILE_SIZE = 256 * 1024;
+const CONCURRENCY = 8;
+const MAX_MEMBERS = 30;
+
+// Source files worth parsing: no declaration files, bundles, tests or tool configs
+export function isJavaScriptSource(file) {
+  const name = file.name.toLowerCase();
+  return (
+    JS_EXTENSIONS.includes(file.extension) &&
+    !/\.d\.[cm]?ts$/.test(name) &&
+    !name.endsWith('.min.js') &&
+    !/\.config\.[cm]?[jt]s$/.test(name) &&
+    !isTestPath(file.path) &&
+    file.size <= MAX_FILE_SIZE
+  );
+}
+
+// Shallow files first, so a large repository still gets its main modules analyzed
+function selectFiles(files) {
+  const depth = (file) => toPosixPath(file.path).split('/').length;
+  return files
+    .filter(isJavaScriptSource)
+    .sort((a, b) => depth(a) - depth(b) || a.path.localeCompare(b.path));
+}
+
+// Turn the /** ... */ comment right above a node into { description, params, returns, deprecated, examples }
+export function parseDocComment(node) {
+  const comment = [...(node?.leadingComments || [])]
+    .reverse()
+    .find((c) => c.type === 'CommentBlock' && c.value.startsWith('*'));
+  if (!comment || comment.loc.end.line < node.loc.start.line - 1) return null;
+
+  const lines = comment.value
+    .slice(1)
+    .split('\n')
+    .map((line) => line.replace(/^\s*\*? ?/, '').trimEnd());
+
+  const description = [];
+  const tags = [];
+  for (const line of lines) {
+    if (line.startsWith('@')) tags.push(line);
+    else if (tags.length) tags[tags.length - 1] += `\n${line}`;
+    else description.push(line);
+  }
+
+  const doc = { description: description.join('\n').trim(), params: [], returns: null, deprecated: null, examples: [] };
+  for (const tag of tags) {
+    const param = tag.match(/^@(?:param|arg|argument)\s+(?:\{([^}]*)\}\s*)?(\[[^\]]*\]|[\w.$]+)\s*(?:-\s*)?([\s\S]*)$/);
+    const returns = tag.match(/^@returns?\s*(?:\{([^}]*)\}\s*)?([\s\S]*)$/);
+
+    if (param) {
+      const optional = param[2].startsWith('[');
+      const [name, defaultValue] = param[2].replace(/^\[|\]$/g, '').split('=');
+      doc.params.push({
+        name: name.trim(),
+        type: param[1] || null,
+        description: oneLine(param[3], 300),
+        optional,
+        ...(defaultValue !== undefined && { defaultValue: defaultValue.trim() })
+      });
+    } else if (returns) {
+      doc.returns = { type: returns[1] || null, description: oneLine(returns[2], 300) };
+    } else if (tag.startsWith('@deprecated')) {
+      doc.deprecated = oneLine(tag.slice('@deprecated'.length)) || true;
+    } else if (tag.startsWith('@example')) {
+      doc.examples.push(tag.slice('@example'.length).trim());
+    }
+  }
+
+  const isEmpty = !doc.description && !doc.params.length && !doc.returns && !doc.deprecated && !doc.examples.length;
+  return isEmpty ? null : doc;
+}
+
+const sourceOf = (code, node) => (node ? code.slice(node.start, node.end) : '');
+
+function typeParameters(code, node) {
+  return node?.typeParameters ? sourceOf(code, node.typeParameters) : '';
+}
+
+function returnType(code, node) {
+  return node?.returnType ? sourceOf(code, node.returnType) : '';
+}
+
+function parameters(code, fn) {
+  return fn.params.map((param) => oneLine(sourceOf(code, param), 80)).join(', ');
+}
+
+function functionSignature(code, name, fn) {
+  const prefix = fn.async ? 'async ' : '';
+  const star = fn.generator ? '*' : '';
+  return `${prefix}${star}${name}${typeParameters(code, fn)}(${parameters(code, fn)})${returnType(code, fn)}`;
+}
+
+function isFunctionNode(node) {
+  return ['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression', 'ObjectMethod', 'TSDeclareFunction'].includes(node?.type);
+}
+
+function containsJsx(node) {
+  let found = false;
+  walkAst(node, (child) => {
+    if (found) return false;
+    if (child.type === 'JSXElement' || child.type === 'JSXFragment') found = true;
+  });
+  return found;
+}
+
+// React components are PascalCase functions that render JSX
+function isComponent(name, fn, filePath) {
+  if (!/^[A-Z][A-Za-z0-9]*$/.test(name || '') || !fn) return false;
+  return /\.[jt]sx$/.test(filePath) || containsJsx(fn.body);
+}
+
+// memo(...), forwardRef(...), React.memo(...) wrapping a component function
+function unwrapComponentCall(init) {
+  if (init?.type !== 'CallExpression') return null;
+  const callee = init.callee.type === 'MemberExpression' ? init.callee.property.name : init.callee.name;
+  if (!['memo', 'forwardRef', 'observer'].includes(callee)) return null;
+  return isFunctionNode(init.arguments[0]) ? init.arguments[0] : unwrapComponentCall(init.arguments[0]);
+}
+
+function memberName(code, key, computed) {
+  if (!key) return '';
+  if (key.type === 'PrivateName') return `#${key.id.name}`;
+  if (computed) return `[${sourceOf(code, key)}]`;
+  return key.name ?? String(key.value);
+}
+
+function describeClassMembers(code, body) {
+  const members = [];
+
+  for (const member of body.body) {
+    if (members.length >= MAX_MEMBERS) break;
+    if (!['ClassMethod', 'ClassProperty', 'TSDeclareMethod', 'ClassAccessorProperty'].includes(member.type)) continue;
+    if (member.accessibility === 'private' || member.accessibility === 'protected') continue;
+
+    const name = memberName(code, member.key, member.computed);
+    if (!name || name.startsWith('#') || name.startsWith('_')) continue;
+
+    const modifiers = `${member.static ? 'static ' : ''}${member.abstract ? 'abstract ' : ''}`;
+    let signature;
+    let kind;
+    if (member.type === 'ClassMethod' || member.type === 'TSDeclareMethod') {
+      kind = { get: 'getter', set: 'setter' }[member.kind] || member.kind;
+      const accessor = member.kind === 'get' || member.kind === 'set' ? `${member.kind} ` : '';
+      signature = `${modifiers}${accessor}${functionSignature(code, name, member)}`;
+    } else {
+      kind = 'property';
+      const value = isFunctionNode(member.value) ? functionSignature(code, '', member.value) : '';
+      signature = `${modifiers}${name}${member.optional ? '?' : ''}${sourceOf(code, member.typeAnnotation)}${value ? ` = ${value}` : ''}`;
+    }
+
+    members.push({ name, kind, signature: oneLine(signature), doc: parseDocComment(member), line: member.loc.start.line });
+  }
+
+  return members;
+}
+
+function classSignature(code, name, node) {
+  const parts = [`class ${name}${typeParameters(code, node)}`];
+  if (node.superClass) parts.push(`extends ${oneLine(sourceOf(code, node.superClass), 60)}${node.superTypeParameters ? sourceOf(code, node.superTypeParameters) : ''}`);
+  if (node.implements?.length) parts.push(`implements ${node.implements.map((i) => sourceOf(code, i)).join(', ')}`);
+  return parts.join(' ');
+}
+
+// Describe a declaration (or a variable initializer) as an export entry
+function describeDeclaration(code, filePath, name, node, { declarationKind } = {}) {
+  if (isFunctionNode(node)) {
+    return {
+      kind: isComponent(name, node, filePath) ? 'component' : 'function',
+      signature: oneLine(functionSignature(code, name, node), 240)
+    };
+  }
+
+  switch (node?.type) {
+    case 'ClassDeclaration':
+    case 'ClassExpression':
+      return {
+        kind: 'class',
+        signature: oneLine(classSignature(code, name, node), 240),
+        members: describeClassMembers(code, node.body)
+      };
+    case 'TSInterfaceDeclaration': {
+      const extendsClause = node.extends?.length ? ` extends ${node.extends.map((e) => sourceOf(code, e)).join(', ')}` : '';
+      return {
+        kind: 'interface',
+        signature: oneLine(`interface ${name}${typeParameters(code, node)}${extendsClause}`, 240),
+        members: node.body.body.slice(0, MAX_MEMBERS).map((member) => ({
+          name: memberName(code, member.key, member.computed) || oneLine(sourceOf(code, member), 40),
+          kind: member.type === 'TSMethodSignature' ? 'method' : 'property',
+          signature: oneLine(sourceOf(code, member).replace(/[;,]$/, '')),
+          doc: parseDocComment(member),
+          line: member.loc.start.line
+        }))
+      };
+    }
+    case 'TSTypeAliasDeclaration':
+      return {
+        kind: 'type',
+        signature: oneLine(`type ${name}${typeParameters(code, node)} = ${sourceOf(code, node.typeAnnotation)}`, 240)
+      };
+    case 'TSEnumDeclaration': {
+      const members = (node.members || node.body?.members || []).map((m) => memberName(code, m.id));
+      return { kind: 'enum', signature: oneLine(`enum ${name} { ${members.join(', ')} }`, 240) };
+    }
+    case 'VariableDeclarator': {
+      const wrapped = unwrapComponentCall(node.init);
+      if (wrapped) return { kind: 'component', signature: oneLine(functionSignature(code, name, wrapped), 240) };
+      if (isFunctionNode(node.init)) return describeDeclaration(code, filePath, name, node.init);
+      if (node.init?.type === 'ClassExpression') return describeDeclaration(code, filePath, name, node.init);
+
+      const type = sourceOf(code, node.id.typeAnnotation);
+      const literal = ['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(node.init?.type)
+        ? ` = ${oneLine(sourceOf(code, node.init), 60)}`
+        : '';
+      return { kind: 'variable', signature: oneLine(`${declarationKind || 'const'} ${name}${type}${literal}`, 240) };
+    }
+    case 'Identifier':
+      // Exported binding that isn't declared in this module (usually an import)
+      return { kind: 'value', signature: name === node.name ? name : `${node.name} as ${name}` };
+    default:
+      return { kind: 'value', signature: oneLine(`${name} = ${sourceOf(code, node)}`, 120) };
+  }
+}
+
+// Top-level declarations by local name, used to resolve `export { a as b }` and `module.exports = { a }`
+function collectDeclarations(program) {
+  const declarations = new Map();
+
+  for (const statement of program.body) {
+    const declaration = statement.type.startsWith('Export') && statement.declaration ? statement.declaration : statement;
+    const commentNode = statement;
+
+    if (declaration.type === 'VariableDeclaration') {
+      for (const declarator of declaration.declarations) {
+        if (declarator.id.type === 'Identifier') {
+          declarations.set(declarator.id.name, { node: declarator, commentNode, declarationKind: declaration.kind });
+        }
+      }
+    } else if (declaration.id?.type === 'Identifier') {
+      declarations.set(declaration.id.name, { node: declaration, commentNode });
+    }
+  }
+
+  return declarations;
+}
+
+function isModuleExports(node) {
+  return node?.type === 'MemberExpression' && node.object.name === 'module' && (node.property.name || node.property.value) === 'exports';
+}
+
+// module.exports = ..., module.exports.foo = ..., exports.foo = ...
+function commonJsTarget(left) {
+  if (isModuleExports(left)) return { whole: true };
+  if (left?.type !== 'MemberExpression' || left.computed) return null;
+  if (isModuleExports(left.object) || left.object.name === 'exports') return { name: left.property.name };
+  return null;
+}
+
+// Exported symbols of one parsed module
+export function collectExports(ast, code, filePath) {
+  const declarations = collectDeclarations(ast.program);
+  const exportsList = [];
+
+  // `signatureName` differs from `name` for default exports of named declarations
+  const add = (name, node, commentNode, extra = {}, signatureName = name) => {
+    const resolved = node?.type === 'Identifier' ? declarations.get(node.name) : null;
+    const target = resolved?.node || node;
+    const described = describeDeclaration(code, filePath, signatureName, target, resolved || {});
+    exportsList.push({
+      name,
+      ...described,
+      doc: parseDocComment(resolved?.commentNode || commentNode) || parseDocComment(target),
+      line: (target || commentNode).loc.start.line,
+      ...extra
+    });
+  };
+
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case 'ExportNamedDeclaration': {
+        const { declaration } = statement;
+        if (declaration?.type === 'VariableDeclaration') {
+          for (const declarator of declaration.declarations) {
+            if (declarator.id.type !== 'Identifier') continue;
+            const described = describeDeclaration(code, filePath, declarator.id.name, declarator, { declarationKind: declaration.kind });
+            exportsList.push({ name: declarator.id.name, ...described, doc: parseDocComment(statement), line: declarator.loc.start.line });
+          }
+        } else if (isFunctionNode(declaration) && exportsList.some((e) => e.name === declaration.id.name)) {
+          // Overloads: keep the first signature
+        } else if (declaration?.id) {
+          add(declaration.id.name, declaration, statement);
+        } else if (statement.source) {
+          for (const specifier of statement.specifiers) {
+            const name = specifier.exported.name ?? specifier.exported.value;
+            exportsList.push({
+              name,
+              kind: 'reexport',
+              signature: `export { ${specifier.local?.name && specifier.local.name !== name ? `${specifier.local.name} as ` : ''}${name} } from '${statement.source.value}'`,
+              source: statement.source.value,
+              doc: null,
+              line: statement.loc.start.line
+            });
+          }
+        } else {
+          statement.specifiers.forEach((s) => add(s.exported.name ?? s.exported.value, s.local, statement));
+        }
+        break;
+      }
+      case 'ExportAllDeclaration':
+        exportsList.push({
+          name: statement.exported ? statement.exported.name : '*',
+          kind: 'reexport',
+          signature: `export * ${statement.exported ? `as ${statement.exported.name} ` : ''}from '${statement.source.value}'`,
+          source: statement.source.value,
+          doc: null,
+          line: statement.loc.start.line
+        });
+        break;
+      case 'ExportDefaultDeclaration': {
+        const { declaration } = statement;
+        const localName = declaration.id?.name || (declaration.type === 'Identifier' ? declaration.name : null);
+        add('default', declaration, statement, { default: true, ...(localName && { localName }) }, localName || 'default');
+        break;
+      }
+      case 'ExpressionStatement': {
+        const { expression } = statement;
+        if (expression.type !== 'AssignmentExpression') break;
+        const target = commonJsTarget(expression.left);
+        if (!target) break;
+
+        if (target.name) {
+          add(target.name, expression.right, statement, { commonjs: true });
+        } else if (expression.right.type === 'ObjectExpression') {
+          for (const property of expression.right.properties) {
+            if (property.type === 'SpreadElement') continue;
+            const name = memberName(code, property.key, property.computed);
+            const value = property.type === 'ObjectMethod' ? property : property.value;
+            add(name, value, property, { commonjs: true });
+          }
+        } else {
+          const name = expression.right.id?.name || (expression.right.type === 'Identifier' ? expression.right.name : 'module.exports');
+          add(name, expression.right, statement, { commonjs: true, default: true });
+        }
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return exportsList;
+}
+
+// Parse the repository's JS/TS sources and list every module's exports
+export async function analyzeJavaScriptApi(files) {
+  const candidates = selectFiles(files);
+  const selected = candidates.slice(0, MAX_FILES);
+  const errors = [];
+
+  const modules = await mapWithConcurrency(selected, CONCURRENCY, async (file) => {
+    const code = await readTextFile(file.fullPath, MAX_FILE_SIZE);
+    if (code === null) return null;
+
+    const filePath = toPosixPath(file.path);
+    try {
+      const ast = parseJavaScript(code, filePath);
+      const moduleExports = collectExports(ast, code, filePath);
+      return moduleExports.length > 0
+        ? { path: filePath, language: /\.[cm]?tsx?$/.test(filePath) ? 'TypeScript' : 'JavaScript', exports: moduleExports }
+        : null;
+    } catch (error) {
+      errors.push({ path: filePath, message: error.message });
+      return null;
+    }
+  });
+
+  const withExports = modules.filter(Boolean);
+  return {
+    modules: withExports,
+    stats: {
+      filesParsed: selected.length - errors.length,
+      filesFailed: errors.length,
+      filesSkipped: candidates.length - selected.length,
+      modules: withExports.length,
+      exports: withExports.reduce((sum, entry) => sum + entry.exports.length, 0)
+    },
+    errors: errors.slice(0, 20)
+  };
+}
@@ -0,0 +1,43 @@
+// Babel-based parsing for JavaScript and TypeScript sources
+import { parse } from '@babel/parser';
+import path from 'path';
+
+export const JS_EXTENSIONS = ['.js', '.jsx', '.mjs', '.cjs', '.ts', '.tsx', '.mts', '.cts'];
+
+function pluginsFor(extension) {
+  if (extension === '.tsx') return ['typescript', 'jsx', 'decorators-legacy'];
+  if (['.ts', '.mts', '.cts'].includes(extension)) return ['typescript', 'decorators-legacy'];
+  return ['jsx', 'decorators-legacy'];
+}
+
+// Parse a source file into a Babel AST. Syntax errors are recovered where possible;
+// anything Babel can't recover from throws.
+export function parseJavaScript(code, filePath) {
+  return parse(code, {
+    sourceType: 'unambiguous',
+    sourceFilename: filePath,
+    plugins: pluginsFor(path.extname(filePath).toLowerCase()),
+    errorRecovery: true,
+    allowReturnOutsideFunction: true,
+    allowAwaitOutsideFunction: true,
+    allowImportExportEverywhere: true,
+    allowUndeclaredExports: true
+  });
+}
+
+// Depth-first walk over every AST node. Return false from `enter` to skip a node's children.
+export function walkAst(node, enter, parent = null) {
+  if (!node || typeof node.type !== 'string') return;
+  if (enter(node, parent) === false) return;
+
+  for (const key of Object.keys(node)) {
+    if (key === 'loc' || key === 'leadingComments' || key === 'trailingComments' || key === 'innerComments') continue;
+
+    const value = node[key];
+    if (Array.isArray(value)) {
+      for (const child of value) walkAst(child, enter, node);
+    } else if (value && typeof value.type === 'string') {
+      walkAst(value, enter, node);
+    }
+  }
+}
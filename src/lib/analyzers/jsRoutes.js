@@ -0,0 +1,406 @@
+// HTTP routes defined in JavaScript/TypeScript code: Express/Fastify/Koa/Hono style
+// `app.get('/path', handler)` calls, Fastify `route({ method, url })`, and Next.js route files
+import path from 'path';
+import { isJavaScriptSource } from '@/lib/analyzers/javascriptApi';
+import { JS_EXTENSIONS, parseJavaScript, walkAst } from '@/lib/analyzers/jsParser';
+import { extractPathParams, joinRoutePath } from '@/lib/analyzers/routePaths';
+import { mapWithConcurrency, oneLine, readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'del', 'head', 'options', 'all'];
+const NEXT_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'HEAD', 'OPTIONS'];
+
+// `axios.get('/users', config)` looks like a route definition, so HTTP clients are ignored
+const CLIENT_OBJECTS = new Set(['axios', 'http', 'https', 'got', 'ky', 'superagent', 'request', 'fetch', 'client', 'httpClient', '$http', 'cache', 'map', 'params', 'headers', 'searchParams', 'store', 'redis', 'localStorage', 'sessionStorage']);
+
+// Frameworks recognized from the packages a file imports
+const FRAMEWORK_PACKAGES = {
+  express: 'express',
+  fastify: 'fastify',
+  koa: 'koa',
+  'koa-router': 'koa',
+  '@koa/router': 'koa',
+  hono: 'hono',
+  restify: 'restify'
+};
+
+const SERVER_PACKAGES = new Set(Object.keys(FRAMEWORK_PACKAGES));
+const FUNCTION_TYPES = new Set(['FunctionExpression', 'ArrowFunctionExpression', 'FunctionDeclaration']);
+
+// Cheap text check so only files that may define routes get parsed
+const ROUTE_HINT = /\.(get|post|put|patch|delete|del|all|route|use|register)\s*\(/;
+
+// Next.js route files: app/**/route.js (App Router) and pages/api/** (Pages Router)
+const NEXT_APP_ROUTE = /^(?:.*\/)?(?:src\/)?app\/(.*\/)?route\.[cm]?[jt]sx?$/;
+const NEXT_PAGES_API = /^(?:.*\/)?(?:src\/)?pages\/(api\/.*)\.[cm]?[jt]sx?$/;
+
+function stringValue(node) {
+  if (node?.type === 'StringLiteral') return node.value;
+  if (node?.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return null;
+}
+
+function objectName(node) {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type === 'ThisExpression') return 'this';
+  if (node?.type === 'MemberExpression') return node.property.name;
+  return null;
+}
+
+function handlerName(code, node) {
+  if (!node) return null;
+  if (node.type === 'Identifier' || node.type === 'MemberExpression') return oneLine(code.slice(node.start, node.end), 80);
+  if (node.id?.name) return node.id.name;
+  if (node.type === 'CallExpression') return `${oneLine(code.slice(node.callee.start, node.callee.end), 60)}(...)`;
+  return 'inline';
+}
+
+function propertyValue(object, key) {
+  return object.properties.find((p) => p.type === 'ObjectProperty' && (p.key.name || p.key.value) === key)?.value;
+}
+
+// Packages imported or required by a module, and the local names bound to relative imports
+function collectImports(ast) {
+  const packages = new Set();
+  const locals = new Map();
+
+  walkAst(ast.program, (node) => {
+    if (node.type === 'ImportDeclaration') {
+      packages.add(node.source.value);
+      for (const specifier of node.specifiers) locals.set(specifier.local.name, node.source.value);
+    } else if (node.type === 'CallExpression' && node.callee.name === 'require' && stringValue(node.arguments[0])) {
+      packages.add(stringValue(node.arguments[0]));
+    } else if (node.type === 'VariableDeclarator' && node.id.type === 'Identifier') {
+      // const router = require('./routes/users') or require('./routes').users
+      let init = node.init;
+      while (init?.type === 'MemberExpression') init = init.object;
+      if (init?.type === 'CallExpression' && init.callee.name === 'require' && stringValue(init.arguments[0])) {
+        locals.set(node.id.name, stringValue(init.arguments[0]));
+      }
+    }
+  });
+
+  return { packages, locals };
+}
+
+function frameworkFromImports(packages) {
+  for (const name of packages) {
+    if (FRAMEWORK_PACKAGES[name]) return FRAMEWORK_PACKAGES[name];
+  }
+  return null;
+}
+
+const requiredPackage = (node) =>
+  node?.type === 'CallExpression' && node.callee.name === 'require' ? stringValue(node.arguments[0]) : null;
+
+const isExportsTarget = (node) =>
+  node?.type === 'MemberExpression' &&
+  ((node.object.name === 'module' && node.property.name === 'exports') || node.object.name === 'exports' || isExportsTarget(node.object));
+
+// Names bound to app and router objects of a server framework: results of `express()`, `express.Router()`,
+// `Router()`, `new Hono()`, `fastify()`, `restify.createServer()`, ... with the framework imported or
+// required, and the first parameter of plugin functions that are exported or registered
+// (`export default async function (fastify) {...}`), which get the app from the module mounting them
+function collectServerObjects(ast) {
+  const frameworkLocals = new Set();
+  const servers = new Set();
+
+  const isFrameworkRef = (node) =>
+    (node?.type === 'Identifier' && frameworkLocals.has(node.name)) || SERVER_PACKAGES.has(requiredPackage(node));
+  const isServerExpression = (node) => {
+    if (node?.type === 'Identifier') return servers.has(node.name);
+    if (node?.type !== 'CallExpression' && node?.type !== 'NewExpression') return false;
+    const { callee } = node;
+    return isFrameworkRef(callee) || (callee.type === 'MemberExpression' && (isFrameworkRef(callee.object) || isServerExpression(callee.object)));
+  };
+  const addPlugin = (fn) => {
+    if (FUNCTION_TYPES.has(fn?.type) && fn.params[0]?.type === 'Identifier') servers.add(fn.params[0].name);
+  };
+  // `export default fn` and wrapped plugins like `module.exports = fp(async (fastify) => {...})`
+  const addExported = (node) => {
+    addPlugin(node);
+    if (node?.type === 'CallExpression') addPlugin(node.arguments[0]);
+  };
+
+  walkAst(ast.program, (node) => {
+    if (node.type === 'ImportDeclaration' && SERVER_PACKAGES.has(node.source.value)) {
+      for (const specifier of node.specifiers) frameworkLocals.add(specifier.local.name);
+    } else if (node.type === 'VariableDeclarator') {
+      // const express = require('express'), const { Router } = require('express')
+      let init = node.init;
+      while (init?.type === 'MemberExpression') init = init.object;
+      if (SERVER_PACKAGES.has(requiredPackage(init))) {
+        if (node.id.type === 'Identifier') frameworkLocals.add(node.id.name);
+        if (node.id.type === 'ObjectPattern') {
+          for (const property of node.id.properties) if (property.value?.type === 'Identifier') frameworkLocals.add(property.value.name);
+        }
+      } else if (node.id.type === 'Identifier' && isServerExpression(node.init)) {
+        servers.add(node.id.name);
+      }
+    } else if (node.type === 'AssignmentExpression') {
+      // this.app = express(), module.exports = (app) => {...}
+      if (isServerExpression(node.right)) servers.add(objectName(node.left));
+      if (isExportsTarget(node.left)) addExported(node.right);
+    } else if (node.type === 'ExportDefaultDeclaration') {
+      addExported(node.declaration);
+    } else if (node.type === 'ExportNamedDeclaration') {
+      if (node.declaration?.type === 'FunctionDeclaration') addPlugin(node.declaration);
+      if (node.declaration?.type === 'VariableDeclaration') node.declaration.declarations.forEach((d) => addExported(d.init));
+    } else if (node.type === 'CallExpression' && node.callee.type === 'MemberExpression' && node.callee.property.name === 'register') {
+      addPlugin(node.arguments[0]);
+    }
+  });
+
+  return servers;
+}
+
+// Resolve a relative import to a repository file (with or without extension, or a directory index)
+function resolveModule(fromFile, specifier, knownFiles) {
+  if (!specifier?.startsWith('.')) return null;
+  const base = path.posix.normalize(path.posix.join(path.posix.dirname(fromFile), specifier));
+  const candidates = [
+    base,
+    ...JS_EXTENSIONS.map((ext) => `${base}${ext}`),
+    ...JS_EXTENSIONS.map((ext) => `${base}/index${ext}`)
+  ];
+  return candidates.find((candidate) => knownFiles.has(candidate)) || null;
+}
+
+// Route definitions and mounts (`app.use('/api', router)`) in a server-framework module. Both record the
+// object they are called on (`router`, `parent`), so routers mounted in their own file get their prefix.
+function findFrameworkRoutes(ast, code) {
+  const servers = collectServerObjects(ast);
+  const routes = [];
+  const mounts = [];
+
+  walkAst(ast.program, (node) => {
+    if (node.type !== 'CallExpression' || node.callee.type !== 'MemberExpression' || node.callee.computed) return;
+
+    const method = node.callee.property.name;
+    const args = node.arguments;
+    const target = node.callee.object;
+
+    // app.use('/prefix', router) and fastify.register(plugin, { prefix: '/prefix' })
+    if (method === 'use' && stringValue(args[0]) !== null) {
+      for (const arg of args.slice(1)) {
+        if (arg.type === 'Identifier') mounts.push({ prefix: stringValue(args[0]), local: arg.name, parent: objectName(target) });
+        if (arg.type === 'CallExpression' && arg.callee.name === 'require') {
+          mounts.push({ prefix: stringValue(args[0]), specifier: stringValue(arg.arguments[0]), parent: objectName(target) });
+        }
+      }
+      return;
+    }
+    if (method === 'register' && args[0]?.type === 'Identifier' && args[1]?.type === 'ObjectExpression') {
+      const prefix = stringValue(propertyValue(args[1], 'prefix'));
+      if (prefix !== null) mounts.push({ prefix, local: args[0].name, parent: objectName(target) });
+      return;
+    }
+
+    // fastify.route({ method: 'GET', url: '/x', handler })
+    if (method === 'route' && args[0]?.type === 'ObjectExpression') {
+      const url = stringValue(propertyValue(args[0], 'url') || propertyValue(args[0], 'path'));
+      const methodNode = propertyValue(args[0], 'method');
+      const methods = methodNode?.type === 'ArrayExpression' ? methodNode.elements.map(stringValue) : [stringValue(methodNode)];
+      if (url === null) return;
+      for (const routeMethod of methods.filter(Boolean)) {
+        routes.push({ method: routeMethod.toUpperCase(), path: url, handler: handlerName(code, propertyValue(args[0], 'handler')), router: objectName(target), line: node.loc.start.line });
+      }
+      return;
+    }
+
+    if (!HTTP_METHODS.includes(method)) return;
+
+    // router.route('/users').get(list).post(create)
+    let chained = target;
+    while (chained?.type === 'CallExpression' && chained.callee.type === 'MemberExpression' && chained.callee.property.name !== 'route') {
+      chained = chained.callee.object;
+    }
+    const routeCall = chained?.type === 'CallExpression' && chained.callee.property?.name === 'route' ? chained : null;
+
+    let routePath;
+    let handlers;
+    if (routeCall) {
+      routePath = stringValue(routeCall.arguments[0]);
+      handlers = args;
+    } else {
+      if (CLIENT_OBJECTS.has(objectName(target)) || target.type === 'CallExpression') return;
+      routePath = stringValue(args[0]);
+      handlers = args.slice(1);
+    }
+
+    if (routePath === null || !/^[/*]/.test(routePath) || handlers.length === 0) return;
+    // A trailing options object means a client call (`get('/x', { headers })`), not a handler
+    if (handlers[handlers.length - 1].type === 'ObjectExpression') return;
+    // Otherwise the object must be an app or router, or the handler a function: `api.get('/users', config)`
+    // on an HTTP client instance passes neither
+    if (!routeCall && !servers.has(objectName(target)) && !FUNCTION_TYPES.has(handlers[handlers.length - 1].type)) return;
+
+    routes.push({
+      method: method === 'del' ? 'DELETE' : method.toUpperCase(),
+      path: routePath,
+      handler: handlerName(code, handlers[handlers.length - 1]),
+      // Fastify passes an options object between the path and the handler
+      middleware: handlers.slice(0, -1).filter((h) => h.type !== 'ObjectExpression').map((h) => handlerName(code, h)),
+      router: objectName(routeCall ? routeCall.callee.object : target),
+      line: node.loc.start.line
+    });
+  });
+
+  return { routes, mounts };
+}
+
+// Methods a Pages Router API handler reacts to, from `req.method === 'POST'` checks and `switch (req.method)`
+function pagesApiMethods(ast) {
+  const methods = new Set();
+  const isMethodAccess = (node) => node?.type === 'MemberExpression' && node.property.name === 'method';
+
+  walkAst(ast.program, (node) => {
+    if (node.type === 'BinaryExpression' && ['===', '==', '!==', '!='].includes(node.operator)) {
+      const value = isMethodAccess(node.left) ? stringValue(node.right) : isMethodAccess(node.right) ? stringValue(node.left) : null;
+      if (value && NEXT_METHODS.includes(value.toUpperCase())) methods.add(value.toUpperCase());
+    } else if (node.type === 'SwitchStatement' && isMethodAccess(node.discriminant)) {
+      node.cases.map((c) => stringValue(c.test)).filter(Boolean).forEach((value) => methods.add(value.toUpperCase()));
+    }
+  });
+
+  return methods.size ? [...methods] : ['ALL'];
+}
+
+// /app/api/users/[id]/route.js -> /api/users/[id]; route groups and parallel-route slots don't appear in URLs
+function nextAppRoutePath(directory) {
+  const segments = (directory || '').split('/').filter((segment) => segment && !/^\(.*\)$/.test(segment) && !segment.startsWith('@'));
+  return `/${segments.join('/')}`;
+}
+
+function findNextRoutes(ast, filePath) {
+  const appMatch = filePath.match(NEXT_APP_ROUTE);
+  if (appMatch) {
+    const routePath = nextAppRoutePath(appMatch[1]);
+    const routes = [];
+    for (const statement of ast.program.body) {
+      if (statement.type !== 'ExportNamedDeclaration') continue;
+      const declaration = statement.declaration;
+      const names = declaration?.type === 'VariableDeclaration'
+        ? declaration.declarations.map((d) => d.id.name)
+        : declaration?.id
+          ? [declaration.id.name]
+          : statement.specifiers.map((s) => s.exported.name);
+      names.filter((name) => NEXT_METHODS.includes(name)).forEach((name) => {
+        routes.push({ method: name, path: routePath, handler: name, line: statement.loc.start.line });
+      });
+    }
+    return routes;
+  }
+
+  const pagesMatch = filePath.match(NEXT_PAGES_API);
+  if (pagesMatch) {
+    const routePath = `/${pagesMatch[1].replace(/\/index$/, '')}`;
+    return pagesApiMethods(ast).map((method) => ({ method, path: routePath, handler: 'default', line: 1 }));
+  }
+
+  return [];
+}
+
+// Prefixes each file is mounted under, following mounts across files (a router mounted by a router)
+function resolvePrefixes(fileResults) {
+  const mountedBy = new Map(); // file -> [{ parent, prefix }]
+  for (const result of fileResults) {
+    for (const mount of result.mounts) {
+      if (!mount.file || mount.file === result.file) continue;
+      if (!mountedBy.has(mount.file)) mountedBy.set(mount.file, []);
+      mountedBy.get(mount.file).push({ parent: result.file, prefix: mount.prefix });
+    }
+  }
+
+  const prefixesOf = (file, seen = new Set()) => {
+    const parents = mountedBy.get(file);
+    if (!parents || seen.has(file)) return [''];
+    seen.add(file);
+    return parents.flatMap(({ parent, prefix }) => prefixesOf(parent, new Set(seen)).map((outer) => joinRoutePath(outer, prefix)));
+  };
+
+  return prefixesOf;
+}
+
+// Prefixes of the routers mounted in the file that declares them (`const api = express.Router();
+// app.use('/api', api)`), following local routers mounted by local routers
+function localPrefixes(mounts) {
+  const mountedBy = new Map(); // router -> [{ parent, prefix }]
+  for (const mount of mounts) {
+    if (!mount.local || !mount.parent) continue;
+    if (!mountedBy.has(mount.local)) mountedBy.set(mount.local, []);
+    mountedBy.get(mount.local).push({ parent: mount.parent, prefix: mount.prefix });
+  }
+
+  const prefixesOf = (router, seen = new Set()) => {
+    const parents = mountedBy.get(router);
+    if (!parents || seen.has(router)) return [''];
+    seen.add(router);
+    return parents.flatMap(({ parent, prefix }) => prefixesOf(parent, new Set(seen)).map((outer) => joinRoutePath(outer, prefix)));
+  };
+
+  return prefixesOf;
+}
+
+export async function findJavaScriptRoutes(files) {
+  const candidates = files.filter(isJavaScriptSource);
+  const knownFiles = new Set(candidates.map((file) => toPosixPath(file.path)));
+
+  const results = await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+    const filePath = toPosixPath(file.path);
+    const isNextRoute = NEXT_APP_ROUTE.test(filePath) || NEXT_PAGES_API.test(filePath);
+
+    const code = await readTextFile(file.fullPath);
+    if (code === null || (!isNextRoute && !ROUTE_HINT.test(code))) return null;
+
+    try {
+      const ast = parseJavaScript(code, filePath);
+      if (isNextRoute) {
+        return { file: filePath, framework: 'nextjs', routes: findNextRoutes(ast, filePath), mounts: [] };
+      }
+
+      const { packages, locals } = collectImports(ast);
+      const { routes, mounts } = findFrameworkRoutes(ast, code);
+      // Routers bound in this file (not imported) take the prefixes they are mounted under here
+      const prefixesOf = localPrefixes(mounts.filter((mount) => mount.local && !locals.has(mount.local)));
+      return {
+        file: filePath,
+        framework: frameworkFromImports(packages),
+        routes: routes.flatMap(({ router, ...route }) => prefixesOf(router).map((prefix) => ({ ...route, path: joinRoutePath(prefix, route.path) }))),
+        mounts: mounts.map((mount) => ({
+          ...mount,
+          file: resolveModule(filePath, mount.specifier || locals.get(mount.local), knownFiles)
+        }))
+      };
+    } catch {
+      // Unparseable files are already reported by the API analyzer
+      return null;
+    }
+  });
+
+  const fileResults = results.filter(Boolean);
+  const prefixesOf = resolvePrefixes(fileResults);
+
+  // Router files usually don't import the framework themselves; use the one the project uses
+  const frameworks = fileResults.map((r) => r.framework).filter((f) => f && f !== 'nextjs');
+  const projectFramework = frameworks.sort((a, b) => frameworks.filter((f) => f === b).length - frameworks.filter((f) => f === a).length)[0] || 'express';
+
+  return fileResults.flatMap((result) =>
+    result.routes.flatMap((route) => {
+      const prefixes = result.framework === 'nextjs' ? [''] : prefixesOf(result.file);
+      return prefixes.map((prefix) => {
+        const fullPath = joinRoutePath(prefix, route.path);
+        return {
+          method: route.method,
+          path: fullPath,
+          framework: result.framework || projectFramework,
+          file: result.file,
+          line: route.line,
+          handler: route.handler,
+          params: extractPathParams(fullPath),
+          ...(route.middleware?.length && { middleware: route.middleware })
+        };
+      });
+    })
+  );
+}
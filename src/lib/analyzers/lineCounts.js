@@ -0,0 +1,170 @@
+// Exact code, comment and blank line counts per language. Every code file is read (with bounded
+// concurrency) and scanned line by line, keeping track of block comments and multi-line strings.
+import { mapWithConcurrency, readTextFile } from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const MAX_FILE_BYTES = 2 * 1024 * 1024;
+
+// Comment and string syntax. `multiline` strings may span lines; the others end at the line break.
+const C_STYLE = { line: ['//'], block: [['/*', '*/']], strings: ['"', "'"], multiline: [] };
+const JS_STYLE = { ...C_STYLE, strings: ['`', '"', "'"], multiline: ['`'] };
+const TRIPLE_QUOTED = { ...C_STYLE, strings: ['"""', '"', "'"], multiline: ['"""'] };
+const HASH_STYLE = { line: ['#'], block: [], strings: ['"', "'"], multiline: [] };
+const PYTHON_STYLE = { line: ['#'], block: [], strings: ['"""', "'''", '"', "'"], multiline: ['"""', "'''"] };
+const DASH_STYLE = { line: ['--'], block: [], strings: ['"', "'"], multiline: [] };
+const COMPONENT_STYLE = { ...JS_STYLE, block: [['<!--', '-->'], ['/*', '*/']] };
+
+export const LANGUAGES = [
+  { name: 'JavaScript', extensions: ['.js', '.jsx', '.mjs', '.cjs'], syntax: JS_STYLE },
+  { name: 'TypeScript', extensions: ['.ts', '.tsx', '.mts', '.cts'], syntax: JS_STYLE },
+  { name: 'Python', extensions: ['.py', '.pyi'], syntax: PYTHON_STYLE },
+  { name: 'Java', extensions: ['.java'], syntax: TRIPLE_QUOTED },
+  { name: 'Kotlin', extensions: ['.kt', '.kts'], syntax: TRIPLE_QUOTED },
+  { name: 'Scala', extensions: ['.scala', '.sc'], syntax: TRIPLE_QUOTED },
+  { name: 'Groovy', extensions: ['.groovy', '.gradle'], syntax: TRIPLE_QUOTED },
+  { name: 'Go', extensions: ['.go'], syntax: JS_STYLE },
+  { name: 'Rust', extensions: ['.rs'], syntax: C_STYLE },
+  { name: 'PHP', extensions: ['.php'], syntax: { ...C_STYLE, line: ['//', '#'] } },
+  { name: 'Ruby', extensions: ['.rb', '.rake'], syntax: { ...HASH_STYLE, block: [['=begin', '=end']] } },
+  { name: 'C#', extensions: ['.cs'], syntax: C_STYLE },
+  { name: 'F#', extensions: ['.fs', '.fsx'], syntax: { ...C_STYLE, block: [['(*', '*)']] } },
+  { name: 'C++', extensions: ['.cpp', '.cc', '.cxx', '.hpp', '.hh', '.hxx'], syntax: C_STYLE },
+  { name: 'C', extensions: ['.c', '.h'], syntax: C_STYLE },
+  { name: 'Objective-C', extensions: ['.m', '.mm'], syntax: C_STYLE },
+  { name: 'Swift', extensions: ['.swift'], syntax: TRIPLE_QUOTED },
+  { name: 'Dart', extensions: ['.dart'], syntax: { ...C_STYLE, strings: ['"""', "'''", '"', "'"], multiline: ['"""', "'''"] } },
+  { name: 'Elixir', extensions: ['.ex', '.exs'], syntax: { ...PYTHON_STYLE, strings: ['"""', '"', "'"], multiline: ['"""'] } },
+  { name: 'Erlang', extensions: ['.erl', '.hrl'], syntax: { ...HASH_STYLE, line: ['%'] } },
+  { name: 'Haskell', extensions: ['.hs'], syntax: { ...DASH_STYLE, block: [['{-', '-}']] } },
+  { name: 'Lua', extensions: ['.lua'], syntax: { ...DASH_STYLE, block: [['--[[', ']]']] } },
+  { name: 'R', extensions: ['.r'], syntax: HASH_STYLE },
+  { name: 'Julia', extensions: ['.jl'], syntax: { ...PYTHON_STYLE, block: [['#=', '=#']], strings: ['"""', '"'], multiline: ['"""'] } },
+  { name: 'Perl', extensions: ['.pl', '.pm'], syntax: HASH_STYLE },
+  { name: 'Clojure', extensions: ['.clj', '.cljs', '.cljc'], syntax: { line: [';'], block: [], strings: ['"'], multiline: ['"'] } },
+  { name: 'Shell', extensions: ['.sh', '.bash', '.zsh'], syntax: HASH_STYLE },
+  { name: 'PowerShell', extensions: ['.ps1', '.psm1'], syntax: { ...HASH_STYLE, block: [['<#', '#>']] } },
+  { name: 'Vue', extensions: ['.vue'], syntax: COMPONENT_STYLE },
+  { name: 'Svelte', extensions: ['.svelte'], syntax: COMPONENT_STYLE }
+];
+
+const BY_EXTENSION = new Map(LANGUAGES.flatMap((language) => language.extensions.map((extension) => [extension, language])));
+
+// Language of a file extension ('.tsx' -> TypeScript), or undefined for non-code files
+export function languageOf(extension) {
+  return BY_EXTENSION.get(extension);
+}
+
+const isSpace = (code) => code === 32 || code === 9 || code === 13 || code === 12 || code === 11;
+
+// Index just past the closing `quote` on the line, or -1 when the string continues on the next line
+function closeString(line, from, quote) {
+  let i = from;
+  while (i < line.length) {
+    if (line[i] === '\\') i += 2;
+    else if (line.startsWith(quote, i)) return i + quote.length;
+    else i++;
+  }
+  return -1;
+}
+
+export function countLines(text, syntax) {
+  const counts = { code: 0, comment: 0, blank: 0 };
+  let blockEnd = null; // closing token of the block comment we're in
+  let stringEnd = null; // closing quote of the multi-line string we're in
+
+  const lines = text.split('\n');
+  // A trailing newline doesn't start another line
+  if (lines.length > 1 && lines[lines.length - 1] === '') lines.pop();
+
+  for (const line of lines) {
+    let hasCode = false;
+    let hasComment = false;
+    let i = 0;
+
+    while (i < line.length) {
+      if (blockEnd) {
+        hasComment = true;
+        const end = line.indexOf(blockEnd, i);
+        if (end === -1) break;
+        i = end + blockEnd.length;
+        blockEnd = null;
+        continue;
+      }
+      if (stringEnd) {
+        hasCode = true;
+        const end = closeString(line, i, stringEnd);
+        if (end === -1) break;
+        i = end;
+        stringEnd = null;
+        continue;
+      }
+      if (isSpace(line.charCodeAt(i))) {
+        i++;
+        continue;
+      }
+
+      const block = syntax.block.find(([open]) => line.startsWith(open, i));
+      if (block) {
+        hasComment = true;
+        blockEnd = block[1];
+        i += block[0].length;
+        continue;
+      }
+      if (syntax.line.some((marker) => line.startsWith(marker, i))) {
+        hasComment = true;
+        break;
+      }
+
+      hasCode = true;
+      const quote = syntax.strings.find((q) => line.startsWith(q, i));
+      if (quote) {
+        const end = closeString(line, i + quote.length, quote);
+        if (end !== -1) {
+          i = end;
+        } else {
+          if (syntax.multiline.includes(quote)) stringEnd = quote;
+          break;
+        }
+      } else {
+        i++;
+      }
+    }
+
+    if (hasCode) counts.code++;
+    else if (hasComment) counts.comment++;
+    else if (stringEnd) counts.code++; // blank line inside a multi-line string
+    else counts.blank++;
+  }
+
+  return counts;
+}
+
+export async function countCodeLines(files) {
+  const codeFiles = files.filter((file) => !file.isDirectory && languageOf(file.extension));
+
+  const counted = await mapWithConcurrency(codeFiles, CONCURRENCY, async (file) => {
+    const text = await readTextFile(file.fullPath, MAX_FILE_BYTES);
+    if (text === null) return null;
+    return { language: languageOf(file.extension).name, ...countLines(text, languageOf(file.extension).syntax) };
+  });
+
+  const byLanguage = {};
+  const totals = { code: 0, comment: 0, blank: 0 };
+  for (const result of counted.filter(Boolean)) {
+    byLanguage[result.language] ??= { language: result.language, files: 0, code: 0, comment: 0, blank: 0 };
+    const entry = byLanguage[result.language];
+    entry.files++;
+    for (const key of ['code', 'comment', 'blank']) {
+      entry[key] += result[key];
+      totals[key] += result[key];
+    }
+  }
+
+  return {
+    codeFiles: codeFiles.length,
+    ...totals,
+    byLanguage: Object.values(byLanguage).sort((a, b) => b.code - a.code),
+    // Too big (minified bundles, generated code) or unreadable
+    skippedFiles: counted.filter((result) => result === null).length
+  };
+}
@@ -0,0 +1,415 @@
+// Declared dependencies, with their version and production/development scope, from the manifests of
+// npm, pip (requirements, pyproject.toml, Pipfile), Maven, Gradle, Go modules, Cargo, Bundler and Composer.
+// The frameworks a project uses are recognized from the same dependency lists.
+import path from 'path';
+import { XMLParser } from 'fast-xml-parser';
+import { parse as parseToml } from 'smol-toml';
+import { readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const PRODUCTION = 'production';
+const DEVELOPMENT = 'development';
+
+const dependency = (name, version, scope, extra = {}) => ({ name, version: version ? String(version).trim() : null, scope, ...extra });
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// --- npm ---
+
+function parsePackageJson(text) {
+  const manifest = JSON.parse(text);
+  const section = (key, scope) => Object.entries(manifest[key] || {}).map(([name, version]) => dependency(name, version, scope));
+  return {
+    dependencies: [
+      ...section('dependencies', PRODUCTION),
+      ...section('optionalDependencies', PRODUCTION),
+      ...section('devDependencies', DEVELOPMENT)
+    ]
+  };
+}
+
+// --- Python ---
+
+// PEP 508 requirement: `name[extras] >=1.0,<2 ; python_version < "3.11"` or `name @ https://...`
+function parseRequirement(spec) {
+  const match = spec.trim().match(/^([A-Za-z0-9][A-Za-z0-9._-]*)\s*(?:\[[^\]]*\])?\s*([^;]*)/);
+  if (!match) return null;
+  const version = match[2].trim().replace(/^\((.*)\)$/, '$1').trim();
+  return { name: match[1], version: version.startsWith('@') ? null : version || null };
+}
+
+const requirementsParser = (scope) => (text) => ({
+  dependencies: text
+    .split('\n')
+    .map((line) => line.replace(/(^|\s)#.*$/, '').trim())
+    // Options (-r other.txt, -e ., --index-url) and direct URLs aren't named requirements
+    .filter((line) => line && !line.startsWith('-') && !/^[a-z+]+:\/\//i.test(line))
+    .map(parseRequirement)
+    .filter(Boolean)
+    .map(({ name, version }) => dependency(name, version, scope))
+});
+
+const DEV_GROUP = /^(dev|devel|develop|development|test|tests|testing|lint|linting|docs?|typing|types|mypy|style|format|ci|bench)$/i;
+
+// Poetry and Pipfile dependencies are tables of `name = "^1.0"` or `name = { version = "^1.0", ... }`
+const tableDependencies = (table, scope) =>
+  Object.entries(isObject(table) ? table : {})
+    .filter(([name]) => name.toLowerCase() !== 'python')
+    .map(([name, spec]) => dependency(name, typeof spec === 'string' ? (spec === '*' ? null : spec) : spec?.version, scope));
+
+const requirementList = (list, scope) =>
+  (Array.isArray(list) ? list : [])
+    .filter((spec) => typeof spec === 'string')
+    .map(parseRequirement)
+    .filter(Boolean)
+    .map(({ name, version }) => dependency(name, version, scope));
+
+function parsePyproject(text, { siblings }) {
+  const manifest = parseToml(text);
+  const project = manifest.project || {};
+  const poetry = manifest.tool?.poetry || {};
+
+  const dependencies = [
+    // PEP 621, with optional-dependencies groups named like dev/test/docs counted as development
+    ...requirementList(project.dependencies, PRODUCTION),
+    ...Object.entries(project['optional-dependencies'] || {}).flatMap(([group, list]) =>
+      requirementList(list, DEV_GROUP.test(group) ? DEVELOPMENT : PRODUCTION)
+    ),
+    // PEP 735 dependency groups and PDM dev dependencies
+    ...Object.values(manifest['dependency-groups'] || {}).flatMap((list) => requirementList(list, DEVELOPMENT)),
+    ...Object.values(manifest.tool?.pdm?.['dev-dependencies'] || {}).flatMap((list) => requirementList(list, DEVELOPMENT)),
+    // Poetry
+    ...tableDependencies(poetry.dependencies, PRODUCTION),
+    ...tableDependencies(poetry['dev-dependencies'], DEVELOPMENT),
+    ...Object.values(poetry.group || {}).flatMap((group) => tableDependencies(group.dependencies, DEVELOPMENT))
+  ];
+
+  const packageManager = manifest.tool?.poetry ? 'poetry'
+    : siblings.has('uv.lock') || manifest.tool?.uv ? 'uv'
+    : siblings.has('pdm.lock') || manifest.tool?.pdm ? 'pdm'
+    : 'pip';
+  return { dependencies, packageManager };
+}
+
+function parsePipfile(text) {
+  const manifest = parseToml(text);
+  return {
+    dependencies: [...tableDependencies(manifest.packages, PRODUCTION), ...tableDependencies(manifest['dev-packages'], DEVELOPMENT)]
+  };
+}
+
+// --- Maven ---
+
+const asArray = (value) => (value === undefined || value === null ? [] : Array.isArray(value) ? value : [value]);
+
+function parsePom(text) {
+  const pom = new XMLParser({ parseTagValue: false, ignoreAttributes: true }).parse(text).project || {};
+
+  const properties = {
+    ...Object.fromEntries(Object.entries(pom.properties || {}).map(([key, value]) => [key, String(value)])),
+    'project.version': pom.version ?? pom.parent?.version,
+    'project.parent.version': pom.parent?.version
+  };
+  const resolve = (value) => (value === undefined ? null : String(value).replace(/\$\{([^}]+)\}/g, (placeholder, key) => properties[key] ?? placeholder));
+
+  const coordinates = (item) => `${resolve(item.groupId) ?? pom.groupId ?? ''}:${resolve(item.artifactId)}`;
+  // Versions left out of a dependency come from <dependencyManagement> (or the parent POM)
+  const managed = new Map(asArray(pom.dependencyManagement?.dependencies?.dependency).map((item) => [coordinates(item), resolve(item.version)]));
+
+  const dependencies = asArray(pom.dependencies?.dependency).map((item) =>
+    dependency(coordinates(item), resolve(item.version) ?? managed.get(coordinates(item)), item.scope === 'test' ? DEVELOPMENT : PRODUCTION, {
+      ...(item.scope && item.scope !== 'compile' && item.scope !== 'test' && { mavenScope: String(item.scope) })
+    })
+  );
+
+  // The parent POM and build plugins identify frameworks (spring-boot-starter-parent, quarkus-maven-plugin)
+  const platforms = [pom.parent, ...asArray(pom.build?.plugins?.plugin)]
+    .filter((item) => item?.artifactId)
+    .map((item) => `${resolve(item.groupId) ?? 'org.apache.maven.plugins'}:${resolve(item.artifactId)}`);
+
+  return { dependencies, platforms };
+}
+
+// --- Gradle ---
+
+const GRADLE_CONFIGURATION =
+  'implementation|api|compile|compileOnly|runtimeOnly|runtime|annotationProcessor|kapt|ksp|developmentOnly|' +
+  '(?:test|androidTest|testFixtures|debug|release)(?:Implementation|Api|CompileOnly|RuntimeOnly|Compile|Runtime|AnnotationProcessor)|kaptTest';
+const QUOTED = `["']([^"'\\n]+)["']`;
+const GRADLE_STRING = new RegExp(`\\b(${GRADLE_CONFIGURATION})\\s*\\(?\\s*(?:(?:enforcedPlatform|platform)\\s*\\(\\s*)?${QUOTED}`, 'g');
+const GRADLE_MAP = new RegExp(`\\b(${GRADLE_CONFIGURATION})\\s*\\(?\\s*group\\s*[:=]\\s*${QUOTED}\\s*,\\s*name\\s*[:=]\\s*${QUOTED}(?:\\s*,\\s*version\\s*[:=]\\s*${QUOTED})?`, 'g');
+const GRADLE_CATALOG = new RegExp(`\\b(${GRADLE_CONFIGURATION})\\s*\\(?\\s*(?:(?:enforcedPlatform|platform)\\s*\\(\\s*)?libs\\.([\\w.]+)`, 'g');
+const GRADLE_PLUGIN = /\bid\s*\(?\s*["']([\w.-]+)["']\s*\)?(?:\s*version\s*\(?\s*["']([^"']+)["'])?|\bkotlin\s*\(\s*["']([\w.-]+)["']\s*\)/g;
+
+const gradleScope = (configuration) => (/^(test|androidTest|testFixtures|debug|kaptTest|developmentOnly)/.test(configuration) ? DEVELOPMENT : PRODUCTION);
+
+// gradle/libs.versions.toml: `[libraries] spring-web = { module = "g:a", version.ref = "spring" }`
+function parseVersionCatalog(text) {
+  const catalog = parseToml(text);
+  const versions = catalog.versions || {};
+  const libraries = new Map();
+  for (const [alias, spec] of Object.entries(catalog.libraries || {})) {
+    const key = alias.replace(/[-_]/g, '.');
+    if (typeof spec === 'string') {
+      const [group, name, version] = spec.split(':');
+      libraries.set(key, { name: `${group}:${name}`, version });
+    } else if (isObject(spec)) {
+      const name = spec.module || `${spec.group}:${spec.name}`;
+      const version = typeof spec.version === 'string' ? spec.version : versions[spec.version?.ref] ?? spec.version?.strictly ?? spec.version?.require;
+      libraries.set(key, { name, version: typeof version === 'string' ? version : null });
+    }
+  }
+  return libraries;
+}
+
+function parseGradle(text, { catalog }) {
+  const code = text.replace(/\/\*[\s\S]*?\*\//g, '').replace(/(^|[^:])\/\/.*$/gm, '$1');
+  const dependencies = [];
+
+  for (const match of code.matchAll(GRADLE_STRING)) {
+    const [group, name, version] = match[2].split(':');
+    if (name) dependencies.push(dependency(`${group}:${name}`, version?.includes('$') ? null : version, gradleScope(match[1])));
+  }
+  for (const match of code.matchAll(GRADLE_MAP)) {
+    dependencies.push(dependency(`${match[2]}:${match[3]}`, match[4], gradleScope(match[1])));
+  }
+  for (const match of code.matchAll(GRADLE_CATALOG)) {
+    const library = catalog?.get(match[2].replace(/\.get$/, ''));
+    dependencies.push(dependency(library?.name || `libs.${match[2]}`, library?.version, gradleScope(match[1])));
+  }
+
+  const platforms = [...code.matchAll(GRADLE_PLUGIN)].map((match) => (match[3] ? `org.jetbrains.kotlin.${match[3]}` : match[1]));
+  return { dependencies, platforms };
+}
+
+// --- Go ---
+
+function parseGoMod(text) {
+  const dependencies = [];
+  let inRequire = false;
+
+  for (const rawLine of text.split('\n')) {
+    const indirect = /\/\/\s*indirect\b/.test(rawLine);
+    const line = rawLine.replace(/\/\/.*$/, '').trim();
+
+    if (inRequire) {
+      if (line === ')') inRequire = false;
+      else if (line) {
+        const [name, version] = line.split(/\s+/);
+        dependencies.push(dependency(name, version, PRODUCTION, indirect ? { indirect: true } : {}));
+      }
+    } else if (/^require\s*\($/.test(line)) {
+      inRequire = true;
+    } else {
+      const single = line.match(/^require\s+(\S+)\s+(\S+)/);
+      if (single) dependencies.push(dependency(single[1], single[2], PRODUCTION, indirect ? { indirect: true } : {}));
+    }
+  }
+
+  return { dependencies };
+}
+
+// --- Cargo ---
+
+function parseCargoToml(text) {
+  const manifest = parseToml(text);
+  const section = (table, scope) =>
+    Object.entries(isObject(table) ? table : {}).map(([name, spec]) =>
+      dependency(name, typeof spec === 'string' ? spec : typeof spec?.version === 'string' ? spec.version : null, scope)
+    );
+  // Platform-specific dependencies live under [target.'cfg(...)'.dependencies]
+  const tables = [manifest, ...Object.values(manifest.target || {})];
+
+  return {
+    dependencies: tables.flatMap((table) => [
+      ...section(table.dependencies, PRODUCTION),
+      ...section(table['dev-dependencies'], DEVELOPMENT),
+      ...section(table['build-dependencies'], DEVELOPMENT)
+    ])
+  };
+}
+
+// --- Bundler ---
+
+// `gem 'rails', '~> 7.1'` lines, scoped by `group :development, :test do ... end` blocks or `group: :test`
+function parseGemfile(text) {
+  const dependencies = [];
+  const blocks = []; // groups of the enclosing `do` blocks (null for other blocks)
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.replace(/(^|\s)#.*$/, '').trim();
+    if (!line) continue;
+
+    const group = line.match(/^group\s*\(?(.+?)\)?\s+do\b/);
+    if (group) {
+      blocks.push([...group[1].matchAll(/:(\w+)|["'](\w+)["']/g)].map((m) => m[1] || m[2]));
+      continue;
+    }
+    if (/\bdo(\s*\|[^|]*\|)?$/.test(line)) {
+      blocks.push(null);
+      continue;
+    }
+    if (/^end\b/.test(line)) {
+      blocks.pop();
+      continue;
+    }
+
+    const gem = line.match(/^gem\s*\(?\s*["']([^"']+)["'](.*)$/);
+    if (!gem) continue;
+
+    const versions = [...gem[2].matchAll(/,\s*["']([~<>=!]*\s*\d[^"']*)["']/g)].map((m) => m[1]);
+    const inline = gem[2].match(/\bgroups?:\s*(\[[^\]]*\]|:\w+)/)?.[1];
+    const groups = [...blocks.filter(Boolean).flat(), ...(inline ? [...inline.matchAll(/:(\w+)/g)].map((m) => m[1]) : [])];
+    const development = groups.length > 0 && groups.every((name) => /^(development|test)$/.test(name));
+    dependencies.push(dependency(gem[1], versions.join(', ') || null, development ? DEVELOPMENT : PRODUCTION));
+  }
+
+  return { dependencies };
+}
+
+// --- Composer ---
+
+// Platform requirements (php, ext-*, lib-*) aren't packages
+const PLATFORM_PACKAGE = /^(php(-64bit)?|hhvm|composer(-plugin|-runtime)?-api|ext-.+|lib-.+)$/i;
+
+function parseComposerJson(text) {
+  const manifest = JSON.parse(text);
+  const section = (key, scope) =>
+    Object.entries(manifest[key] || {})
+      .filter(([name]) => !PLATFORM_PACKAGE.test(name))
+      .map(([name, version]) => dependency(name, version, scope));
+  return { dependencies: [...section('require', PRODUCTION), ...section('require-dev', DEVELOPMENT)] };
+}
+
+// --- Manifests ---
+
+// npm, yarn, pnpm or bun, from the lockfile next to package.json
+export function npmPackageManager(siblings) {
+  if (siblings.has('pnpm-lock.yaml')) return 'pnpm';
+  if (siblings.has('yarn.lock')) return 'yarn';
+  if (siblings.has('bun.lockb') || siblings.has('bun.lock')) return 'bun';
+  return 'npm';
+}
+
+const MANIFESTS = [
+  { names: ['package.json'], ecosystem: 'npm', packageManager: npmPackageManager, parse: parsePackageJson },
+  { names: ['requirements.txt'], ecosystem: 'pypi', packageManager: 'pip', parse: requirementsParser(PRODUCTION) },
+  {
+    names: ['requirements-dev.txt', 'dev-requirements.txt', 'requirements-test.txt', 'test-requirements.txt'],
+    ecosystem: 'pypi',
+    packageManager: 'pip',
+    parse: requirementsParser(DEVELOPMENT)
+  },
+  { names: ['pyproject.toml'], ecosystem: 'pypi', packageManager: 'pip', parse: parsePyproject },
+  { names: ['Pipfile'], ecosystem: 'pypi', packageManager: 'pipenv', parse: parsePipfile },
+  { names: ['pom.xml'], ecosystem: 'maven', packageManager: 'maven', parse: parsePom },
+  { names: ['build.gradle', 'build.gradle.kts'], ecosystem: 'maven', packageManager: 'gradle', parse: parseGradle },
+  { names: ['go.mod'], ecosystem: 'go', packageManager: 'go modules', parse: parseGoMod },
+  { names: ['Cargo.toml'], ecosystem: 'cargo', packageManager: 'cargo', parse: parseCargoToml },
+  { names: ['Gemfile'], ecosystem: 'rubygems', packageManager: 'bundler', parse: parseGemfile },
+  { names: ['composer.json'], ecosystem: 'packagist', packageManager: 'composer', parse: parseComposerJson }
+];
+
+const depth = (filePath) => toPosixPath(filePath).split('/').length;
+
+// The project's own manifest of each kind is the shallowest one (nested ones belong to fixtures,
+// examples or, in monorepos, to workspace packages analyzed separately)
+function findManifestFiles(files) {
+  const shallowest = (names) =>
+    files
+      .filter((file) => !file.isDirectory && names.includes(file.name))
+      .sort((a, b) => depth(a.path) - depth(b.path))[0];
+
+  return MANIFESTS.map((manifest) => ({ manifest, file: shallowest(manifest.names) })).filter(({ file }) => file);
+}
+
+export async function readManifests(files) {
+  const found = findManifestFiles(files);
+  const catalogFile = files.find((file) => toPosixPath(file.path) === 'gradle/libs.versions.toml');
+
+  let catalog = null;
+  if (catalogFile && found.some(({ manifest }) => manifest.parse === parseGradle)) {
+    try {
+      catalog = parseVersionCatalog((await readTextFile(catalogFile.fullPath)) || '');
+    } catch (error) {
+      console.warn('Error parsing gradle/libs.versions.toml:', error.message);
+    }
+  }
+
+  const results = await Promise.all(found.map(async ({ manifest, file }) => {
+    const text = await readTextFile(file.fullPath);
+    if (text === null) return null;
+
+    const directory = path.posix.dirname(toPosixPath(file.path));
+    const siblings = new Set(files.filter((f) => path.posix.dirname(toPosixPath(f.path)) === directory).map((f) => f.name));
+
+    try {
+      const parsed = manifest.parse(text, { siblings, catalog });
+      const packageManager = parsed.packageManager
+        || (typeof manifest.packageManager === 'function' ? manifest.packageManager(siblings) : manifest.packageManager);
+      return {
+        file: toPosixPath(file.path),
+        ecosystem: manifest.ecosystem,
+        packageManager,
+        dependencies: parsed.dependencies.map((item) => ({ ...item, ecosystem: manifest.ecosystem, manifest: toPosixPath(file.path) })),
+        platforms: parsed.platforms || []
+      };
+    } catch (error) {
+      console.warn(`Error parsing ${file.path}:`, error.message);
+      return null;
+    }
+  }));
+
+  return results.filter(Boolean);
+}
+
+// Frameworks by ecosystem, recognized from dependency names (or Maven parents / Gradle plugins)
+const FRAMEWORKS = [
+  { name: 'React', ecosystem: 'npm', pattern: /^react$/ },
+  { name: 'Next.js', ecosystem: 'npm', pattern: /^next$/ },
+  { name: 'Vue.js', ecosystem: 'npm', pattern: /^vue$/ },
+  { name: 'Angular', ecosystem: 'npm', pattern: /^@angular\/core$/ },
+  { name: 'Express.js', ecosystem: 'npm', pattern: /^express$/ },
+  { name: 'Fastify', ecosystem: 'npm', pattern: /^fastify$/ },
+  { name: 'NestJS', ecosystem: 'npm', pattern: /^@nestjs\/core$/ },
+  { name: 'Svelte', ecosystem: 'npm', pattern: /^svelte$/ },
+  { name: 'Nuxt.js', ecosystem: 'npm', pattern: /^nuxt$/ },
+  { name: 'Gatsby', ecosystem: 'npm', pattern: /^gatsby$/ },
+  { name: 'Django', ecosystem: 'pypi', pattern: /^django$/ },
+  { name: 'Flask', ecosystem: 'pypi', pattern: /^flask$/ },
+  { name: 'FastAPI', ecosystem: 'pypi', pattern: /^fastapi$/ },
+  { name: 'Tornado', ecosystem: 'pypi', pattern: /^tornado$/ },
+  { name: 'Pyramid', ecosystem: 'pypi', pattern: /^pyramid$/ },
+  { name: 'Spring Boot', ecosystem: 'maven', pattern: /^org\.springframework\.boot(:|$)/ },
+  { name: 'Spring Framework', ecosystem: 'maven', pattern: /^org\.springframework:spring-web/ },
+  { name: 'Quarkus', ecosystem: 'maven', pattern: /^io\.quarkus(\.platform)?(:|$)/ },
+  { name: 'Micronaut', ecosystem: 'maven', pattern: /^io\.micronaut(\.[\w.]+)?(:|$)/ },
+  { name: 'Ktor', ecosystem: 'maven', pattern: /^io\.ktor(:|$)/ },
+  { name: 'Gin', ecosystem: 'go', pattern: /^github\.com\/gin-gonic\/gin$/ },
+  { name: 'Echo', ecosystem: 'go', pattern: /^github\.com\/labstack\/echo(\/v\d+)?$/ },
+  { name: 'Fiber', ecosystem: 'go', pattern: /^github\.com\/gofiber\/fiber(\/v\d+)?$/ },
+  { name: 'Chi', ecosystem: 'go', pattern: /^github\.com\/go-chi\/chi(\/v\d+)?$/ },
+  { name: 'Gorilla Mux', ecosystem: 'go', pattern: /^github\.com\/gorilla\/mux$/ },
+  { name: 'Actix Web', ecosystem: 'cargo', pattern: /^actix-web$/ },
+  { name: 'Axum', ecosystem: 'cargo', pattern: /^axum$/ },
+  { name: 'Rocket', ecosystem: 'cargo', pattern: /^rocket$/ },
+  { name: 'Warp', ecosystem: 'cargo', pattern: /^warp$/ },
+  { name: 'Ruby on Rails', ecosystem: 'rubygems', pattern: /^rails$/ },
+  { name: 'Sinatra', ecosystem: 'rubygems', pattern: /^sinatra$/ },
+  { name: 'Hanami', ecosystem: 'rubygems', pattern: /^hanami$/ },
+  { name: 'Laravel', ecosystem: 'packagist', pattern: /^laravel\/framework$/ },
+  { name: 'Symfony', ecosystem: 'packagist', pattern: /^symfony\/framework-bundle$/ },
+  { name: 'Slim', ecosystem: 'packagist', pattern: /^slim\/slim$/ }
+];
+
+// PyPI names are case-insensitive and treat `-`, `_` and `.` alike
+const normalizedName = (name, ecosystem) => (ecosystem === 'pypi' ? name.toLowerCase().replace(/[-_.]+/g, '-') : name.toLowerCase());
+
+export function detectFrameworks(manifests) {
+  const frameworks = new Set();
+  for (const manifest of manifests) {
+    const names = [...manifest.dependencies.map((item) => item.name), ...manifest.platforms].map((name) => normalizedName(name, manifest.ecosystem));
+    FRAMEWORKS
+      .filter((framework) => framework.ecosystem === manifest.ecosystem && names.some((name) => framework.pattern.test(name)))
+      .forEach((framework) => frameworks.add(framework.name));
+  }
+  return [...frameworks];
+}
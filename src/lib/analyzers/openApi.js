@@ -0,0 +1,333 @@
+// OpenAPI 3.x and Swagger 2.0 specs in YAML or JSON: operations with their parameters, request and
+// response schemas, security schemes and named schemas, with local $refs resolved
+import { parse as parseYaml } from 'yaml';
+import { isTestPath, mapWithConcurrency, oneLine, readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 4;
+const MAX_SPEC_BYTES = 2 * 1024 * 1024;
+const MAX_CANDIDATES = 200;
+const MAX_SPECS = 10;
+const MAX_FIELDS = 60;
+const SPEC_EXTENSIONS = ['.yaml', '.yml', '.json'];
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch', 'trace'];
+
+// Cheap check before parsing: a top-level `openapi: 3.x` / `"swagger": "2.0"` key
+const SPEC_MARKER = /(^|[{,\n])\s*["']?(openapi|swagger)["']?\s*:\s*["']?\d/;
+
+// Files named like specs are read first, so the candidate limit drops config files rather than specs
+const LIKELY_SPEC_NAME = /openapi|swagger|api/i;
+
+// Local JSON pointer lookup (`#/components/schemas/Pet`); undefined for external or broken refs
+function lookupPointer(root, ref) {
+  if (!ref.startsWith('#/')) return undefined;
+
+  let node = root;
+  for (const part of ref.slice(2).split('/')) {
+    if (node === null || typeof node !== 'object') return undefined;
+    node = node[decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  return node;
+}
+
+function isSchemaRef(ref) {
+  return /^#\/(components\/schemas|definitions)\/[^/]+$/.test(ref);
+}
+
+const refName = (ref) => decodeURIComponent(ref.split('/').pop()).replace(/~1/g, '/').replace(/~0/g, '~');
+
+// Helpers bound to one parsed document
+function createSpecReader(root) {
+  // Follow a chain of $refs to the object it points to (null when broken, external or circular)
+  const resolve = (node) => {
+    const seen = new Set();
+    let current = node;
+    while (current && typeof current === 'object' && typeof current.$ref === 'string') {
+      if (seen.has(current.$ref)) return null;
+      seen.add(current.$ref);
+      const target = lookupPointer(root, current.$ref);
+      if (target === undefined) return null;
+      current = target;
+    }
+    return current ?? null;
+  };
+
+  // Compact type expression: `Pet`, `Pet[]`, `string (uuid)`, `map<string, integer>`, `Cat | Dog`
+  const describe = (schema, depth = 0) => {
+    if (!schema || typeof schema !== 'object') return 'any';
+    if (typeof schema.$ref === 'string') {
+      if (isSchemaRef(schema.$ref) || !schema.$ref.startsWith('#')) return schema.$ref.startsWith('#') ? refName(schema.$ref) : schema.$ref;
+      return depth > 5 ? 'object' : describe(resolve(schema), depth + 1);
+    }
+    if (depth > 5) return 'object';
+
+    const nullable = schema.nullable === true || (Array.isArray(schema.type) && schema.type.includes('null'));
+    const withNull = (text) => (nullable && !text.endsWith('| null') ? `${text} | null` : text);
+
+    for (const [keyword, separator] of [['oneOf', ' | '], ['anyOf', ' | '], ['allOf', ' & ']]) {
+      if (Array.isArray(schema[keyword]) && schema[keyword].length > 0) {
+        return withNull(schema[keyword].map((part) => describe(part, depth + 1)).join(separator));
+      }
+    }
+    if (Array.isArray(schema.enum)) {
+      const values = schema.enum.slice(0, 8).map((value) => JSON.stringify(value));
+      return withNull(`${values.join(' | ')}${schema.enum.length > 8 ? ' | …' : ''}`);
+    }
+
+    const types = (Array.isArray(schema.type) ? schema.type : [schema.type]).filter((type) => type && type !== 'null');
+    const type = types[0] || (schema.properties ? 'object' : schema.items ? 'array' : null);
+
+    if (type === 'array') return withNull(`${describe(schema.items, depth + 1)}[]`);
+    if (type === 'object' && !schema.properties && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+      return withNull(`map<string, ${describe(schema.additionalProperties, depth + 1)}>`);
+    }
+    if (!type) return 'any';
+    return withNull(schema.format ? `${type} (${schema.format})` : type);
+  };
+
+  // Properties of an object schema, merging allOf parts
+  const fields = (schema, depth = 0) => {
+    const resolved = resolve(schema);
+    if (!resolved || typeof resolved !== 'object' || depth > 5) return [];
+
+    const own = Object.entries(resolved.properties || {}).map(([name, property]) => {
+      const target = resolve(property) || {};
+      return {
+        name,
+        type: describe(property),
+        required: Array.isArray(resolved.required) && resolved.required.includes(name),
+        description: target.description ? oneLine(target.description, 200) : '',
+        ...(target.deprecated && { deprecated: true })
+      };
+    });
+    const inherited = (resolved.allOf || []).flatMap((part) => fields(part, depth + 1));
+
+    return [...inherited, ...own].slice(0, MAX_FIELDS);
+  };
+
+  // Body shape: inline object schemas list their fields, named schemas are documented separately
+  const body = (schema) => {
+    if (!schema) return {};
+    const isNamed = typeof schema.$ref === 'string' && isSchemaRef(schema.$ref);
+    const inlineFields = isNamed ? [] : fields(schema);
+    return { schema: describe(schema), ...(inlineFields.length > 0 && { fields: inlineFields }) };
+  };
+
+  return { resolve, describe, fields, body };
+}
+
+function securityRequirements(requirements) {
+  if (!Array.isArray(requirements)) return null;
+  // Each requirement object is an alternative; the schemes inside one object are all required
+  return requirements.map((requirement) => Object.keys(requirement || {}).join(' + ') || 'none');
+}
+
+function securitySchemes(doc, reader) {
+  const schemes = doc.components?.securitySchemes || doc.securityDefinitions || {};
+
+  return Object.entries(schemes).map(([name, raw]) => {
+    const scheme = reader.resolve(raw) || {};
+    const flows = scheme.flows ? Object.keys(scheme.flows) : scheme.flow ? [scheme.flow] : [];
+    const scopes = scheme.flows
+      ? [...new Set(Object.values(scheme.flows).flatMap((flow) => Object.keys(flow?.scopes || {})))]
+      : Object.keys(scheme.scopes || {});
+
+    return {
+      name,
+      type: scheme.type || 'unknown',
+      ...(scheme.scheme && { scheme: scheme.scheme }),
+      ...(scheme.bearerFormat && { bearerFormat: scheme.bearerFormat }),
+      ...(scheme.in && { in: scheme.in, parameterName: scheme.name }),
+      ...(flows.length > 0 && { flows }),
+      ...(scopes.length > 0 && { scopes }),
+      ...(scheme.openIdConnectUrl && { openIdConnectUrl: scheme.openIdConnectUrl }),
+      ...(scheme.description && { description: oneLine(scheme.description, 200) })
+    };
+  });
+}
+
+function servers(doc) {
+  if (Array.isArray(doc.servers)) return doc.servers.map((server) => server?.url).filter(Boolean);
+  if (doc.host) return (doc.schemes?.length ? doc.schemes : ['https']).map((scheme) => `${scheme}://${doc.host}${doc.basePath || ''}`);
+  return doc.basePath ? [doc.basePath] : [];
+}
+
+function describeParameter(parameter, reader) {
+  // OpenAPI 3 puts the type in `schema` (or `content`), Swagger 2 on the parameter itself
+  const schema = parameter.schema || Object.values(parameter.content || {})[0]?.schema || parameter;
+  return {
+    name: parameter.name,
+    in: parameter.in,
+    type: reader.describe(schema),
+    required: parameter.in === 'path' || parameter.required === true,
+    description: parameter.description ? oneLine(parameter.description, 200) : '',
+    ...(parameter.deprecated && { deprecated: true })
+  };
+}
+
+function parseOperation(doc, reader, routePath, method, operation, sharedParameters) {
+  const isSwagger = Boolean(doc.swagger);
+
+  // Operation parameters override path-level ones with the same name and location
+  const byKey = new Map();
+  for (const raw of [...sharedParameters, ...(operation.parameters || [])]) {
+    const parameter = reader.resolve(raw);
+    if (parameter?.name && parameter.in) byKey.set(`${parameter.in}:${parameter.name}`, parameter);
+  }
+  const allParameters = [...byKey.values()];
+
+  let requestBody = null;
+  if (isSwagger) {
+    const bodyParameter = allParameters.find((parameter) => parameter.in === 'body');
+    const formParameters = allParameters.filter((parameter) => parameter.in === 'formData');
+    const consumes = operation.consumes || doc.consumes || [];
+
+    if (bodyParameter) {
+      requestBody = {
+        required: bodyParameter.required === true,
+        contentTypes: consumes.length ? consumes : ['application/json'],
+        ...(bodyParameter.description && { description: oneLine(bodyParameter.description, 300) }),
+        ...reader.body(bodyParameter.schema)
+      };
+    } else if (formParameters.length > 0) {
+      requestBody = {
+        required: formParameters.some((parameter) => parameter.required),
+        contentTypes: consumes.length ? consumes : [formParameters.some((p) => p.type === 'file') ? 'multipart/form-data' : 'application/x-www-form-urlencoded'],
+        schema: 'object',
+        fields: formParameters.map((parameter) => {
+          const { name, type, required, description } = describeParameter(parameter, reader);
+          return { name, type, required, description };
+        })
+      };
+    }
+  } else if (operation.requestBody) {
+    const raw = reader.resolve(operation.requestBody) || {};
+    const content = raw.content || {};
+    const [firstMedia] = Object.values(content);
+    requestBody = {
+      required: raw.required === true,
+      contentTypes: Object.keys(content),
+      ...(raw.description && { description: oneLine(raw.description, 300) }),
+      ...reader.body(firstMedia?.schema)
+    };
+  }
+
+  const produces = operation.produces || doc.produces || [];
+  const responses = Object.entries(operation.responses || {}).map(([status, raw]) => {
+    const response = reader.resolve(raw) || {};
+    const content = response.content || {};
+    const schema = isSwagger ? response.schema : Object.values(content)[0]?.schema;
+    return {
+      status: String(status),
+      description: response.description ? oneLine(response.description, 200) : '',
+      contentTypes: isSwagger ? (response.schema ? produces : []) : Object.keys(content),
+      ...reader.body(schema)
+    };
+  });
+
+  return {
+    method: method.toUpperCase(),
+    path: routePath,
+    ...(operation.operationId && { operationId: operation.operationId }),
+    summary: operation.summary ? oneLine(operation.summary, 200) : '',
+    description: operation.description ? oneLine(operation.description, 500) : '',
+    tags: Array.isArray(operation.tags) ? operation.tags : [],
+    ...(operation.deprecated && { deprecated: true }),
+    parameters: allParameters.filter((parameter) => parameter.in !== 'body' && parameter.in !== 'formData').map((parameter) => describeParameter(parameter, reader)),
+    requestBody,
+    responses,
+    // null: the spec-wide requirement applies; [] means the operation is public
+    security: securityRequirements(operation.security)
+  };
+}
+
+function parseSpec(doc, file, format, size) {
+  const reader = createSpecReader(doc);
+  const operations = [];
+
+  for (const [routePath, rawItem] of Object.entries(doc.paths || {})) {
+    const pathItem = reader.resolve(rawItem);
+    if (!pathItem || typeof pathItem !== 'object') continue;
+
+    for (const method of HTTP_METHODS) {
+      const operation = pathItem[method];
+      if (operation && typeof operation === 'object') {
+        operations.push(parseOperation(doc, reader, routePath, method, operation, pathItem.parameters || []));
+      }
+    }
+  }
+
+  const namedSchemas = doc.components?.schemas || doc.definitions || {};
+  const schemas = Object.entries(namedSchemas).map(([name, schema]) => {
+    const resolved = reader.resolve(schema) || {};
+    const schemaFields = reader.fields(schema);
+    return {
+      name,
+      type: reader.describe(schema),
+      description: resolved.description ? oneLine(resolved.description, 300) : '',
+      ...(schemaFields.length > 0 && { fields: schemaFields })
+    };
+  });
+
+  return {
+    file,
+    format,
+    size,
+    specVersion: String(doc.openapi || doc.swagger),
+    title: doc.info?.title || file,
+    version: doc.info?.version ? String(doc.info.version) : null,
+    description: doc.info?.description ? oneLine(doc.info.description, 500) : '',
+    servers: servers(doc),
+    securitySchemes: securitySchemes(doc, reader),
+    security: securityRequirements(doc.security) || [],
+    tags: (doc.tags || []).filter((tag) => tag?.name).map((tag) => ({ name: tag.name, description: tag.description ? oneLine(tag.description, 200) : '' })),
+    operations,
+    schemas
+  };
+}
+
+function parseDocument(text, extension) {
+  if (extension === '.json') return JSON.parse(text);
+  return parseYaml(text, { uniqueKeys: false, maxAliasCount: 1000 });
+}
+
+function isSpecDocument(doc) {
+  if (!doc || typeof doc !== 'object' || Array.isArray(doc)) return false;
+  const isOpenApi3 = typeof doc.openapi === 'string' && doc.openapi.startsWith('3');
+  const isSwagger2 = String(doc.swagger) === '2.0';
+  return (isOpenApi3 || isSwagger2) && (doc.paths === undefined || typeof doc.paths === 'object');
+}
+
+export async function analyzeOpenApi(files) {
+  const candidates = files
+    .filter((file) => !file.isDirectory && SPEC_EXTENSIONS.includes(file.extension) && file.size <= MAX_SPEC_BYTES && !isTestPath(file.path))
+    .sort((a, b) => Number(LIKELY_SPEC_NAME.test(b.name)) - Number(LIKELY_SPEC_NAME.test(a.name)))
+    .slice(0, MAX_CANDIDATES);
+
+  const errors = [];
+  const parsed = await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+    const text = await readTextFile(file.fullPath, MAX_SPEC_BYTES);
+    if (text === null || !SPEC_MARKER.test(text)) return null;
+
+    const filePath = toPosixPath(file.path);
+    try {
+      const doc = parseDocument(text, file.extension);
+      if (!isSpecDocument(doc)) return null;
+      return parseSpec(doc, filePath, file.extension === '.json' ? 'json' : 'yaml', file.size);
+    } catch (error) {
+      errors.push({ file: filePath, message: oneLine(error.message, 200) });
+      return null;
+    }
+  });
+
+  const specs = parsed.filter(Boolean).sort((a, b) => a.file.localeCompare(b.file)).slice(0, MAX_SPECS);
+
+  return {
+    specs,
+    stats: {
+      specs: specs.length,
+      operations: specs.reduce((sum, spec) => sum + spec.operations.length, 0),
+      schemas: specs.reduce((sum, spec) => sum + spec.schemas.length, 0)
+    },
+    errors
+  };
+}
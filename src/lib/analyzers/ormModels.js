@@ -0,0 +1,759 @@
+// Data model definitions in application code: Prisma schemas, TypeORM / sequelize-typescript / NestJS
+// Mongoose decorated classes, Sequelize define/init models, Mongoose schemas, SQLAlchemy declarative
+// classes and JPA entities (Java and Kotlin)
+import { JS_EXTENSIONS, parseJavaScript, walkAst } from '@/lib/analyzers/jsParser';
+import {
+  isTestPath,
+  lineAt,
+  mapWithConcurrency,
+  oneLine,
+  readBalanced,
+  readTextFile,
+  splitArguments,
+  stripComments,
+  toPosixPath,
+  unquote
+} from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const MAX_FILE_SIZE = 256 * 1024;
+
+const JS_MODEL_HINT = /@(?:Entity|Table|Schema)\s*\(|\.define\s*\(|\.init\s*\(|\bSchema\s*\(|\.(?:hasMany|belongsTo|hasOne|belongsToMany)\s*\(/;
+const PYTHON_MODEL_HINT = /\b(?:Column|mapped_column|relationship)\s*\(|__tablename__/;
+const JPA_HINT = /@(?:jakarta\.persistence\.|javax\.persistence\.)?Entity\b/;
+// Migration code describes the same tables and is read by the migration parsers
+const MIGRATION_PATH = /(^|\/)(migrations?|migrate|versions)\//i;
+
+const RELATION_KINDS = {
+  ManyToOne: 'many-to-one',
+  OneToMany: 'one-to-many',
+  OneToOne: 'one-to-one',
+  ManyToMany: 'many-to-many',
+  BelongsTo: 'many-to-one',
+  HasMany: 'one-to-many',
+  HasOne: 'one-to-one',
+  BelongsToMany: 'many-to-many',
+  belongsTo: 'many-to-one',
+  hasMany: 'one-to-many',
+  hasOne: 'one-to-one',
+  belongsToMany: 'many-to-many'
+};
+
+// TypeORM column decorators and what they imply when the property has no explicit type
+const TYPEORM_COLUMNS = {
+  Column: {},
+  PrimaryColumn: { primaryKey: true },
+  PrimaryGeneratedColumn: { primaryKey: true },
+  ObjectIdColumn: { primaryKey: true, type: 'ObjectId' },
+  CreateDateColumn: { type: 'timestamp' },
+  UpdateDateColumn: { type: 'timestamp' },
+  DeleteDateColumn: { type: 'timestamp' },
+  VersionColumn: { type: 'int' }
+};
+
+export function entity(name, { table = name, kind = 'table', source, file, line }) {
+  return { name, table, kind, source, file, line, columns: [], relations: [] };
+}
+
+// `references` is { target, column } where target is a table, model or class name; a null type is
+// filled in from the referenced primary key once every entity is known
+export function column(name, type, { nullable = true, primaryKey = false, unique = false, defaultValue = null, references = null } = {}) {
+  return {
+    name,
+    type: type || null,
+    nullable: nullable && !primaryKey,
+    primaryKey,
+    unique,
+    default: defaultValue === null ? null : oneLine(defaultValue, 40),
+    references
+  };
+}
+
+// UserAccount -> user_account
+export function snakeCase(name) {
+  return name
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1_$2')
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase();
+}
+
+// English plural the way Rails, Sequelize and Mongoose derive table names: user -> users, category -> categories
+export function pluralize(word) {
+  if (/[^aeiou]y$/i.test(word)) return `${word.slice(0, -1)}ies`;
+  if (/(s|x|z|ch|sh)$/i.test(word)) return `${word}es`;
+  return `${word}s`;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Prisma
+
+const PRISMA_BLOCK = /^[ \t]*(model|datasource)\s+(\w+)\s*\{/gm;
+const PRISMA_FIELD = /^\s*(\w+)\s+(\w+)(\[\])?(\?)?(.*)$/;
+
+function prismaFields(body) {
+  return body
+    .split('\n')
+    .map((line) => line.match(PRISMA_FIELD))
+    .filter(Boolean)
+    .map(([, name, type, list, optional, attributes]) => ({ name, type, list: Boolean(list), optional: Boolean(optional), attributes }));
+}
+
+function parsePrismaSchema(code, filePath) {
+  const stripped = stripComments(code, { line: '//', block: false });
+  const blocks = [];
+  for (const match of stripped.matchAll(PRISMA_BLOCK)) {
+    const body = readBalanced(stripped, match.index + match[0].length - 1);
+    if (body) blocks.push({ keyword: match[1], name: match[2], body: body.content, line: lineAt(code, match.index + match[0].search(/\S/)) });
+  }
+
+  const provider = blocks.find((block) => block.keyword === 'datasource')?.body.match(/provider\s*=\s*"(\w+)"/)?.[1];
+  const models = blocks.filter((block) => block.keyword === 'model');
+  const fieldsOf = new Map(models.map((model) => [model.name, prismaFields(model.body)]));
+
+  return models.map((model) => {
+    const table = model.body.match(/@@map\(\s*(?:name\s*:\s*)?"([^"]+)"/)?.[1] || model.name;
+    const record = entity(model.name, { table, kind: provider === 'mongodb' ? 'collection' : 'table', source: 'prisma', file: filePath, line: model.line });
+    const compositeId = model.body.match(/@@id\(\s*(?:fields\s*:\s*)?\[([^\]]*)\]/)?.[1].split(',').map((name) => name.trim()) || [];
+    const fields = fieldsOf.get(model.name);
+
+    // Scalar fields listed in `@relation(fields: [...])` hold the foreign key
+    const foreignKeys = new Map();
+    for (const field of fields) {
+      const keys = field.attributes.match(/@relation\([^)]*fields\s*:\s*\[([^\]]*)\]/)?.[1];
+      if (keys && fieldsOf.has(field.type)) keys.split(',').forEach((key) => foreignKeys.set(key.trim(), field));
+    }
+
+    for (const field of fields) {
+      if (fieldsOf.has(field.type)) {
+        const holdsKey = /@relation\([^)]*fields\s*:/.test(field.attributes);
+        if (holdsKey) {
+          const keyFields = [...foreignKeys].filter(([, relation]) => relation === field).map(([key]) => key);
+          const unique = keyFields.length > 0 && keyFields.every((key) => /@unique\b|@id\b/.test(fields.find((f) => f.name === key)?.attributes || ''));
+          record.relations.push({ field: field.name, target: field.type, kind: unique ? 'one-to-one' : 'many-to-one' });
+        } else if (field.list) {
+          // Implicit many-to-many relations are lists on both sides
+          const inverse = fieldsOf.get(field.type).find((f) => f.type === model.name && f.list);
+          record.relations.push({ field: field.name, target: field.type, kind: inverse ? 'many-to-many' : 'one-to-many' });
+        }
+        // A single back-relation without `fields` is described by the side that holds the key
+        continue;
+      }
+
+      const defaultValue = field.attributes.match(/@default\(((?:[^()]|\([^()]*\))*)\)/)?.[1] ?? null;
+      const foreignKey = foreignKeys.get(field.name);
+      record.columns.push(
+        column(field.attributes.match(/@map\(\s*(?:name\s*:\s*)?"([^"]+)"/)?.[1] || field.name, field.list ? `${field.type}[]` : field.type, {
+          nullable: field.optional,
+          primaryKey: /@id\b/.test(field.attributes) || compositeId.includes(field.name),
+          unique: /@unique\b/.test(field.attributes),
+          defaultValue,
+          references: foreignKey ? { target: foreignKey.type, column: null } : null
+        })
+      );
+    }
+    return record;
+  });
+}
+
+// ---------------------------------------------------------------------------------------------------
+// JavaScript and TypeScript: decorated classes, Sequelize and Mongoose
+
+const calleeName = (node) => {
+  if (node?.type === 'Identifier') return node.name;
+  if (node?.type === 'MemberExpression' && !node.computed) return node.property.name;
+  return null;
+};
+
+function propertyOf(object, key) {
+  if (object?.type !== 'ObjectExpression') return null;
+  const found = object.properties.find((p) => p.type === 'ObjectProperty' && (p.key.name === key || p.key.value === key));
+  return found ? found.value : null;
+}
+
+function literalOf(node) {
+  if (!node) return undefined;
+  if (['StringLiteral', 'NumericLiteral', 'BooleanLiteral'].includes(node.type)) return node.value;
+  if (node.type === 'NullLiteral') return null;
+  if (node.type === 'TemplateLiteral' && node.expressions.length === 0) return node.quasis[0].value.cooked;
+  return undefined;
+}
+
+// `DataTypes.STRING(50)` -> STRING(50), `Schema.Types.ObjectId` -> ObjectId
+const typeName = (text) => text.replace(/^[\w.]*\.(?=\w+(\(|$))/, '');
+
+// Model a relation points at: `() => User`, `'User'`, `User` or `models.User`
+function targetOf(node) {
+  if (!node) return null;
+  if (node.type === 'ArrowFunctionExpression' || node.type === 'FunctionExpression') {
+    const body = node.body.type === 'BlockStatement' ? node.body.body.find((s) => s.type === 'ReturnStatement')?.argument : node.body;
+    return targetOf(body);
+  }
+  if (node.type === 'StringLiteral') return node.value;
+  return calleeName(node);
+}
+
+function decoratorsOf(node) {
+  return (node.decorators || []).map(({ expression }) => {
+    const call = expression.type === 'CallExpression';
+    return { name: calleeName(call ? expression.callee : expression), args: call ? expression.arguments : [] };
+  });
+}
+
+// TypeScript type of a class property without null/undefined: `name?: string | null` -> string
+function annotationOf(property, code) {
+  const annotation = property.typeAnnotation?.typeAnnotation;
+  if (!annotation) return null;
+  const parts = code.slice(annotation.start, annotation.end).split('|').map((part) => part.trim());
+  return parts.filter((part) => !['null', 'undefined'].includes(part)).join(' | ');
+}
+
+// A Mongoose field definition: `String`, `[String]`, `{ type: ObjectId, ref: 'User', required: true }`.
+// Decorator options (`@Prop({...})`) are always options, plain schema objects without `type` are nested documents.
+function mongooseField(name, node, code, { options = false, fallbackType = null } = {}) {
+  const source = (n) => code.slice(n.start, n.end);
+  let value = node;
+  let list = false;
+  if (value?.type === 'ArrayExpression') {
+    list = true;
+    value = value.elements[0];
+  }
+
+  let isOptions = value?.type === 'ObjectExpression' && Boolean(options || propertyOf(value, 'type'));
+  let typeNode = isOptions ? propertyOf(value, 'type') : value;
+  if (typeNode?.type === 'ArrayExpression') {
+    list = true;
+    typeNode = typeNode.elements[0];
+    // `type: [{ type: ObjectId, ref: 'Tag' }]`
+    if (typeNode?.type === 'ObjectExpression' && propertyOf(typeNode, 'type')) {
+      value = typeNode;
+      isOptions = true;
+      typeNode = propertyOf(value, 'type');
+    }
+  }
+
+  let type = fallbackType || 'Mixed';
+  if (typeNode?.type === 'ObjectExpression') type = 'Object';
+  else if (typeNode) type = typeName(source(typeNode));
+
+  const option = (key) => (isOptions ? propertyOf(value, key) : null);
+  const required = option('required');
+  const ref = literalOf(option('ref')) ?? null;
+  const field = column(name, list ? `${type}[]` : type, {
+    nullable: !(literalOf(required) === true || (required?.type === 'ArrayExpression' && literalOf(required.elements[0]) === true)),
+    unique: literalOf(option('unique')) === true,
+    defaultValue: option('default') ? source(option('default')) : null,
+    references: ref ? { target: ref, column: '_id' } : null
+  });
+  return { column: field, relation: ref ? { field: name, target: ref, kind: list ? 'one-to-many' : 'many-to-one' } : null };
+}
+
+// A Sequelize attribute: `DataTypes.STRING` or `{ type, allowNull, primaryKey, unique, defaultValue, references }`
+function sequelizeField(name, node, code) {
+  const source = (n) => code.slice(n.start, n.end);
+  const isOptions = node.type === 'ObjectExpression';
+  const typeNode = isOptions ? propertyOf(node, 'type') : node;
+  const option = (key) => (isOptions ? propertyOf(node, key) : null);
+
+  const references = option('references');
+  const model = propertyOf(references, 'model');
+  const target = literalOf(model) ?? literalOf(propertyOf(model, 'tableName')) ?? calleeName(model);
+
+  return column(literalOf(option('field')) || name, typeNode ? typeName(source(typeNode)) : null, {
+    nullable: literalOf(option('allowNull')) !== false,
+    primaryKey: literalOf(option('primaryKey')) === true,
+    unique: literalOf(option('unique')) === true,
+    defaultValue: option('defaultValue') ? typeName(source(option('defaultValue'))) : null,
+    references: target ? { target, column: literalOf(propertyOf(references, 'key')) ?? null } : null
+  });
+}
+
+// Sequelize adds an `id` primary key and timestamps unless the model opts out
+function addSequelizeDefaults(record, options) {
+  if (!record.columns.some((c) => c.primaryKey)) {
+    record.columns.unshift(column('id', 'INTEGER', { primaryKey: true }));
+  }
+  if (literalOf(propertyOf(options, 'timestamps')) !== false) {
+    record.columns.push(column('createdAt', 'DATE', { nullable: false }), column('updatedAt', 'DATE', { nullable: false }));
+  }
+}
+
+function decoratedClass(node, code, filePath) {
+  const decorators = decoratorsOf(node);
+  const className = node.id?.name;
+  if (!className) return null;
+
+  const typeorm = decorators.find((d) => d.name === 'Entity');
+  const sequelize = decorators.find((d) => d.name === 'Table');
+  const nestMongoose = decorators.find((d) => d.name === 'Schema');
+  const marker = typeorm || sequelize || nestMongoose;
+  if (!marker) return null;
+
+  const [first] = marker.args;
+  const foreignKeys = [];
+  const location = { file: filePath, line: node.loc.start.line };
+  let record;
+  if (typeorm) {
+    const table = literalOf(first) ?? literalOf(propertyOf(first, 'name'));
+    record = entity(className, { table: typeof table === 'string' ? table : snakeCase(className), source: 'typeorm', ...location });
+  } else if (sequelize) {
+    const table = literalOf(propertyOf(first, 'tableName'));
+    record = entity(className, { table: table || pluralize(className), source: 'sequelize', ...location });
+  } else {
+    const collection = literalOf(propertyOf(first, 'collection'));
+    record = entity(className, { table: collection || pluralize(className.toLowerCase()), kind: 'collection', source: 'mongoose', ...location });
+    record.columns.push(column('_id', 'ObjectId', { primaryKey: true }));
+  }
+
+  for (const property of node.body.body) {
+    if (property.type !== 'ClassProperty' || !property.decorators?.length) continue;
+    const name = property.key.name || property.key.value;
+    const decorated = decoratorsOf(property);
+    const has = (decoratorName) => decorated.find((d) => d.name === decoratorName);
+    const annotation = annotationOf(property, code);
+
+    const relation = decorated.find((d) => RELATION_KINDS[d.name] && /^[A-Z]/.test(d.name));
+    if (relation) {
+      const target = targetOf(relation.args[0]);
+      if (!target) continue;
+      record.relations.push({ field: name, target, kind: RELATION_KINDS[relation.name] });
+
+      // TypeORM keeps the foreign key of many-to-one and owning one-to-one sides in a `<property>Id` column
+      if (typeorm && (relation.name === 'ManyToOne' || (relation.name === 'OneToOne' && has('JoinColumn')))) {
+        const joinName = literalOf(propertyOf(has('JoinColumn')?.args[0], 'name'));
+        const keyName = joinName || `${name}Id`;
+        const nullable = literalOf(propertyOf(relation.args.find((a) => a.type === 'ObjectExpression'), 'nullable'));
+        foreignKeys.push(column(keyName, null, { nullable: nullable !== false, references: { target, column: null } }));
+      }
+      continue;
+    }
+
+    if (nestMongoose) {
+      const prop = has('Prop');
+      if (!prop) continue;
+      const field = mongooseField(name, prop.args[0], code, { options: true, fallbackType: annotation });
+      record.columns.push(field.column);
+      if (field.relation) record.relations.push(field.relation);
+      continue;
+    }
+
+    const columnDecorator = decorated.find((d) => TYPEORM_COLUMNS[d.name]);
+    if (!columnDecorator) continue;
+    const defaults = TYPEORM_COLUMNS[columnDecorator.name];
+    const options = columnDecorator.args.find((a) => a.type === 'ObjectExpression');
+    const typeArg = columnDecorator.args[0]?.type !== 'ObjectExpression' ? columnDecorator.args[0] : propertyOf(options, 'type');
+    const explicitType = typeArg && (literalOf(typeArg) ?? typeName(code.slice(typeArg.start, typeArg.end)));
+    const allowNull = literalOf(has('AllowNull')?.args[0] ?? propertyOf(options, 'allowNull'));
+    const foreignKey = has('ForeignKey');
+    const defaultNode = has('Default')?.args[0] || propertyOf(options, 'default') || propertyOf(options, 'defaultValue');
+
+    record.columns.push(
+      column(literalOf(propertyOf(options, 'name')) || literalOf(propertyOf(options, 'field')) || name, explicitType || defaults.type || annotation, {
+        // TypeORM columns are required unless marked nullable, Sequelize ones allow null unless told otherwise
+        nullable: sequelize ? allowNull !== false : literalOf(propertyOf(options, 'nullable')) === true,
+        primaryKey: Boolean(defaults.primaryKey || has('PrimaryKey') || literalOf(propertyOf(options, 'primary')) === true || literalOf(propertyOf(options, 'primaryKey')) === true),
+        unique: Boolean(has('Unique')) || literalOf(propertyOf(options, 'unique')) === true,
+        defaultValue: defaultNode ? code.slice(defaultNode.start, defaultNode.end) : null,
+        references: foreignKey ? { target: targetOf(foreignKey.args[0]), column: null } : null
+      })
+    );
+  }
+
+  record.columns.push(...foreignKeys.filter((key) => !record.columns.some((c) => c.name === key.name)));
+  if (sequelize) addSequelizeDefaults(record, first);
+  if (nestMongoose && literalOf(propertyOf(first, 'timestamps')) === true) {
+    record.columns.push(column('createdAt', 'Date'), column('updatedAt', 'Date'));
+  }
+  return record;
+}
+
+function findJavaScriptModels(code, filePath) {
+  const ast = parseJavaScript(code, filePath);
+  const entities = [];
+  const associations = [];
+  const schemas = new Map();
+  const mongooseModels = [];
+
+  walkAst(ast.program, (node, parent) => {
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      const record = decoratedClass(node, code, filePath);
+      if (record) entities.push(record);
+      return;
+    }
+
+    // const userSchema = new Schema({...}, { collection, timestamps })
+    if (node.type === 'NewExpression' && calleeName(node.callee) === 'Schema' && node.arguments[0]?.type === 'ObjectExpression') {
+      const variable = parent?.type === 'VariableDeclarator' ? parent.id.name : null;
+      schemas.set(node, { variable, node, line: node.loc.start.line });
+      return;
+    }
+    if (node.type !== 'CallExpression') return;
+
+    const method = calleeName(node.callee);
+    const [first, second, third] = node.arguments;
+
+    if (method === 'model' && typeof literalOf(first) === 'string' && second) {
+      mongooseModels.push({ name: first.value, schema: second, collection: literalOf(third) ?? null, line: node.loc.start.line });
+    } else if (method === 'define' && typeof literalOf(first) === 'string' && second?.type === 'ObjectExpression') {
+      // const User = sequelize.define('User', {...}, { tableName })
+      const alias = parent?.type === 'VariableDeclarator' ? parent.id.name : null;
+      const record = sequelizeModel(first.value, second, third, code, filePath, node.loc.start.line);
+      if (alias && alias !== first.value) record.aliases = [alias];
+      entities.push(record);
+    } else if (method === 'init' && second?.type === 'ObjectExpression' && propertyOf(second, 'sequelize') && first?.type === 'ObjectExpression') {
+      // class User extends Model {}; User.init({...}, { sequelize, tableName })
+      const className = calleeName(node.callee.object);
+      const name = literalOf(propertyOf(second, 'modelName')) || className;
+      if (!name) return;
+      const record = sequelizeModel(name, first, second, code, filePath, node.loc.start.line);
+      if (className && className !== name) record.aliases = [className];
+      entities.push(record);
+    } else if (RELATION_KINDS[method] && /^[a-z]/.test(method) && node.callee.type === 'MemberExpression' && first) {
+      // User.hasMany(models.Post, { as: 'posts' })
+      const from = calleeName(node.callee.object);
+      const target = targetOf(first);
+      if (from && target && /^[A-Z]/.test(target)) {
+        const as = literalOf(propertyOf(second, 'as'));
+        associations.push({ from, relation: { field: typeof as === 'string' ? as : null, target, kind: RELATION_KINDS[method] } });
+      }
+    }
+  });
+
+  const schemaByVariable = new Map([...schemas.values()].filter((s) => s.variable).map((s) => [s.variable, s]));
+  const registered = new Set();
+  for (const model of mongooseModels) {
+    const schema = model.schema.type === 'Identifier' ? schemaByVariable.get(model.schema.name) : schemas.get(model.schema);
+    if (!schema) continue;
+    registered.add(schema);
+    entities.push(mongooseModel(model.name, schema, model.collection, code, filePath));
+  }
+
+  // Schemas exported without a model() call in the same file, unless they are embedded in another schema
+  const embedded = new Set();
+  for (const schema of schemas.values()) {
+    walkAst(schema.node.arguments[0], (child) => {
+      if (child.type === 'Identifier' && schemaByVariable.has(child.name)) embedded.add(schemaByVariable.get(child.name));
+    });
+  }
+  for (const schema of schemas.values()) {
+    if (registered.has(schema) || embedded.has(schema) || !schema.variable) continue;
+    const name = schema.variable.replace(/Schema$/i, '');
+    if (!name) continue;
+    entities.push(mongooseModel(name.charAt(0).toUpperCase() + name.slice(1), schema, null, code, filePath));
+  }
+
+  return { entities, associations };
+}
+
+function sequelizeModel(name, attributes, options, code, filePath, line) {
+  const table = literalOf(propertyOf(options, 'tableName'));
+  const frozen = literalOf(propertyOf(options, 'freezeTableName')) === true;
+  const record = entity(name, { table: table || (frozen ? name : pluralize(name)), source: 'sequelize', file: filePath, line });
+
+  for (const property of attributes.properties) {
+    if (property.type !== 'ObjectProperty') continue;
+    const fieldName = property.key.name || property.key.value;
+    if (fieldName) record.columns.push(sequelizeField(fieldName, property.value, code));
+  }
+  addSequelizeDefaults(record, options);
+  return record;
+}
+
+function mongooseModel(name, schema, collection, code, filePath) {
+  const [fields, options] = schema.node.arguments;
+  const record = entity(name, {
+    table: collection || literalOf(propertyOf(options, 'collection')) || pluralize(name.toLowerCase()),
+    kind: 'collection',
+    source: 'mongoose',
+    file: filePath,
+    line: schema.line
+  });
+
+  record.columns.push(column('_id', 'ObjectId', { primaryKey: true }));
+  for (const property of fields.properties) {
+    if (property.type !== 'ObjectProperty') continue;
+    const fieldName = property.key.name || property.key.value;
+    if (!fieldName || fieldName === '_id') continue;
+    const field = mongooseField(fieldName, property.value, code);
+    record.columns.push(field.column);
+    if (field.relation) record.relations.push(field.relation);
+  }
+  if (literalOf(propertyOf(options, 'timestamps')) === true) {
+    record.columns.push(column('createdAt', 'Date'), column('updatedAt', 'Date'));
+  }
+  return record;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// SQLAlchemy
+
+const PY_CLASS = /^([ \t]*)class\s+(\w+)\s*\(([^)]*)\)\s*:/gm;
+const PY_ATTRIBUTE = /^([ \t]+)(\w+)\s*(?::\s*([^=\n]+?))?\s*=\s*(?:\w+\.)*(Column|mapped_column|relationship)\s*\(/gm;
+const PY_ANNOTATION = /^([ \t]+)(\w+)\s*:\s*(Mapped\[.+\])[ \t]*$/gm;
+
+const keywordOf = (args, key) => args.find((a) => new RegExp(`^${key}\\s*=`).test(a))?.replace(/^\w+\s*=\s*/, '') ?? null;
+
+// Inner type of a `Mapped[...]` annotation and whether it allows None
+function mappedType(annotation) {
+  const inner = annotation?.trim().match(/^Mapped\[(.+)\]$/)?.[1];
+  if (!inner) return null;
+  const optional = /^Optional\[|\|\s*None\b|\bNone\s*\|/.test(inner);
+  const type = inner.replace(/^Optional\[(.+)\]$/, '$1').replace(/\s*\|\s*None\b|\bNone\s*\|\s*/g, '').trim();
+  return { type, optional };
+}
+
+// `sa.Column('name', sa.String(50), sa.ForeignKey('orgs.id'), nullable=False)` or the `mapped_column`
+// equivalent; the name comes from the assignment unless it is given as the first argument
+export function sqlAlchemyColumn(args, name, annotation = null) {
+  const positional = args.filter((arg) => !/^\w+\s*=/.test(arg));
+  let columnName = name;
+  if (positional[0] && unquote(positional[0]) !== null) columnName = unquote(positional.shift());
+
+  const foreignKey = positional.find((arg) => /^(?:\w+\.)*ForeignKey\s*\(/.test(arg));
+  const typeArg = positional.find((arg) => arg !== foreignKey && !/^(?:\w+\.)*(?:Sequence|Identity|Computed|CheckConstraint)\s*\(/.test(arg));
+  const mapped = mappedType(annotation);
+
+  let references = null;
+  if (foreignKey) {
+    const target = splitArguments(readBalanced(foreignKey, foreignKey.indexOf('('))?.content || '')[0] || '';
+    // 'orgs.id', 'schema.orgs.id' or Org.id
+    const parts = (unquote(target) ?? target).split('.');
+    if (parts.length > 1) references = { target: parts[parts.length - 2], column: parts[parts.length - 1] };
+  }
+
+  const nullable = keywordOf(args, 'nullable');
+  return column(columnName, typeArg ? typeArg.replace(/^(?:\w+\.)+/, '').replace(/\(\)$/, '') : mapped?.type || null, {
+    nullable: nullable !== null ? nullable === 'True' : mapped ? mapped.optional : true,
+    primaryKey: keywordOf(args, 'primary_key') === 'True',
+    unique: keywordOf(args, 'unique') === 'True',
+    defaultValue: keywordOf(args, 'default') ?? keywordOf(args, 'server_default'),
+    references
+  });
+}
+
+function sqlAlchemyRelation(args, name, annotation) {
+  const mapped = mappedType(annotation);
+  let target = args[0] && !/^\w+\s*=/.test(args[0]) ? (unquote(args[0]) ?? args[0]) : null;
+  let list = null;
+  if (mapped) {
+    const collection = mapped.type.match(/^(?:List|list|Set|set|Sequence)\[(.+)\]$/);
+    list = Boolean(collection);
+    const inner = collection ? collection[1] : mapped.type;
+    target ??= unquote(inner) ?? inner;
+  }
+  if (!target) return null;
+
+  let kind;
+  if (keywordOf(args, 'secondary')) kind = 'many-to-many';
+  else if (keywordOf(args, 'uselist') === 'False') kind = 'one-to-one';
+  else if (list !== null) kind = list ? 'one-to-many' : 'many-to-one';
+  // Untyped relationship(): collections are usually named in the plural
+  else kind = /s$/.test(name) ? 'one-to-many' : 'many-to-one';
+  return { field: name, target: target.split('.').pop(), kind };
+}
+
+function findSqlAlchemyModels(code, filePath) {
+  const stripped = stripComments(code, { line: '#', block: false });
+  const entities = [];
+
+  for (const match of stripped.matchAll(PY_CLASS)) {
+    const [, indent, className, bases] = match;
+    if (!/\b(?:\w*Base|Model)\b/.test(bases)) continue;
+
+    // The class body: the following lines indented deeper than the class statement
+    const start = match.index + match[0].length;
+    const rest = stripped.slice(start);
+    const end = rest.search(new RegExp(`\\n(?!${indent}[ \\t]|[ \\t]*\\n|[ \\t]*$)`));
+    const body = end === -1 ? rest : rest.slice(0, end);
+    if (/^\s*__abstract__\s*=\s*True/m.test(body)) continue;
+
+    const table = body.match(/^\s*__tablename__\s*=\s*['"](\w+)['"]/m)?.[1];
+    const record = entity(className, { table: table || snakeCase(className), source: 'sqlalchemy', file: filePath, line: lineAt(code, match.index + indent.length) });
+
+    // Only class-level statements, not assignments inside methods
+    const bodyIndent = body.match(/\n([ \t]+)\S/)?.[1];
+    const attributes = [
+      ...[...body.matchAll(PY_ATTRIBUTE)].map((m) => ({ index: m.index, indent: m[1], name: m[2], annotation: m[3], call: m[4], open: m.index + m[0].length - 1 })),
+      ...[...body.matchAll(PY_ANNOTATION)].map((m) => ({ index: m.index, indent: m[1], name: m[2], annotation: m[3], call: null }))
+    ]
+      .filter((attribute) => attribute.indent === bodyIndent)
+      .sort((a, b) => a.index - b.index);
+
+    for (const attribute of attributes) {
+      if (attribute.name.startsWith('__')) continue;
+      const args = attribute.call ? splitArguments(readBalanced(body, attribute.open)?.content || '') : [];
+      if (attribute.call === 'relationship') {
+        const relation = sqlAlchemyRelation(args, attribute.name, attribute.annotation);
+        if (relation) record.relations.push(relation);
+      } else {
+        record.columns.push(sqlAlchemyColumn(args, attribute.name, attribute.annotation));
+      }
+    }
+    if (table || record.columns.length > 0) entities.push(record);
+  }
+  return entities;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// JPA
+
+const ANNOTATION = String.raw`@[\w.]+(?:\s*\((?:[^()"]|"(?:[^"\\]|\\.)*"|\([^()]*\))*\))?`;
+const JAVA_FIELD = new RegExp(String.raw`((?:${ANNOTATION}\s*)*)((?:(?:private|protected|public|final|static|transient)\s+)*)([\w.][\w.<>?,\[\] ]*?)\s+(\w+)\s*(?:=[^;]*)?;`, 'g');
+const KOTLIN_PROPERTY = new RegExp(String.raw`((?:${ANNOTATION}\s*)*)(?:(?:private|protected|public|internal|override|open|lateinit)\s+)*(?:val|var)\s+(\w+)\s*:\s*([\w.<>?, ]+?)\s*(?=[=,;)\n]|$)`, 'g');
+const NOT_FIELDS = new Set(['return', 'enum', 'class', 'interface', 'record', 'import', 'package', 'throw']);
+const PRIMITIVES = new Set(['int', 'long', 'short', 'byte', 'double', 'float', 'boolean', 'char']);
+
+function annotationsIn(text) {
+  return [...text.matchAll(new RegExp(ANNOTATION, 'g'))].map(([annotation]) => {
+    const name = annotation.match(/^@([\w.]+)/)[1].split('.').pop();
+    const open = annotation.indexOf('(');
+    const args = open === -1 ? [] : splitArguments(annotation.slice(open + 1, -1));
+    return { name, args };
+  });
+}
+
+const attributeOf = (args, key) => {
+  const arg = args.find((a) => new RegExp(`^${key}\\s*=`).test(a));
+  return arg ? arg.replace(new RegExp(`^${key}\\s*=\\s*`), '') : null;
+};
+
+// Class body with method bodies and initializer blocks removed, leaving the declarations
+function declarationsOf(body) {
+  let result = '';
+  let i = 0;
+  while (i < body.length) {
+    if (body[i] === '{') {
+      const block = readBalanced(body, i);
+      if (!block) break;
+      result += ';';
+      i = block.end;
+    } else {
+      result += body[i];
+      i++;
+    }
+  }
+  return result;
+}
+
+function jpaField(record, annotationText, name, rawType, nullableType) {
+  const annotations = annotationsIn(annotationText);
+  const has = (annotationName) => annotations.find((a) => a.name === annotationName);
+  if (has('Transient')) return;
+
+  const relation = annotations.find((a) => RELATION_KINDS[a.name] && ['ManyToOne', 'OneToMany', 'OneToOne', 'ManyToMany'].includes(a.name));
+  const type = rawType.replace(/\s+/g, '').replace(/\?$/, '');
+  if (relation) {
+    const target = type.match(/<(?:[\w.]+,)?([\w.]+)>$/)?.[1] || type;
+    const simpleTarget = target.split('.').pop();
+    record.relations.push({ field: name, target: simpleTarget, kind: RELATION_KINDS[relation.name] });
+
+    // The owning side of a to-one relation keeps the foreign key column
+    const owning = relation.name === 'ManyToOne' || (relation.name === 'OneToOne' && !attributeOf(relation.args, 'mappedBy'));
+    if (owning) {
+      const joinColumn = has('JoinColumn');
+      const keyName = unquote(attributeOf(joinColumn?.args || [], 'name') || '') || `${snakeCase(name)}_id`;
+      record.columns.push(
+        column(keyName, null, {
+          nullable: attributeOf(joinColumn?.args || [], 'nullable') !== 'false' && attributeOf(relation.args, 'optional') !== 'false',
+          unique: relation.name === 'OneToOne',
+          references: { target: simpleTarget, column: null }
+        })
+      );
+    }
+    return;
+  }
+
+  const columnAnnotation = has('Column');
+  const args = columnAnnotation?.args || [];
+  record.columns.push(
+    column(unquote(attributeOf(args, 'name') || '') || name, type, {
+      nullable: !PRIMITIVES.has(type) && attributeOf(args, 'nullable') !== 'false' && !has('NotNull') && !has('NonNull') && nullableType !== false,
+      primaryKey: Boolean(has('Id') || has('EmbeddedId')),
+      unique: attributeOf(args, 'unique') === 'true'
+    })
+  );
+}
+
+function findJpaEntities(code, filePath) {
+  const stripped = stripComments(code);
+  const kotlin = filePath.endsWith('.kt');
+  const entities = [];
+
+  for (const match of stripped.matchAll(new RegExp(JPA_HINT.source, 'g'))) {
+    const declaration = stripped.slice(match.index).match(/^[\s\S]*?\bclass\s+(\w+)/);
+    if (!declaration) continue;
+    const className = declaration[1];
+    const header = declaration[0];
+    const table = unquote(attributeOf(annotationsIn(header).find((a) => a.name === 'Table')?.args || [], 'name') || '');
+    const record = entity(className, { table: table || snakeCase(className), source: 'jpa', file: filePath, line: lineAt(code, match.index) });
+
+    let cursor = match.index + header.length;
+    // Kotlin primary constructor properties
+    const constructor = kotlin && stripped.slice(cursor).match(/^\s*(?:\w+\s+)*\(/);
+    if (constructor) {
+      const params = readBalanced(stripped, cursor + constructor[0].length - 1);
+      if (params) {
+        for (const [, annotations, name, type] of params.content.matchAll(KOTLIN_PROPERTY)) {
+          jpaField(record, annotations, name, type, type.trim().endsWith('?'));
+        }
+        cursor = params.end;
+      }
+    }
+
+    const open = stripped.slice(cursor).match(kotlin ? /^\s*(?::[^{\n]*)?\{/ : /^[^{;]*\{/);
+    const body = open && readBalanced(stripped, cursor + open[0].length - 1);
+    if (body) {
+      const declarations = declarationsOf(body.content);
+      if (kotlin) {
+        for (const [, annotations, name, type] of declarations.matchAll(KOTLIN_PROPERTY)) {
+          jpaField(record, annotations, name, type, type.trim().endsWith('?'));
+        }
+      } else {
+        for (const [, annotations, modifiers, type, name] of declarations.matchAll(JAVA_FIELD)) {
+          if (/\bstatic\b/.test(modifiers) || NOT_FIELDS.has(type.trim())) continue;
+          jpaField(record, annotations, name, type, null);
+        }
+      }
+    }
+    entities.push(record);
+  }
+  return entities;
+}
+
+// ---------------------------------------------------------------------------------------------------
+
+function parserFor(file) {
+  if (file.extension === '.prisma') return { hint: null, parse: parsePrismaSchema };
+  if (JS_EXTENSIONS.includes(file.extension) && !/\.d\.[cm]?ts$/.test(file.name)) return { hint: JS_MODEL_HINT, parse: findJavaScriptModels };
+  if (file.extension === '.py') return { hint: PYTHON_MODEL_HINT, parse: findSqlAlchemyModels };
+  if (file.extension === '.java' || file.extension === '.kt') return { hint: JPA_HINT, parse: findJpaEntities };
+  return null;
+}
+
+export async function findOrmModels(files) {
+  const candidates = files.filter(
+    (file) => !file.isDirectory && parserFor(file) && !isTestPath(file.path) && !MIGRATION_PATH.test(toPosixPath(file.path)) && file.size <= MAX_FILE_SIZE
+  );
+  const errors = [];
+
+  const results = await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+    const filePath = toPosixPath(file.path);
+    const { hint, parse } = parserFor(file);
+    const code = await readTextFile(file.fullPath);
+    if (code === null || (hint && !hint.test(code))) return null;
+
+    try {
+      const result = parse(code, filePath);
+      return Array.isArray(result) ? { entities: result, associations: [] } : result;
+    } catch (error) {
+      errors.push({ file: filePath, message: error.message });
+      return null;
+    }
+  });
+
+  const found = results.filter(Boolean);
+  return {
+    entities: found.flatMap((result) => result.entities),
+    associations: found.flatMap((result) => result.associations),
+    errors
+  };
+}
@@ -0,0 +1,212 @@
+// HTTP routes in Python services: FastAPI and Flask decorators, with APIRouter/Blueprint prefixes
+// followed through include_router/register_blueprint calls across modules
+import path from 'path';
+import { extractPathParams, joinRoutePath } from '@/lib/analyzers/routePaths';
+import {
+  isTestPath,
+  lineAt,
+  mapWithConcurrency,
+  oneLine,
+  readBalanced,
+  readTextFile,
+  splitArguments,
+  stripComments,
+  toPosixPath,
+  unquote
+} from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+
+const ROUTE_DECORATOR = /^[ \t]*@([A-Za-z_][\w.]*)\.(get|post|put|patch|delete|head|options|route|api_route|websocket)\s*\(/gm;
+const ROUTER_ASSIGNMENT = /^[ \t]*([A-Za-z_]\w*)\s*(?::\s*[\w.]+\s*)?=\s*(?:[\w.]+\.)?(APIRouter|Blueprint)\s*\(/gm;
+const INCLUDE_CALL = /\b([A-Za-z_][\w.]*)\.(include_router|register_blueprint)\s*\(/g;
+
+// Framework packages a module imports
+const FRAMEWORK_IMPORTS = [
+  [/^\s*(?:from|import)\s+fastapi\b/m, 'fastapi'],
+  [/^\s*(?:from|import)\s+flask\b/m, 'flask'],
+  [/^\s*(?:from|import)\s+quart\b/m, 'quart'],
+  [/^\s*(?:from|import)\s+sanic\b/m, 'sanic'],
+  [/^\s*(?:from|import)\s+starlette\b/m, 'starlette']
+];
+
+// Keyword argument `name=...` of a split argument list
+function keywordArgument(args, name) {
+  const arg = args.find((a) => new RegExp(`^${name}\\s*=`).test(a));
+  return arg ? arg.replace(new RegExp(`^${name}\\s*=\\s*`), '') : null;
+}
+
+function stringList(text) {
+  if (!text) return null;
+  const list = text.trim().match(/^[[(]([\s\S]*)[\])]$/);
+  return (list ? splitArguments(list[1]) : [text]).map(unquote).filter(Boolean);
+}
+
+// Local names bound by imports: `from .routers import users` -> users => { module: '.routers', name: 'users' }
+function parseImports(code) {
+  const locals = new Map();
+
+  for (const match of code.matchAll(/^[ \t]*from\s+([.\w]+)\s+import\s+(\([^)]*\)|[^\n]+)/gm)) {
+    const names = match[2].replace(/[()\\]/g, ' ').split(',');
+    for (const entry of names) {
+      const [name, alias] = entry.trim().split(/\s+as\s+/);
+      if (name && name !== '*') locals.set((alias || name).trim(), { module: match[1], name: name.trim() });
+    }
+  }
+  for (const match of code.matchAll(/^[ \t]*import\s+([\w.]+)(?:\s+as\s+(\w+))?/gm)) {
+    locals.set(match[2] || match[1].split('.')[0], { module: match[2] ? match[1] : match[1].split('.')[0], name: null });
+  }
+
+  return locals;
+}
+
+// File of a dotted module name, relative to the importing file for `.x` imports
+function resolveModule(fromFile, moduleName, knownFiles) {
+  const dots = moduleName.match(/^\.*/)[0].length;
+  const parts = moduleName.slice(dots).split('.').filter(Boolean);
+
+  if (dots > 0) {
+    let base = path.posix.dirname(fromFile);
+    for (let i = 1; i < dots; i++) base = path.posix.dirname(base);
+    const target = path.posix.join(base, ...parts);
+    return [`${target}.py`, `${target}/__init__.py`].find((f) => knownFiles.has(f)) || null;
+  }
+
+  // Absolute imports may be rooted at a src/ or project subdirectory, so match on the path suffix
+  const suffixes = [`${parts.join('/')}.py`, `${parts.join('/')}/__init__.py`];
+  for (const file of knownFiles) {
+    if (suffixes.some((suffix) => file === suffix || file.endsWith(`/${suffix}`))) return file;
+  }
+  return null;
+}
+
+// Which file and variable an included router expression (`users.router`, `users_router`) refers to
+function resolveRouterReference(fromFile, expression, imports, knownFiles) {
+  const [head, ...rest] = expression.split('.');
+  const imported = imports.get(head);
+  if (!imported) return rest.length === 0 ? { file: fromFile, variable: head } : null;
+
+  if (imported.name === null) {
+    // import app.routers.users as users; users.router
+    const file = resolveModule(fromFile, [imported.module, ...rest.slice(0, -1)].join('.'), knownFiles);
+    return file ? { file, variable: rest[rest.length - 1] } : null;
+  }
+
+  // from .routers import users; users.router  (users is a submodule)
+  if (rest.length > 0) {
+    const separator = imported.module.endsWith('.') ? '' : '.';
+    const file = resolveModule(fromFile, `${imported.module}${separator}${imported.name}`, knownFiles);
+    return file ? { file, variable: rest[rest.length - 1] } : null;
+  }
+
+  // from .routers.users import router as users_router
+  const file = resolveModule(fromFile, imported.module, knownFiles);
+  return file ? { file, variable: imported.name } : null;
+}
+
+function scanModule(code, filePath, knownFiles) {
+  const stripped = stripComments(code, { line: '#', block: false });
+  const framework = FRAMEWORK_IMPORTS.find(([pattern]) => pattern.test(code))?.[1] || null;
+  const routes = [];
+  const prefixes = {};
+  const includes = [];
+
+  for (const match of stripped.matchAll(ROUTE_DECORATOR)) {
+    const call = readBalanced(stripped, match.index + match[0].length - 1);
+    if (!call) continue;
+
+    const [variable, decorator] = [match[1], match[2]];
+    const args = splitArguments(call.content);
+    const routePath = unquote(args[0] ?? '') ?? unquote(keywordArgument(args, 'path') || keywordArgument(args, 'rule') || '');
+    if (routePath === null || !routePath.startsWith('/')) continue;
+
+    let methods;
+    if (decorator === 'route' || decorator === 'api_route') {
+      methods = stringList(keywordArgument(args, 'methods'))?.map((m) => m.toUpperCase()) || ['GET'];
+    } else {
+      methods = [decorator === 'websocket' ? 'WS' : decorator.toUpperCase()];
+    }
+
+    const handler = stripped.slice(call.end, call.end + 2000).match(/^[\s\S]*?\bdef\s+(\w+)/)?.[1] || null;
+    const line = lineAt(code, match.index + match[0].indexOf('@'));
+    methods.forEach((method) => routes.push({ method, path: routePath, variable, decorator, handler, line }));
+  }
+
+  for (const match of stripped.matchAll(ROUTER_ASSIGNMENT)) {
+    const call = readBalanced(stripped, match.index + match[0].length - 1);
+    if (!call) continue;
+    const prefix = unquote(keywordArgument(splitArguments(call.content), match[2] === 'APIRouter' ? 'prefix' : 'url_prefix') || '');
+    prefixes[match[1]] = { prefix: prefix || '', kind: match[2] };
+  }
+
+  const imports = parseImports(stripped);
+  for (const match of stripped.matchAll(INCLUDE_CALL)) {
+    const call = readBalanced(stripped, match.index + match[0].length - 1);
+    if (!call) continue;
+
+    const args = splitArguments(call.content);
+    const target = resolveRouterReference(filePath, args[0] || '', imports, knownFiles);
+    if (!target) continue;
+
+    const prefix = unquote(keywordArgument(args, match[2] === 'include_router' ? 'prefix' : 'url_prefix') || '');
+    // Flask's register_blueprint(url_prefix=...) replaces the blueprint's own prefix, FastAPI's prefix adds to it
+    includes.push({ ...target, parentFile: filePath, parentVariable: match[1], prefix: prefix || '', replaces: match[2] === 'register_blueprint' && prefix !== null });
+  }
+
+  return { file: filePath, framework, routes, prefixes, includes };
+}
+
+export async function findPythonRoutes(files) {
+  const candidates = files.filter((file) => file.extension === '.py' && !isTestPath(file.path));
+  const knownFiles = new Set(candidates.map((file) => toPosixPath(file.path)));
+
+  const modules = (
+    await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+      const code = await readTextFile(file.fullPath);
+      if (code === null || !/@|include_router|register_blueprint/.test(code)) return null;
+      return scanModule(code, toPosixPath(file.path), knownFiles);
+    })
+  ).filter(Boolean);
+
+  const byFile = new Map(modules.map((scanned) => [scanned.file, scanned]));
+  const includesOf = new Map();
+  for (const include of modules.flatMap((scanned) => scanned.includes)) {
+    const key = `${include.file}:${include.variable}`;
+    if (!includesOf.has(key)) includesOf.set(key, []);
+    includesOf.get(key).push(include);
+  }
+
+  // Every full prefix a router variable ends up mounted under
+  const prefixesOf = (file, variable, seen = new Set()) => {
+    const key = `${file}:${variable}`;
+    const own = byFile.get(file)?.prefixes[variable]?.prefix || '';
+    const parents = includesOf.get(key);
+    if (!parents || seen.has(key)) return [own];
+
+    const nextSeen = new Set(seen).add(key);
+    return parents.flatMap((include) =>
+      prefixesOf(include.parentFile, include.parentVariable, nextSeen).map((outer) =>
+        include.replaces ? joinRoutePath(outer, include.prefix) : joinRoutePath(joinRoutePath(outer, include.prefix), own)
+      )
+    );
+  };
+
+  const projectFramework = modules.find((scanned) => scanned.framework)?.framework;
+
+  return modules.flatMap((scanned) =>
+    scanned.routes.flatMap((route) =>
+      prefixesOf(scanned.file, route.variable).map((prefix) => {
+        const fullPath = joinRoutePath(prefix, route.path);
+        return {
+          method: route.method,
+          path: fullPath,
+          framework: scanned.framework || projectFramework || (route.decorator === 'route' ? 'flask' : 'fastapi'),
+          file: scanned.file,
+          line: route.line,
+          handler: route.handler ? oneLine(route.handler, 80) : 'inline',
+          params: extractPathParams(fullPath)
+        };
+      })
+    )
+  );
+}
@@ -0,0 +1,29 @@
+// Route path helpers shared by the per-language route finders
+
+// Path parameters in the syntax of the supported frameworks:
+// Express `:id` / `:id?`, gin/echo/fiber `*path`, Next.js `[id]` / `[...slug]` / `[[...slug]]`, FastAPI/Spring/Go `{id}` /
+// `{id:[0-9]+}` / `{path...}`, Flask `<id>` / `<int:id>`
+export function extractPathParams(routePath) {
+  const params = [];
+  for (const match of routePath.matchAll(/(?<!\w):([A-Za-z_$][\w$]*)(\?)?/g)) {
+    params.push({ name: match[1], optional: Boolean(match[2]) });
+  }
+  for (const match of routePath.matchAll(/(?<=\/)\*([A-Za-z_]\w*)/g)) {
+    params.push({ name: match[1], optional: false, catchAll: true });
+  }
+  for (const match of routePath.matchAll(/\[(\[)?(\.\.\.)?([A-Za-z_$][\w$-]*)\]\]?/g)) {
+    params.push({ name: match[3], optional: Boolean(match[1]), catchAll: Boolean(match[2]) });
+  }
+  for (const match of routePath.matchAll(/\{([A-Za-z_$][\w$]*)(\.\.\.)?(?::[^}]*)?\}/g)) {
+    params.push({ name: match[1], optional: false, ...(match[2] && { catchAll: true }) });
+  }
+  for (const match of routePath.matchAll(/<(?:(\w+):)?(\w+)>/g)) {
+    params.push({ name: match[2], optional: false, ...(match[1] && { type: match[1] }) });
+  }
+  return params;
+}
+
+export function joinRoutePath(prefix, routePath) {
+  const joined = `${prefix || ''}/${routePath || ''}`.replace(/\/{2,}/g, '/');
+  return joined.length > 1 ? joined.replace(/\/$/, '') : joined;
+}
@@ -0,0 +1,138 @@
+// HTTP routes in Spring controllers (Java and Kotlin): @GetMapping/@PostMapping/... and
+// @RequestMapping on methods, prefixed by the controller's class-level @RequestMapping
+import { extractPathParams, joinRoutePath } from '@/lib/analyzers/routePaths';
+import {
+  isTestPath,
+  lineAt,
+  mapWithConcurrency,
+  readBalanced,
+  readTextFile,
+  splitArguments,
+  stripComments,
+  toPosixPath
+} from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const MAPPING = /@(Get|Post|Put|Patch|Delete|Request)Mapping\b/g;
+const CLASS_DECLARATION = /\b(?:class|interface|object)\s+([A-Za-z_]\w*)/g;
+
+// "a" + "b" string concatenations are resolved; constants and other expressions are not
+function stringExpression(text) {
+  const literals = [...text.matchAll(/"((?:[^"\\]|\\.)*)"/g)];
+  const rest = text.replace(/"((?:[^"\\]|\\.)*)"/g, '');
+  if (literals.length === 0 || !/^[\s+]*$/.test(rest)) return null;
+  return literals.map((literal) => literal[1].replace(/\\(.)/g, '$1')).join('');
+}
+
+// `{"/a", "/b"}` (Java) or `["/a", "/b"]` (Kotlin) arrays, or a single value
+function valueList(text) {
+  if (!text) return [];
+  const array = text.trim().match(/^[{[]([\s\S]*)[}\]]$/);
+  return array ? splitArguments(array[1]) : [text.trim()];
+}
+
+function annotationAttribute(args, names) {
+  for (const name of names) {
+    const arg = args.find((a) => new RegExp(`^${name}\\s*=`).test(a));
+    if (arg) return arg.replace(new RegExp(`^${name}\\s*=\\s*`), '');
+  }
+  return null;
+}
+
+// Paths and methods of one mapping annotation. Paths that aren't literals are left out.
+function parseMapping(kind, content) {
+  const args = content === null ? [] : splitArguments(content);
+  const positional = args.length > 0 && !/^\w+\s*=/.test(args[0]) ? args[0] : null;
+  const pathText = positional ?? annotationAttribute(args, ['value', 'path']);
+
+  const paths = pathText === null ? [''] : valueList(pathText).map(stringExpression).filter((p) => p !== null);
+
+  let methods;
+  if (kind === 'Request') {
+    const methodText = annotationAttribute(args, ['method']);
+    methods = methodText ? valueList(methodText).map((m) => m.split('.').pop().toUpperCase()) : ['ALL'];
+  } else {
+    methods = [kind.toUpperCase()];
+  }
+
+  return { paths, methods };
+}
+
+// Skip the annotations following a mapping and classify the declaration they belong to
+function declarationAfter(text, index) {
+  let i = index;
+  for (;;) {
+    const rest = text.slice(i);
+    const annotation = rest.match(/^\s*@[\w.]+/);
+    if (!annotation) break;
+    i += annotation[0].length;
+    if (/^\s*\(/.test(text.slice(i))) {
+      const call = readBalanced(text, text.indexOf('(', i));
+      if (!call) break;
+      i = call.end;
+    }
+  }
+
+  const head = text.slice(i, i + 500).split(/[({;=]/)[0];
+  const classMatch = head.match(/\b(?:class|interface|object)\s+([A-Za-z_]\w*)/);
+  if (classMatch) return { type: 'class', name: classMatch[1] };
+
+  const kotlinFunction = head.match(/\bfun\s+(?:<[^>]*>\s*)?([A-Za-z_]\w*)\s*$/);
+  const javaMethod = head.match(/([A-Za-z_]\w*)\s*$/);
+  return { type: 'method', name: kotlinFunction?.[1] || javaMethod?.[1] || null };
+}
+
+function scanController(code, filePath) {
+  const stripped = stripComments(code);
+  const classes = [...stripped.matchAll(CLASS_DECLARATION)].map((m) => ({ index: m.index, name: m[1], prefixes: [''] }));
+  const mappings = [];
+
+  for (const match of stripped.matchAll(MAPPING)) {
+    const afterName = match.index + match[0].length;
+    const call = /^\s*\(/.test(stripped.slice(afterName)) ? readBalanced(stripped, stripped.indexOf('(', afterName)) : null;
+    const { paths, methods } = parseMapping(match[1], call ? call.content : null);
+    const declaration = declarationAfter(stripped, call ? call.end : afterName);
+
+    if (declaration.type === 'class') {
+      const owner = classes.find((c) => c.name === declaration.name && c.index > match.index);
+      if (owner) owner.prefixes = paths.length ? paths : [''];
+    } else {
+      mappings.push({ index: match.index, paths, methods, handler: declaration.name, line: lineAt(code, match.index) });
+    }
+  }
+
+  return mappings.flatMap((mapping) => {
+    // The controller is the closest class declared before the method
+    const owner = classes.filter((c) => c.index < mapping.index).pop();
+    const prefixes = owner?.prefixes || [''];
+
+    return prefixes.flatMap((prefix) =>
+      mapping.paths.flatMap((routePath) =>
+        mapping.methods.map((method) => {
+          const fullPath = joinRoutePath(prefix, routePath);
+          return {
+            method,
+            path: fullPath,
+            framework: 'spring',
+            file: filePath,
+            line: mapping.line,
+            handler: owner && mapping.handler ? `${owner.name}.${mapping.handler}` : mapping.handler || 'unknown',
+            params: extractPathParams(fullPath)
+          };
+        })
+      )
+    );
+  });
+}
+
+export async function findSpringRoutes(files) {
+  const candidates = files.filter((file) => ['.java', '.kt'].includes(file.extension) && !isTestPath(file.path));
+
+  const routes = await mapWithConcurrency(candidates, CONCURRENCY, async (file) => {
+    const code = await readTextFile(file.fullPath);
+    if (code === null || !code.includes('Mapping')) return [];
+    return scanController(code, toPosixPath(file.path));
+  });
+
+  return routes.flat();
+}
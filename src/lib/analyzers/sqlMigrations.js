@@ -0,0 +1,679 @@
+// Database schema rebuilt from migrations and schema dumps: SQL files (Flyway, golang-migrate, dbmate,
+// Prisma migrations, plain schema.sql), Knex migrations, Alembic revisions and Rails migrations or
+// db/schema.rb. Each migration set is replayed in order, so the result is the schema after the latest one.
+import path from 'path';
+import { JS_EXTENSIONS, parseJavaScript, walkAst } from '@/lib/analyzers/jsParser';
+import { column, entity, pluralize, sqlAlchemyColumn } from '@/lib/analyzers/ormModels';
+import {
+  isTestPath,
+  lineAt,
+  mapWithConcurrency,
+  readBalanced,
+  readTextFile,
+  splitArguments,
+  stripComments,
+  toPosixPath,
+  unquote
+} from '@/lib/analyzers/utils';
+
+const CONCURRENCY = 8;
+const MAX_MIGRATION_FILES = 1000;
+
+const SQL_DDL = /\b(?:CREATE|ALTER)\s+(?:\w+\s+)*?TABLE\b/i;
+const KNEX_HINT = /\.(?:createTable|createTableIfNotExists|alterTable|table)\s*\(/;
+const ALEMBIC_HINT = /\bop\.(?:create_table|add_column|drop_table|drop_column|batch_alter_table|alter_column)\s*\(/;
+const MIGRATION_DIR = /(^|\/)(migrations?|migrate)\//i;
+
+// ---------------------------------------------------------------------------------------------------
+// Schema state shared by every migration tool
+
+function createState(tool) {
+  return { tool, tables: new Map() };
+}
+
+const keyOf = (name) => name.toLowerCase();
+
+function createTable(state, name, location) {
+  const record = entity(name, { source: state.tool, ...location });
+  state.tables.set(keyOf(name), record);
+  return record;
+}
+
+// ALTERs of tables created outside the migrations still describe them
+const tableOf = (state, name, location) => state.tables.get(keyOf(name)) || createTable(state, name, location);
+
+function addColumn(record, added) {
+  record.columns = record.columns.filter((c) => keyOf(c.name) !== keyOf(added.name));
+  record.columns.push(added);
+}
+
+const columnOf = (record, name) => record?.columns.find((c) => keyOf(c.name) === keyOf(name));
+
+function dropColumn(record, name) {
+  if (record) record.columns = record.columns.filter((c) => keyOf(c.name) !== keyOf(name));
+}
+
+function renameTable(state, from, to) {
+  const record = state.tables.get(keyOf(from));
+  if (!record) return;
+  state.tables.delete(keyOf(from));
+  record.name = to;
+  record.table = to;
+  state.tables.set(keyOf(to), record);
+}
+
+function setPrimaryKey(record, names) {
+  names.forEach((name) => {
+    const found = columnOf(record, name);
+    if (found) Object.assign(found, { primaryKey: true, nullable: false });
+  });
+}
+
+function setForeignKey(record, names, target, targetColumns = []) {
+  names.forEach((name, index) => {
+    const found = columnOf(record, name);
+    if (found) found.references = { target, column: targetColumns[index] || null };
+  });
+}
+
+// ---------------------------------------------------------------------------------------------------
+// SQL DDL
+
+const IDENTIFIER = String.raw`(?:"[^"]+"|\x60[^\x60]+\x60|\[[^\]]+\]|[\w$]+)`;
+const QUALIFIED = String.raw`${IDENTIFIER}(?:\s*\.\s*${IDENTIFIER})*`;
+const SQL_STATEMENT = new RegExp(
+  String.raw`\b(?:CREATE\s+(?:OR\s+REPLACE\s+)?(?:(?:GLOBAL|LOCAL)\s+)?(TEMP(?:ORARY)?\s+)?(?:UNLOGGED\s+)?TABLE\s+(?:IF\s+NOT\s+EXISTS\s+)?(${QUALIFIED})\s*\(|ALTER\s+TABLE\s+(?:IF\s+EXISTS\s+)?(?:ONLY\s+)?(${QUALIFIED})\s+|DROP\s+TABLE\s+(?:IF\s+EXISTS\s+)?|RENAME\s+TABLE\s+)`,
+  'gi'
+);
+const COLUMN_CONSTRAINT = /\s(?:NOT\s+NULL|NULL|PRIMARY\s+KEY|UNIQUE|DEFAULT|REFERENCES|CHECK|CONSTRAINT|GENERATED|AUTO_INCREMENT|AUTOINCREMENT|IDENTITY|COLLATE|COMMENT|ON\s+UPDATE|CHARACTER\s+SET|CHARSET)\b/i;
+const TABLE_CONSTRAINT = /^(?:CONSTRAINT\s+\S+\s+)?(PRIMARY\s+KEY|FOREIGN\s+KEY|UNIQUE|KEY|INDEX|FULLTEXT|SPATIAL|CHECK|EXCLUDE|LIKE)\b/i;
+
+// Last part of a possibly schema-qualified, possibly quoted name: public."Users" -> Users
+function sqlName(text) {
+  const parts = String(text).match(new RegExp(IDENTIFIER, 'g')) || [text];
+  return parts[parts.length - 1].replace(/^["`[]|["`\]]$/g, '');
+}
+
+const identifierList = (text) =>
+  splitArguments(text || '').map((name) => sqlName(name.replace(/\s+(ASC|DESC)$/i, '').replace(/\(\d+\)$/, '')));
+
+function sqlColumn(definition) {
+  const match = definition.match(new RegExp(String.raw`^(${IDENTIFIER})(\s[\s\S]*)?$`));
+  if (!match) return null;
+
+  const rest = match[2] || '';
+  const constraintAt = rest.search(COLUMN_CONSTRAINT);
+  const type = (constraintAt === -1 ? rest : rest.slice(0, constraintAt)).trim().replace(/\s+/g, ' ');
+  const constraints = constraintAt === -1 ? '' : rest.slice(constraintAt);
+  const reference = constraints.match(new RegExp(String.raw`\bREFERENCES\s+(${QUALIFIED})\s*(?:\(\s*(${IDENTIFIER}))?`, 'i'));
+
+  return column(sqlName(match[1]), type, {
+    nullable: !/\bNOT\s+NULL\b/i.test(constraints),
+    primaryKey: /\bPRIMARY\s+KEY\b/i.test(constraints),
+    unique: /\bUNIQUE\b/i.test(constraints),
+    defaultValue: constraints.match(/\bDEFAULT\s+('(?:[^']|'')*'|\((?:[^()]|\([^()]*\))*\)|[^\s,]+)/i)?.[1] ?? null,
+    references: reference ? { target: sqlName(reference[1]), column: reference[2] ? sqlName(reference[2]) : null } : null
+  });
+}
+
+// PRIMARY KEY (...), FOREIGN KEY (...) REFERENCES t (...), UNIQUE (...); indexes and checks are skipped
+function applyTableConstraint(record, definition) {
+  const kind = definition.match(TABLE_CONSTRAINT)[1].toUpperCase().replace(/\s+/g, ' ');
+  const columns = identifierList(definition.match(/\(([^)]*)\)/)?.[1]);
+
+  if (kind === 'PRIMARY KEY') {
+    setPrimaryKey(record, columns);
+  } else if (kind === 'FOREIGN KEY') {
+    const reference = definition.match(new RegExp(String.raw`\bREFERENCES\s+(${QUALIFIED})\s*(?:\(([^)]*)\))?`, 'i'));
+    if (reference) setForeignKey(record, columns, sqlName(reference[1]), identifierList(reference[2]));
+  } else if (kind === 'UNIQUE' && columns.length === 1) {
+    const found = columnOf(record, columns[0]);
+    if (found) found.unique = true;
+  }
+}
+
+function alterTable(state, record, actions) {
+  for (const action of splitArguments(actions)) {
+    const addConstraint = action.match(/^ADD\s+(?=(?:CONSTRAINT\s+\S+\s+)?(?:PRIMARY|FOREIGN|UNIQUE)\b)/i);
+    const add = action.match(/^ADD\s+(?:COLUMN\s+)?(?:IF\s+NOT\s+EXISTS\s+)?([\s\S]+)$/i);
+    const drop = action.match(new RegExp(String.raw`^DROP\s+(?:COLUMN\s+)?(?:IF\s+EXISTS\s+)?(${IDENTIFIER})\s*(?:CASCADE|RESTRICT)?$`, 'i'));
+    const renameColumn = action.match(new RegExp(String.raw`^RENAME\s+(?:COLUMN\s+)?(${IDENTIFIER})\s+TO\s+(${IDENTIFIER})$`, 'i'));
+    const renameTo = action.match(new RegExp(String.raw`^RENAME\s+(?:TO|AS)\s+(${QUALIFIED})$`, 'i'));
+    const modify = action.match(/^(?:MODIFY|CHANGE)\s+(?:COLUMN\s+)?([\s\S]+)$/i);
+    const alterColumn = action.match(new RegExp(String.raw`^ALTER\s+(?:COLUMN\s+)?(${IDENTIFIER})\s+([\s\S]+)$`, 'i'));
+
+    if (addConstraint) {
+      applyTableConstraint(record, action.slice(addConstraint[0].length));
+    } else if (add && !/^(?:INDEX|KEY|CHECK|CONSTRAINT)\b/i.test(add[1])) {
+      const added = sqlColumn(add[1]);
+      if (added) addColumn(record, added);
+    } else if (drop && !/^DROP\s+(?:CONSTRAINT|INDEX|KEY|PRIMARY|FOREIGN|DEFAULT)\b/i.test(action)) {
+      dropColumn(record, sqlName(drop[1]));
+    } else if (renameColumn) {
+      const found = columnOf(record, sqlName(renameColumn[1]));
+      if (found) found.name = sqlName(renameColumn[2]);
+    } else if (renameTo) {
+      renameTable(state, record.table, sqlName(renameTo[1]));
+    } else if (modify) {
+      // MySQL: CHANGE old_name new_definition, MODIFY definition
+      const definition = /^CHANGE/i.test(action) ? modify[1].replace(new RegExp(`^${IDENTIFIER}\\s+`), '') : modify[1];
+      const changed = sqlColumn(definition);
+      if (!changed) continue;
+      if (/^CHANGE/i.test(action)) dropColumn(record, sqlName(modify[1].match(new RegExp(IDENTIFIER))[0]));
+      addColumn(record, changed);
+    } else if (alterColumn) {
+      const found = columnOf(record, sqlName(alterColumn[1]));
+      const change = alterColumn[2];
+      if (!found) continue;
+      if (/^SET\s+NOT\s+NULL/i.test(change)) found.nullable = false;
+      else if (/^DROP\s+NOT\s+NULL/i.test(change)) found.nullable = true;
+      else if (/^(?:SET\s+DATA\s+)?TYPE\s+/i.test(change)) found.type = change.replace(/^(?:SET\s+DATA\s+)?TYPE\s+/i, '').replace(/\s+USING\b[\s\S]*$/i, '').trim();
+    }
+  }
+}
+
+function replaySql(state, code, filePath) {
+  // dbmate keeps both directions in one file
+  const up = code.split(/^--\s*migrate:down\b/m)[0];
+  const stripped = stripComments(up, { line: '--', block: true });
+  let changed = false;
+
+  for (const match of stripped.matchAll(SQL_STATEMENT)) {
+    const location = { file: filePath, line: lineAt(up, match.index) };
+    const statementEnd = (from) => {
+      const end = stripped.indexOf(';', from);
+      return end === -1 ? stripped.length : end;
+    };
+
+    if (match[2]) {
+      if (match[1]) continue; // temporary tables
+      const body = readBalanced(stripped, match.index + match[0].length - 1);
+      if (!body) continue;
+      const record = createTable(state, sqlName(match[2]), location);
+      const definitions = splitArguments(body.content);
+      definitions.filter((d) => !TABLE_CONSTRAINT.test(d)).forEach((definition) => {
+        const parsed = sqlColumn(definition);
+        if (parsed) record.columns.push(parsed);
+      });
+      definitions.filter((d) => TABLE_CONSTRAINT.test(d)).forEach((definition) => applyTableConstraint(record, definition));
+    } else if (match[3]) {
+      const start = match.index + match[0].length;
+      alterTable(state, tableOf(state, sqlName(match[3]), location), stripped.slice(start, statementEnd(start)));
+    } else if (/^DROP/i.test(match[0])) {
+      const start = match.index + match[0].length;
+      const names = stripped.slice(start, statementEnd(start)).replace(/\b(?:CASCADE|RESTRICT)\b/gi, '');
+      identifierList(names).forEach((name) => state.tables.delete(keyOf(name)));
+    } else {
+      // MySQL: RENAME TABLE a TO b, c TO d
+      const start = match.index + match[0].length;
+      for (const pair of splitArguments(stripped.slice(start, statementEnd(start)))) {
+        const [from, to] = pair.split(/\s+TO\s+/i);
+        if (from && to) renameTable(state, sqlName(from.trim()), sqlName(to.trim()));
+      }
+    }
+    changed = true;
+  }
+  return changed;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Knex
+
+const KNEX_TABLE_CALL = /\.(createTable|createTableIfNotExists|alterTable|table|dropTable|dropTableIfExists|renameTable)\s*\(/g;
+const KNEX_NOT_COLUMNS = new Set([
+  'index', 'unique', 'primary', 'foreign', 'dropColumn', 'dropColumns', 'renameColumn', 'timestamps', 'dropTimestamps',
+  'dropForeign', 'dropIndex', 'dropUnique', 'dropPrimary', 'comment', 'engine', 'charset', 'collate', 'inherits',
+  'setNullable', 'dropNullable', 'check', 'raw', 'queryContext'
+]);
+
+// Body of the `up` migration: exports.up = ..., export function up, export const up = ..., { up() {} }
+function knexUpSource(code, filePath) {
+  let found = null;
+  walkAst(parseJavaScript(code, filePath).program, (node) => {
+    if (found) return false;
+    if (node.type === 'FunctionDeclaration' && node.id?.name === 'up') found = node;
+    else if (node.type === 'AssignmentExpression' && node.left.type === 'MemberExpression' && node.left.property.name === 'up') found = node.right;
+    else if (node.type === 'VariableDeclarator' && node.id.name === 'up') found = node.init;
+    else if ((node.type === 'ObjectProperty' || node.type === 'ObjectMethod') && node.key.name === 'up') found = node;
+    return undefined;
+  });
+  return found ? { source: code.slice(found.start, found.end), offset: found.start } : { source: code, offset: 0 };
+}
+
+// `t.string('email', 255).notNullable().unique()` -> [{ method: 'string', args }, { method: 'notNullable', args }, ...]
+function knexCalls(body, param) {
+  const calls = [];
+  for (const match of body.matchAll(new RegExp(`\\b${param}\\s*\\.\\s*(\\w+)\\s*\\(`, 'g'))) {
+    const chain = [];
+    let cursor = match.index + match[0].length - 1;
+    let method = match[1];
+    while (method) {
+      const args = readBalanced(body, cursor);
+      if (!args) break;
+      chain.push({ method, args: splitArguments(args.content) });
+      const next = body.slice(args.end).match(/^\s*\.\s*(\w+)\s*\(/);
+      method = next?.[1];
+      cursor = args.end + (next ? next[0].length - 1 : 0);
+    }
+    if (chain.length) calls.push(chain);
+  }
+  return calls;
+}
+
+// 'users.id' or references('id').inTable('users')
+function knexReference(chain) {
+  const references = chain.find((call) => call.method === 'references');
+  if (!references) return null;
+  const target = unquote(references.args[0] || '') || '';
+  const inTable = unquote(chain.find((call) => call.method === 'inTable')?.args[0] || '');
+  if (inTable) return { target: inTable, column: target || null };
+  const [table, referenced] = target.split('.');
+  return referenced ? { target: table, column: referenced } : null;
+}
+
+function applyKnexTable(record, body, param) {
+  for (const chain of knexCalls(body, param)) {
+    const [{ method, args }, ...modifiers] = chain;
+    const names = args.map((arg) => unquote(arg)).filter((name) => name !== null);
+    const has = (name) => modifiers.some((call) => call.method === name);
+
+    if (method === 'timestamps') {
+      addColumn(record, column('created_at', 'timestamp', { nullable: false }));
+      addColumn(record, column('updated_at', 'timestamp', { nullable: false }));
+    } else if (method === 'dropTimestamps') {
+      ['created_at', 'updated_at'].forEach((name) => dropColumn(record, name));
+    } else if (method === 'dropColumn' || method === 'dropColumns') {
+      names.forEach((name) => dropColumn(record, name));
+    } else if (method === 'renameColumn') {
+      const found = columnOf(record, names[0] || '');
+      if (found && names[1]) found.name = names[1];
+    } else if (method === 'primary' || method === 'unique') {
+      const columns = args[0]?.trim().startsWith('[') ? splitArguments(args[0].trim().slice(1, -1)).map(unquote) : names.slice(0, 1);
+      if (method === 'primary') setPrimaryKey(record, columns.filter(Boolean));
+      else if (columns.length === 1 && columnOf(record, columns[0])) columnOf(record, columns[0]).unique = true;
+    } else if (method === 'foreign') {
+      const reference = knexReference(modifiers);
+      if (reference && names[0]) setForeignKey(record, [names[0]], reference.target, [reference.column]);
+    } else if (!KNEX_NOT_COLUMNS.has(method) && names[0]) {
+      const increments = /^(big)?increments$/.test(method);
+      const type = { specificType: names[1] || null, enu: 'enum' }[method] ?? method;
+      const defaultTo = modifiers.find((call) => call.method === 'defaultTo');
+      addColumn(
+        record,
+        column(names[0], type, {
+          nullable: !has('notNullable') && !increments,
+          primaryKey: increments || has('primary'),
+          unique: has('unique'),
+          defaultValue: defaultTo ? defaultTo.args[0] || null : null,
+          references: knexReference(modifiers)
+        })
+      );
+    }
+  }
+}
+
+function replayKnex(state, code, filePath) {
+  const { source, offset } = knexUpSource(code, filePath);
+  const stripped = stripComments(source);
+  let changed = false;
+
+  for (const match of stripped.matchAll(KNEX_TABLE_CALL)) {
+    const call = readBalanced(stripped, match.index + match[0].length - 1);
+    if (!call) continue;
+    const [nameArg, callback] = splitArguments(call.content);
+    const name = unquote(nameArg || '');
+    if (!name) continue;
+    const location = { file: filePath, line: lineAt(code, offset + match.index) };
+
+    if (match[1].startsWith('drop')) {
+      state.tables.delete(keyOf(name));
+    } else if (match[1] === 'renameTable') {
+      const to = unquote(callback || '');
+      if (to) renameTable(state, name, to);
+    } else {
+      // (table) => {...}, function (t) {...}, t => {...}
+      const param = callback?.match(/^(?:async\s+)?(?:function\s*\w*\s*)?\(?\s*(\w+)/)?.[1];
+      if (!param) continue;
+      const record = match[1].startsWith('create') ? createTable(state, name, location) : tableOf(state, name, location);
+      applyKnexTable(record, callback, param);
+    }
+    changed = true;
+  }
+  return changed;
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Alembic
+
+const ALEMBIC_OP = /\b(\w+)\.(create_table|add_column|drop_column|drop_table|rename_table|alter_column|create_foreign_key|create_primary_key|create_unique_constraint)\s*\(/g;
+const CONSTRAINT_OPS = new Set(['create_foreign_key', 'create_primary_key', 'create_unique_constraint']);
+const ALEMBIC_BATCH = /\bwith\s+op\.batch_alter_table\(\s*['"](\w+)['"][^)]*\)\s+as\s+(\w+)/g;
+
+const pythonStrings = (text) => {
+  const list = text?.trim().match(/^[[(]([\s\S]*)[\])]$/);
+  return (list ? splitArguments(list[1]) : text ? [text] : []).map((item) => unquote(item)).filter(Boolean);
+};
+
+// `sa.ForeignKeyConstraint(['org_id'], ['orgs.id'])`, `sa.PrimaryKeyConstraint('id')`, `sa.UniqueConstraint('email')`
+function applyAlembicConstraint(record, text) {
+  const match = text.match(/^(?:\w+\.)*(ForeignKeyConstraint|PrimaryKeyConstraint|UniqueConstraint)\s*\(/);
+  const call = match && readBalanced(text, match[0].length - 1);
+  if (!call) return;
+  const args = splitArguments(call.content).filter((arg) => !/^\w+\s*=/.test(arg));
+
+  if (match[1] === 'ForeignKeyConstraint') {
+    const remote = pythonStrings(args[1]).map((ref) => ref.split('.'));
+    if (remote.length) setForeignKey(record, pythonStrings(args[0]), remote[0][remote[0].length - 2], remote.map((parts) => parts[parts.length - 1]));
+  } else if (match[1] === 'PrimaryKeyConstraint') {
+    setPrimaryKey(record, args.map((arg) => unquote(arg)).filter(Boolean));
+  } else if (args.length === 1 && columnOf(record, unquote(args[0]) || '')) {
+    columnOf(record, unquote(args[0])).unique = true;
+  }
+}
+
+const alembicColumn = (text) => {
+  const match = text.match(/^(?:\w+\.)*Column\s*\(/);
+  const call = match && readBalanced(text, match[0].length - 1);
+  return call ? sqlAlchemyColumn(splitArguments(call.content), null) : null;
+};
+
+function replayAlembic(state, code, filePath) {
+  const stripped = stripComments(code, { line: '#', block: false });
+  const upgrade = stripped.search(/^def\s+upgrade\s*\(/m);
+  if (upgrade === -1) return false;
+  const downgrade = stripped.slice(upgrade).search(/^def\s+downgrade\s*\(/m);
+  const body = stripped.slice(upgrade, downgrade === -1 ? undefined : upgrade + downgrade);
+  const batches = new Map([...body.matchAll(ALEMBIC_BATCH)].map((match) => [match[2], match[1]]));
+  let changed = false;
+
+  for (const match of body.matchAll(ALEMBIC_OP)) {
+    const [, object, operation] = match;
+    if (object !== 'op' && !batches.has(object)) continue;
+    const call = readBalanced(body, match.index + match[0].length - 1);
+    if (!call) continue;
+
+    const args = splitArguments(call.content);
+    const positional = args.filter((arg) => !/^\w+\s*=/.test(arg));
+    const keyword = (key) => args.find((arg) => new RegExp(`^${key}\\s*=`).test(arg))?.replace(/^\w+\s*=\s*/, '') ?? null;
+    // Constraint operations start with the constraint name; batch operations name their table in the `with` statement
+    if (CONSTRAINT_OPS.has(operation)) positional.shift();
+    const table = object === 'op' ? unquote(positional.shift() || '') : batches.get(object);
+    if (!table) continue;
+    const location = { file: filePath, line: lineAt(code, upgrade + match.index) };
+
+    if (operation === 'create_table') {
+      const record = createTable(state, table, location);
+      positional.forEach((arg) => {
+        const parsed = alembicColumn(arg);
+        if (parsed) record.columns.push(parsed);
+      });
+      positional.forEach((arg) => applyAlembicConstraint(record, arg));
+    } else if (operation === 'add_column') {
+      const parsed = alembicColumn(positional[0] || '');
+      if (parsed) addColumn(tableOf(state, table, location), parsed);
+    } else if (operation === 'drop_column') {
+      dropColumn(state.tables.get(keyOf(table)), unquote(positional[0] || '') || '');
+    } else if (operation === 'drop_table') {
+      state.tables.delete(keyOf(table));
+    } else if (operation === 'rename_table') {
+      const to = unquote(positional[0] || '');
+      if (to) renameTable(state, table, to);
+    } else if (operation === 'alter_column') {
+      const found = columnOf(state.tables.get(keyOf(table)), unquote(positional[0] || '') || '');
+      if (!found) continue;
+      if (keyword('nullable')) found.nullable = keyword('nullable') === 'True';
+      if (keyword('type_')) found.type = keyword('type_').replace(/^(?:\w+\.)+/, '');
+      if (keyword('new_column_name')) found.name = unquote(keyword('new_column_name')) || found.name;
+    } else if (operation === 'create_foreign_key') {
+      const referent = unquote(positional[0] || '');
+      if (referent) setForeignKey(tableOf(state, table, location), pythonStrings(positional[1]), referent, pythonStrings(positional[2]));
+    } else if (operation === 'create_primary_key') {
+      setPrimaryKey(tableOf(state, table, location), pythonStrings(positional[0]));
+    } else if (operation === 'create_unique_constraint') {
+      const columns = pythonStrings(positional[0]);
+      const found = columns.length === 1 && columnOf(state.tables.get(keyOf(table)), columns[0]);
+      if (found) found.unique = true;
+    }
+    changed = true;
+  }
+  return changed;
+}
+
+// Alembic revisions form a chain through `down_revision`; file names are random hashes
+function orderAlembicRevisions(scripts) {
+  const revisionOf = (code) => code.match(/^revision\s*(?::\s*\w+\s*)?=\s*['"]([^'"]+)['"]/m)?.[1];
+  const parentsOf = (code) => {
+    const value = code.match(/^down_revision\s*(?::[^=\n]+)?=\s*(.+)$/m)?.[1] || 'None';
+    return [...value.matchAll(/['"]([^'"]+)['"]/g)].map((match) => match[1]);
+  };
+
+  const byRevision = new Map(scripts.map((script) => [revisionOf(script.code), script]).filter(([revision]) => revision));
+  const ordered = [];
+  const done = new Set();
+  let progress = true;
+  while (progress) {
+    progress = false;
+    for (const [revision, script] of byRevision) {
+      if (done.has(revision)) continue;
+      if (parentsOf(script.code).every((parent) => done.has(parent) || !byRevision.has(parent))) {
+        done.add(revision);
+        ordered.push(script);
+        progress = true;
+      }
+    }
+  }
+  return [...ordered, ...scripts.filter((script) => !ordered.includes(script))];
+}
+
+// ---------------------------------------------------------------------------------------------------
+// Rails
+
+const RAILS_STATEMENT = /^[ \t]*(create_table|add_column|remove_column|rename_column|add_reference|add_belongs_to|remove_reference|drop_table|rename_table|add_foreign_key|change_column_null|change_column|add_timestamps)\b[ \t(]*(.*)$/gm;
+
+// `:users`, `"users"` or `'users'`
+const rubyName = (text) => (text || '').trim().match(/^:(\w+)$/)?.[1] ?? unquote((text || '').trim());
+
+// Arguments of a Ruby call line: leading names and trailing `key: value` / `:key => value` options
+function rubyArguments(text) {
+  const args = splitArguments(text.replace(/\)\s*$/, '').replace(/\s+do\s*(\|\w+\|)?\s*$/, ''));
+  const names = [];
+  const options = {};
+  for (const arg of args) {
+    const option = arg.match(/^:?(\w+)(?::|\s*=>)\s*([\s\S]+)$/);
+    if (option && !/^:\w+$/.test(arg)) options[option[1]] = option[2].trim();
+    else names.push(rubyName(arg) ?? arg.trim());
+  }
+  return { names, options };
+}
+
+function railsColumn(type, name, options) {
+  const railsType = type === 'primary_key' ? 'bigint' : type;
+  return column(name, options.array === 'true' ? `${railsType}[]` : railsType, {
+    nullable: options.null !== 'false',
+    primaryKey: type === 'primary_key',
+    defaultValue: options.default ?? null
+  });
+}
+
+// t.references :org, foreign_key: true -> org_id pointing at orgs (polymorphic ones add org_type instead)
+function railsReference(record, name, options) {
+  const toTable = options.foreign_key?.match(/to_table:\s*:?["']?(\w+)/)?.[1];
+  addColumn(
+    record,
+    column(`${name}_id`, rubyName(options.type || '') || 'bigint', {
+      nullable: options.null !== 'false',
+      references: options.polymorphic === 'true' ? null : { target: toTable || pluralize(name), column: 'id' }
+    })
+  );
+  if (options.polymorphic === 'true') addColumn(record, column(`${name}_type`, 'string', { nullable: options.null !== 'false' }));
+}
+
+function applyRailsTableBody(record, lines, param) {
+  for (const line of lines) {
+    const match = line.match(new RegExp(`^\\s*${param}\\.(\\w+)\\b\\s*\\(?(.*)$`));
+    if (!match) continue;
+    const [, method, rest] = match;
+    const { names, options } = rubyArguments(rest);
+
+    if (method === 'timestamps') {
+      addColumn(record, column('created_at', 'datetime', { nullable: options.null === 'true' }));
+      addColumn(record, column('updated_at', 'datetime', { nullable: options.null === 'true' }));
+    } else if (method === 'references' || method === 'belongs_to') {
+      names.forEach((name) => railsReference(record, name, options));
+    } else if (!['index', 'check_constraint', 'remove', 'rename', 'change'].includes(method)) {
+      names.forEach((name) => addColumn(record, railsColumn(method, name, options)));
+    }
+  }
+}
+
+function replayRails(state, code, filePath) {
+  // Reversible migrations put the undo steps in `def down`
+  const stripped = stripComments(code, { line: '#', block: false }).replace(/^([ \t]*)def\s+down\b[\s\S]*?^\1end\b/gm, (text) =>
+    text.replace(/[^\n]/g, ' ')
+  );
+  const lines = stripped.split('\n');
+  let changed = false;
+
+  for (const match of stripped.matchAll(RAILS_STATEMENT)) {
+    const [, statement, rest] = match;
+    const { names, options } = rubyArguments(rest);
+    const [table, second, third] = names;
+    if (!table) continue;
+    const location = { file: filePath, line: lineAt(code, match.index + match[0].search(/\S/)) };
+
+    if (statement === 'create_table') {
+      const record = createTable(state, table, location);
+      if (options.id !== 'false') {
+        const idType = rubyName(options.id || '') || 'bigint';
+        record.columns.push(column(rubyName(options.primary_key || '') || 'id', idType === 'true' ? 'bigint' : idType, { primaryKey: true }));
+      }
+      // The block runs until the `end` indented like `create_table`
+      const param = rest.match(/\bdo\s*\|(\w+)\|/)?.[1];
+      if (param) {
+        const first = lineAt(stripped, match.index);
+        const indent = match[0].match(/^[ \t]*/)[0];
+        const end = lines.findIndex((line, index) => index >= first && new RegExp(`^${indent}end\\b`).test(line));
+        applyRailsTableBody(record, lines.slice(first, end === -1 ? undefined : end), param);
+      }
+    } else if (statement === 'add_column' && second && third) {
+      addColumn(tableOf(state, table, location), railsColumn(third, second, options));
+    } else if (statement === 'remove_column' && second) {
+      dropColumn(state.tables.get(keyOf(table)), second);
+    } else if (statement === 'rename_column' && second && third) {
+      const found = columnOf(state.tables.get(keyOf(table)), second);
+      if (found) found.name = third;
+    } else if ((statement === 'add_reference' || statement === 'add_belongs_to') && second) {
+      railsReference(tableOf(state, table, location), second, options);
+    } else if (statement === 'remove_reference' && second) {
+      dropColumn(state.tables.get(keyOf(table)), `${second}_id`);
+    } else if (statement === 'drop_table') {
+      state.tables.delete(keyOf(table));
+    } else if (statement === 'rename_table' && second) {
+      renameTable(state, table, second);
+    } else if (statement === 'add_foreign_key' && second) {
+      // add_foreign_key :posts, :users -> posts.user_id, unless `column:` says otherwise
+      const keyColumn = rubyName(options.column || '') || `${second.replace(/ies$/, 'y').replace(/s$/, '')}_id`;
+      setForeignKey(tableOf(state, table, location), [keyColumn], second, [rubyName(options.primary_key || '') || 'id']);
+    } else if (statement === 'change_column_null' && second && third) {
+      const found = columnOf(state.tables.get(keyOf(table)), second);
+      if (found) found.nullable = third === 'true';
+    } else if (statement === 'change_column' && second && third) {
+      const found = columnOf(state.tables.get(keyOf(table)), second);
+      if (found) found.type = third;
+    } else if (statement === 'add_timestamps') {
+      const record = tableOf(state, table, location);
+      addColumn(record, column('created_at', 'datetime', { nullable: options.null === 'true' }));
+      addColumn(record, column('updated_at', 'datetime', { nullable: options.null === 'true' }));
+    }
+    changed = true;
+  }
+  return changed;
+}
+
+// ---------------------------------------------------------------------------------------------------
+
+// Flyway runs versioned migrations by version, then repeatable ones
+function flywayOrder(a, b) {
+  const rank = (name) => (/^R__/i.test(name) ? 1 : 0);
+  return rank(a.name) - rank(b.name) || a.path.localeCompare(b.path, 'en', { numeric: true });
+}
+
+// Which migration set a file belongs to, keyed by its directory
+function migrationSetOf(file, filePath) {
+  const directory = path.posix.dirname(filePath);
+  const name = file.name;
+
+  if (file.extension === '.sql') {
+    if (/(^|\.|_)down\.sql$/i.test(name) || /(^|\/)down\//i.test(filePath)) return null;
+    const prisma = filePath.match(/^(.*\/)?prisma\/migrations\//);
+    if (prisma) return { tool: 'prisma', directory: `${prisma[1] || ''}prisma/migrations` };
+    if (/^[VR]\d*(?:[._]\d+)*__/i.test(name)) return { tool: 'flyway', directory };
+    if (/^\d+_.+\.up\.sql$/i.test(name)) return { tool: 'golang-migrate', directory };
+    return { tool: 'sql', directory };
+  }
+  if (JS_EXTENSIONS.includes(file.extension) && MIGRATION_DIR.test(filePath)) return { tool: 'knex', directory };
+  if (file.extension === '.py' && /(^|\/)versions\//.test(filePath)) return { tool: 'alembic', directory };
+  // Rails sets are keyed by the db/ directory holding schema.rb and migrate/
+  if (file.extension === '.rb' && name === 'schema.rb') return { tool: 'rails', directory };
+  if (file.extension === '.rb' && /(^|\/)migrate$/.test(directory)) return { tool: 'rails', directory: path.posix.dirname(directory) };
+  return null;
+}
+
+const REPLAY = { knex: replayKnex, alembic: replayAlembic, rails: replayRails };
+const HINTS = { knex: KNEX_HINT, alembic: ALEMBIC_HINT };
+
+export async function findMigrationSchemas(files) {
+  const candidates = files
+    .filter((file) => !file.isDirectory && !isTestPath(file.path))
+    .map((file) => ({ file, filePath: toPosixPath(file.path) }))
+    .map((entry) => ({ ...entry, set: migrationSetOf(entry.file, entry.filePath) }))
+    .filter((entry) => entry.set)
+    .slice(0, MAX_MIGRATION_FILES);
+
+  const scripts = (
+    await mapWithConcurrency(candidates, CONCURRENCY, async (entry) => {
+      const code = await readTextFile(entry.file.fullPath);
+      if (code === null) return null;
+      // Dbmate migrations are plain SQL files with up and down markers
+      const tool = entry.set.tool === 'sql' && /^--\s*migrate:up\b/m.test(code) ? 'dbmate' : entry.set.tool;
+      const hint = entry.file.extension === '.sql' ? SQL_DDL : HINTS[tool];
+      if (hint && !hint.test(code)) return null;
+      return { ...entry, tool, name: entry.file.name, path: entry.filePath, code };
+    })
+  ).filter(Boolean);
+
+  // A Rails schema.rb is the full current schema and makes the individual migrations redundant
+  const railsSchemas = new Set(scripts.filter((s) => s.tool === 'rails' && s.name === 'schema.rb').map((s) => s.set.directory));
+  const sets = new Map();
+  for (const script of scripts) {
+    if (script.tool === 'rails' && script.name !== 'schema.rb' && railsSchemas.has(script.set.directory)) continue;
+    const key = `${script.tool}:${script.set.directory}`;
+    if (!sets.has(key)) sets.set(key, { tool: script.tool, directory: script.set.directory, scripts: [] });
+    sets.get(key).scripts.push(script);
+  }
+
+  const entities = [];
+  const migrations = [];
+  const errors = [];
+  for (const set of sets.values()) {
+    const ordered = set.tool === 'alembic' ? orderAlembicRevisions(set.scripts) : [...set.scripts].sort(set.tool === 'flyway' ? flywayOrder : (a, b) => a.path.localeCompare(b.path, 'en', { numeric: true }));
+    const state = createState(set.tool);
+    const applied = [];
+
+    for (const script of ordered) {
+      try {
+        if ((REPLAY[set.tool] || replaySql)(state, script.code, script.path)) applied.push(script.path);
+      } catch (error) {
+        errors.push({ file: script.path, message: error.message });
+      }
+    }
+    if (applied.length === 0) continue;
+
+    entities.push(...state.tables.values());
+    // Prisma names each migration by its directory
+    const latest = applied[applied.length - 1];
+    migrations.push({ tool: set.tool, directory: set.directory, files: applied.length, latest: path.posix.basename(set.tool === 'prisma' ? path.posix.dirname(latest) : latest) });
+  }
+
+  return { entities, migrations, errors };
+}
@@ -0,0 +1,164 @@
+// Helpers shared by the source analyzers in lib/analyzers
+import fs from 'fs/promises';
+
+const DEFAULT_MAX_BYTES = 512 * 1024;
+const TEST_PATH = /(^|\/)(__tests__|__mocks__|tests?|spec|e2e)\/|\.(test|spec)\.[^/]+$/i;
+
+// Run `fn` over `items` with at most `limit` calls in flight. Results keep the input order.
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+// Read a UTF-8 file, or null when it is missing, unreadable or bigger than maxBytes
+export async function readTextFile(fullPath, maxBytes = DEFAULT_MAX_BYTES) {
+  try {
+    const stats = await fs.stat(fullPath);
+    if (!stats.isFile() || stats.size > maxBytes) return null;
+    return await fs.readFile(fullPath, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// Repository-relative path with forward slashes
+export function toPosixPath(filePath) {
+  return filePath.split('\\').join('/');
+}
+
+export function isTestPath(filePath) {
+  return TEST_PATH.test(toPosixPath(filePath));
+}
+
+// Collapse whitespace and cut long snippets so they fit on one line of the docs
+export function oneLine(text, maxLength = 160) {
+  const collapsed = String(text).replace(/\s+/g, ' ').trim();
+  return collapsed.length > maxLength ? `${collapsed.slice(0, maxLength - 1)}…` : collapsed;
+}
+
+// 1-based line number of a character offset
+export function lineAt(text, index) {
+  let line = 1;
+  for (let i = 0; i < index && i < text.length; i++) {
+    if (text.charCodeAt(i) === 10) line++;
+  }
+  return line;
+}
+
+// Blank out comments while keeping string literals, offsets and line numbers intact.
+// `line` is the line comment marker ('//' or '#'); `block` enables /* ... */ comments.
+export function stripComments(text, { line = '//', block = true } = {}) {
+  let result = '';
+  let i = 0;
+  while (i < text.length) {
+    const char = text[i];
+
+    if (char === '"' || char === "'" || char === '`') {
+      const end = skipString(text, i);
+      result += text.slice(i, end);
+      i = end;
+    } else if (text.startsWith(line, i)) {
+      const end = text.indexOf('\n', i);
+      const stop = end === -1 ? text.length : end;
+      result += ' '.repeat(stop - i);
+      i = stop;
+    } else if (block && text.startsWith('/*', i)) {
+      const end = text.indexOf('*/', i + 2);
+      const stop = end === -1 ? text.length : end + 2;
+      result += text.slice(i, stop).replace(/[^\n]/g, ' ');
+      i = stop;
+    } else {
+      result += char;
+      i++;
+    }
+  }
+  return result;
+}
+
+// Offset just past the string literal starting at `start` (handles escapes and Python triple quotes)
+function skipString(text, start) {
+  const quote = text[start];
+  const triple = text.startsWith(quote.repeat(3), start);
+  const terminator = triple ? quote.repeat(3) : quote;
+
+  let i = start + terminator.length;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text.startsWith(terminator, i)) {
+      return i + terminator.length;
+    } else if (!triple && quote !== '`' && text[i] === '\n') {
+      return i; // unterminated single-line string
+    } else {
+      i++;
+    }
+  }
+  return text.length;
+}
+
+// Text between the bracket at `openIndex` and its matching closing bracket, skipping strings.
+// Returns { content, end } with `end` just past the closing bracket, or null when unbalanced.
+export function readBalanced(text, openIndex) {
+  const pairs = { '(': ')', '[': ']', '{': '}' };
+  const stack = [pairs[text[openIndex]]];
+  let i = openIndex + 1;
+
+  while (i < text.length && stack.length) {
+    const char = text[i];
+    if (char === '"' || char === "'" || char === '`') {
+      i = skipString(text, i);
+      continue;
+    }
+    if (pairs[char]) stack.push(pairs[char]);
+    else if (char === stack[stack.length - 1]) stack.pop();
+    i++;
+  }
+
+  return stack.length ? null : { content: text.slice(openIndex + 1, i - 1), end: i };
+}
+
+// Split call arguments on top-level commas
+export function splitArguments(text) {
+  const args = [];
+  let depth = 0;
+  let current = '';
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (char === '"' || char === "'" || char === '`') {
+      const end = skipString(text, i);
+      current += text.slice(i, end);
+      i = end - 1;
+    } else if ('([{'.includes(char)) {
+      depth++;
+      current += char;
+    } else if (')]}'.includes(char)) {
+      depth--;
+      current += char;
+    } else if (char === ',' && depth === 0) {
+      args.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  if (current.trim()) args.push(current.trim());
+  return args;
+}
+
+// Value of a quoted string literal ("x", 'x', r"x", f"x" or Go `x`), or null for anything else
+export function unquote(literal) {
+  const match = String(literal).trim().match(/^[rbuf]{0,2}(["'`])([\s\S]*)\1$/i);
+  return match ? match[2] : null;
+}
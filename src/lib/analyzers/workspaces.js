@@ -0,0 +1,172 @@
+// Monorepo layouts: npm/yarn/pnpm workspaces, Lerna, Nx, Turborepo, Cargo workspaces and go.work.
+// Finds the workspace tools in use and the packages they declare, with each package's manifest data.
+import path from 'path';
+import { parse as parseToml } from 'smol-toml';
+import { parse as parseYaml } from 'yaml';
+import { readTextFile, toPosixPath } from '@/lib/analyzers/utils';
+
+const MAX_PACKAGES = 100;
+
+// Workspace globs (`packages/*`, `apps/**`, `tools/cli`) as a regex over directory paths
+function globToRegExp(pattern) {
+  const normalized = pattern.replace(/^\.\//, '').replace(/\/+$/, '');
+  const source = normalized
+    .split(/(\*\*\/?|\*)/)
+    .map((part) => (part.startsWith('**') ? '(?:.*/)?' : part === '*' ? '[^/]*' : part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source.replace(/\(\?:\.\*\/\)\?$/, '.*')}$`);
+}
+
+function matchDirectories(patterns, directories) {
+  const include = patterns.filter((p) => !p.startsWith('!')).map(globToRegExp);
+  const exclude = patterns.filter((p) => p.startsWith('!')).map((p) => globToRegExp(p.slice(1)));
+  return directories.filter((dir) => include.some((re) => re.test(dir)) && !exclude.some((re) => re.test(dir)));
+}
+
+const dirOf = (filePath) => path.posix.dirname(toPosixPath(filePath));
+
+async function readJson(file) {
+  const text = file && (await readTextFile(file.fullPath));
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+async function readToml(file) {
+  const text = file && (await readTextFile(file.fullPath));
+  if (!text) return null;
+  try {
+    return parseToml(text);
+  } catch {
+    return null;
+  }
+}
+
+// `use ./api` and `use ( ./api ./web )` directives of a go.work file
+function parseGoWork(text) {
+  const dirs = [];
+  for (const match of text.matchAll(/^\s*use\s*\(([^)]*)\)|^\s*use\s+(\S+)/gm)) {
+    const entries = match[1] ? match[1].split('\n') : [match[2]];
+    for (const entry of entries) {
+      const dir = entry.replace(/\/\/.*$/, '').trim().replace(/^"|"$/g, '');
+      if (dir) dirs.push(path.posix.normalize(dir).replace(/\/$/, ''));
+    }
+  }
+  return dirs;
+}
+
+async function npmPackage(dir, file) {
+  const manifest = (await readJson(file)) || {};
+  return {
+    name: manifest.name || path.posix.basename(dir),
+    path: dir,
+    ecosystem: 'npm',
+    ...(manifest.version && { version: String(manifest.version) }),
+    ...(manifest.description && { description: String(manifest.description) }),
+    ...(manifest.private && { private: true }),
+    declaredDependencies: Object.keys({ ...manifest.dependencies, ...manifest.devDependencies, ...manifest.peerDependencies })
+  };
+}
+
+async function cargoPackage(dir, file) {
+  const manifest = (await readToml(file)) || {};
+  const pkg = manifest.package || {};
+  const dependencies = { ...manifest.dependencies, ...manifest['dev-dependencies'], ...manifest['build-dependencies'] };
+  return {
+    name: typeof pkg.name === 'string' ? pkg.name : path.posix.basename(dir),
+    path: dir,
+    ecosystem: 'cargo',
+    ...(typeof pkg.version === 'string' && { version: pkg.version }),
+    ...(typeof pkg.description === 'string' && { description: pkg.description }),
+    ...(pkg.publish === false && { private: true }),
+    declaredDependencies: Object.keys(dependencies)
+  };
+}
+
+async function goPackage(dir, file) {
+  const text = (file && (await readTextFile(file.fullPath))) || '';
+  const moduleName = text.match(/^\s*module\s+(\S+)/m)?.[1];
+  const requires = [...text.matchAll(/^\s*(?:require\s+)?([\w.-]+\.[\w.-]+\/\S+)\s+v[\w.+-]+/gm)].map((match) => match[1]);
+  return {
+    name: moduleName || path.posix.basename(dir),
+    path: dir,
+    ecosystem: 'go',
+    declaredDependencies: requires
+  };
+}
+
+export async function detectWorkspaces(files) {
+  const byPath = new Map(files.filter((file) => !file.isDirectory).map((file) => [toPosixPath(file.path), file]));
+  const manifestDirs = (name) => [...byPath.keys()].filter((p) => path.posix.basename(p) === name && p !== name).map(dirOf);
+
+  const tools = [];
+  const declared = { npm: new Set(), cargo: new Set(), go: new Set() };
+
+  // npm / yarn workspaces: "workspaces": ["packages/*"] or { "packages": [...] }
+  const rootPackage = await readJson(byPath.get('package.json'));
+  const npmPatterns = Array.isArray(rootPackage?.workspaces) ? rootPackage.workspaces : rootPackage?.workspaces?.packages || [];
+  if (npmPatterns.length > 0) {
+    tools.push(byPath.has('yarn.lock') ? 'yarn workspaces' : 'npm workspaces');
+    matchDirectories(npmPatterns, manifestDirs('package.json')).forEach((dir) => declared.npm.add(dir));
+  }
+
+  const pnpmFile = byPath.get('pnpm-workspace.yaml');
+  if (pnpmFile) {
+    tools.push('pnpm workspaces');
+    try {
+      const config = parseYaml((await readTextFile(pnpmFile.fullPath)) || '') || {};
+      matchDirectories(config.packages || [], manifestDirs('package.json')).forEach((dir) => declared.npm.add(dir));
+    } catch {
+      // An unparsable pnpm-workspace.yaml declares no packages
+    }
+  }
+
+  const lerna = await readJson(byPath.get('lerna.json'));
+  if (lerna) {
+    tools.push('lerna');
+    matchDirectories(lerna.packages || ['packages/*'], manifestDirs('package.json')).forEach((dir) => declared.npm.add(dir));
+  }
+
+  // Nx projects are the directories with a project.json; Turborepo runs over the package manager's workspaces
+  if (byPath.has('nx.json')) {
+    tools.push('nx');
+    manifestDirs('project.json').forEach((dir) => declared.npm.add(dir));
+  }
+  if (byPath.has('turbo.json')) tools.push('turborepo');
+
+  const cargoRoot = await readToml(byPath.get('Cargo.toml'));
+  if (cargoRoot?.workspace) {
+    tools.push('cargo workspace');
+    const members = Array.isArray(cargoRoot.workspace.members) ? cargoRoot.workspace.members : [];
+    const excluded = (Array.isArray(cargoRoot.workspace.exclude) ? cargoRoot.workspace.exclude : []).map((p) => `!${p}`);
+    matchDirectories([...members, ...excluded], manifestDirs('Cargo.toml')).forEach((dir) => declared.cargo.add(dir));
+  }
+
+  const goWork = byPath.get('go.work');
+  if (goWork) {
+    tools.push('go work');
+    parseGoWork((await readTextFile(goWork.fullPath)) || '')
+      .filter((dir) => dir !== '.' && byPath.has(`${dir}/go.mod`))
+      .forEach((dir) => declared.go.add(dir));
+  }
+
+  const packages = [
+    ...(await Promise.all([...declared.npm].map((dir) => npmPackage(dir, byPath.get(`${dir}/package.json`))))),
+    ...(await Promise.all([...declared.cargo].map((dir) => cargoPackage(dir, byPath.get(`${dir}/Cargo.toml`))))),
+    ...(await Promise.all([...declared.go].map((dir) => goPackage(dir, byPath.get(`${dir}/go.mod`)))))
+  ]
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .slice(0, MAX_PACKAGES);
+
+  // Dependencies on other packages of the same workspace
+  const names = new Set(packages.map((pkg) => pkg.name));
+  for (const pkg of packages) {
+    pkg.internalDependencies = pkg.declaredDependencies.filter((name) => names.has(name) && name !== pkg.name);
+    delete pkg.declaredDependencies;
+  }
+
+  return { tools, packages };
+}
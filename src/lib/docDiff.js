@@ -0,0 +1,217 @@
+// Line- and section-level diffs between two markdown documents
+
+// Above this many cells (lines × lines) the LCS table gets too big; the differing middle
+// part is then reported as one removed block followed by one added block
+const MAX_LCS_CELLS = 5000000;
+const CONTEXT_LINES = 3;
+
+function splitLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n/g, "\n").replace(/\n$/, "").split("\n");
+}
+
+// Line diff as a list of { type: "equal" | "added" | "removed", text, oldLine, newLine } (1-based line numbers)
+export function diffLines(oldText, newText) {
+  const a = Array.isArray(oldText) ? oldText : splitLines(oldText);
+  const b = Array.isArray(newText) ? newText : splitLines(newText);
+
+  // Trim the common prefix and suffix, the LCS only needs to cover the part in between
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const result = [];
+  for (let i = 0; i < start; i++) {
+    result.push({ type: "equal", text: a[i], oldLine: i + 1, newLine: i + 1 });
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    midA.forEach((text, i) => result.push({ type: "removed", text, oldLine: start + i + 1, newLine: null }));
+    midB.forEach((text, j) => result.push({ type: "added", text, oldLine: null, newLine: start + j + 1 }));
+  } else {
+    // lcs[i][j] = length of the LCS of midA[i..] and midB[j..]
+    const width = m + 1;
+    const lcs = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i * width + j] =
+          midA[i] === midB[j]
+            ? lcs[(i + 1) * width + j + 1] + 1
+            : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && midA[i] === midB[j]) {
+        result.push({ type: "equal", text: midA[i], oldLine: start + i + 1, newLine: start + j + 1 });
+        i++;
+        j++;
+      } else if (i < n && (j === m || lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+        result.push({ type: "removed", text: midA[i], oldLine: start + i + 1, newLine: null });
+        i++;
+      } else {
+        result.push({ type: "added", text: midB[j], oldLine: null, newLine: start + j + 1 });
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) {
+    result.push({ type: "equal", text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+
+  return result;
+}
+
+// Group a line diff into hunks with a few lines of context, like a unified diff
+export function toHunks(lines, context = CONTEXT_LINES) {
+  const hunks = [];
+  let current = null;
+  let lastChange = -Infinity;
+
+  lines.forEach((line, index) => {
+    if (line.type === "equal") return;
+
+    // Changes close enough to share their context lines end up in the same hunk
+    if (!current || index - lastChange > context * 2) {
+      current = { lines: [] };
+      hunks.push(current);
+      for (let k = Math.max(index - context, 0); k < index; k++) current.lines.push(lines[k]);
+    } else {
+      for (let k = lastChange + 1; k < index; k++) current.lines.push(lines[k]);
+    }
+    current.lines.push(line);
+    current.end = index;
+    lastChange = index;
+  });
+
+  // Trailing context is added once each hunk's last change is known
+  hunks.forEach((hunk) => {
+    const end = Math.min(hunk.end + context, lines.length - 1);
+    for (let k = hunk.end + 1; k <= end; k++) hunk.lines.push(lines[k]);
+    delete hunk.end;
+
+    const oldNumbers = hunk.lines.map((l) => l.oldLine).filter(Boolean);
+    const newNumbers = hunk.lines.map((l) => l.newLine).filter(Boolean);
+    hunk.oldStart = oldNumbers[0] ?? 0;
+    hunk.oldLines = oldNumbers.length;
+    hunk.newStart = newNumbers[0] ?? 0;
+    hunk.newLines = newNumbers.length;
+  });
+
+  return hunks;
+}
+
+// Split markdown into sections at headings (ignoring "#" lines inside fenced code blocks).
+// Each section is keyed by its heading path, e.g. "Architecture > Components".
+export function splitSections(markdown) {
+  const sections = [];
+  const stack = [];
+  const seen = {};
+  let inFence = false;
+  let current = { key: "(preamble)", heading: null, level: 0, lines: [] };
+
+  splitLines(markdown).forEach((line) => {
+    if (/^\s*(```|~~~)/.test(line)) inFence = !inFence;
+
+    const match = !inFence && line.match(/^(#{1,6})\s+(.*?)\s*#*\s*$/);
+    if (!match) {
+      current.lines.push(line);
+      return;
+    }
+
+    sections.push(current);
+    const level = match[1].length;
+    const heading = match[2];
+    while (stack.length && stack[stack.length - 1].level >= level) stack.pop();
+    stack.push({ level, heading });
+
+    // Repeated headings get a counter so every key stays unique
+    let key = stack.map((s) => s.heading).join(" > ");
+    seen[key] = (seen[key] || 0) + 1;
+    if (seen[key] > 1) key = `${key} (${seen[key]})`;
+
+    current = { key, heading, level, lines: [line] };
+  });
+  sections.push(current);
+
+  return sections.filter((section) => section.heading !== null || section.lines.some((l) => l.trim()));
+}
+
+// Compare two documents section by section and line by line
+export function diffDocuments(oldText, newText) {
+  const oldSections = splitSections(oldText);
+  const newSections = splitSections(newText);
+  const oldByKey = new Map(oldSections.map((s) => [s.key, s]));
+  const newKeys = new Set(newSections.map((s) => s.key));
+
+  const sections = [];
+  const describe = (section, status, lines) => {
+    const changes = lines ? lines.filter((l) => l.type !== "equal") : [];
+    return {
+      key: section.key,
+      heading: section.heading,
+      level: section.level,
+      status,
+      added: lines ? changes.filter((l) => l.type === "added").length : 0,
+      removed: lines ? changes.filter((l) => l.type === "removed").length : 0,
+      hunks: lines && changes.length > 0 ? toHunks(lines) : [],
+      ...((status === "added" || status === "removed") && { content: section.lines.join("\n") }),
+    };
+  };
+
+  // Removed sections are placed right after the old section that preceded them
+  const removedAfter = new Map();
+  let previousKey = null;
+  oldSections.forEach((section) => {
+    if (!newKeys.has(section.key)) {
+      const list = removedAfter.get(previousKey) || [];
+      list.push(section);
+      removedAfter.set(previousKey, list);
+    } else {
+      previousKey = section.key;
+    }
+  });
+
+  (removedAfter.get(null) || []).forEach((s) => sections.push(describe(s, "removed")));
+  newSections.forEach((section) => {
+    const previous = oldByKey.get(section.key);
+    if (!previous) {
+      sections.push(describe(section, "added"));
+    } else {
+      const lines = diffLines(previous.lines, section.lines);
+      const changed = lines.some((l) => l.type !== "equal");
+      sections.push(describe(section, changed ? "changed" : "unchanged", lines));
+    }
+    (removedAfter.get(section.key) || []).forEach((s) => sections.push(describe(s, "removed")));
+  });
+
+  const lines = diffLines(oldText, newText);
+  const hunks = toHunks(lines);
+
+  return {
+    stats: {
+      linesAdded: lines.filter((l) => l.type === "added").length,
+      linesRemoved: lines.filter((l) => l.type === "removed").length,
+      linesUnchanged: lines.filter((l) => l.type === "equal").length,
+      sectionsAdded: sections.filter((s) => s.status === "added").length,
+      sectionsRemoved: sections.filter((s) => s.status === "removed").length,
+      sectionsChanged: sections.filter((s) => s.status === "changed").length,
+      sectionsUnchanged: sections.filter((s) => s.status === "unchanged").length,
+    },
+    sections,
+    hunks,
+  };
+}
@@ -0,0 +1,185 @@
+// Commit generated documentation back to the repository (the autoMerge option)
+import { execFile } from "child_process";
+import fs from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import { promisify } from "util";
+import { isLocalRepositoryUrl } from "@/lib/analyzer";
+
+const execFileAsync = promisify(execFile);
+
+const TEMP_DIR = "/tmp/docweave-publish";
+const GIT_TIMEOUT = 120000; // 2 minutes
+
+export const DEFAULT_DOCS_PATH = "docs/SERVICE.md";
+export const DEFAULT_PUBLISH_BRANCH = "docweave/docs";
+
+// Docs path must stay inside the repository
+export function normalizeDocsPath(docsPath) {
+  if (!docsPath) return null;
+
+  const normalized = path.posix.normalize(String(docsPath).trim().replace(/\\/g, "/"));
+  if (path.posix.isAbsolute(normalized) || normalized.startsWith("..") || normalized === ".") {
+    throw new Error("Documentation path must be a relative path inside the repository");
+  }
+  return normalized;
+}
+
+// Branch names are passed to git, so only allow what git itself accepts in practice
+export function normalizeBranchName(branch) {
+  if (!branch) return null;
+
+  const trimmed = String(branch).trim();
+  if (!/^[\w.\-/]+$/.test(trimmed) || trimmed.includes("..") || trimmed.startsWith("-")) {
+    throw new Error(`Invalid branch name: ${branch}`);
+  }
+  return trimmed;
+}
+
+// Run git with an argument array; nothing goes through a shell
+async function git(cwd, args) {
+  const { stdout } = await execFileAsync("git", args, {
+    cwd,
+    timeout: GIT_TIMEOUT,
+    maxBuffer: 1024 * 1024 * 10,
+    env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+  });
+  return stdout.trim();
+}
+
+// The publish branch is overwritten on every run, so it must never be the branch the docs are
+// generated from (or, checked at publish time, the remote's default branch)
+export function assertPublishBranchAllowed(publishBranch, targetBranch) {
+  const branch = publishBranch || DEFAULT_PUBLISH_BRANCH;
+  if (branch === (targetBranch || "main")) {
+    throw new Error(`publishBranch must differ from the repository branch (${branch})`);
+  }
+}
+
+// Default branch and the current tip of `branch` on origin, in one ls-remote
+async function remoteBranchState(clonePath, branch) {
+  const output = await git(clonePath, ["ls-remote", "--symref", "origin", "HEAD", `refs/heads/${branch}`]);
+  let defaultBranch = null;
+  let tip = null;
+
+  for (const line of output.split("\n")) {
+    const [left, ref] = line.split("\t");
+    if (left.startsWith("ref: refs/heads/") && ref === "HEAD") {
+      defaultBranch = left.slice("ref: refs/heads/".length);
+    } else if (ref === `refs/heads/${branch}`) {
+      tip = left;
+    }
+  }
+  return { defaultBranch, tip };
+}
+
+// An existing publish branch is only overwritten if its tip is a DocWeave commit
+async function assertBranchOwnedByDocWeave(clonePath, repository, branch, tip) {
+  if (tip === repository.lastPublishedCommit) return;
+
+  await git(clonePath, ["fetch", "--depth", "1", "origin", `refs/heads/${branch}`]);
+  const authorEmail = await git(clonePath, ["log", "-1", "--format=%ae", "FETCH_HEAD"]);
+  if (!isPublishedByDocWeave(repository, { authorEmail })) {
+    throw new Error(
+      `Branch ${branch} already exists and its last commit is not DocWeave's; refusing to overwrite it`
+    );
+  }
+}
+
+// Shallow clones only work over file:// for local repositories
+function cloneUrlFor(repoUrl) {
+  if (!isLocalRepositoryUrl(repoUrl)) return repoUrl;
+  const localPath = repoUrl.startsWith("file://") ? fileURLToPath(repoUrl) : repoUrl;
+  return pathToFileURL(localPath).href;
+}
+
+// Author of the commits DocWeave publishes
+function publishAuthor() {
+  return {
+    name: process.env.DOCWEAVE_GIT_AUTHOR_NAME || "DocWeave",
+    email: process.env.DOCWEAVE_GIT_AUTHOR_EMAIL || "docweave@localhost",
+  };
+}
+
+// Whether a commit on the tracked branch is DocWeave's own documentation commit (direct push): it was
+// the last one published, or a push event names DocWeave as its author. Regenerating for it would
+// publish again and loop.
+export function isPublishedByDocWeave(repository, { commitSha, authorEmail } = {}) {
+  if (commitSha && commitSha === repository.lastPublishedCommit) return true;
+  return Boolean(authorEmail) && authorEmail.toLowerCase() === publishAuthor().email.toLowerCase();
+}
+
+function buildCommitMessage(repository, { commitSha, model }) {
+  const source = `${repository.branch || "main"}${commitSha ? `@${commitSha.slice(0, 7)}` : ""}`;
+  return [
+    `docs: update generated documentation for ${repository.name}`,
+    "",
+    `Generated by DocWeave from ${source}${model ? ` with ${model}` : ""}.`,
+  ].join("\n");
+}
+
+// Write the documentation into a fresh clone, commit it and push.
+// By default the commit goes to a dedicated branch (rebuilt from the target branch on every run and
+// force-pushed with a lease on the tip seen before); with autoMergeDirectPush it is pushed straight
+// to the target branch.
+export async function publishDocumentation(repository, documentation, { commitSha, model } = {}) {
+  const targetBranch = normalizeBranchName(repository.branch) || "main";
+  const docsPath = normalizeDocsPath(repository.docsPath) || DEFAULT_DOCS_PATH;
+  const directPush = Boolean(repository.autoMergeDirectPush);
+  const pushBranch = directPush
+    ? targetBranch
+    : normalizeBranchName(repository.publishBranch) || DEFAULT_PUBLISH_BRANCH;
+  if (!directPush) assertPublishBranchAllowed(pushBranch, targetBranch);
+
+  const clonePath = path.join(TEMP_DIR, `${repository.id}-${Date.now()}`);
+
+  try {
+    await fs.mkdir(TEMP_DIR, { recursive: true });
+    await git(TEMP_DIR, [
+      "clone", "--depth", "1", "--single-branch", "--branch", targetBranch,
+      "--", cloneUrlFor(repository.url), clonePath,
+    ]);
+
+    let lease = [];
+    if (!directPush) {
+      const { defaultBranch, tip } = await remoteBranchState(clonePath, pushBranch);
+      if (pushBranch === defaultBranch) {
+        throw new Error(`publishBranch must differ from the default branch (${defaultBranch})`);
+      }
+      if (tip) await assertBranchOwnedByDocWeave(clonePath, repository, pushBranch, tip);
+      lease = [`--force-with-lease=refs/heads/${pushBranch}:${tip || ""}`];
+
+      await git(clonePath, ["checkout", "-B", pushBranch]);
+    }
+
+    const filePath = path.join(clonePath, docsPath);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, documentation, "utf8");
+
+    await git(clonePath, ["add", "--", docsPath]);
+    const staged = await git(clonePath, ["diff", "--cached", "--name-only"]);
+    if (!staged) {
+      console.log(`Documentation for ${repository.name} unchanged, nothing to publish`);
+      return { changed: false, branch: pushBranch, path: docsPath, directPush };
+    }
+
+    const author = publishAuthor();
+    const messageFile = path.join(clonePath, ".git", "DOCWEAVE_COMMIT_MSG");
+    await fs.writeFile(messageFile, buildCommitMessage(repository, { commitSha, model }), "utf8");
+
+    await git(clonePath, [
+      "-c", `user.name=${author.name}`, "-c", `user.email=${author.email}`,
+      "commit", "--no-verify", "-F", messageFile,
+    ]);
+    const publishedSha = await git(clonePath, ["rev-parse", "HEAD"]);
+
+    await git(clonePath, ["push", ...lease, "origin", `HEAD:refs/heads/${pushBranch}`]);
+
+    console.log(`Published documentation for ${repository.name} to ${pushBranch} (${publishedSha.slice(0, 7)})`);
+    return { changed: true, branch: pushBranch, path: docsPath, commitSha: publishedSha, directPush };
+  } catch (error) {
+    throw new Error(`Failed to publish documentation: ${error.stderr?.trim() || error.message}`);
+  } finally {
+    await fs.rm(clonePath, { recursive: true, force: true }).catch(() => {});
+  }
+}
@@ -3,6 +3,7 @@ import fs from 'fs/promises';
 import path from 'path';
 
 const DOCS_DIR = path.join(process.cwd(), 'data', 'documentation');
+const VERSIONS_DIR = path.join(DOCS_DIR, 'versions');
 
 // Ensure documentation directory exists
 async function ensureDocsDir() {
@@ -13,8 +14,9 @@ async function ensureDocsDir() {
   }
 }
 
-// Save documentation to file
-export async function saveDocumentation(repoId, repoName, documentation) {
+// Save documentation to file. The latest version is kept as {name}-{id}.md and every
+// generation is also stored as a numbered version with its metadata (see saveDocumentationVersion).
+export async function saveDocumentation(repoId, repoName, documentation, metadata = null) {
   try {
     await ensureDocsDir();
     
@@ -26,6 +28,11 @@ export async function saveDocumentation(repoId, repoName, documentation) {
     await fs.writeFile(filePath, documentation, 'utf8');
     
     console.log(`Documentation saved: ${filename}`);
+
+    if (metadata) {
+      await saveDocumentationVersion(repoId, documentation, metadata);
+    }
+
     return filename;
   } catch (error) {
     console.error('Failed to save documentation:', error);
@@ -33,6 +40,70 @@ export async function saveDocumentation(repoId, repoName, documentation) {
   }
 }
 
+function versionsDirFor(repoId) {
+  return path.join(VERSIONS_DIR, String(repoId).replace(/[^a-z0-9-]/gi, '-'));
+}
+
+async function readVersionIndex(repoId) {
+  try {
+    const data = await fs.readFile(path.join(versionsDirFor(repoId), 'index.json'), 'utf8');
+    return JSON.parse(data).versions || [];
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+}
+
+// Store a new numbered version of a repository's documentation.
+// Metadata: commitSha, branch, provider, model, promptVersion, generationId.
+export async function saveDocumentationVersion(repoId, documentation, metadata = {}) {
+  const dir = versionsDirFor(repoId);
+  await fs.mkdir(dir, { recursive: true });
+
+  const versions = await readVersionIndex(repoId);
+  const version = versions.reduce((max, v) => Math.max(max, v.version), 0) + 1;
+  const entry = {
+    version,
+    filename: `v${version}.md`,
+    createdAt: new Date().toISOString(),
+    commitSha: metadata.commitSha || null,
+    branch: metadata.branch || null,
+    provider: metadata.provider || null,
+    model: metadata.model || null,
+    promptVersion: metadata.promptVersion ?? null,
+    generationId: metadata.generationId || null,
+    fallback: Boolean(metadata.fallback),
+    size: Buffer.byteLength(documentation, 'utf8')
+  };
+
+  await fs.writeFile(path.join(dir, entry.filename), documentation, 'utf8');
+  versions.push(entry);
+  // Write to a temp file first so a crash never leaves a truncated version index
+  const indexFile = path.join(dir, 'index.json');
+  const tempFile = `${indexFile}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify({ versions }, null, 2), 'utf8');
+  await fs.rename(tempFile, indexFile);
+
+  console.log(`Documentation version ${version} saved for repository ${repoId}`);
+  return entry;
+}
+
+// List all stored versions of a repository's documentation, newest first
+export async function listDocumentationVersions(repoId) {
+  const versions = await readVersionIndex(repoId);
+  return versions.sort((a, b) => b.version - a.version);
+}
+
+// Get a single version with its content, or null if it doesn't exist
+export async function getDocumentationVersion(repoId, version) {
+  const versions = await readVersionIndex(repoId);
+  const entry = versions.find(v => v.version === Number(version));
+  if (!entry) return null;
+
+  const content = await fs.readFile(path.join(versionsDirFor(repoId), entry.filename), 'utf8');
+  return { ...entry, content };
+}
+
 // Read documentation from file
 export async function readDocumentation(filename) {
   try {
@@ -0,0 +1,118 @@
+// Documentation generation jobs: enqueueing from the API and processing in the background worker
+import { publishDocumentation } from "@/lib/docPublisher";
+import { enqueueJob, enqueueUniqueJob, registerJobHandler, startWorker, updateJob } from "@/lib/jobQueue";
+import { historyDepthFor } from "@/lib/analyzers/gitHistory";
+import { generateDocumentation } from "@/lib/generator";
+import { createLLMProvider, getLLMConfig } from "@/lib/llmProviders";
+import { ProgressTracker } from "@/lib/progress";
+import { getRepositoryById, updateRepository } from "@/lib/repositoryStorage";
+
+export const GENERATE_JOB = "generate";
+
+export function repoNameFromUrl(repoUrl) {
+  return repoUrl.replace(/\/+$/, "").split("/").pop()?.replace(".git", "") || "Repository";
+}
+
+// Queue documentation generation. A repository only ever has one active generation job:
+// asking again while one is queued or running returns the existing job.
+export async function enqueueGeneration({ repoUrl, branch = "main", repoId, repoName }, { trigger = "manual" } = {}) {
+  ensureGenerationWorker();
+
+  const payload = { repoUrl, branch, repoId: repoId || null, repoName: repoName || repoNameFromUrl(repoUrl) };
+  if (!repoId) {
+    return enqueueJob(GENERATE_JOB, payload, { trigger });
+  }
+
+  const { job, created } = await enqueueUniqueJob(GENERATE_JOB, repoId, payload, { trigger });
+  if (created) {
+    await updateRepository(repoId, { status: "generating", lastJobId: job.id });
+  }
+
+  return job;
+}
+
+async function runGenerationJob(job) {
+  const { repoUrl, branch, repoId, repoName } = job.payload;
+
+  // Settings are read when the job runs, so edits made while it was queued apply
+  const repository = repoId ? await getRepositoryById(repoId) : null;
+  const llmProvider = createLLMProvider(getLLMConfig(repository?.llm));
+  const configError = llmProvider.validate();
+  if (configError) {
+    if (repoId) {
+      await updateRepository(repoId, { status: "error" });
+    }
+    throw new Error(configError);
+  }
+
+  // Persist every progress snapshot on the job so /api/status can report it
+  const tracker = new ProgressTracker((progress) => {
+    updateJob(job.id, { progress }).catch((error) =>
+      console.warn(`Failed to record progress for job ${job.id}:`, error.message)
+    );
+  });
+
+  const onProgress = (event) => tracker.handle(event);
+  const { documentation, documentationFile, commitSha } = await generateDocumentation({
+    repoUrl,
+    branch,
+    llmProvider,
+    generationId: job.id,
+    repoId,
+    repoName,
+    historyDepth: historyDepthFor(repository),
+    onProgress,
+  });
+
+  const result = { repoId, repoName, documentationFile, commitSha, provider: llmProvider.name, model: llmProvider.model };
+  // Without a repository nothing is saved to disk, so the job result is where the docs are kept
+  if (!repoId) result.documentation = documentation;
+
+  if (repository?.autoMerge) {
+    result.publish = await publishGeneratedDocs({ ...repository, branch }, documentation, {
+      commitSha,
+      model: llmProvider.model,
+      onProgress,
+    });
+  } else {
+    onProgress({ stage: "publishing", status: "skipped", message: "Auto-merge disabled" });
+  }
+
+  return result;
+}
+
+// Commit the docs back to the repository. A failed push doesn't fail the job - the docs were
+// generated and saved - but the error is kept on the repository and in the job result.
+async function publishGeneratedDocs(repository, documentation, { commitSha, model, onProgress }) {
+  onProgress({ stage: "publishing", status: "started" });
+
+  try {
+    const publish = await publishDocumentation(repository, documentation, { commitSha, model });
+    await updateRepository(
+      repository.id,
+      {
+        lastPublishedAt: new Date().toISOString(),
+        ...(publish.commitSha && { lastPublishedCommit: publish.commitSha }),
+        lastPublishError: null,
+      },
+      { touch: false }
+    );
+    onProgress({
+      stage: "publishing",
+      status: "completed",
+      message: publish.changed ? `Pushed to ${publish.branch}` : "No changes to commit",
+    });
+    return publish;
+  } catch (error) {
+    console.error(`Publishing failed for ${repository.name}:`, error);
+    await updateRepository(repository.id, { lastPublishError: error.message }, { touch: false });
+    onProgress({ stage: "publishing", status: "completed", message: "Commit failed" });
+    return { error: error.message };
+  }
+}
+
+// Register the generation handler and start the worker (safe to call repeatedly)
+export function ensureGenerationWorker() {
+  registerJobHandler(GENERATE_JOB, runGenerationJob);
+  startWorker();
+}
@@ -0,0 +1,283 @@
+// Documentation generation pipeline: analyze a repository, generate markdown with the LLM and save it
+import { listDocumentationVersions, saveDocumentation } from "@/lib/documentationStorage";
+import { appendReferenceSections, summarizeForPrompt } from "@/lib/referenceSections";
+import { updateRepository } from "@/lib/repositoryStorage";
+import { setDocumentation } from "@/lib/storage";
+
+// Bump whenever the prompt changes, so stored versions show which prompt produced them
+export const PROMPT_VERSION = 15;
+
+// onProgress receives stage events for every step of the pipeline - see lib/progress.js
+export async function generateDocumentation({ repoUrl, branch = "main", llmProvider, generationId, repoId, repoName, historyDepth = 0, onProgress }) {
+  try {
+    // 1. Repository Analysis (equivalent to analyzers.py)
+    const analysis = await analyzeRepository(repoUrl, branch, onProgress, historyDepth);
+
+    // 2. Build the prompt from the analysis
+    onProgress?.({ stage: "prompt", status: "started" });
+    const prompt = buildPrompt(analysis);
+    onProgress?.({ stage: "prompt", status: "completed", message: `${prompt.length} characters` });
+
+    // 3. Generate documentation using LLM (falls back to a template if the call fails)
+    onProgress?.({ stage: "llm", status: "started", message: `Generating with ${llmProvider.name} (${llmProvider.model})` });
+    const { content, fallback } = await generateWithLLM(prompt, analysis, llmProvider);
+    onProgress?.({ stage: "llm", status: "completed", message: fallback ? "LLM call failed, used fallback template" : null });
+
+    // Reference sections (API reference, ...) come straight from the analysis, not from the LLM
+    const documentation = appendReferenceSections(content, analysis);
+
+    // 4. Save documentation to file
+    onProgress?.({ stage: "saving", status: "started" });
+    let docFilename = null;
+    if (repoId && repoName) {
+      docFilename = await saveDocumentation(repoId, repoName, documentation, {
+        commitSha: analysis.repository?.commitSha,
+        branch,
+        provider: llmProvider.name,
+        model: llmProvider.model,
+        promptVersion: PROMPT_VERSION,
+        generationId,
+        fallback
+      });
+      
+      // Update repository with documentation filename
+      await updateRepository(repoId, {
+        documentationFile: docFilename,
+        hasDocumentation: true,
+        status: 'up-to-date',
+        lastCommitSha: analysis.repository?.commitSha || null
+      });
+    }
+
+    // Store result in memory (for backward compatibility)
+    await storeGeneratedDocs(generationId, documentation);
+    onProgress?.({ stage: "saving", status: "completed" });
+
+    console.log(`Documentation generated for ${repoUrl}${docFilename ? ` and saved as ${docFilename}` : ''}`);
+    return { documentation, documentationFile: docFilename, commitSha: analysis.repository?.commitSha || null };
+  } catch (error) {
+    console.error(`Generation failed for ${repoUrl}:`, error);
+    
+    // Update repository status to error if repoId provided. Documentation from earlier runs is
+    // still there, so hasDocumentation only turns false when no version was ever stored.
+    if (repoId) {
+      try {
+        const versions = await listDocumentationVersions(repoId);
+        await updateRepository(repoId, {
+          status: 'error',
+          hasDocumentation: versions.length > 0
+        });
+      } catch (updateError) {
+        console.error('Failed to update repository status:', updateError);
+      }
+    }
+    await storeGenerationError(generationId, error);
+    throw error;
+  }
+}
+
+async function analyzeRepository(repoUrl, branch, onProgress, historyDepth) {
+  // Use the comprehensive local clone-based analyzer
+  const { CodeAnalyzer } = await import("@/lib/analyzer");
+  
+  const codeAnalyzer = new CodeAnalyzer();
+  
+  // The new analyzer returns comprehensive analysis including API specs
+  const analysis = await codeAnalyzer.analyzeRepository(repoUrl, branch, { onProgress, historyDepth });
+  
+  return analysis;
+}
+
+// First production dependencies with their declared version, e.g. "- react ^19.0.0 (npm)"
+function formatKeyDependencies(dependencies, limit = 10) {
+  const packages = dependencies?.packages?.filter((dep) => dep.scope === "production");
+  if (!packages) return dependencies?.production?.slice(0, limit).map((dep) => `- ${dep}`).join("\n");
+  return packages
+    .slice(0, limit)
+    .map((dep) => `- ${dep.name}${dep.version ? ` ${dep.version}` : ""} (${dep.ecosystem})`)
+    .join("\n");
+}
+
+// Build comprehensive prompt with real analysis data
+function buildPrompt(analysis) {
+  const languageInfo = analysis.languages?.map(l => `${l.language} (${l.fileCount} files)`).join(', ') || 'Unknown';
+  const frameworkInfo = analysis.frameworks?.join(', ') || 'None detected';
+  
+  const prompt = `You are a technical documentation expert. Generate comprehensive service documentation based on this REAL repository analysis:
+
+## Repository Analysis Results
+- **Repository**: ${analysis.repository?.name || 'Unknown'}
+- **Analyzed**: ${analysis.repository?.analyzedAt || 'Unknown'}
+- **Languages**: ${languageInfo}
+- **Frameworks**: ${frameworkInfo}
+- **Package Manager**: ${analysis.dependencies?.packageManagers?.join(', ') || analysis.dependencies?.packageManager || 'Unknown'}
+
+## Code Metrics
+- **Total Files**: ${analysis.metrics?.totalFiles || 0}
+- **Code Files**: ${analysis.metrics?.codeFiles || 0}
+- **Lines of Code**: ${analysis.metrics?.linesOfCode || 0} (plus ${analysis.metrics?.commentLines || 0} comment and ${analysis.metrics?.blankLines || 0} blank lines)
+- **Lines of Code by Language**: ${analysis.metrics?.linesByLanguage?.map(l => `${l.language} ${l.code}`).join(', ') || 'None'}
+- **Average File Size**: ${analysis.metrics?.averageFileSize || 0} bytes
+
+## Project Structure
+\`\`\`
+${analysis.structure || 'Structure not available'}
+\`\`\`
+
+## Dependencies Analysis
+**Production Dependencies**: ${analysis.dependencies?.production?.length || 0} packages
+**Development Dependencies**: ${analysis.dependencies?.development?.length || 0} packages
+**Total Dependencies**: ${analysis.dependencies?.total || 0}${analysis.dependencies?.manifests?.length ? ` (from ${analysis.dependencies.manifests.join(', ')})` : ''}
+
+Key Dependencies:
+${formatKeyDependencies(analysis.dependencies) || 'None found'}
+
+## Entry Points
+${analysis.entryPoints?.length > 0 ? analysis.entryPoints.map(ep => `- ${ep}`).join('\n') : 'No clear entry points found'}
+
+## Configuration Files Found
+${analysis.configFiles?.length > 0 ? analysis.configFiles.slice(0, 15).map(cf => `- ${cf}`).join('\n') : 'No config files found'}
+
+## API Specifications
+${analysis.apiSpecs?.length > 0 ? 
+  analysis.apiSpecs.map(spec => `- **${spec.type}**: ${spec.file} (${spec.size} bytes)${spec.title ? ` - ${spec.title}, ${spec.operations} operations` : ''}`).join('\n') : 
+  'No API specifications found'}
+
+### HTTP Routes Found in Code
+${analysis.routes?.routes?.length > 0 ?
+  analysis.routes.routes.slice(0, 60).map(route => `- ${route.method} ${route.path} -> ${route.handler} (${route.framework}, ${route.file}:${route.line})`).join('\n') +
+  (analysis.routes.stats.total > 60 ? `\n- ... and ${analysis.routes.stats.total - 60} more` : '') :
+  'No route definitions found'}
+
+${summarizeForPrompt(analysis)}
+
+## Test Coverage
+**Test Files Found**: ${analysis.testFiles?.length || 0}
+${analysis.testFiles?.length > 0 ? 
+  analysis.testFiles.slice(0, 10).map(tf => `- ${tf}`).join('\n') : 
+  'No test files detected'}
+
+## README Analysis
+${analysis.readme ? 
+  `**File**: ${analysis.readme.filename}
+**Length**: ${analysis.readme.fullLength} characters
+**Content Preview**:
+${analysis.readme.content}` : 
+  'No README file found'}
+
+---
+
+Based on this REAL analysis data, generate a comprehensive markdown documentation that includes:
+
+1. **Service Overview** - Infer the service purpose from the actual code structure, dependencies, and README content
+2. **Architecture** - Describe the architecture based on the real project structure, frameworks detected and module dependencies: explain the layers the components form and which depend on which, and point out import cycles; when a data model is given, explain which components own which entities and how data flows to the database; for a monorepo, explain the role of each workspace package and how they depend on each other
+3. **Technology Stack** - Detail the actual languages, frameworks, and key dependencies found
+4. **Setup & Installation** - Provide setup instructions based on the detected package manager, dependencies and project commands; when Dockerfiles or compose files were found, explain how to build the images and run the services with them
+5. **Configuration** - Document the configuration files and the environment variables found: group the variables by what they configure, say which are required secrets and how to set them
+6. **API Documentation** - Document the HTTP routes found in the code and any API specs: group related endpoints, explain what they do and their path parameters. For parsed OpenAPI specs and GraphQL schemas, explain the resources and authentication rather than each operation. Only infer endpoints from the codebase when neither routes nor specs were found
+7. **Development Workflow** - Based on the CI/CD pipelines, test files and build configuration found: how code is built, tested and checked, what triggers each pipeline and where it deploys
+8. **File Structure Guide** - Explain the actual directory structure and key files; when git history is given, point readers to the areas that change most and who works on them
+
+A module dependency diagram, an entity-relationship diagram and reference sections listing every workspace package, project command, exported symbol, OpenAPI operation, GraphQL type, database table, environment variable, container service and contributor are generated from the source code and appended after your output, so don't reproduce those lists or draw your own diagrams - explain what the main modules do and how they fit together instead.
+
+Be specific and accurate - use only the information provided in the analysis. Don't make assumptions beyond what the data shows. Focus on practical, actionable documentation that reflects the real codebase structure.`;
+
+  return prompt;
+}
+
+async function generateWithLLM(prompt, analysis, llmProvider) {
+  try {
+    console.log(`Generating with ${llmProvider.name} (${llmProvider.model})`);
+    return { content: await llmProvider.generate(prompt), fallback: false };
+  } catch (error) {
+    console.error("LLM generation error:", error);
+
+    // Fallback to a template using real analysis data if API fails
+    const repoName = analysis.repository?.name || "Repository";
+    const languageList = analysis.languages?.map(l => l.language).join(", ") || "Unknown";
+    const frameworkList = analysis.frameworks?.join(", ") || "None detected";
+    
+    const content = `# ${repoName} Documentation
+
+## Service Overview
+This repository contains a ${languageList} project${analysis.frameworks?.length > 0 ? ` using ${frameworkList}` : ''}.
+
+**Repository Analysis:**
+- **Total Files**: ${analysis.metrics?.totalFiles || 0}
+- **Code Files**: ${analysis.metrics?.codeFiles || 0}
+- **Lines of Code**: ${analysis.metrics?.linesOfCode || 0}
+- **Languages**: ${languageList}
+- **Frameworks**: ${frameworkList}
+- **Dependencies**: ${analysis.dependencies?.total || 0} packages
+
+## Project Structure
+\`\`\`
+${analysis.structure || 'Structure not available'}
+\`\`\`
+
+## Technology Stack
+${analysis.languages?.map(l => `- **${l.language}**: ${l.fileCount} files`).join('\n') || 'No languages detected'}
+
+## Dependencies
+**Package Manager**: ${analysis.dependencies?.packageManagers?.join(', ') || analysis.dependencies?.packageManager || 'Unknown'}
+**Production Dependencies**: ${analysis.dependencies?.production?.length || 0}
+**Development Dependencies**: ${analysis.dependencies?.development?.length || 0}
+
+${analysis.dependencies?.production?.length > 0 ? 
+  `### Key Dependencies
+${formatKeyDependencies(analysis.dependencies)}` : 
+  'No dependencies found'}
+
+## Entry Points
+${analysis.entryPoints?.length > 0 ? 
+  analysis.entryPoints.map(ep => `- \`${ep}\``).join('\n') : 
+  'No clear entry points identified'}
+
+## Configuration
+${analysis.configFiles?.length > 0 ? 
+  `Configuration files found:
+${analysis.configFiles.slice(0, 10).map(cf => `- \`${cf}\``).join('\n')}` : 
+  'No configuration files found'}
+
+${analysis.apiSpecs?.length > 0 ? 
+  `## API Documentation
+${analysis.apiSpecs.map(spec => `- **${spec.type}**: \`${spec.file}\``).join('\n')}` : 
+  ''}
+
+${analysis.testFiles?.length > 0 ? 
+  `## Testing
+Test files found: ${analysis.testFiles.length}
+${analysis.testFiles.slice(0, 5).map(tf => `- \`${tf}\``).join('\n')}` : 
+  ''}
+
+${analysis.ci?.pipelines?.length > 0 ? 
+  `## Continuous Integration
+${analysis.ci.pipelines.map(pipeline => `- **${pipeline.provider}**: \`${pipeline.file}\` (${pipeline.jobs.map(job => job.name).join(', ')})`).join('\n')}` : 
+  ''}
+
+${analysis.readme ? 
+  `## README Content
+${analysis.readme.content.slice(0, 1000)}${analysis.readme.hasMore ? '...' : ''}` : 
+  ''}
+
+---
+*Note: This documentation was generated from repository analysis. API call failed, so this is a basic template.*
+*Generated on: ${new Date().toLocaleString()}*
+*Repository analyzed: ${analysis.repository?.analyzedAt || 'Unknown'}*`;
+
+    return { content, fallback: true };
+  }
+}
+
+async function storeGeneratedDocs(generationId, documentation) {
+  // Store in memory instead of file system
+  setDocumentation(generationId, documentation);
+  console.log(`Storing docs for ${generationId}`, {
+    length: documentation.length,
+  });
+}
+
+async function storeGenerationError(generationId, error) {
+  // Store error information
+  console.log(`Storing error for ${generationId}:`, error);
+}
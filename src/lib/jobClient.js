@@ -0,0 +1,33 @@
+// Client-side helper for following background generation jobs through /api/status/[id]
+
+const POLL_INTERVAL = 2000;
+const MAX_WAIT = 30 * 60 * 1000; // 30 minutes
+
+// Poll a job until it finishes. Resolves with the final status, rejects if the job fails.
+// Pass an AbortSignal to stop polling (e.g. when a component unmounts).
+export async function waitForJob(jobId, { onUpdate, signal, interval = POLL_INTERVAL } = {}) {
+  const startedAt = Date.now();
+
+  while (Date.now() - startedAt < MAX_WAIT) {
+    signal?.throwIfAborted();
+    const response = await fetch(`/api/status/${jobId}`, { signal });
+    const job = await response.json();
+
+    if (!response.ok) {
+      throw new Error(job.message || job.error || "Failed to fetch generation status");
+    }
+
+    onUpdate?.(job);
+
+    if (job.status === "completed") {
+      return job;
+    }
+    if (job.status === "failed") {
+      throw new Error(job.error || "Documentation generation failed");
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, interval));
+  }
+
+  throw new Error("Timed out waiting for documentation generation");
+}
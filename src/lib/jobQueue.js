@@ -0,0 +1,289 @@
+// Persistent background job queue backed by a JSON file, with an in-process worker. The queue assumes a
+// single server process: nothing stops two processes from claiming the same job.
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+
+const STORAGE_DIR = path.join(process.cwd(), "data");
+const JOBS_FILE = path.join(STORAGE_DIR, "jobs.json");
+
+// Finished jobs beyond this count are pruned (queued and running jobs are always kept)
+const MAX_FINISHED_JOBS = 200;
+const DEFAULT_POLL_INTERVAL = 5000;
+// Runs a job gets before it is failed; only interrupted runs are retried (see requeueInterruptedJobs)
+const DEFAULT_MAX_ATTEMPTS = 3;
+
+// Module state lives on globalThis so every route bundle of this process shares one worker and one
+// write lock
+const state = (globalThis.__docweaveJobQueue ??= {
+  handlers: {},
+  lock: Promise.resolve(),
+  started: false,
+  wake: null,
+});
+
+// Serialize read-modify-write cycles on the jobs file within this process. It is a promise chain,
+// not a file lock, so it does not guard against other processes writing the file.
+function withLock(fn) {
+  const result = state.lock.then(fn, fn);
+  state.lock = result.catch(() => {});
+  return result;
+}
+
+async function readJobs() {
+  try {
+    const data = await fs.readFile(JOBS_FILE, "utf8");
+    return JSON.parse(data).jobs || [];
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+}
+
+async function writeJobs(jobs) {
+  await fs.mkdir(STORAGE_DIR, { recursive: true });
+
+  // Write to a temp file first so a crash never leaves a truncated jobs file
+  const tempFile = `${JOBS_FILE}.${process.pid}.tmp`;
+  await fs.writeFile(tempFile, JSON.stringify({ jobs }, null, 2), "utf8");
+  await fs.rename(tempFile, JOBS_FILE);
+}
+
+function pruneJobs(jobs) {
+  const finished = jobs.filter((job) => job.status === "completed" || job.status === "failed");
+  if (finished.length <= MAX_FINISHED_JOBS) return jobs;
+
+  const stale = new Set(
+    finished
+      .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt))
+      .slice(MAX_FINISHED_JOBS)
+      .map((job) => job.id)
+  );
+  return jobs.filter((job) => !stale.has(job.id));
+}
+
+function createJob(type, payload, { trigger = "manual", maxAttempts = DEFAULT_MAX_ATTEMPTS, key = null } = {}) {
+  const now = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    type,
+    key,
+    status: "queued",
+    trigger,
+    payload,
+    attempts: 0,
+    maxAttempts,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null,
+    error: null,
+    result: null,
+  };
+}
+
+// Add a job to the queue and wake the worker
+export async function enqueueJob(type, payload, options = {}) {
+  const job = await withLock(async () => {
+    const jobs = await readJobs();
+    const newJob = createJob(type, payload, options);
+
+    jobs.push(newJob);
+    await writeJobs(pruneJobs(jobs));
+    return newJob;
+  });
+
+  wakeWorker();
+  return job;
+}
+
+// Add a job unless one of the same type and key is already queued or running, in which case that
+// job is returned with `created: false`. The check and the insert happen under the same lock.
+export async function enqueueUniqueJob(type, key, payload, options = {}) {
+  const { job, created } = await withLock(async () => {
+    const jobs = await readJobs();
+    const activeJob = jobs.find(
+      (existing) =>
+        existing.type === type &&
+        existing.key === key &&
+        (existing.status === "queued" || existing.status === "running")
+    );
+    if (activeJob) return { job: activeJob, created: false };
+
+    const newJob = createJob(type, payload, { ...options, key });
+    jobs.push(newJob);
+    await writeJobs(pruneJobs(jobs));
+    return { job: newJob, created: true };
+  });
+
+  if (created) wakeWorker();
+  return { job, created };
+}
+
+// Get a single job by ID
+export async function getJob(id) {
+  const jobs = await readJobs();
+  return jobs.find((job) => job.id === id) || null;
+}
+
+// List jobs, newest first, optionally filtered by repository and status
+export async function listJobs({ repoId, status } = {}) {
+  const jobs = await readJobs();
+  return jobs
+    .filter((job) => !repoId || job.payload?.repoId === repoId)
+    .filter((job) => !status || [].concat(status).includes(job.status))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Update a job
+export async function updateJob(id, updates) {
+  return withLock(async () => {
+    const jobs = await readJobs();
+    const index = jobs.findIndex((job) => job.id === id);
+
+    if (index === -1) {
+      throw new Error("Job not found");
+    }
+
+    jobs[index] = {
+      ...jobs[index],
+      ...updates,
+      id, // Ensure ID doesn't change
+      updatedAt: new Date().toISOString(),
+    };
+
+    await writeJobs(jobs);
+    return jobs[index];
+  });
+}
+
+// Register the function that processes jobs of a given type.
+// Handlers receive the job and return a JSON-serializable result.
+export function registerJobHandler(type, handler) {
+  state.handlers[type] = handler;
+}
+
+// Take the oldest queued job that has a handler and mark it running
+async function claimNextJob() {
+  return withLock(async () => {
+    const jobs = await readJobs();
+    const next = jobs
+      .filter((job) => job.status === "queued" && state.handlers[job.type])
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))[0];
+
+    if (!next) return null;
+
+    const now = new Date().toISOString();
+    Object.assign(next, {
+      status: "running",
+      attempts: (next.attempts || 0) + 1,
+      progress: null,
+      startedAt: now,
+      updatedAt: now,
+    });
+
+    await writeJobs(jobs);
+    return next;
+  });
+}
+
+// Jobs left "running" belong to a worker that died with the previous server process. They are queued
+// again until they reach their maxAttempts, so a job that crashes the process doesn't loop forever.
+async function requeueInterruptedJobs() {
+  return withLock(async () => {
+    const jobs = await readJobs();
+    const interrupted = jobs.filter((job) => job.status === "running");
+    if (interrupted.length === 0) return;
+
+    const now = new Date().toISOString();
+    let failed = 0;
+    interrupted.forEach((job) => {
+      const maxAttempts = job.maxAttempts ?? DEFAULT_MAX_ATTEMPTS;
+      if ((job.attempts || 0) >= maxAttempts) {
+        Object.assign(job, {
+          status: "failed",
+          error: `Interrupted ${job.attempts} times, giving up`,
+          finishedAt: now,
+          updatedAt: now,
+        });
+        failed++;
+        return;
+      }
+      job.status = "queued";
+      job.updatedAt = now;
+    });
+
+    await writeJobs(jobs);
+    console.log(`Requeued ${interrupted.length - failed} interrupted job(s)${failed ? `, failed ${failed} that reached their attempt limit` : ""}`);
+  });
+}
+
+async function runJob(job) {
+  console.log(`Running ${job.type} job ${job.id} (attempt ${job.attempts})`);
+
+  try {
+    const result = await state.handlers[job.type](job);
+    await updateJob(job.id, {
+      status: "completed",
+      result: result ?? null,
+      error: null,
+      finishedAt: new Date().toISOString(),
+    });
+    console.log(`Job ${job.id} completed`);
+  } catch (error) {
+    console.error(`Job ${job.id} failed:`, error);
+    await updateJob(job.id, {
+      status: "failed",
+      error: error.message || String(error),
+      finishedAt: new Date().toISOString(),
+    });
+  }
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => {
+    const timer = setTimeout(resolve, ms);
+    timer.unref?.();
+    state.wake = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+  });
+}
+
+export function wakeWorker() {
+  if (state.wake) {
+    const wake = state.wake;
+    state.wake = null;
+    wake();
+  }
+}
+
+// Start the worker loop once per process. Jobs are processed one at a time.
+export function startWorker({ pollInterval = DEFAULT_POLL_INTERVAL } = {}) {
+  if (state.started) {
+    wakeWorker();
+    return;
+  }
+  state.started = true;
+
+  (async () => {
+    await requeueInterruptedJobs();
+
+    for (;;) {
+      try {
+        const job = await claimNextJob();
+        if (job) {
+          await runJob(job);
+          continue;
+        }
+      } catch (error) {
+        console.error("Job worker error:", error);
+      }
+      // Poll as well as waiting to be woken, so jobs added to the file outside this worker are picked up
+      await sleep(pollInterval);
+    }
+  })();
+
+  console.log("Job worker started");
+}
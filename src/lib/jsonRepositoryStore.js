@@ -0,0 +1,80 @@
+// Repository store backed by data/repositories.json (REPOSITORY_STORAGE=json)
+import fs from "fs/promises";
+import path from "path";
+
+// One write lock per file, shared across route bundles like the job queue's
+const locks = (globalThis.__docweaveJsonRepositoryLocks ??= {});
+
+export function createJsonRepositoryStore({ file, seed = () => [] }) {
+  // Serialize read-modify-write cycles on the repositories file
+  const withLock = (fn) => {
+    const result = (locks[file] || Promise.resolve()).then(fn, fn);
+    locks[file] = result.catch(() => {});
+    return result;
+  };
+
+  const write = async (repositories) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a truncated repositories file
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ repositories }, null, 2), "utf8");
+    await fs.rename(tempFile, file);
+  };
+
+  const read = async () => {
+    try {
+      const data = await fs.readFile(file, "utf8");
+      return JSON.parse(data).repositories || [];
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+
+      // First run: create the file with the example repositories
+      const repositories = seed();
+      await write(repositories);
+      return repositories;
+    }
+  };
+
+  return {
+    name: "json",
+
+    list: () => withLock(read),
+
+    get: async (id) => (await withLock(read)).find((repo) => repo.id === id) || null,
+
+    insert: (repository) =>
+      withLock(async () => {
+        const repositories = await read();
+        repositories.push(repository);
+        await write(repositories);
+        return repository;
+      }),
+
+    // `change` receives the stored record and returns the new one
+    update: (id, change) =>
+      withLock(async () => {
+        const repositories = await read();
+        const index = repositories.findIndex((repo) => repo.id === id);
+        if (index === -1) {
+          throw new Error("Repository not found");
+        }
+
+        repositories[index] = change(repositories[index]);
+        await write(repositories);
+        return repositories[index];
+      }),
+
+    remove: (id) =>
+      withLock(async () => {
+        const repositories = await read();
+        const filtered = repositories.filter((repo) => repo.id !== id);
+        if (filtered.length === repositories.length) {
+          throw new Error("Repository not found");
+        }
+
+        await write(filtered);
+        return true;
+      }),
+  };
+}
@@ -0,0 +1,225 @@
+// LLM provider layer - OpenAI-compatible endpoints, local Ollama/llama.cpp servers and a mock backend
+import crypto from 'crypto';
+
+export const LLM_PROVIDERS = ['openai', 'llamacpp', 'ollama', 'mock'];
+
+// Defaults per provider. "openai" keeps the original NVIDIA endpoint so existing installs keep working.
+const PROVIDER_DEFAULTS = {
+  openai: {
+    baseUrl: 'https://integrate.api.nvidia.com/v1',
+    model: 'openai/gpt-oss-120b'
+  },
+  llamacpp: {
+    baseUrl: 'http://localhost:8080/v1',
+    model: 'local-model'
+  },
+  ollama: {
+    baseUrl: 'http://localhost:11434',
+    model: 'llama3.1'
+  },
+  mock: {
+    baseUrl: null,
+    model: 'mock'
+  }
+};
+
+const DEFAULT_TEMPERATURE = 0.1;
+const DEFAULT_TOP_P = 1;
+const DEFAULT_MAX_TOKENS = 40960;
+const DEFAULT_TIMEOUT_MS = 300000; // 5 minutes
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : undefined;
+}
+
+// Keep only the settings a repository is allowed to override. Returns null when nothing is set.
+// The endpoint is not one of them: the server's API key is sent to it.
+export function normalizeLLMSettings(settings) {
+  if (!settings || typeof settings !== 'object') return null;
+
+  const normalized = {};
+  if (settings.provider) {
+    if (!LLM_PROVIDERS.includes(settings.provider)) {
+      throw new Error(`Unknown LLM provider: ${settings.provider}`);
+    }
+    normalized.provider = settings.provider;
+  }
+  if (settings.model) normalized.model = String(settings.model).trim();
+
+  const temperature = parseNumber(settings.temperature);
+  if (temperature !== undefined) normalized.temperature = temperature;
+  const maxTokens = parseNumber(settings.maxTokens);
+  if (maxTokens !== undefined) normalized.maxTokens = Math.round(maxTokens);
+
+  return Object.keys(normalized).length > 0 ? normalized : null;
+}
+
+// Resolve the effective configuration: repository overrides > environment > provider defaults
+export function getLLMConfig(overrides = null) {
+  const repoSettings = normalizeLLMSettings(overrides) || {};
+  const provider = repoSettings.provider || process.env.LLM_PROVIDER || 'openai';
+
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider: ${provider}`);
+  }
+
+  // Environment endpoint/model only apply to the provider they were configured for
+  const envApplies = !repoSettings.provider || repoSettings.provider === (process.env.LLM_PROVIDER || 'openai');
+  const defaults = PROVIDER_DEFAULTS[provider];
+
+  return {
+    provider,
+    baseUrl: (envApplies && process.env.LLM_BASE_URL) || defaults.baseUrl,
+    model: repoSettings.model || (envApplies && process.env.LLM_MODEL) || defaults.model,
+    temperature: repoSettings.temperature ?? parseNumber(process.env.LLM_TEMPERATURE) ?? DEFAULT_TEMPERATURE,
+    topP: parseNumber(process.env.LLM_TOP_P) ?? DEFAULT_TOP_P,
+    maxTokens: repoSettings.maxTokens ?? parseNumber(process.env.LLM_MAX_TOKENS) ?? DEFAULT_MAX_TOKENS,
+    timeoutMs: parseNumber(process.env.LLM_TIMEOUT_MS) ?? DEFAULT_TIMEOUT_MS,
+    apiKey: process.env.LLM_API_KEY || process.env.NVIDIA_API_KEY || process.env.OPENAI_API_KEY || null
+  };
+}
+
+async function postJson(url, body, headers, timeoutMs) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  if (!response.ok) {
+    throw new Error(`LLM API error: ${response.status} ${response.statusText}`);
+  }
+
+  return response.json();
+}
+
+// Any server speaking the OpenAI chat completions API (NVIDIA, OpenAI, vLLM, llama.cpp server...)
+export class OpenAICompatibleProvider {
+  constructor(config, { requireApiKey = true } = {}) {
+    this.config = config;
+    this.name = config.provider;
+    this.model = config.model;
+    this.requireApiKey = requireApiKey;
+  }
+
+  validate() {
+    if (this.requireApiKey && !this.config.apiKey) {
+      return 'LLM API key not configured. Please set LLM_API_KEY (or NVIDIA_API_KEY) in .env.local';
+    }
+    return null;
+  }
+
+  async generate(prompt) {
+    const headers = this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {};
+    const data = await postJson(
+      `${this.config.baseUrl.replace(/\/+$/, '')}/chat/completions`,
+      {
+        model: this.config.model,
+        messages: [{ role: 'user', content: prompt }],
+        temperature: this.config.temperature,
+        top_p: this.config.topP,
+        max_tokens: this.config.maxTokens,
+        stream: false
+      },
+      headers,
+      this.config.timeoutMs
+    );
+
+    const content = data.choices?.[0]?.message?.content;
+    if (!content) {
+      throw new Error('LLM API returned an empty response');
+    }
+    return content;
+  }
+}
+
+// Ollama's native chat API
+export class OllamaProvider {
+  constructor(config) {
+    this.config = config;
+    this.name = 'ollama';
+    this.model = config.model;
+  }
+
+  validate() {
+    return null;
+  }
+
+  async generate(prompt) {
+    const data = await postJson(
+      `${this.config.baseUrl.replace(/\/+$/, '')}/api/chat`,
+      {
+        model: this.config.model,
+        messages: [{ role: 'user', content: prompt }],
+        stream: false,
+        options: {
+          temperature: this.config.temperature,
+          top_p: this.config.topP,
+          num_predict: this.config.maxTokens
+        }
+      },
+      {},
+      this.config.timeoutMs
+    );
+
+    const content = data.message?.content;
+    if (!content) {
+      throw new Error('Ollama returned an empty response');
+    }
+    return content;
+  }
+}
+
+// Deterministic provider for tests and offline runs: the same prompt always yields the same document
+export class MockProvider {
+  constructor(config) {
+    this.config = config;
+    this.name = 'mock';
+    this.model = config.model;
+  }
+
+  validate() {
+    return null;
+  }
+
+  async generate(prompt) {
+    const repoName = prompt.match(/\*\*Repository\*\*: (.+)/)?.[1]?.trim() || 'Repository';
+    const digest = crypto.createHash('sha256').update(prompt).digest('hex').slice(0, 12);
+    const sections = [
+      'Service Overview',
+      'Architecture',
+      'Technology Stack',
+      'Setup & Installation',
+      'Configuration',
+      'API Documentation',
+      'Development Workflow',
+      'File Structure Guide'
+    ];
+
+    return [
+      `# ${repoName} Documentation`,
+      '',
+      ...sections.flatMap(section => [`## ${section}`, '', `Mock content for ${section.toLowerCase()}.`, '']),
+      '---',
+      `*Generated by the mock LLM provider (prompt ${digest}, ${prompt.length} characters).*`
+    ].join('\n');
+  }
+}
+
+export function createLLMProvider(config = getLLMConfig()) {
+  switch (config.provider) {
+    case 'openai':
+      return new OpenAICompatibleProvider(config);
+    case 'llamacpp':
+      return new OpenAICompatibleProvider(config, { requireApiKey: false });
+    case 'ollama':
+      return new OllamaProvider(config);
+    case 'mock':
+      return new MockProvider(config);
+    default:
+      throw new Error(`Unknown LLM provider: ${config.provider}`);
+  }
+}
@@ -0,0 +1,110 @@
+// Stage-by-stage progress tracking for documentation generation
+
+// Weights are the share of the progress bar each stage covers (they add up to 100)
+export const GENERATION_STAGES = [
+  { id: "cloning", label: "Cloning repository", weight: 15 },
+  { id: "scanning", label: "Scanning files", weight: 5 },
+  { id: "analyzing", label: "Analyzing code", weight: 30 },
+  { id: "prompt", label: "Building prompt", weight: 2 },
+  { id: "llm", label: "Generating with LLM", weight: 40 },
+  { id: "saving", label: "Saving documentation", weight: 3 },
+  { id: "publishing", label: "Committing to repository", weight: 5 },
+];
+
+// Collects progress events and turns them into a snapshot with percent complete and timings.
+// Events look like { stage, status: "started" | "progress" | "completed" | "skipped", message, step, durationMs, completed, total }.
+export class ProgressTracker {
+  constructor(onChange) {
+    this.onChange = onChange;
+    this.startedAt = new Date().toISOString();
+    this.stages = GENERATION_STAGES.map((stage) => ({
+      id: stage.id,
+      label: stage.label,
+      weight: stage.weight,
+      status: "pending",
+      fraction: 0,
+      message: null,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null,
+      steps: [],
+    }));
+    this.current = null;
+  }
+
+  handle(event) {
+    const stage = this.stages.find((s) => s.id === event.stage);
+    if (!stage) return;
+
+    const now = new Date();
+
+    if (event.status === "skipped") {
+      stage.status = "skipped";
+      stage.message = event.message || null;
+      this.onChange?.(this.snapshot());
+      return;
+    }
+
+    if (event.status === "started" || stage.status === "pending") {
+      stage.status = "running";
+      stage.startedAt = stage.startedAt || now.toISOString();
+      this.current = stage.id;
+    }
+
+    if (event.message) {
+      stage.message = event.message;
+    }
+
+    if (event.step) {
+      stage.steps.push({ name: event.step, durationMs: event.durationMs ?? null });
+    }
+
+    if (event.total) {
+      stage.fraction = Math.min(1, (event.completed || 0) / event.total);
+    }
+
+    if (event.status === "completed") {
+      stage.status = "completed";
+      stage.fraction = 1;
+      stage.finishedAt = now.toISOString();
+      stage.durationMs = now - new Date(stage.startedAt);
+    }
+
+    this.onChange?.(this.snapshot());
+  }
+
+  // Stages that never ran (e.g. no clone for a local working copy) count as done once a later stage starts
+  snapshot() {
+    const currentIndex = this.stages.findIndex((s) => s.id === this.current);
+    const percent = this.stages.reduce((sum, stage, index) => {
+      if (
+        stage.status === "completed" ||
+        stage.status === "skipped" ||
+        (stage.status === "pending" && index < currentIndex)
+      ) {
+        return sum + stage.weight;
+      }
+      return sum + stage.weight * stage.fraction;
+    }, 0);
+
+    const currentStage = this.stages[currentIndex];
+
+    return {
+      percent: Math.round(percent),
+      stage: currentStage?.id || null,
+      message: currentStage?.message || currentStage?.label || null,
+      startedAt: this.startedAt,
+      elapsedMs: Date.now() - new Date(this.startedAt),
+      stages: this.stages.map((stage, index) => ({
+        id: stage.id,
+        label: stage.label,
+        status: stage.status === "pending" && index < currentIndex ? "skipped" : stage.status,
+        message: stage.message,
+        startedAt: stage.startedAt,
+        finishedAt: stage.finishedAt,
+        durationMs: stage.durationMs,
+        steps: stage.steps,
+      })),
+    };
+  }
+}
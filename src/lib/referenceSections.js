@@ -0,0 +1,852 @@
+// Reference sections rendered straight from the repository analysis (no LLM involved) and
+// appended to the generated documentation. The same data is summarized for the LLM prompt.
+const MAX_API_SYMBOLS = 200;
+const MAX_PROMPT_SYMBOLS = 40;
+const MAX_OPENAPI_OPERATIONS = 300;
+const MAX_OPENAPI_SCHEMAS = 100;
+const MAX_PROMPT_OPERATIONS = 40;
+const MAX_GRAPHQL_TYPES = 150;
+const MAX_ENV_VARIABLES = 200;
+const MAX_PACKAGE_DEPENDENCIES = 30;
+const MAX_PROMPT_JOB_COMMANDS = 5;
+const MAX_COMMANDS = 100;
+const MAX_CYCLE_FILES = 8;
+const MAX_PROMPT_COLUMNS = 15;
+
+// Table cells can't contain raw pipes or newlines
+export function escapeCell(text) {
+  return String(text ?? "").replace(/\|/g, "\\|").replace(/\s*\n\s*/g, " ");
+}
+
+export function markdownTable(headers, rows) {
+  return [
+    `| ${headers.join(" | ")} |`,
+    `|${headers.map(() => "---").join("|")}|`,
+    ...rows.map((row) => `| ${row.map(escapeCell).join(" | ")} |`),
+  ].join("\n");
+}
+
+const code = (text) => (text ? `\`${String(text).replace(/`/g, "'")}\`` : "");
+
+function summary(doc) {
+  if (!doc) return "";
+  const firstParagraph = doc.description.split(/\n\s*\n/)[0].replace(/\s+/g, " ").trim();
+  const deprecated = doc.deprecated ? ` **Deprecated**${doc.deprecated === true ? "" : `: ${doc.deprecated}`}` : "";
+  return `${firstParagraph}${deprecated}`.trim();
+}
+
+// API Reference: exported symbols of the JS/TS modules (lib/analyzers/javascriptApi.js)
+function renderApiReference(analysis) {
+  const api = analysis.javascriptApi;
+  if (!api?.modules?.length) return null;
+
+  const lines = [
+    "## API Reference",
+    "",
+    `_Generated from the source code: ${api.stats.exports} exported symbols in ${api.stats.modules} modules._`,
+  ];
+
+  let rendered = 0;
+  for (const apiModule of api.modules) {
+    if (rendered >= MAX_API_SYMBOLS) break;
+
+    const rows = [];
+    for (const symbol of apiModule.exports) {
+      if (rendered >= MAX_API_SYMBOLS) break;
+      rows.push([`${code(symbol.signature)}${symbol.default ? " (default)" : ""}`, symbol.kind, summary(symbol.doc), symbol.line]);
+      rendered++;
+
+      for (const member of symbol.members || []) {
+        rows.push([code(member.signature), `${member.kind} of ${symbol.localName || symbol.name}`, summary(member.doc), member.line]);
+      }
+    }
+
+    lines.push("", `### ${code(apiModule.path)}`, "", markdownTable(["Export", "Kind", "Description", "Line"], rows));
+  }
+
+  if (rendered < api.stats.exports) {
+    lines.push("", `_${api.stats.exports - rendered} more exported symbols are not listed._`);
+  }
+
+  return lines.join("\n");
+}
+
+function summarizeApi(analysis) {
+  const api = analysis.javascriptApi;
+  if (!api?.modules?.length) return null;
+
+  const symbols = api.modules.flatMap((apiModule) =>
+    apiModule.exports.map((symbol) => `- ${apiModule.path}: ${symbol.signature} (${symbol.kind})${summary(symbol.doc) ? ` - ${summary(symbol.doc)}` : ""}`)
+  );
+
+  return [
+    "## Public API (parsed from source)",
+    `**Exported Symbols**: ${api.stats.exports} in ${api.stats.modules} modules`,
+    ...symbols.slice(0, MAX_PROMPT_SYMBOLS),
+    ...(symbols.length > MAX_PROMPT_SYMBOLS ? [`- ... and ${symbols.length - MAX_PROMPT_SYMBOLS} more`] : []),
+  ].join("\n");
+}
+
+// HTTP Endpoints: routes found in the code (lib/analyzers/httpRoutes.js)
+function renderHttpEndpoints(analysis) {
+  const routes = analysis.routes?.routes;
+  if (!routes?.length) return null;
+
+  const rows = routes.map((route) => [
+    route.method,
+    code(route.path),
+    code(route.handler),
+    `${code(`${route.file}:${route.line}`)}${route.middleware?.length ? ` (middleware: ${route.middleware.join(", ")})` : ""}`,
+  ]);
+
+  return [
+    "## HTTP Endpoints",
+    "",
+    `_Found in the source code (${analysis.routes.frameworks.join(", ")}): ${analysis.routes.stats.total} routes._`,
+    "",
+    markdownTable(["Method", "Path", "Handler", "Source"], rows),
+    ...(analysis.routes.stats.truncated ? ["", `_Only the first ${routes.length} routes are listed._`] : []),
+  ].join("\n");
+}
+
+const yesNo = (value) => (value ? "yes" : "no");
+
+function fieldsTable(fields) {
+  return markdownTable(
+    ["Field", "Type", "Required", "Description"],
+    fields.map((field) => [code(field.name), code(field.type), yesNo(field.required), `${field.deprecated ? "**Deprecated** " : ""}${field.description}`])
+  );
+}
+
+function schemeDetails(scheme) {
+  const details = [
+    scheme.scheme && `scheme ${code(scheme.scheme)}`,
+    scheme.bearerFormat && `format ${scheme.bearerFormat}`,
+    scheme.in && `${code(scheme.parameterName)} in ${scheme.in}`,
+    scheme.flows && `flows: ${scheme.flows.join(", ")}`,
+    scheme.scopes && `scopes: ${scheme.scopes.map(code).join(", ")}`,
+    scheme.openIdConnectUrl && scheme.openIdConnectUrl,
+    scheme.description,
+  ];
+  return details.filter(Boolean).join("; ");
+}
+
+function renderOperation(operation, spec) {
+  const lines = [`#### ${code(`${operation.method} ${operation.path}`)}${operation.summary ? ` - ${operation.summary}` : ""}`];
+
+  const facts = [
+    operation.deprecated && "**Deprecated**",
+    operation.operationId && `Operation: ${code(operation.operationId)}`,
+    operation.tags.length > 0 && `Tags: ${operation.tags.join(", ")}`,
+  ].filter(Boolean);
+  // null means the spec-wide requirement applies
+  const security = operation.security ?? spec.security;
+  if (security.length > 0) facts.push(`Auth: ${security.every((s) => s === "none") ? "none" : security.join(" or ")}`);
+  else if (operation.security) facts.push("Auth: none");
+
+  if (facts.length > 0) lines.push("", facts.join(" · "));
+  if (operation.description && operation.description !== operation.summary) lines.push("", operation.description);
+
+  if (operation.parameters.length > 0) {
+    lines.push(
+      "",
+      markdownTable(
+        ["Parameter", "In", "Type", "Required", "Description"],
+        operation.parameters.map((p) => [code(p.name), p.in, code(p.type), yesNo(p.required), `${p.deprecated ? "**Deprecated** " : ""}${p.description}`])
+      )
+    );
+  }
+
+  const body = operation.requestBody;
+  if (body) {
+    const types = body.contentTypes.length > 0 ? ` (${body.contentTypes.map(code).join(", ")})` : "";
+    lines.push("", `**Request body**${types}: ${code(body.schema || "any")}${body.required ? ", required" : ""}${body.description ? ` - ${body.description}` : ""}`);
+    if (body.fields) lines.push("", fieldsTable(body.fields));
+  }
+
+  if (operation.responses.length > 0) {
+    lines.push(
+      "",
+      markdownTable(
+        ["Status", "Description", "Body"],
+        operation.responses.map((r) => [r.status, r.description, r.schema ? `${code(r.schema)}${r.contentTypes.length ? ` (${r.contentTypes.join(", ")})` : ""}` : ""])
+      )
+    );
+  }
+
+  return lines.join("\n");
+}
+
+// OpenAPI Endpoints: operations and schemas of the parsed specs (lib/analyzers/openApi.js)
+function renderOpenApi(analysis) {
+  const specs = analysis.openApi?.specs;
+  if (!specs?.length) return null;
+
+  const lines = ["## OpenAPI Endpoints", "", `_Generated from ${specs.length === 1 ? "the OpenAPI spec" : `${specs.length} OpenAPI specs`}: ${analysis.openApi.stats.operations} operations._`];
+  let rendered = 0;
+
+  for (const spec of specs) {
+    lines.push("", `### ${spec.title}${spec.version ? ` (${spec.version})` : ""}`, "", `_Source: ${code(spec.file)}, ${spec.specVersion === "2.0" ? "Swagger 2.0" : `OpenAPI ${spec.specVersion}`}._`);
+    if (spec.description) lines.push("", spec.description);
+    if (spec.servers.length > 0) lines.push("", `**Servers**: ${spec.servers.map(code).join(", ")}`);
+
+    if (spec.securitySchemes.length > 0) {
+      lines.push("", "**Authentication**", "", markdownTable(["Scheme", "Type", "Details"], spec.securitySchemes.map((s) => [code(s.name), s.type, schemeDetails(s)])));
+      if (spec.security.length > 0) lines.push("", `Required by default: ${spec.security.join(" or ")}`);
+    }
+
+    for (const operation of spec.operations) {
+      if (rendered >= MAX_OPENAPI_OPERATIONS) break;
+      lines.push("", renderOperation(operation, spec));
+      rendered++;
+    }
+
+    const schemas = spec.schemas.slice(0, MAX_OPENAPI_SCHEMAS);
+    if (schemas.length > 0) {
+      lines.push("", "#### Schemas");
+      for (const schema of schemas) {
+        lines.push("", `**${code(schema.name)}**: ${code(schema.type)}${schema.description ? ` - ${schema.description}` : ""}`);
+        if (schema.fields) lines.push("", fieldsTable(schema.fields));
+      }
+      if (spec.schemas.length > schemas.length) lines.push("", `_${spec.schemas.length - schemas.length} more schemas are not listed._`);
+    }
+  }
+
+  if (rendered < analysis.openApi.stats.operations) {
+    lines.push("", `_${analysis.openApi.stats.operations - rendered} more operations are not listed._`);
+  }
+
+  return lines.join("\n");
+}
+
+function summarizeOpenApi(analysis) {
+  const specs = analysis.openApi?.specs;
+  if (!specs?.length) return null;
+
+  const operations = specs.flatMap((spec) => spec.operations.map((op) => `- ${op.method} ${op.path}${op.summary ? ` - ${op.summary}` : ""}`));
+
+  return [
+    "## OpenAPI Specifications (parsed)",
+    ...specs.map(
+      (spec) =>
+        `**${spec.title}**${spec.version ? ` ${spec.version}` : ""} (${spec.file}): ${spec.operations.length} operations, ${spec.schemas.length} schemas` +
+        (spec.securitySchemes.length > 0 ? `, auth: ${spec.securitySchemes.map((s) => `${s.name} (${s.type})`).join(", ")}` : "")
+    ),
+    ...operations.slice(0, MAX_PROMPT_OPERATIONS),
+    ...(operations.length > MAX_PROMPT_OPERATIONS ? [`- ... and ${operations.length - MAX_PROMPT_OPERATIONS} more`] : []),
+  ].join("\n");
+}
+
+const deprecatedNote = (item) => (item.deprecated ? `**Deprecated**${item.deprecated === true ? "" : `: ${item.deprecated}`} ` : "");
+
+const graphqlArguments = (args) => args.map((arg) => code(`${arg.name}: ${arg.type}${arg.defaultValue ? ` = ${arg.defaultValue}` : ""}`)).join(", ");
+
+function graphqlFieldsTable(fields, firstColumn) {
+  return markdownTable(
+    [firstColumn, "Arguments", "Type", "Description"],
+    fields.map((field) => [
+      code(field.name),
+      graphqlArguments(field.args),
+      code(`${field.type}${field.defaultValue ? ` = ${field.defaultValue}` : ""}`),
+      `${deprecatedNote(field)}${field.description}`.trim(),
+    ])
+  );
+}
+
+// GraphQL Schema: root operations and types of the SDL files (lib/analyzers/graphqlSchema.js)
+function renderGraphQL(analysis) {
+  const graphql = analysis.graphql;
+  if (!graphql?.files?.length) return null;
+
+  const lines = [
+    "## GraphQL Schema",
+    "",
+    `_Generated from ${graphql.files.map((f) => code(f.file)).join(", ")}: ${graphql.stats.queries} queries, ${graphql.stats.mutations} mutations, ${graphql.stats.subscriptions} subscriptions and ${graphql.stats.types} types._`,
+  ];
+
+  for (const [title, fields] of [["Queries", graphql.queries], ["Mutations", graphql.mutations], ["Subscriptions", graphql.subscriptions]]) {
+    if (fields.length > 0) lines.push("", `### ${title}`, "", graphqlFieldsTable(fields, "Field"));
+  }
+
+  const types = graphql.types.slice(0, MAX_GRAPHQL_TYPES);
+  if (types.length > 0) {
+    lines.push("", "### Types");
+    for (const type of types) {
+      const implementsList = type.interfaces ? `, implements ${type.interfaces.map(code).join(", ")}` : "";
+      lines.push("", `**${code(type.name)}** (${type.kind}${implementsList})${type.description ? ` - ${type.description}` : ""}`);
+
+      if (type.fields?.length) lines.push("", graphqlFieldsTable(type.fields, "Field"));
+      if (type.values?.length) lines.push("", markdownTable(["Value", "Description"], type.values.map((v) => [code(v.name), `${deprecatedNote(v)}${v.description}`.trim()])));
+      if (type.types?.length) lines.push("", `One of: ${type.types.map(code).join(", ")}`);
+    }
+    if (graphql.types.length > types.length) lines.push("", `_${graphql.types.length - types.length} more types are not listed._`);
+  }
+
+  return lines.join("\n");
+}
+
+function summarizeGraphQL(analysis) {
+  const graphql = analysis.graphql;
+  if (!graphql?.files?.length) return null;
+
+  const operations = [["query", graphql.queries], ["mutation", graphql.mutations], ["subscription", graphql.subscriptions]].flatMap(([operation, fields]) =>
+    fields.map((field) => `- ${operation} ${field.name}${field.args.length ? `(${field.args.map((a) => `${a.name}: ${a.type}`).join(", ")})` : ""}: ${field.type}${field.description ? ` - ${field.description}` : ""}`)
+  );
+
+  return [
+    "## GraphQL Schema (parsed)",
+    `**Files**: ${graphql.files.map((f) => f.file).join(", ")}`,
+    `**Types**: ${graphql.types.map((t) => `${t.name} (${t.kind})`).slice(0, MAX_PROMPT_SYMBOLS).join(", ")}${graphql.types.length > MAX_PROMPT_SYMBOLS ? ", ..." : ""}`,
+    ...operations.slice(0, MAX_PROMPT_OPERATIONS),
+    ...(operations.length > MAX_PROMPT_OPERATIONS ? [`- ... and ${operations.length - MAX_PROMPT_OPERATIONS} more`] : []),
+  ].join("\n");
+}
+
+const plural = (count, noun) => `${count} ${noun}${count === 1 ? "" : "s"}`;
+
+function usedIn(variable) {
+  const locations = variable.usages.slice(0, 3).map((usage) => code(`${usage.file}:${usage.line}`));
+  const more = variable.usageCount - locations.length;
+  return [...locations, ...(more > 0 ? [`+${more} more`] : [])].join(", ");
+}
+
+function defaultCell(variable) {
+  if (variable.secret) return variable.hasDefault ? "_(hidden)_" : "";
+  if (variable.defaults.length > 0) return variable.defaults.map(code).join(", ");
+  return variable.exampleValue !== undefined ? `${code(variable.exampleValue)} (example)` : "";
+}
+
+// Configuration Reference: environment variables read by the code or documented in .env examples
+// (lib/analyzers/envVars.js)
+function renderConfiguration(analysis) {
+  const environment = analysis.environment;
+  if (!environment?.variables?.length) return null;
+
+  const variables = environment.variables.slice(0, MAX_ENV_VARIABLES);
+  const rows = variables.map((variable) => [
+    code(variable.name),
+    defaultCell(variable),
+    variable.secret ? "yes" : variable.public ? "no (public)" : "no",
+    variable.description,
+    variable.usageCount > 0 ? usedIn(variable) : `only in ${variable.documentedIn.map(code).join(", ")}`,
+  ]);
+
+  const notes = [
+    `${environment.stats.variables} environment variables, ${environment.stats.secrets} of them secret-looking.`,
+    environment.exampleFiles.length > 0 && `Documented in ${environment.exampleFiles.map(code).join(", ")}${environment.stats.undocumented ? `; ${environment.stats.undocumented} are missing from it` : ""}.`,
+  ].filter(Boolean);
+
+  return [
+    "## Configuration Reference",
+    "",
+    `_Found in the source code: ${notes.join(" ")} Values of secret-looking variables are not shown._`,
+    "",
+    markdownTable(["Variable", "Default", "Secret", "Description", "Used in"], rows),
+    ...(environment.variables.length > variables.length ? ["", `_${environment.variables.length - variables.length} more variables are not listed._`] : []),
+  ].join("\n");
+}
+
+function summarizeConfiguration(analysis) {
+  const environment = analysis.environment;
+  if (!environment?.variables?.length) return null;
+
+  const variables = environment.variables.map((variable) => {
+    const facts = [
+      variable.secret && "secret",
+      variable.defaults.length > 0 && `default ${variable.defaults.join(" / ")}`,
+      variable.usageCount > 0 ? `used in ${plural(new Set(variable.usages.map((usage) => usage.file)).size, "file")}` : "only in the .env example",
+    ].filter(Boolean);
+    return `- ${variable.name} (${facts.join(", ")})${variable.description ? ` - ${variable.description}` : ""}`;
+  });
+
+  return [
+    "## Environment Variables (found in code)",
+    `**Variables**: ${environment.stats.variables}, ${environment.stats.secrets} secret-looking${environment.exampleFiles.length ? `, documented in ${environment.exampleFiles.join(", ")}` : ""}`,
+    ...variables.slice(0, MAX_PROMPT_SYMBOLS),
+    ...(variables.length > MAX_PROMPT_SYMBOLS ? [`- ... and ${variables.length - MAX_PROMPT_SYMBOLS} more`] : []),
+  ].join("\n");
+}
+
+const languageList = (pkg) => pkg.languages.slice(0, 3).map((entry) => entry.language).join(", ");
+
+function packageDetails(pkg) {
+  const dependencies = [...pkg.dependencies.production, ...pkg.dependencies.development];
+  const listed = dependencies.slice(0, MAX_PACKAGE_DEPENDENCIES).map(code).join(", ");
+  const facts = [
+    ["Path", code(pkg.path)],
+    ["Version", pkg.version && code(pkg.version)],
+    ["Private", pkg.private && "yes"],
+    ["Languages", languageList(pkg)],
+    ["Frameworks", pkg.frameworks.join(", ")],
+    ["Workspace dependencies", pkg.internalDependencies.map(code).join(", ")],
+    [
+      "Dependencies",
+      dependencies.length > 0 &&
+        `${pkg.dependencies.production.length} production, ${pkg.dependencies.development.length} development: ${listed}${dependencies.length > MAX_PACKAGE_DEPENDENCIES ? ", ..." : ""}`,
+    ],
+    ["Entry points", pkg.entryPoints.map(code).join(", ")],
+    ["README", pkg.readme && code(pkg.readme)],
+  ].filter(([, value]) => value);
+
+  return [`### ${code(pkg.name)}`, "", ...(pkg.description ? [pkg.description, ""] : []), ...facts.map(([label, value]) => `- **${label}**: ${value}`)].join("\n");
+}
+
+// Packages: the workspace packages of a monorepo, each analyzed on its own (lib/analyzers/workspaces.js)
+function renderPackages(analysis) {
+  const workspace = analysis.workspace;
+  if (!workspace?.packages?.length) return null;
+
+  const rows = workspace.packages.map((pkg) => [
+    code(pkg.name),
+    code(pkg.path),
+    pkg.ecosystem,
+    languageList(pkg),
+    pkg.frameworks.join(", "),
+    pkg.internalDependencies.map(code).join(", "),
+  ]);
+
+  return [
+    "## Packages",
+    "",
+    `_Monorepo managed with ${workspace.tools.join(", ")}: ${plural(workspace.packages.length, "package")}._`,
+    "",
+    markdownTable(["Package", "Path", "Type", "Languages", "Frameworks", "Depends on"], rows),
+    "",
+    workspace.packages.map(packageDetails).join("\n\n"),
+  ].join("\n");
+}
+
+function summarizePackages(analysis) {
+  const workspace = analysis.workspace;
+  if (!workspace?.packages?.length) return null;
+
+  const packages = workspace.packages.map((pkg) => {
+    const facts = [pkg.ecosystem, languageList(pkg), ...pkg.frameworks].filter(Boolean).join(", ");
+    const uses = pkg.internalDependencies.length > 0 ? `; uses ${pkg.internalDependencies.join(", ")}` : "";
+    return `- ${pkg.name} (${pkg.path}; ${facts}${uses})${pkg.description ? ` - ${pkg.description}` : ""}`;
+  });
+
+  return [
+    "## Workspace Packages (monorepo)",
+    `**Tools**: ${workspace.tools.join(", ")}`,
+    ...packages.slice(0, MAX_PROMPT_SYMBOLS),
+    ...(packages.length > MAX_PROMPT_SYMBOLS ? [`- ... and ${packages.length - MAX_PROMPT_SYMBOLS} more`] : []),
+  ].join("\n");
+}
+
+const cycleList = (members) =>
+  `${members.slice(0, MAX_CYCLE_FILES).map(code).join(" ↔ ")}${members.length > MAX_CYCLE_FILES ? ` and ${members.length - MAX_CYCLE_FILES} more` : ""}`;
+
+// Module Dependencies: the import graph collapsed to directory components, drawn as a Mermaid diagram,
+// with its cycles and most coupled files (lib/analyzers/importGraph.js)
+function renderModuleDependencies(analysis) {
+  const graph = analysis.imports;
+  if (!graph?.components?.length || !graph.dependencies.length) return null;
+
+  const rows = graph.components.map((component) => [
+    `${code(component.path)}${component.inCycle ? " ⚠" : ""}`,
+    component.files,
+    component.dependsOn,
+    component.usedBy,
+    component.instability ?? "",
+  ]);
+  const cycles = [
+    ...graph.componentCycles.map((members) => `- Between components: ${cycleList(members)}`),
+    ...graph.cycles.map((members) => `- ${cycleList(members)}`),
+  ];
+
+  return [
+    "## Module Dependencies",
+    "",
+    `_Import graph of ${plural(graph.stats.files, "source file")} (${plural(graph.stats.imports, "import")}) grouped by directory${graph.stats.truncated ? ", limited to the shallowest files" : ""}. An arrow points from a component to one it imports from, labelled with the number of imports._`,
+    ...(graph.diagram ? ["", "```mermaid", graph.diagram, "```"] : []),
+    "",
+    markdownTable(["Component", "Files", "Depends on", "Used by", "Instability"], rows),
+    "",
+    "_Instability is the share of a component's dependencies that are outgoing: 0 for a core everything relies on, 1 for a leaf nothing else imports._",
+    ...(cycles.length > 0
+      ? ["", "### Import Cycles", "", `_${plural(graph.stats.cycles, "group")} of files import each other${graph.stats.cycles > graph.cycles.length ? `; the ${graph.cycles.length} largest are listed` : ""}._`, "", ...cycles]
+      : []),
+    ...(graph.hotspots.length > 0
+      ? ["", "### Most Coupled Files", "", markdownTable(["File", "Imported by", "Imports"], graph.hotspots.map((entry) => [code(entry.file), entry.fanIn, entry.fanOut]))]
+      : []),
+  ].join("\n");
+}
+
+function summarizeModuleDependencies(analysis) {
+  const graph = analysis.imports;
+  if (!graph?.components?.length || !graph.dependencies.length) return null;
+
+  const lines = graph.components.map((component) => {
+    const targets = graph.dependencies.filter((dependency) => dependency.from === component.path).map((dependency) => `${dependency.to} (${dependency.imports})`);
+    return `- ${component.path} (${plural(component.files, "file")})${targets.length > 0 ? ` imports ${targets.join(", ")}` : ""}`;
+  });
+
+  return [
+    "## Module Dependencies (import graph)",
+    `**Files**: ${graph.stats.files}, **Imports**: ${graph.stats.imports}`,
+    ...lines.slice(0, MAX_PROMPT_SYMBOLS),
+    ...graph.componentCycles.map((members) => `**Component Cycle**: ${members.join(" <-> ")}`),
+    ...(graph.stats.cycles > 0 ? [`**File Cycles**: ${graph.cycles.slice(0, 5).map((members) => members.join(" <-> ")).join("; ")}${graph.stats.cycles > 5 ? `; ... and ${graph.stats.cycles - 5} more` : ""}`] : []),
+    ...(graph.hotspots.length > 0 ? [`**Most Coupled Files**: ${graph.hotspots.map((entry) => `${entry.file} (imported by ${entry.fanIn}, imports ${entry.fanOut})`).join(", ")}`] : []),
+  ].join("\n");
+}
+
+// Commands: how to run the project, from its scripts and task runners (lib/analyzers/commands.js)
+function renderCommands(analysis) {
+  const commands = analysis.commands;
+  if (!commands?.commands?.length) return null;
+
+  const listed = commands.commands.slice(0, MAX_COMMANDS);
+  const rows = listed.map((entry) => [code(entry.command), entry.purpose, code(entry.runs), code(entry.file)]);
+
+  return [
+    "## Commands",
+    "",
+    `_Collected from ${commands.sources.map(code).join(", ")}._`,
+    "",
+    markdownTable(["Command", "Purpose", "Runs", "Defined in"], rows),
+    ...(commands.stats.commands > listed.length ? ["", `_${commands.stats.commands - listed.length} more commands are not listed._`] : []),
+  ].join("\n");
+}
+
+function summarizeCommands(analysis) {
+  const commands = analysis.commands;
+  if (!commands?.commands?.length) return null;
+
+  const lines = commands.commands.map((entry) => `- ${entry.command}${entry.purpose ? ` - ${entry.purpose}` : ""}${entry.runs ? ` (runs: ${entry.runs})` : ""}`);
+  return [
+    "## Project Commands",
+    `**Defined in**: ${commands.sources.join(", ")}`,
+    ...lines.slice(0, MAX_PROMPT_SYMBOLS),
+    ...(lines.length > MAX_PROMPT_SYMBOLS ? [`- ... and ${lines.length - MAX_PROMPT_SYMBOLS} more`] : []),
+  ].join("\n");
+}
+
+const portMapping = (port) => `${port.published ? `${port.published}→` : ""}${port.target}${port.protocol === "tcp" ? "" : `/${port.protocol}`}`;
+const volumeMapping = (volume) => `${volume.source ? `${volume.source}:` : ""}${volume.target}${volume.readOnly ? " (read-only)" : ""}`;
+
+function dockerfileDetails(dockerfile) {
+  const stages = dockerfile.stages.map((stage) => `${stage.name ? `${stage.name} ` : ""}(${code(stage.fromStage || stage.baseImage)})`).join(" → ");
+  const facts = [
+    ["Build stages", dockerfile.stages.length > 1 && stages],
+    ["Base images", dockerfile.baseImages.map(code).join(", ")],
+    ["Exposed ports", dockerfile.exposedPorts.map(code).join(", ")],
+    ["Entrypoint", code(dockerfile.entrypoint)],
+    ["Command", code(dockerfile.cmd)],
+    ["Working directory", code(dockerfile.workdir)],
+    ["User", code(dockerfile.user)],
+    ["Environment", dockerfile.env.map(code).join(", ")],
+    ["Build arguments", dockerfile.args.map((arg) => code(arg.default !== undefined ? `${arg.name}=${arg.default}` : arg.name)).join(", ")],
+    ["Volumes", dockerfile.volumes.map(code).join(", ")],
+    ["Healthcheck", code(dockerfile.healthcheck)],
+  ].filter(([, value]) => value);
+
+  return [`### ${code(dockerfile.file)}`, "", ...facts.map(([label, value]) => `- **${label}**: ${value}`)].join("\n");
+}
+
+function composeDetails(composeFile) {
+  const rows = composeFile.services.map((service) => [
+    code(service.name),
+    [service.image && code(service.image), service.build && `build ${code(service.build.dockerfile)}${service.build.target ? ` (${service.build.target})` : ""}`].filter(Boolean).join(", "),
+    [...service.ports.map(portMapping), ...service.expose].map(code).join(", "),
+    service.volumes.map((volume) => code(volumeMapping(volume))).join(", "),
+    service.dependsOn.map((dependency) => `${code(dependency.service)}${dependency.condition ? ` (${dependency.condition.replace(/^service_/, "")})` : ""}`).join(", "),
+    code(service.command || service.entrypoint),
+  ]);
+
+  const resources = [
+    composeFile.volumes.length > 0 && `Named volumes: ${composeFile.volumes.map(code).join(", ")}.`,
+    composeFile.networks.length > 0 && `Networks: ${composeFile.networks.map(code).join(", ")}.`,
+  ].filter(Boolean);
+
+  return [
+    `### ${code(composeFile.file)}`,
+    "",
+    markdownTable(["Service", "Image", "Ports", "Volumes", "Depends on", "Command"], rows),
+    ...(resources.length > 0 ? ["", resources.join(" ")] : []),
+  ].join("\n");
+}
+
+// Deployment & Runtime: container images and compose services (lib/analyzers/containers.js)
+function renderDeployment(analysis) {
+  const containers = analysis.containers;
+  if (!containers?.dockerfiles?.length && !containers?.compose?.length) return null;
+
+  const sources = [
+    containers.stats.dockerfiles > 0 && plural(containers.stats.dockerfiles, "Dockerfile"),
+    containers.stats.composeFiles > 0 && `${plural(containers.stats.composeFiles, "compose file")} with ${plural(containers.stats.services, "service")}`,
+  ].filter(Boolean);
+
+  return [
+    "## Deployment & Runtime",
+    "",
+    `_Generated from ${sources.join(" and ")}._`,
+    ...containers.dockerfiles.flatMap((dockerfile) => ["", dockerfileDetails(dockerfile)]),
+    ...containers.compose.flatMap((composeFile) => ["", composeDetails(composeFile)]),
+  ].join("\n");
+}
+
+function summarizeDeployment(analysis) {
+  const containers = analysis.containers;
+  if (!containers?.dockerfiles?.length && !containers?.compose?.length) return null;
+
+  const images = containers.dockerfiles.map((dockerfile) => {
+    const facts = [
+      `from ${dockerfile.baseImages.join(", ")}`,
+      dockerfile.stages.length > 1 && `${dockerfile.stages.length} stages`,
+      dockerfile.exposedPorts.length > 0 && `exposes ${dockerfile.exposedPorts.join(", ")}`,
+      (dockerfile.entrypoint || dockerfile.cmd) && `runs \`${[dockerfile.entrypoint, dockerfile.cmd].filter(Boolean).join(" ")}\``,
+    ].filter(Boolean);
+    return `- ${dockerfile.file}: ${facts.join(", ")}`;
+  });
+  const services = containers.compose.flatMap((composeFile) =>
+    composeFile.services.map((service) => {
+      const facts = [
+        service.image || (service.build && `built from ${service.build.dockerfile}`),
+        service.ports.length > 0 && `ports ${service.ports.map(portMapping).join(", ")}`,
+        service.dependsOn.length > 0 && `depends on ${service.dependsOn.map((dependency) => dependency.service).join(", ")}`,
+      ].filter(Boolean);
+      return `- ${composeFile.file} service ${service.name}: ${facts.join(", ")}`;
+    })
+  );
+
+  return [
+    "## Containers (Dockerfiles and compose files)",
+    ...images,
+    ...services.slice(0, MAX_PROMPT_SYMBOLS),
+    ...(services.length > MAX_PROMPT_SYMBOLS ? [`- ... and ${services.length - MAX_PROMPT_SYMBOLS} more`] : []),
+  ].join("\n");
+}
+
+// CI/CD pipelines (lib/analyzers/ciPipelines.js) only feed the prompt: the LLM writes the Development
+// Workflow section from them
+function summarizeCi(analysis) {
+  const ci = analysis.ci;
+  if (!ci?.pipelines?.length) return null;
+
+  const lines = [
+    "## CI/CD Pipelines (parsed from config)",
+    `**Providers**: ${ci.providers.join(", ")}`,
+    ...(ci.deployTargets.length > 0 ? [`**Deploy Targets**: ${ci.deployTargets.join(", ")}`] : []),
+  ];
+
+  let jobs = 0;
+  for (const pipeline of ci.pipelines) {
+    lines.push(`- ${pipeline.file} (${pipeline.provider}${pipeline.name ? ` "${pipeline.name}"` : ""}), triggered by ${pipeline.triggers.join(", ") || "unknown"}`);
+    for (const job of pipeline.jobs) {
+      if (jobs++ >= MAX_PROMPT_SYMBOLS) break;
+      const facts = [
+        job.stage && `stage ${job.stage}`,
+        job.runner && `on ${job.runner}`,
+        job.needs.length > 0 && `after ${job.needs.join(", ")}`,
+        job.environment && `environment ${job.environment}`,
+        job.when?.only && `only ${job.when.only.join(", ")}`,
+      ].filter(Boolean);
+      const steps = [...job.commands.slice(0, MAX_PROMPT_JOB_COMMANDS), ...job.actions.slice(0, MAX_PROMPT_JOB_COMMANDS)].map((step) => `\`${step}\``);
+      lines.push(`  - job ${job.name}${facts.length > 0 ? ` (${facts.join(", ")})` : ""}${steps.length > 0 ? `: ${steps.join(", ")}` : ""}`);
+    }
+  }
+  if (jobs > MAX_PROMPT_SYMBOLS) lines.push(`- ... and ${ci.stats.jobs - MAX_PROMPT_SYMBOLS} more jobs`);
+
+  for (const [kind, label] of [["build", "Build"], ["test", "Test"], ["lint", "Lint"], ["deploy", "Deploy"]]) {
+    if (ci.commands[kind].length > 0) lines.push(`**${label} Commands**: ${ci.commands[kind].map((command) => `\`${command}\``).join(", ")}`);
+  }
+
+  return lines.join("\n");
+}
+
+const dateOf = (isoDate) => (isoDate ? isoDate.slice(0, 10) : "");
+const areaName = (area) => (area === "(root)" ? "root files" : code(area));
+
+// Maintainers & Activity: contributors, churn and module age from the git history, only in history
+// mode (lib/analyzers/gitHistory.js)
+function renderActivity(analysis) {
+  const history = analysis.history;
+  if (!history?.stats?.commits) return null;
+
+  const scope = [
+    `_From the last ${plural(history.stats.commits, "commit")} of the branch, ${dateOf(history.oldestCommit)} to ${dateOf(history.latestCommit)}`,
+    `${history.truncated ? "; older history was not fetched" : ""}.`,
+    ` "Recent" is the ${history.window.days} days before the latest commit.`,
+    history.stats.botCommits > 0 ? ` Bot commits (${history.stats.botCommits}) are left out._` : "_",
+  ].join("");
+
+  const contributors = markdownTable(
+    ["Contributor", "Commits", "Recent", "Last commit", "Main areas"],
+    history.contributors.map((contributor) => [contributor.name, contributor.commits, contributor.recentCommits, dateOf(contributor.lastCommit), contributor.areas.map(areaName).join(", ")])
+  );
+  const modules = history.modules.map((module) => [
+    code(module.path),
+    `${module.olderThanHistory ? "≤ " : ""}${dateOf(module.firstCommit)}`,
+    dateOf(module.lastCommit),
+    module.commits,
+    module.recentCommits,
+    module.authors,
+  ]);
+  const releases = [
+    ...history.tags.map((tag) => `- Tag ${code(tag.name)}${tag.date ? ` (${dateOf(tag.date)})` : ""}${tag.subject ? ` - ${tag.subject}` : ""}`),
+    ...history.releases.entries.map((release) => `- Release ${code(release.version)}${release.date ? ` (${release.date})` : ""} in ${code(history.releases.file)}`),
+  ];
+
+  return [
+    "## Maintainers & Activity",
+    "",
+    scope,
+    "",
+    "### Contributors",
+    "",
+    contributors,
+    ...(history.hotspots.length > 0
+      ? [
+          "",
+          `### Most Changed Files (last ${history.window.days} days)`,
+          "",
+          markdownTable(["File", "Commits", "Lines changed", "Authors"], history.hotspots.map((entry) => [code(entry.file), entry.commits, entry.linesChanged, entry.authors])),
+        ]
+      : []),
+    ...(modules.length > 0 ? ["", "### Modules", "", markdownTable(["Module", "First seen", "Last change", "Commits", "Recent", "Authors"], modules)] : []),
+    ...(releases.length > 0 ? ["", "### Releases", "", ...releases] : []),
+  ].join("\n");
+}
+
+function summarizeActivity(analysis) {
+  const history = analysis.history;
+  if (!history?.stats?.commits) return null;
+
+  const active = history.contributors.filter((contributor) => contributor.recentCommits > 0);
+  return [
+    "## Git History (maintainers and activity)",
+    `**Commits Analyzed**: ${history.stats.commits} (${dateOf(history.oldestCommit)} to ${dateOf(history.latestCommit)}), ${history.stats.recentCommits} in the last ${history.window.days} days`,
+    `**Active Contributors**: ${active.map((contributor) => `${contributor.name} (${contributor.recentCommits} recent; ${contributor.areas.join(", ")})`).join(", ") || "none in the recent window"}`,
+    ...(history.hotspots.length > 0 ? [`**Most Changed Files**: ${history.hotspots.map((entry) => `${entry.file} (${plural(entry.commits, "commit")})`).join(", ")}`] : []),
+    ...history.modules.map((module) => `- ${module.path}: since ${module.olderThanHistory ? "before " : ""}${dateOf(module.firstCommit)}, last changed ${dateOf(module.lastCommit)}, ${module.recentCommits} recent commits`),
+    ...(history.tags.length > 0 ? [`**Latest Tags**: ${history.tags.map((tag) => `${tag.name}${tag.date ? ` (${dateOf(tag.date)})` : ""}`).join(", ")}`] : []),
+    ...(history.releases.entries.length > 0 ? [`**Changelog Releases**: ${history.releases.entries.map((release) => `${release.version}${release.date ? ` (${release.date})` : ""}`).join(", ")}`] : []),
+  ].join("\n");
+}
+
+const DATA_SOURCES = {
+  prisma: "Prisma",
+  typeorm: "TypeORM",
+  sequelize: "Sequelize",
+  mongoose: "Mongoose",
+  sqlalchemy: "SQLAlchemy",
+  jpa: "JPA",
+  sql: "SQL",
+  flyway: "Flyway",
+  knex: "Knex",
+  alembic: "Alembic",
+  rails: "Rails",
+  "golang-migrate": "golang-migrate",
+  dbmate: "dbmate",
+};
+const sourceName = (source) => DATA_SOURCES[source] || source;
+
+// Relationships of an entity seen from its side: a many-to-one into it reads as one-to-many through
+// the other entity's field. Edges point at entity ids (tables); the other entity is shown by name.
+function relationsOf(record, model) {
+  const nameOf = (id) => model.entities.find((other) => other.id === id)?.name || id;
+  return model.relationships.flatMap((edge) => {
+    if (edge.from === record.id) return [{ kind: edge.kind, other: nameOf(edge.to), field: edge.label }];
+    if (edge.to === record.id) {
+      const other = nameOf(edge.from);
+      return [{ kind: edge.kind === "many-to-one" ? "one-to-many" : edge.kind, other, field: edge.label && `${other}.${edge.label}` }];
+    }
+    return [];
+  });
+}
+
+const keyFlags = (field) => [field.primaryKey && "PK", field.references && "FK", field.unique && !field.primaryKey && "unique"].filter(Boolean).join(", ");
+const referenceOf = (field) => (field.references ? `${field.references.target}${field.references.column ? `.${field.references.column}` : ""}` : "");
+
+function migrationNote(migration) {
+  return `${plural(migration.files, `${sourceName(migration.tool)} migration`)} in ${code(migration.directory)} (latest ${code(migration.latest)})`;
+}
+
+// Data Model: tables and collections from ORM definitions and migrations, with an ER diagram
+// (lib/analyzers/dataModels.js)
+function renderDataModel(analysis) {
+  const model = analysis.dataModels;
+  if (!model?.entities?.length) return null;
+
+  const counts = [
+    model.stats.tables > 0 && plural(model.stats.tables, "table"),
+    model.stats.collections > 0 && plural(model.stats.collections, "collection"),
+    plural(model.stats.relationships, "relationship"),
+  ].filter(Boolean);
+  const entities = model.entities.map((record) => {
+    const relations = relationsOf(record, model).map((relation) => `${relation.kind} ${code(relation.other)}${relation.field ? ` (${code(relation.field)})` : ""}`);
+    const also = record.sources.filter((source) => source !== record.source).map(sourceName);
+    const rows = record.columns.map((field) => [code(field.name), field.type ? code(field.type) : "", yesNo(field.nullable), keyFlags(field), field.default !== null ? code(field.default) : "", code(referenceOf(field))]);
+
+    return [
+      `### ${code(record.name)}`,
+      "",
+      `_${record.kind === "collection" ? "Collection" : "Table"} ${code(record.table)} from ${code(`${record.file}:${record.line}`)} (${sourceName(record.source)}${also.length > 0 ? `, also in ${also.join(", ")}` : ""})._`,
+      ...(rows.length > 0 ? ["", markdownTable(["Column", "Type", "Nullable", "Key", "Default", "References"], rows)] : []),
+      ...(relations.length > 0 ? ["", `**Relations**: ${relations.join(", ")}`] : []),
+    ].join("\n");
+  });
+
+  return [
+    "## Data Model",
+    "",
+    `_Built from the ${model.sources.map(sourceName).join(", ")} definitions in the code: ${counts.join(", ")}${model.stats.truncated ? `; the first ${model.entities.length} entities are listed` : ""}._`,
+    ...(model.migrations.length > 0 ? ["", `Migrations: ${model.migrations.map(migrationNote).join("; ")}.`] : []),
+    ...(model.diagram ? ["", "```mermaid", model.diagram, "```"] : []),
+    "",
+    entities.join("\n\n"),
+  ].join("\n");
+}
+
+function summarizeDataModel(analysis) {
+  const model = analysis.dataModels;
+  if (!model?.entities?.length) return null;
+
+  const entities = model.entities.map((record) => {
+    const columns = record.columns.slice(0, MAX_PROMPT_COLUMNS).map((field) => `${field.name} ${field.type || "?"}${keyFlags(field) ? ` ${keyFlags(field)}` : ""}`);
+    const more = record.columns.length > MAX_PROMPT_COLUMNS ? ", ..." : "";
+    const relations = relationsOf(record, model).map((relation) => `${relation.kind} ${relation.other}`);
+    return `- ${record.name} (${record.kind} ${record.table}, ${sourceName(record.source)}): ${columns.join(", ")}${more}${relations.length > 0 ? `; ${relations.join(", ")}` : ""}`;
+  });
+
+  return [
+    "## Data Model (database schema)",
+    `**Sources**: ${model.sources.map(sourceName).join(", ")}${model.migrations.length > 0 ? `; ${model.migrations.map((m) => `${plural(m.files, `${sourceName(m.tool)} migration`)} in ${m.directory}`).join(", ")}` : ""}`,
+    ...entities.slice(0, MAX_PROMPT_SYMBOLS),
+    ...(entities.length > MAX_PROMPT_SYMBOLS ? [`- ... and ${entities.length - MAX_PROMPT_SYMBOLS} more`] : []),
+  ].join("\n");
+}
+
+// Each section renders markdown for the docs and a short summary for the prompt (null when it has no data).
+// Routes have no summary here because the prompt lists them in its API section, and CI pipelines have no
+// rendered section.
+const SECTIONS = [
+  { id: "packages", render: renderPackages, summarize: summarizePackages },
+  { id: "modules", render: renderModuleDependencies, summarize: summarizeModuleDependencies },
+  { id: "commands", render: renderCommands, summarize: summarizeCommands },
+  { id: "api", render: renderApiReference, summarize: summarizeApi },
+  { id: "openapi", render: renderOpenApi, summarize: summarizeOpenApi },
+  { id: "graphql", render: renderGraphQL, summarize: summarizeGraphQL },
+  { id: "endpoints", render: renderHttpEndpoints, summarize: () => null },
+  { id: "datamodel", render: renderDataModel, summarize: summarizeDataModel },
+  { id: "configuration", render: renderConfiguration, summarize: summarizeConfiguration },
+  { id: "deployment", render: renderDeployment, summarize: summarizeDeployment },
+  { id: "ci", render: () => null, summarize: summarizeCi },
+  { id: "activity", render: renderActivity, summarize: summarizeActivity },
+];
+
+export function renderReferenceSections(analysis) {
+  return SECTIONS.map((section) => section.render(analysis)).filter(Boolean);
+}
+
+export function summarizeForPrompt(analysis) {
+  return SECTIONS.map((section) => section.summarize(analysis)).filter(Boolean).join("\n\n");
+}
+
+export function appendReferenceSections(documentation, analysis) {
+  const sections = renderReferenceSections(analysis);
+  if (sections.length === 0) return documentation;
+  return `${documentation.trimEnd()}\n\n---\n\n${sections.join("\n\n")}\n`;
+}
@@ -1,88 +1,95 @@
-// Repository storage using JSON file
-import fs from "fs/promises";
+// Repository storage. Records live in SQLite by default; REPOSITORY_STORAGE=json keeps them in
+// data/repositories.json instead. Existing repositories.json data is imported into SQLite once.
+import crypto from "crypto";
 import path from "path";
+import { createJsonRepositoryStore } from "@/lib/jsonRepositoryStore";
+import { createSqliteRepositoryStore } from "@/lib/sqliteRepositoryStore";
 
 const STORAGE_DIR = path.join(process.cwd(), "data");
 const REPOS_FILE = path.join(STORAGE_DIR, "repositories.json");
+const DATABASE_FILE = path.join(STORAGE_DIR, "docweave.db");
+
+export const REPOSITORY_BACKENDS = ["sqlite", "json"];
+
+// The backend is created once per process and shared across route bundles
+const state = (globalThis.__docweaveRepositoryStorage ??= { store: null });
+
+// Example repositories a fresh installation starts with. Their URLs don't exist, so auto-update and
+// auto-merge stay off: polling them would only queue failing jobs.
+function defaultRepositories() {
+  return [
+    {
+      id: "1",
+      name: "example-docs-cli",
+      url: "https://github.com/example/docs-cli.git",
+      branch: "main",
+      type: "integrated",
+      status: "up-to-date",
+      hasDocumentation: true,
+      autoUpdate: false,
+      autoMerge: false,
+      lastUpdated: new Date().toISOString(),
+    },
+    {
+      id: "2",
+      name: "example-api-service",
+      url: "https://github.com/example/api-service.git",
+      branch: "main",
+      type: "integrated",
+      status: "up-to-date",
+      hasDocumentation: true,
+      autoUpdate: false,
+      autoMerge: false,
+      lastUpdated: new Date().toISOString(),
+    },
+    {
+      id: "3",
+      name: "example-microservice",
+      url: "https://github.com/example/microservice.git",
+      branch: "main",
+      type: "integrated",
+      status: "up-to-date",
+      hasDocumentation: true,
+      autoUpdate: false,
+      autoMerge: false,
+      lastUpdated: new Date().toISOString(),
+    },
+  ];
+}
 
-// Ensure storage directory exists
-async function ensureStorageDir() {
-  try {
-    await fs.mkdir(STORAGE_DIR, { recursive: true });
-  } catch (error) {
-    console.error("Failed to create storage directory:", error);
+export function getRepositoryBackend() {
+  const backend = (process.env.REPOSITORY_STORAGE || "sqlite").toLowerCase();
+  if (!REPOSITORY_BACKENDS.includes(backend)) {
+    throw new Error(
+      `Unknown REPOSITORY_STORAGE "${backend}" (expected one of: ${REPOSITORY_BACKENDS.join(", ")})`
+    );
   }
+  return backend;
 }
 
-// Initialize storage file if it doesn't exist
-async function initializeStorage() {
-  try {
-    await ensureStorageDir();
-
-    try {
-      await fs.access(REPOS_FILE);
-    } catch {
-      // File doesn't exist, create it with default data
-      const defaultData = {
-        repositories: [
-          {
-            id: "1",
-            name: "example-docs-cli",
-            url: "https://github.com/example/docs-cli.git",
-            branch: "main",
-            type: "integrated",
-            status: "up-to-date",
-            hasDocumentation: true,
-            autoUpdate: true,
-            autoMerge: true,
-            lastUpdated: new Date().toISOString(),
-          },
-          {
-            id: "2",
-            name: "example-api-service",
-            url: "https://github.com/example/api-service.git",
-            branch: "main",
-            type: "integrated",
-            status: "up-to-date",
-            hasDocumentation: true,
-            autoUpdate: false,
-            autoMerge: false,
-            lastUpdated: new Date().toISOString(),
-          },
-          {
-            id: "3",
-            name: "example-microservice",
-            url: "https://github.com/example/microservice.git",
-            branch: "main",
-            type: "integrated",
-            status: "up-to-date",
-            hasDocumentation: true,
-            autoUpdate: true,
-            autoMerge: false,
-            lastUpdated: new Date().toISOString(),
-          },
-        ],
-      };
-
-      await fs.writeFile(
-        REPOS_FILE,
-        JSON.stringify(defaultData, null, 2),
-        "utf8"
-      );
+async function getStore() {
+  state.store ??= (async () => {
+    if (getRepositoryBackend() === "json") {
+      return createJsonRepositoryStore({ file: REPOS_FILE, seed: defaultRepositories });
     }
-  } catch (error) {
-    console.error("Failed to initialize storage:", error);
+    return createSqliteRepositoryStore({
+      file: DATABASE_FILE,
+      legacyJsonFile: REPOS_FILE,
+      seed: defaultRepositories,
+    });
+  })().catch((error) => {
+    // Let the next call retry instead of caching the failure
+    state.store = null;
     throw error;
-  }
+  });
+  return state.store;
 }
 
 // Read all repositories
 export async function getAllRepositories() {
   try {
-    await initializeStorage();
-    const data = await fs.readFile(REPOS_FILE, "utf8");
-    const parsed = JSON.parse(data);
-    return parsed.repositories || [];
+    const store = await getStore();
+    return await store.list();
   } catch (error) {
     console.error("Failed to read repositories:", error);
     return [];
@@ -92,8 +99,8 @@ export async function getAllRepositories() {
 // Get a single repository by ID
 export async function getRepositoryById(id) {
   try {
-    const repositories = await getAllRepositories();
-    return repositories.find((repo) => repo.id === id);
+    const store = await getStore();
+    return await store.get(id);
   } catch (error) {
     console.error("Failed to get repository:", error);
     return null;
@@ -103,61 +110,36 @@ export async function getRepositoryById(id) {
 // Add a new repository
 export async function addRepository(repository) {
   try {
-    const repositories = await getAllRepositories();
-
-    // Generate new ID
-    const newId = String(
-      Math.max(0, ...repositories.map((r) => parseInt(r.id) || 0)) + 1
-    );
+    const store = await getStore();
 
     const newRepo = {
       ...repository,
-      id: newId,
+      id: crypto.randomUUID(),
       type: repository.type || "integrated",
       status: repository.status || "generating",
       hasDocumentation: repository.hasDocumentation || false,
       lastUpdated: new Date().toISOString(),
     };
 
-    repositories.push(newRepo);
-
-    await fs.writeFile(
-      REPOS_FILE,
-      JSON.stringify({ repositories }, null, 2),
-      "utf8"
-    );
-
-    return newRepo;
+    return await store.insert(newRepo);
   } catch (error) {
     console.error("Failed to add repository:", error);
     throw error;
   }
 }
 
-// Update a repository
-export async function updateRepository(id, updates) {
+// Update a repository. Pass { touch: false } for bookkeeping updates that shouldn't bump lastUpdated.
+// The merge happens inside the backend's lock/transaction, so concurrent updates of different
+// fields don't overwrite each other.
+export async function updateRepository(id, updates, { touch = true } = {}) {
   try {
-    const repositories = await getAllRepositories();
-    const index = repositories.findIndex((repo) => repo.id === id);
-
-    if (index === -1) {
-      throw new Error("Repository not found");
-    }
-
-    repositories[index] = {
-      ...repositories[index],
+    const store = await getStore();
+    return await store.update(id, (repository) => ({
+      ...repository,
       ...updates,
       id, // Ensure ID doesn't change
-      lastUpdated: new Date().toISOString(),
-    };
-
-    await fs.writeFile(
-      REPOS_FILE,
-      JSON.stringify({ repositories }, null, 2),
-      "utf8"
-    );
-
-    return repositories[index];
+      ...(touch && { lastUpdated: new Date().toISOString() }),
+    }));
   } catch (error) {
     console.error("Failed to update repository:", error);
     throw error;
@@ -167,20 +149,8 @@ export async function updateRepository(id, updates) {
 // Delete a repository
 export async function deleteRepository(id) {
   try {
-    const repositories = await getAllRepositories();
-    const filtered = repositories.filter((repo) => repo.id !== id);
-
-    if (filtered.length === repositories.length) {
-      throw new Error("Repository not found");
-    }
-
-    await fs.writeFile(
-      REPOS_FILE,
-      JSON.stringify({ repositories: filtered }, null, 2),
-      "utf8"
-    );
-
-    return true;
+    const store = await getStore();
+    return await store.remove(id);
   } catch (error) {
     console.error("Failed to delete repository:", error);
     throw error;
@@ -0,0 +1,132 @@
+// Auto-update scheduler: polls autoUpdate repositories for new commits and queues regeneration
+import { execFile } from "child_process";
+import { promisify } from "util";
+import { isPublishedByDocWeave } from "@/lib/docPublisher";
+import { enqueueGeneration } from "@/lib/generationJobs";
+import { getJob } from "@/lib/jobQueue";
+import { getAllRepositories, updateRepository } from "@/lib/repositoryStorage";
+
+const execFileAsync = promisify(execFile);
+
+const DEFAULT_INTERVAL_MINUTES = 15;
+const LS_REMOTE_TIMEOUT = 30000; // 30 seconds
+const MAX_RETRY_DELAY = 24 * 60 * 60 * 1000; // 1 day
+
+// Shared across route bundles so only one timer runs per process
+const state = (globalThis.__docweaveScheduler ??= {
+  timer: null,
+  checking: false,
+});
+
+// Polling interval in milliseconds from AUTO_UPDATE_INTERVAL_MINUTES (0 disables polling)
+export function getAutoUpdateInterval() {
+  const minutes = Number(process.env.AUTO_UPDATE_INTERVAL_MINUTES ?? DEFAULT_INTERVAL_MINUTES);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes * 60 * 1000 : 0;
+}
+
+// Wait before retrying a commit whose generation failed: one interval, doubling with every failed
+// attempt, at most a day
+function retryDelay(attempts) {
+  const interval = getAutoUpdateInterval() || DEFAULT_INTERVAL_MINUTES * 60 * 1000;
+  return Math.min(interval * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY);
+}
+
+// Commit SHA the remote branch points at, or null if it can't be determined
+export async function getRemoteHead(repoUrl, branch = "main") {
+  try {
+    const { stdout } = await execFileAsync("git", ["ls-remote", "--", repoUrl, `refs/heads/${branch}`], {
+      timeout: LS_REMOTE_TIMEOUT,
+      env: { ...process.env, GIT_TERMINAL_PROMPT: "0" },
+    });
+    const sha = stdout.trim().split(/\s+/)[0];
+    return sha || null;
+  } catch (error) {
+    console.warn(`git ls-remote failed for ${repoUrl}:`, error.message);
+    return null;
+  }
+}
+
+// Compare the remote HEAD with the commit the current docs were generated from, and queue a
+// regeneration when it moved. `lastCommitSha` only changes when a generation succeeds, so a commit
+// stays pending until then; `autoUpdateAttempt` counts the jobs queued for it to back off retries.
+export async function checkRepositoryForUpdates(repository) {
+  const branch = repository.branch || "main";
+  const remoteSha = await getRemoteHead(repository.url, branch);
+  const checkedAt = new Date().toISOString();
+
+  await updateRepository(
+    repository.id,
+    { lastCheckedAt: checkedAt, ...(remoteSha && { remoteCommitSha: remoteSha }) },
+    { touch: false }
+  );
+
+  if (!remoteSha || remoteSha === repository.lastCommitSha) {
+    return { repoId: repository.id, changed: false, remoteSha };
+  }
+  if (isPublishedByDocWeave(repository, { commitSha: remoteSha })) {
+    return { repoId: repository.id, changed: false, remoteSha, skipped: "documentation commit published by DocWeave" };
+  }
+
+  const previous = repository.autoUpdateAttempt?.commitSha === remoteSha ? repository.autoUpdateAttempt : null;
+  // Finished jobs are pruned after a while; the repository status tells about older ones
+  const previousJob = previous && (await getJob(previous.jobId));
+  const failed = previousJob ? previousJob.status === "failed" : repository.status === "error";
+  if (previous && failed && Date.now() < Date.parse(previous.retryAt)) {
+    return { repoId: repository.id, changed: true, remoteSha, skipped: `previous attempt failed, retrying after ${previous.retryAt}` };
+  }
+
+  console.log(`New commit ${remoteSha.slice(0, 7)} on ${repository.name}@${branch}, queueing regeneration`);
+  const job = await enqueueGeneration(
+    { repoUrl: repository.url, branch, repoId: repository.id, repoName: repository.name },
+    { trigger: "auto-update" }
+  );
+
+  // A job still queued or running from an earlier check is not a new attempt
+  if (job.id !== previous?.jobId) {
+    const attempts = (previous?.attempts || 0) + 1;
+    await updateRepository(
+      repository.id,
+      { autoUpdateAttempt: { commitSha: remoteSha, jobId: job.id, attempts, retryAt: new Date(Date.now() + retryDelay(attempts)).toISOString() } },
+      { touch: false }
+    );
+  }
+
+  return { repoId: repository.id, changed: true, remoteSha, jobId: job.id };
+}
+
+// Check every autoUpdate repository once. Overlapping runs are skipped.
+export async function checkForUpdates() {
+  if (state.checking) return [];
+  state.checking = true;
+
+  try {
+    const repositories = await getAllRepositories();
+    const results = [];
+
+    for (const repository of repositories.filter((repo) => repo.autoUpdate)) {
+      try {
+        results.push(await checkRepositoryForUpdates(repository));
+      } catch (error) {
+        console.error(`Auto-update check failed for ${repository.name}:`, error);
+      }
+    }
+
+    return results;
+  } finally {
+    state.checking = false;
+  }
+}
+
+// Start polling once per process, with a first check right away so commits pushed while the server
+// was down are picked up without waiting a full interval
+export function startScheduler() {
+  const interval = getAutoUpdateInterval();
+  if (state.timer || !interval) return;
+
+  const check = () => checkForUpdates().catch((error) => console.error("Auto-update check failed:", error));
+  state.timer = setInterval(check, interval);
+  state.timer.unref?.();
+  check();
+
+  console.log(`Auto-update scheduler started (every ${interval / 60000} minutes)`);
+}
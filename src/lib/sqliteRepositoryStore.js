@@ -0,0 +1,133 @@
+// Repository store backed by SQLite (REPOSITORY_STORAGE=sqlite, the default)
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+const SCHEMA_VERSION = 1;
+const MIGRATION_KEY = "json_migration";
+
+// One connection per database file, shared across route bundles
+const connections = (globalThis.__docweaveSqlite ??= {});
+
+function createSchema(db) {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS meta (
+      key TEXT PRIMARY KEY,
+      value TEXT NOT NULL
+    );
+    CREATE TABLE IF NOT EXISTS repositories (
+      id TEXT PRIMARY KEY,
+      data TEXT NOT NULL,
+      created_at TEXT NOT NULL,
+      updated_at TEXT NOT NULL
+    );
+  `);
+  db.prepare("INSERT OR IGNORE INTO meta (key, value) VALUES ('schema_version', ?)").run(String(SCHEMA_VERSION));
+}
+
+function readLegacyRepositories(legacyJsonFile) {
+  try {
+    return JSON.parse(fs.readFileSync(legacyJsonFile, "utf8")).repositories || [];
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw new Error(`Failed to read ${legacyJsonFile} for migration: ${error.message}`);
+  }
+}
+
+// Import repositories.json once. The result is recorded in the meta table, so the JSON file is
+// left untouched and later edits to it are not picked up again. Without a JSON file the store
+// starts with the example repositories, as the JSON backend does.
+function migrateFromJson(db, { legacyJsonFile, seed }) {
+  const migrate = db.transaction(() => {
+    if (db.prepare("SELECT value FROM meta WHERE key = ?").get(MIGRATION_KEY)) return null;
+
+    const legacy = readLegacyRepositories(legacyJsonFile);
+    const repositories = legacy ?? seed();
+    const insert = db.prepare(
+      "INSERT OR IGNORE INTO repositories (id, data, created_at, updated_at) VALUES (?, ?, ?, ?)"
+    );
+    const now = new Date().toISOString();
+
+    let imported = 0;
+    for (const repository of repositories) {
+      const id = repository.id ? String(repository.id) : crypto.randomUUID();
+      const updatedAt = repository.lastUpdated || now;
+      imported += insert.run(id, JSON.stringify({ ...repository, id }), updatedAt, updatedAt).changes;
+    }
+
+    const record = { migratedAt: now, source: legacy ? legacyJsonFile : null, imported };
+    db.prepare("INSERT INTO meta (key, value) VALUES (?, ?)").run(MIGRATION_KEY, JSON.stringify(record));
+    return record;
+  });
+
+  const record = migrate.immediate();
+  if (record?.source) {
+    console.log(`Migrated ${record.imported} repositories from ${record.source} to SQLite`);
+  }
+}
+
+async function openDatabase(file, options) {
+  if (connections[file]) return connections[file];
+
+  // Loaded lazily so the JSON backend works without the native module
+  const { default: Database } = await import("better-sqlite3");
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("busy_timeout = 5000");
+
+  createSchema(db);
+  migrateFromJson(db, options);
+
+  connections[file] = db;
+  return db;
+}
+
+export async function createSqliteRepositoryStore({ file, legacyJsonFile, seed = () => [] }) {
+  const db = await openDatabase(file, { legacyJsonFile, seed });
+
+  const parse = (row) => (row ? JSON.parse(row.data) : null);
+  const selectAll = db.prepare("SELECT data FROM repositories ORDER BY rowid");
+  const selectOne = db.prepare("SELECT data FROM repositories WHERE id = ?");
+  const insertOne = db.prepare(
+    "INSERT INTO repositories (id, data, created_at, updated_at) VALUES (@id, @data, @now, @now)"
+  );
+  const updateOne = db.prepare("UPDATE repositories SET data = @data, updated_at = @now WHERE id = @id");
+  const deleteOne = db.prepare("DELETE FROM repositories WHERE id = ?");
+
+  // Read and write in one immediate transaction so concurrent updates can't overwrite each other
+  const updateTransaction = db.transaction((id, change) => {
+    const current = parse(selectOne.get(id));
+    if (!current) {
+      throw new Error("Repository not found");
+    }
+
+    const updated = change(current);
+    updateOne.run({ id, data: JSON.stringify(updated), now: new Date().toISOString() });
+    return updated;
+  });
+
+  return {
+    name: "sqlite",
+
+    list: async () => selectAll.all().map(parse),
+
+    get: async (id) => parse(selectOne.get(id)),
+
+    insert: async (repository) => {
+      insertOne.run({ id: repository.id, data: JSON.stringify(repository), now: new Date().toISOString() });
+      return repository;
+    },
+
+    // `change` receives the stored record and returns the new one
+    update: async (id, change) => updateTransaction.immediate(id, change),
+
+    remove: async (id) => {
+      if (deleteOne.run(id).changes === 0) {
+        throw new Error("Repository not found");
+      }
+      return true;
+    },
+  };
+}
@@ -0,0 +1,96 @@
+// Push-event webhooks: signature verification, payload parsing and repository matching
+import crypto from "crypto";
+
+export const WEBHOOK_PROVIDERS = ["github", "gitlab"];
+
+const ZERO_SHA = /^0+$/;
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a || "", "utf8");
+  const bufferB = Buffer.from(b || "", "utf8");
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+// Shared secret configured for a provider, or null if webhooks for it are not set up
+export function getWebhookSecret(provider) {
+  const secrets = {
+    github: process.env.GITHUB_WEBHOOK_SECRET,
+    gitlab: process.env.GITLAB_WEBHOOK_SECRET,
+  };
+  return secrets[provider] || null;
+}
+
+// GitHub signs the raw body: X-Hub-Signature-256: sha256=<hex hmac>
+export function verifyGitHubSignature(rawBody, signature, secret) {
+  if (!signature || !secret) return false;
+  const expected = `sha256=${crypto.createHmac("sha256", secret).update(rawBody).digest("hex")}`;
+  return safeEqual(signature, expected);
+}
+
+// GitLab sends the configured secret as-is: X-Gitlab-Token: <secret>
+export function verifyGitLabToken(token, secret) {
+  if (!token || !secret) return false;
+  return safeEqual(token, secret);
+}
+
+export function verifyWebhook(provider, headers, rawBody, secret) {
+  if (provider === "github") {
+    return verifyGitHubSignature(rawBody, headers.get("x-hub-signature-256"), secret);
+  }
+  if (provider === "gitlab") {
+    return verifyGitLabToken(headers.get("x-gitlab-token"), secret);
+  }
+  return false;
+}
+
+// Event name as sent by the provider ("push", "ping", "Push Hook", ...)
+export function getWebhookEvent(provider, headers) {
+  return provider === "github" ? headers.get("x-github-event") : headers.get("x-gitlab-event");
+}
+
+// Extract what we need from a push payload. Returns null for anything that isn't a branch push
+// (tag pushes, branch deletions, other events).
+export function parsePushEvent(provider, event, payload) {
+  const isPush = provider === "github" ? event === "push" : event === "Push Hook";
+  if (!isPush || !payload?.ref?.startsWith("refs/heads/")) return null;
+
+  const commitSha = provider === "github" ? payload.after : payload.checkout_sha || payload.after;
+  if (!commitSha || ZERO_SHA.test(commitSha) || payload.deleted) return null;
+
+  const urls =
+    provider === "github"
+      ? [payload.repository?.clone_url, payload.repository?.ssh_url, payload.repository?.html_url, payload.repository?.git_url]
+      : [payload.project?.git_http_url, payload.project?.git_ssh_url, payload.project?.web_url, payload.repository?.homepage];
+
+  // Author of the head commit, to recognize DocWeave's own documentation pushes
+  const headCommit = provider === "github" ? payload.head_commit : payload.commits?.find((commit) => commit.id === commitSha);
+
+  return {
+    branch: payload.ref.slice("refs/heads/".length),
+    commitSha,
+    authorEmail: headCommit?.author?.email || null,
+    urls: urls.filter(Boolean),
+  };
+}
+
+// Reduce the many spellings of a repository URL to host/path, e.g.
+// https://github.com/Org/Repo.git, git@github.com:org/repo and ssh://git@github.com/org/repo -> github.com/org/repo
+export function normalizeRepoUrl(url) {
+  if (!url) return "";
+
+  let normalized = String(url).trim().toLowerCase();
+  normalized = normalized.replace(/^[a-z+]+:\/\//, ""); // protocol
+  normalized = normalized.replace(/^[^@/]+@/, ""); // credentials / ssh user
+  normalized = normalized.replace(/^([^/:]+):(?!\d+\/)/, "$1/"); // scp-style host:path
+  normalized = normalized.replace(/^([^/:]+):\d+\//, "$1/"); // port
+  normalized = normalized.replace(/\/+$/, "").replace(/\.git$/, "");
+  return normalized;
+}
+
+// Repositories that track the pushed URL and branch
+export function findRepositoriesForPush(repositories, push) {
+  const pushedUrls = new Set(push.urls.map(normalizeRepoUrl));
+  return repositories.filter(
+    (repo) => pushedUrls.has(normalizeRepoUrl(repo.url)) && (repo.branch || "main") === push.branch
+  );
+}
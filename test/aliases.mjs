@@ -0,0 +1,21 @@
+// Resolves the `@/` import alias (jsconfig.json) to src/ when modules run under `node --test`,
+// trying the extensions Next.js would
+import { existsSync, statSync } from 'fs';
+import { register } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { isMainThread } from 'worker_threads';
+
+const SRC = fileURLToPath(new URL('../src/', import.meta.url));
+const CANDIDATES = ['', '.js', '.jsx', '.mjs', '/index.js'];
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier.startsWith('@/')) {
+    const base = `${SRC}${specifier.slice(2)}`;
+    const found = CANDIDATES.map((ext) => `${base}${ext}`).find((file) => existsSync(file) && statSync(file).isFile());
+    if (found) return nextResolve(pathToFileURL(found).href, context);
+  }
+  return nextResolve(specifier, context);
+}
+
+// Loaded with --import: register this module as the resolve hook (which then runs off the main thread)
+if (isMainThread) register(import.meta.url);
@@ -0,0 +1,26 @@
+// Temporary repositories for analyzer tests: writes the given files and lists them the way
+// CodeAnalyzer.scanDirectory does
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+export async function createFixtureRepo(contents) {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'docweave-test-'));
+  const files = [];
+
+  for (const [relPath, text] of Object.entries(contents)) {
+    const fullPath = path.join(root, relPath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, text, 'utf8');
+    files.push({
+      name: path.basename(relPath),
+      path: relPath,
+      fullPath,
+      size: Buffer.byteLength(text),
+      extension: path.extname(relPath).toLowerCase(),
+      isDirectory: false
+    });
+  }
+
+  return { root, files, cleanup: () => fs.rm(root, { recursive: true, force: true }) };
+}
@@ -0,0 +1,37 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { CodeAnalyzer, assertLocalRepositoryAllowed, isLocalRepositoryUrl } from '@/lib/analyzer';
+import { createFixtureRepo } from '../fixtureRepo.mjs';
+
+test('only https, ssh and scp-like URLs are treated as remote', () => {
+  for (const url of ['https://github.com/acme/service.git', 'ssh://git@gitlab.com/acme/service.git', 'git@github.com:acme/service.git']) {
+    assert.equal(isLocalRepositoryUrl(url), false, url);
+  }
+  for (const url of ['/srv/git/service.git', 'file:///srv/git/service.git', '../other/repo', 'x/github.com/../../repo', 'ext::sh -c id']) {
+    assert.equal(isLocalRepositoryUrl(url), true, url);
+  }
+});
+
+test('relative paths cannot get around DOCWEAVE_LOCAL_ROOTS', () => {
+  process.env.DOCWEAVE_LOCAL_ROOTS = '/srv/git';
+  try {
+    assert.doesNotThrow(() => assertLocalRepositoryAllowed('/srv/git/service.git'));
+    for (const url of ['../other/repo', 'x/github.com/../../repo', 'srv/git/service.git']) {
+      assert.throws(() => assertLocalRepositoryAllowed(url), /Invalid repository URL/, url);
+    }
+    assert.throws(() => assertLocalRepositoryAllowed('/srv/git/../other'), /outside DOCWEAVE_LOCAL_ROOTS/);
+  } finally {
+    delete process.env.DOCWEAVE_LOCAL_ROOTS;
+  }
+});
+
+test('scanDirectory finds files nested deeper than eight directories', async () => {
+  const deepFile = 'src/main/java/com/acme/billing/invoices/internal/persistence/InvoiceRepository.java';
+  const repo = await createFixtureRepo({ [deepFile]: 'class InvoiceRepository {}\n', 'README.md': '# Billing\n' });
+  try {
+    const files = await new CodeAnalyzer().scanDirectory(repo.root);
+    assert.deepEqual(files.map((file) => file.path).sort(), ['README.md', deepFile]);
+  } finally {
+    await repo.cleanup();
+  }
+});
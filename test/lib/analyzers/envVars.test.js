@@ -0,0 +1,82 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { analyzeEnvironment } from '@/lib/analyzers/envVars';
+import { createFixtureRepo } from '../../fixtureRepo.mjs';
+
+async function variablesOf(contents) {
+  const repo = await createFixtureRepo(contents);
+  try {
+    const { variables } = await analyzeEnvironment(repo.files);
+    return Object.fromEntries(variables.map((variable) => [variable.name, variable]));
+  } finally {
+    await repo.cleanup();
+  }
+}
+
+test('null, None and undefined fallbacks are not defaults', async () => {
+  const variables = await variablesOf({
+    'src/config.js': `
+      export const apiKey = process.env.OPENAI_API_KEY || null;
+      export const region = process.env.AWS_REGION ?? undefined;
+      const { LOG_LEVEL = null } = process.env;
+    `,
+    'app/settings.py': `
+      import os
+      SENTRY_DSN = os.getenv("SENTRY_DSN", None)
+      DEBUG = os.environ.get("DEBUG", None)
+    `
+  });
+
+  for (const name of ['OPENAI_API_KEY', 'AWS_REGION', 'LOG_LEVEL', 'SENTRY_DSN', 'DEBUG']) {
+    assert.deepEqual(variables[name].defaults, [], `${name} defaults`);
+    assert.equal(variables[name].hasDefault, undefined, `${name} hasDefault`);
+  }
+});
+
+test('literal fallbacks are still recorded as defaults', async () => {
+  const variables = await variablesOf({
+    'src/server.js': `
+      const port = process.env.PORT || 3000;
+      const host = process.env.HOST ?? 'localhost';
+      const verbose = process.env.VERBOSE || trueByDefault;
+      const { SESSION_SECRET = 'dev-secret' } = process.env;
+    `,
+    'app/settings.py': `
+      import os
+      CACHE = os.getenv("CACHE_BACKEND", "memory")
+    `
+  });
+
+  assert.deepEqual(variables.PORT.defaults, ['3000']);
+  assert.deepEqual(variables.HOST.defaults, ['localhost']);
+  assert.deepEqual(variables.CACHE_BACKEND.defaults, ['memory']);
+  assert.deepEqual(variables.VERBOSE.defaults, []);
+  // Secret defaults are hidden but still make the variable optional
+  assert.deepEqual(variables.SESSION_SECRET.defaults, []);
+  assert.equal(variables.SESSION_SECRET.hasDefault, true);
+});
+
+test('a literal after a comma is only a default for readers that take one', async () => {
+  const variables = await variablesOf({
+    'src/db.js': `
+      const db = connect(process.env.DB_HOST, 5432);
+      const pair = [process.env.A_VAR, 'other'];
+      const region = lookup(Deno.env.get('DENO_REGION'), 'eu');
+    `,
+    'app/settings.py': `
+      import os
+      TIMEOUT = int(os.environ.get("TIMEOUT", "30"))
+      CLIENT = make_client(os.getenv("CLIENT_ID"), "fallback")
+    `,
+    'config/app.rb': `
+      PORT = ENV.fetch("PORT", "8080")
+      PAIR = [ENV["RB_VAR"], "other"]
+    `
+  });
+
+  for (const name of ['DB_HOST', 'A_VAR', 'DENO_REGION', 'CLIENT_ID', 'RB_VAR']) {
+    assert.deepEqual(variables[name].defaults, [], `${name} defaults`);
+  }
+  assert.deepEqual(variables.TIMEOUT.defaults, ['30']);
+  assert.deepEqual(variables.PORT.defaults, ['8080']);
+});
@@ -0,0 +1,106 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { findJavaScriptRoutes } from '@/lib/analyzers/jsRoutes';
+import { createFixtureRepo } from '../../fixtureRepo.mjs';
+
+async function routesOf(contents) {
+  const repo = await createFixtureRepo(contents);
+  try {
+    const routes = await findJavaScriptRoutes(repo.files);
+    return routes.map((route) => `${route.method} ${route.path}`).sort();
+  } finally {
+    await repo.cleanup();
+  }
+}
+
+test('a router defined and mounted in the same file gets its prefix', async () => {
+  const routes = await routesOf({
+    'server.js': `
+      const express = require('express');
+      const app = express();
+      const router = express.Router();
+      router.get('/users', listUsers);
+      router.route('/users/:id').get(getUser).delete(deleteUser);
+      app.use('/api', router);
+      app.get('/health', health);
+    `
+  });
+
+  assert.deepEqual(routes, ['DELETE /api/users/:id', 'GET /api/users', 'GET /api/users/:id', 'GET /health']);
+});
+
+test('local routers mounted by local routers combine their prefixes', async () => {
+  const routes = await routesOf({
+    'server.js': `
+      import express from 'express';
+      const app = express();
+      const api = express.Router();
+      const admin = express.Router();
+      admin.post('/reindex', reindex);
+      api.use('/admin', admin);
+      app.use('/api/v1', api);
+    `
+  });
+
+  assert.deepEqual(routes, ['POST /api/v1/admin/reindex']);
+});
+
+test('imported routers keep being prefixed by the file mounting them', async () => {
+  const routes = await routesOf({
+    'app.js': `
+      import express from 'express';
+      import users from './routes/users';
+      const app = express();
+      app.use('/api/users', users);
+    `,
+    'routes/users.js': `
+      import { Router } from 'express';
+      const router = Router();
+      router.get('/:id', getUser);
+      export default router;
+    `
+  });
+
+  assert.deepEqual(routes, ['GET /api/users/:id']);
+});
+
+test('calls on HTTP client instances are not routes', async () => {
+  const routes = await routesOf({
+    'src/api.js': `
+      import axios from 'axios';
+      import express from 'express';
+      import { router } from './router';
+      const api = axios.create({ baseURL: '/v1' });
+      export const listUsers = () => api.get('/users', config);
+      export const createUser = (user) => api.post('/users', user);
+      const app = express();
+      app.get('/health', health);
+      router.get('/status', (req, res) => res.json({ ok: true }));
+    `
+  });
+
+  assert.deepEqual(routes, ['GET /health', 'GET /status']);
+});
+
+test('apps passed to exported and registered plugins define routes', async () => {
+  const routes = await routesOf({
+    'routes/items.js': `
+      export default async function items(fastify) {
+        fastify.get('/items', { schema }, listItems);
+      }
+    `,
+    'routes/legacy.js': `
+      module.exports = (app) => {
+        app.post('/legacy', controller.create);
+      };
+    `,
+    'server.js': `
+      const fastify = require('fastify')({ logger: true });
+      fastify.register(async (instance) => {
+        instance.delete('/cache', clearCache);
+      });
+    `
+  });
+
+  assert.deepEqual(routes, ['DELETE /cache', 'GET /items', 'POST /legacy']);
+});
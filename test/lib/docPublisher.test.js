@@ -0,0 +1,64 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+import { publishDocumentation } from '@/lib/docPublisher';
+
+// A bare repository with a `main` branch stands in for the remote
+let root;
+let remote;
+
+const git = (cwd, ...args) => execFileSync('git', ['-C', cwd, ...args], { encoding: 'utf8' }).trim();
+const commitAs = (cwd, email, message) =>
+  git(cwd, '-c', 'user.name=Someone', '-c', `user.email=${email}`, 'commit', '-q', '--allow-empty', '-m', message);
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'docweave-test-'));
+  remote = path.join(root, 'remote.git');
+  const work = path.join(root, 'work');
+  process.env.DOCWEAVE_GIT_AUTHOR_EMAIL = 'docweave@example.com';
+
+  execFileSync('git', ['init', '-q', '--bare', '-b', 'main', remote]);
+  execFileSync('git', ['clone', '-q', remote, work]);
+  git(work, 'checkout', '-q', '-b', 'main');
+  commitAs(work, 'dev@example.com', 'Initial commit');
+  git(work, 'push', '-q', 'origin', 'main');
+  git(work, 'checkout', '-q', '-b', 'feature');
+  commitAs(work, 'dev@example.com', 'Work in progress');
+  git(work, 'push', '-q', 'origin', 'feature');
+});
+
+after(() => fs.rm(root, { recursive: true, force: true }));
+
+const repository = (options) => ({ id: 'service', name: 'service', url: remote, branch: 'main', ...options });
+
+test('the publish branch cannot be the repository or default branch', async () => {
+  await assert.rejects(
+    publishDocumentation(repository({ publishBranch: 'main' }), '# Docs\n'),
+    /must differ from the repository branch/
+  );
+  await assert.rejects(
+    publishDocumentation(repository({ branch: 'feature', publishBranch: 'main' }), '# Docs\n'),
+    /must differ from the default branch/
+  );
+});
+
+test('a publish branch with commits DocWeave did not make is not overwritten', async () => {
+  const before = git(remote, 'rev-parse', 'refs/heads/feature');
+
+  await assert.rejects(
+    publishDocumentation(repository({ publishBranch: 'feature' }), '# Docs\n'),
+    /refusing to overwrite/
+  );
+  assert.equal(git(remote, 'rev-parse', 'refs/heads/feature'), before);
+});
+
+test('DocWeave rebuilds its own publish branch', async () => {
+  const first = await publishDocumentation(repository(), '# Docs\n');
+  const second = await publishDocumentation(repository({ lastPublishedCommit: first.commitSha }), '# Docs v2\n');
+
+  assert.equal(second.changed, true);
+  assert.equal(git(remote, 'rev-parse', 'refs/heads/docweave/docs'), second.commitSha);
+});
@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+
+// Repositories and documentation are stored under the working directory, so the modules are loaded
+// from a temporary one with the JSON backend
+let root;
+let storage;
+let documentationStorage;
+let generator;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'docweave-test-'));
+  process.chdir(root);
+  process.env.REPOSITORY_STORAGE = 'json';
+
+  storage = await import('@/lib/repositoryStorage');
+  documentationStorage = await import('@/lib/documentationStorage');
+  generator = await import('@/lib/generator');
+});
+
+after(async () => {
+  process.chdir('/');
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+// Local repositories are refused while DOCWEAVE_LOCAL_ROOTS is unset, so the analysis fails right away
+const failingGeneration = (record) =>
+  generator.generateDocumentation({
+    repoUrl: path.join(root, 'missing'),
+    llmProvider: { name: 'test', model: 'test' },
+    generationId: `job-${record.id}`,
+    repoId: record.id,
+    repoName: record.name,
+  });
+
+test('a failed regeneration keeps hasDocumentation when versions are stored', async () => {
+  const record = await storage.addRepository({ name: 'documented', url: 'https://github.com/acme/documented.git' });
+  await documentationStorage.saveDocumentationVersion(record.id, '# Docs\n', { commitSha: 'a'.repeat(40) });
+  await storage.updateRepository(record.id, { hasDocumentation: true });
+
+  await assert.rejects(failingGeneration(record), /Local repositories are disabled/);
+
+  const repository = await storage.getRepositoryById(record.id);
+  assert.equal(repository.status, 'error');
+  assert.equal(repository.hasDocumentation, true);
+});
+
+test('a failed first generation leaves hasDocumentation false', async () => {
+  const record = await storage.addRepository({ name: 'fresh', url: 'https://github.com/acme/fresh.git' });
+
+  await assert.rejects(failingGeneration(record), /Local repositories are disabled/);
+
+  assert.equal((await storage.getRepositoryById(record.id)).hasDocumentation, false);
+});
@@ -0,0 +1,33 @@
+import assert from 'node:assert/strict';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, test } from 'node:test';
+
+// The jobs file lives under the working directory, so the queue is loaded from a temporary one
+let root;
+let jobQueue;
+
+before(async () => {
+  root = await fs.mkdtemp(path.join(os.tmpdir(), 'docweave-test-'));
+  process.chdir(root);
+  jobQueue = await import('@/lib/jobQueue');
+});
+
+after(async () => {
+  process.chdir('/');
+  await fs.rm(root, { recursive: true, force: true });
+});
+
+test('concurrent unique enqueues for the same key queue a single job', async () => {
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => jobQueue.enqueueUniqueJob('generate', 'repo-1', { repoId: 'repo-1' }))
+  );
+
+  assert.equal(results.filter((result) => result.created).length, 1);
+  assert.equal(new Set(results.map((result) => result.job.id)).size, 1);
+  assert.equal((await jobQueue.listJobs({ repoId: 'repo-1' })).length, 1);
+
+  const other = await jobQueue.enqueueUniqueJob('generate', 'repo-2', { repoId: 'repo-2' });
+  assert.equal(other.created, true);
+});
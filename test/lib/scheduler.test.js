@@ -0,0 +1,73 @@
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs/promises';
+import { after, before, test } from 'node:test';
+import { createFixtureRepo } from '../fixtureRepo.mjs';
+
+// The storage modules keep their data under the working directory, so they are loaded from a
+// temporary one with the JSON backend
+let repo;
+let storage;
+let scheduler;
+let jobQueue;
+let webhooks;
+
+const git = (...args) => execFileSync('git', ['-C', repo.root, ...args], { encoding: 'utf8' }).trim();
+
+before(async () => {
+  repo = await createFixtureRepo({ 'README.md': '# Service\n' });
+  process.chdir(repo.root);
+  process.env.REPOSITORY_STORAGE = 'json';
+  process.env.DOCWEAVE_GIT_AUTHOR_EMAIL = 'docweave@example.com';
+
+  git('init', '-q', '-b', 'main');
+  git('-c', 'user.name=Dev', '-c', 'user.email=dev@example.com', 'commit', '-q', '--allow-empty', '-m', 'Initial commit');
+
+  storage = await import('@/lib/repositoryStorage');
+  scheduler = await import('@/lib/scheduler');
+  jobQueue = await import('@/lib/jobQueue');
+  webhooks = await import('@/lib/webhooks');
+});
+
+after(async () => {
+  process.chdir('/');
+  await repo.cleanup();
+});
+
+test('a head commit DocWeave published itself does not trigger a regeneration', async () => {
+  const generatedFrom = git('rev-parse', 'HEAD');
+  await fs.writeFile(`${repo.root}/SERVICE.md`, '# Docs\n');
+  git('add', 'SERVICE.md');
+  git('-c', 'user.name=DocWeave', '-c', 'user.email=docweave@example.com', 'commit', '-q', '-m', 'docs: update generated documentation');
+  const published = git('rev-parse', 'HEAD');
+
+  const record = await storage.addRepository({
+    name: 'service',
+    url: repo.root,
+    branch: 'main',
+    autoUpdate: true,
+    autoMerge: true,
+    autoMergeDirectPush: true,
+    lastCommitSha: generatedFrom,
+    lastPublishedCommit: published,
+  });
+
+  const result = await scheduler.checkRepositoryForUpdates(await storage.getRepositoryById(record.id));
+
+  assert.equal(result.changed, false);
+  assert.equal(result.remoteSha, published);
+  assert.deepEqual(await jobQueue.listJobs({ repoId: record.id }), []);
+});
+
+test('a push event authored by DocWeave is recognized as its own', async () => {
+  const push = webhooks.parsePushEvent('github', 'push', {
+    ref: 'refs/heads/main',
+    after: 'a'.repeat(40),
+    head_commit: { id: 'a'.repeat(40), author: { name: 'DocWeave', email: 'DocWeave@example.com' } },
+    repository: { clone_url: 'https://github.com/acme/service.git' },
+  });
+  const { isPublishedByDocWeave } = await import('@/lib/docPublisher');
+
+  assert.equal(isPublishedByDocWeave({ lastPublishedCommit: null }, push), true);
+  assert.equal(isPublishedByDocWeave({ lastPublishedCommit: null }, { ...push, authorEmail: 'dev@example.com' }), false);
+});